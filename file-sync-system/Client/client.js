@@ -2,11 +2,12 @@
 const api = require('./lib/api');
 const fileWatcher = require('./lib/file-watcher');
 const sync = require('./lib/sync');
+const transfers = require('./lib/transfers');
 const config = require('./config');
 
 async function main() {
   console.log('🚀 Starting File Sync Client...');
-  console.log(`📱 Device ID: ${config.DEVICE_ID}`);
+  console.log(`📱 Device ID: ${config.ensureDeviceId()}`);
   console.log(`📂 Watch Directory: ${config.WATCH_DIRECTORY}`);
   console.log(`🌐 Server: ${config.API_BASE_URL}`);
   
@@ -14,6 +15,18 @@ async function main() {
     // Authenticate
     await api.authenticate();
     
+    // Needed before any hashing: encrypted files are compared by their ciphertext
+    for (const folder of config.ENCRYPTED_FOLDERS) {
+      await api.encryptFolder(folder);
+    }
+    const encryptedFolders = await sync.loadEncryptedFolders();
+    if (config.ENCRYPTED_FOLDERS.length > 0 || config.E2E_PASSPHRASE) {
+      await api.unlockEncryption(config.E2E_PASSPHRASE);
+    } else if (encryptedFolders.length > 0) {
+      console.log('⚠️ Set E2E_PASSPHRASE to sync encrypted folders; skipping them on this device');
+    }
+    console.log(`🔐 Encrypted folders: ${encryptedFolders.join(', ') || 'none'}`);
+    
     // Start file watcher
     await fileWatcher.startWatcher();
     
@@ -22,6 +35,7 @@ async function main() {
     
     console.log('✅ Client started successfully!');
     console.log('💡 Add files to the sync folder to see them upload automatically');
+    console.log(`⏸️ Send SIGUSR2 (kill -USR2 ${process.pid}) to pause or resume transfers`);
     console.log('🛑 Press Ctrl+C to stop');
     
   } catch (error) {
@@ -30,6 +44,36 @@ async function main() {
   }
 }
 
+// Progress of large transfers, at most every few seconds each
+const PROGRESS_LOG_INTERVAL = 5000;
+const lastProgressLog = new Map();
+
+transfers.events.on('progress', (transfer) => {
+  if (transfer.size <= config.SMALL_FILE_SIZE) {
+    return;
+  }
+  const now = Date.now();
+  if (now - (lastProgressLog.get(transfer.id) || 0) < PROGRESS_LOG_INTERVAL) {
+    return;
+  }
+  lastProgressLog.set(transfer.id, now);
+  const percent = Math.min(100, Math.floor(transfer.transferred / transfer.size * 100));
+  console.log(`${transfer.direction === 'upload' ? '⬆️' : '⬇️'} ${transfer.path}: ${percent}%`);
+});
+
+transfers.events.on('done', (transfer) => lastProgressLog.delete(transfer.id));
+transfers.events.on('failed', (transfer) => lastProgressLog.delete(transfer.id));
+transfers.events.on('paused', () => console.log('⏸️ Transfers paused'));
+transfers.events.on('resumed', () => console.log('▶️ Transfers resumed'));
+
+process.on('SIGUSR2', () => {
+  if (transfers.isPaused()) {
+    transfers.resume();
+  } else {
+    transfers.pause();
+  }
+});
+
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\n🛑 Shutting down...');
@@ -1,11 +1,75 @@
 require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
 
+let deviceId = process.env.DEVICE_ID || null;
+
+const watchDirectory = path.resolve(process.env.WATCH_DIRECTORY || './sync-folder');
+
+// The client's own state lives outside the sync folder, one directory per sync folder
+function defaultStateDirectory() {
+  const id = crypto.createHash('sha256').update(watchDirectory).digest('hex').slice(0, 16);
+  return path.join(os.homedir(), '.file-sync', id);
+}
+
+const stateDirectory = path.resolve(process.env.STATE_DIRECTORY || defaultStateDirectory());
+
+const deviceIdPath = path.join(stateDirectory, 'device-id');
+
+function readDeviceId(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8').trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// A generated device ID is kept with the client's state, so the device keeps
+// its server-side settings (like its sync rules) across restarts. Earlier
+// versions kept it in the sync folder. Called once at startup.
+function ensureDeviceId() {
+  if (deviceId || (deviceId = readDeviceId(deviceIdPath))) {
+    return deviceId;
+  }
+
+  const legacyPath = path.join(watchDirectory, '.device-id');
+  deviceId = readDeviceId(legacyPath) || 'client-' + Math.random().toString(36).substr(2, 9);
+  fs.mkdirSync(stateDirectory, { recursive: true });
+  fs.writeFileSync(deviceIdPath, deviceId);
+  fs.rmSync(legacyPath, { force: true });
+  return deviceId;
+}
+
 module.exports = {
   API_BASE_URL: process.env.API_BASE_URL || 'http://localhost:3000/api',
   USER_EMAIL: process.env.USER_EMAIL || 'test@example.com',
   USER_PASSWORD: process.env.USER_PASSWORD || 'password123',
-  WATCH_DIRECTORY: path.resolve(process.env.WATCH_DIRECTORY || './sync-folder'),
-  DEVICE_ID: process.env.DEVICE_ID || 'client-' + Math.random().toString(36).substr(2, 9),
-  SYNC_INTERVAL: parseInt(process.env.SYNC_INTERVAL) || 30000
+  WATCH_DIRECTORY: watchDirectory,
+  STATE_DIRECTORY: stateDirectory,
+  get DEVICE_ID() {
+    deviceId = deviceId || readDeviceId(deviceIdPath);
+    if (!deviceId) {
+      throw new Error('No device ID yet; call ensureDeviceId() at startup');
+    }
+    return deviceId;
+  },
+  ensureDeviceId,
+  DEVICE_NAME: process.env.DEVICE_NAME || os.hostname(),
+  SYNC_INTERVAL: parseInt(process.env.SYNC_INTERVAL) || 30000,
+  MOVE_DETECTION_WINDOW: parseInt(process.env.MOVE_DETECTION_WINDOW) || 5000,
+  QUOTA_RETRY_INTERVAL: parseInt(process.env.QUOTA_RETRY_INTERVAL) || 600000,
+  // Folders to mark encrypted on the server at startup, e.g. "legal,hr/contracts".
+  // The mark is kept on the server, and every device encrypts those folders.
+  ENCRYPTED_FOLDERS: (process.env.ENCRYPTED_FOLDERS || '').split(',').map(folder => folder.trim().replace(/^\/+|\/+$/g, '')).filter(Boolean),
+  E2E_PASSPHRASE: process.env.E2E_PASSPHRASE || null,
+  LOCAL_TRASH_RETENTION_DAYS: parseInt(process.env.LOCAL_TRASH_RETENTION_DAYS) || 30,
+  // Uploads and downloads in flight at once
+  TRANSFER_CONCURRENCY: Math.max(1, parseInt(process.env.TRANSFER_CONCURRENCY) || 4),
+  // Bandwidth caps in KB/s per direction; 0 means unlimited
+  UPLOAD_LIMIT_KBPS: parseInt(process.env.UPLOAD_LIMIT_KBPS) || 0,
+  DOWNLOAD_LIMIT_KBPS: parseInt(process.env.DOWNLOAD_LIMIT_KBPS) || 0,
+  // Files up to this size always have a transfer slot kept free for them
+  SMALL_FILE_SIZE: parseInt(process.env.SMALL_FILE_SIZE) || 1024 * 1024
 };
\ No newline at end of file
@@ -6,6 +6,7 @@ const path = require('path');
 async function downloadExample() {
   try {
     console.log('🔐 Authenticating...');
+    config.ensureDeviceId();
     await api.authenticate();
     
     // List files to find one to download
@@ -12,6 +12,7 @@ async function merkleTreeExample() {
     
     // Authenticate
     console.log('🔐 Authenticating...');
+    config.ensureDeviceId();
     await api.authenticate();
     
     // Create a local Merkle Tree
@@ -7,6 +7,7 @@ const path = require('path');
 async function testPermanentUrls() {
   try {
     console.log('🔐 Authenticating...');
+    config.ensureDeviceId();
     await api.authenticate();
     console.log('✅ Authentication successful\n');
 
@@ -8,6 +8,7 @@ const { MerkleTree } = require('../lib/merkle-tree');
 async function uploadExample() {
   try {
     console.log('🔐 Authenticating...');
+    config.ensureDeviceId();
     await api.authenticate();
     
     // Create a test file
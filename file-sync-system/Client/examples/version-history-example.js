@@ -0,0 +1,63 @@
+// client/examples/version-history-example.js
+// Usage: node examples/version-history-example.js <file path> [version number to restore]
+const api = require('../lib/api');
+const config = require('../config');
+const path = require('path');
+
+async function versionHistoryExample() {
+  const [filePath, versionNumber] = process.argv.slice(2);
+  
+  if (!filePath) {
+    console.log('Usage: node examples/version-history-example.js <file path> [version number to restore]');
+    return;
+  }
+  
+  try {
+    console.log('🔐 Authenticating...');
+    config.ensureDeviceId();
+    await api.authenticate();
+    
+    // Find the file on the server by its path
+    const normalizedPath = filePath.replace(/^\/+/, '');
+    const files = await api.listFiles();
+    const file = files.find(f => f.file_path.replace(/^\/+/, '') === normalizedPath);
+    
+    if (!file) {
+      console.log(`📁 No file found at ${filePath}`);
+      return;
+    }
+    
+    const { versions } = await api.listFileVersions(file.id);
+    
+    console.log(`\n🕘 Versions of ${file.file_path}:`);
+    versions.forEach(version => {
+      const marker = version.isCurrent ? ' (current)' : '';
+      console.log(`  v${version.versionNumber}  ${version.createdAt}  ${version.fileSize} bytes  ${version.fileHash.substring(0, 12)}${marker}`);
+    });
+    
+    if (!versionNumber) {
+      return;
+    }
+    
+    const version = versions.find(v => v.versionNumber === parseInt(versionNumber));
+    if (!version) {
+      console.log(`❌ Version ${versionNumber} not found`);
+      return;
+    }
+    
+    // Restore on the server, then download into the watch folder
+    const result = await api.restoreFileVersion(file.id, version.id);
+    console.log(`⏪ ${result.message}`);
+    
+    const savePath = path.join(config.WATCH_DIRECTORY, result.file.filePath);
+    await api.downloadFile(result.file.id, savePath);
+    
+    console.log('✅ Restore completed!');
+    console.log('💾 Saved to:', savePath);
+    
+  } catch (error) {
+    console.error('❌ Version history example failed:', error.message);
+  }
+}
+
+versionHistoryExample();
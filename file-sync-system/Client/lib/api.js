@@ -2,10 +2,33 @@
 const axios = require('axios');
 const FormData = require('form-data');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
+const mime = require('mime-types');
 const config = require('../config');
+const { chunkFile } = require('./chunker');
+const encryption = require('./encryption');
 
 let authToken = null;
+let refreshToken = null;
+let refreshing = null;
+
+// The refresh token outlives the client process, so the password is only
+// needed to sign a device in the first time. Earlier versions kept it in the
+// sync folder.
+const sessionPath = path.join(config.STATE_DIRECTORY, 'session.json');
+const legacySessionPath = path.join(config.WATCH_DIRECTORY, '.session.json');
+
+// Downloads are assembled here, outside the sync folder, and only moved into
+// place once complete and verified
+const downloadDirectory = path.join(config.STATE_DIRECTORY, 'downloads');
+// Tries per download; each one continues where the last left off
+const DOWNLOAD_ATTEMPTS = 3;
+// Unfinished downloads untouched this long are not going to be resumed
+const PART_MAX_AGE_DAYS = 7;
 
 const api = axios.create({
   baseURL: config.API_BASE_URL,
@@ -20,14 +43,105 @@ api.interceptors.request.use((config) => {
   return config;
 });
 
+async function loadSession() {
+  try {
+    if (!fs.existsSync(sessionPath) && fs.existsSync(legacySessionPath)) {
+      await fs.promises.mkdir(path.dirname(sessionPath), { recursive: true });
+      await fs.promises.rename(legacySessionPath, sessionPath).catch(async () => {
+        await fs.promises.copyFile(legacySessionPath, sessionPath);
+        await fs.promises.rm(legacySessionPath, { force: true });
+      });
+    }
+    if (fs.existsSync(sessionPath)) {
+      const session = JSON.parse(await fs.promises.readFile(sessionPath, 'utf8'));
+      return session.email === config.USER_EMAIL ? session : null;
+    }
+  } catch (error) {
+    console.error('❌ Error loading session:', error.message);
+  }
+  return null;
+}
+
+async function saveSession(data) {
+  authToken = data.token;
+  refreshToken = data.refreshToken;
+
+  await fs.promises.mkdir(path.dirname(sessionPath), { recursive: true });
+  await fs.promises.writeFile(
+    sessionPath,
+    JSON.stringify({ email: config.USER_EMAIL, refreshToken }, null, 2),
+    { mode: 0o600 }
+  );
+}
+
+async function clearSession() {
+  authToken = null;
+  refreshToken = null;
+  await fs.promises.rm(sessionPath, { force: true });
+}
+
+// Trade the refresh token for new tokens. A rejected refresh token means the
+// session was revoked or has expired: the device has to sign in again.
+async function refreshSession() {
+  try {
+    const response = await api.post('/auth/refresh', { refreshToken });
+    await saveSession(response.data);
+  } catch (error) {
+    if (error.response?.status === 401) {
+      await clearSession();
+      console.error('🔒 This device was signed out:', error.response.data.error);
+    }
+    throw error;
+  }
+}
+
+// Refresh and retry once when the access token is rejected. Concurrent
+// requests share one refresh, since each refresh token works only once.
+api.interceptors.response.use(null, async (error) => {
+  const request = error.config;
+  const replayable = request && typeof request.data?.pipe !== 'function';
+
+  if (error.response?.status !== 401 || !refreshToken || !replayable ||
+      request.retried || request.url.startsWith('/auth/')) {
+    throw error;
+  }
+
+  if (!refreshing) {
+    refreshing = refreshSession().finally(() => { refreshing = null; });
+  }
+  await refreshing;
+
+  request.retried = true;
+  return api(request);
+});
+
 async function authenticate() {
+  const stored = await loadSession();
+
+  if (stored) {
+    refreshToken = stored.refreshToken;
+    try {
+      await refreshSession();
+      console.log('✅ Resumed session');
+      return { token: authToken };
+    } catch (error) {
+      // Revoked or expired: sign in again with the password
+      if (error.response?.status !== 401) {
+        throw error;
+      }
+    }
+  }
+
+  const device = { deviceId: config.DEVICE_ID, deviceName: config.DEVICE_NAME };
+
   try {
     // Try login first
     const response = await api.post('/auth/login', {
       email: config.USER_EMAIL,
-      password: config.USER_PASSWORD
+      password: config.USER_PASSWORD,
+      ...device
     });
-    authToken = response.data.token;
+    await saveSession(response.data);
     console.log('✅ Logged in successfully');
     return response.data;
   } catch (error) {
@@ -35,9 +149,10 @@ async function authenticate() {
     try {
       const response = await api.post('/auth/register', {
         email: config.USER_EMAIL,
-        password: config.USER_PASSWORD
+        password: config.USER_PASSWORD,
+        ...device
       });
-      authToken = response.data.token;
+      await saveSession(response.data);
       console.log('✅ Registered successfully');
       return response.data;
     } catch (regError) {
@@ -47,59 +162,360 @@ async function authenticate() {
   }
 }
 
-async function uploadFile(filePath, remotePath = '/') {
+// Sign this device out and forget its session
+async function logout() {
+  try {
+    await api.post('/auth/logout');
+  } catch (error) {
+    console.error('❌ Logout failed:', error.response?.data?.error || error.message);
+    throw error;
+  } finally {
+    await clearSession();
+  }
+}
+
+// Devices signed in to the account; the current one has `current: true`
+async function listSessions() {
+  try {
+    const response = await api.get('/auth/sessions');
+    return response.data;
+  } catch (error) {
+    console.error('❌ List sessions failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+// Sign another device out, e.g. a lost laptop
+async function revokeSession(sessionId) {
+  try {
+    const response = await api.delete(`/auth/sessions/${sessionId}`);
+    return response.data;
+  } catch (error) {
+    console.error('❌ Revoke session failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+// Read one part of a session's upload data: the missing chunks laid out back
+// to back in the order the server gave (packChunks), copied out of the file
+async function readSessionPart(filePath, session, chunkOffsets, partNumber) {
+  const start = (partNumber - 1) * session.partSize;
+  const end = Math.min(session.packSize, start + session.partSize);
+  const buffer = Buffer.alloc(end - start);
+  const handle = await fs.promises.open(filePath, 'r');
+
+  try {
+    for (const chunk of session.packChunks) {
+      if (chunk.offset + chunk.size <= start) continue;
+      if (chunk.offset >= end) break;
+
+      const from = Math.max(start, chunk.offset);
+      const to = Math.min(end, chunk.offset + chunk.size);
+      const fileOffset = chunkOffsets.get(chunk.hash) + (from - chunk.offset);
+
+      const { bytesRead } = await handle.read(buffer, from - start, to - from, fileOffset);
+      if (bytesRead !== to - from) {
+        throw new Error(`File changed while uploading: ${filePath}`);
+      }
+    }
+  } finally {
+    await handle.close();
+  }
+
+  return buffer;
+}
+
+// Encrypt a file into a temporary copy for upload; the caller removes it
+async function writeEncryptedCopy(filePath) {
+  const copyPath = path.join(os.tmpdir(), `file-sync-${crypto.randomBytes(8).toString('hex')}.enc`);
+  const ciphertext = encryption.encryptContent(await fs.promises.readFile(filePath));
+  await fs.promises.writeFile(copyPath, ciphertext, { mode: 0o600 });
+  return copyPath;
+}
+
+// Decrypt a downloaded encrypted file next to it; resolves with the
+// plaintext's path
+async function decryptDownloadedFile(partPath) {
+  let plaintext;
+  try {
+    plaintext = encryption.decryptContent(await fs.promises.readFile(partPath));
+  } catch (error) {
+    await fs.promises.rm(partPath, { force: true });
+    throw error;
+  }
+
+  const plainPath = `${partPath}.plain`;
+  await fs.promises.writeFile(plainPath, plaintext, { mode: 0o600 });
+  await fs.promises.rm(partPath, { force: true });
+  return plainPath;
+}
+
+// Split the file into content-defined chunks and upload the ones the server
+// does not have through a resumable upload session. Files in an encrypted
+// folder are encrypted first, so only ciphertext is sent.
+//
+// options.sessionId - session to resume (from the upload journal), if any
+// options.onSession(session) - called once the session to use is known
+// options.meter(bytes) - awaited before each part is sent (see transfers.js)
+async function uploadFile(filePath, remotePath = '/', options = {}) {
+  let uploadPath = filePath;
+
   try {
     if (!fs.existsSync(filePath)) {
       throw new Error(`File not found: ${filePath}`);
     }
 
-    const form = new FormData();
-    form.append('file', fs.createReadStream(filePath));
-    form.append('filePath', remotePath);
-    form.append('localUrl', filePath);
+    if (encryption.isEncryptedPath(path.posix.join(remotePath.split(path.sep).join('/'), path.basename(filePath)))) {
+      uploadPath = await writeEncryptedCopy(filePath);
+    }
 
-    const response = await api.post('/files/upload', form, {
-      headers: form.getHeaders(),
-      maxContentLength: Infinity,
-      maxBodyLength: Infinity
-    });
+    const { hash, size, chunks } = await chunkFile(uploadPath);
+    let session = null;
+
+    if (options.sessionId) {
+      session = await resumeUploadSession(options.sessionId, hash);
+    }
+
+    if (!session) {
+      const response = await api.post('/uploads', {
+        filename: path.basename(filePath),
+        filePath: remotePath,
+        fileHash: hash,
+        fileSize: size,
+        mimeType: mime.lookup(filePath) || 'application/octet-stream',
+        localUrl: filePath,
+        // Version this upload was based on, so the server can detect concurrent edits
+        baseHash: options.baseHash,
+        deviceId: config.DEVICE_ID,
+        chunks: chunks.map(chunk => ({ hash: chunk.hash, size: chunk.size }))
+      });
+      session = response.data.session;
+    }
+
+    if (options.onSession) {
+      await options.onSession(session);
+    }
 
-    console.log(`📤 Uploaded: ${path.basename(filePath)}`);
+    const chunkOffsets = new Map();
+    for (const chunk of chunks) {
+      if (!chunkOffsets.has(chunk.hash)) {
+        chunkOffsets.set(chunk.hash, chunk.offset);
+      }
+    }
+
+    // The server's list of acknowledged parts is what a resumed upload skips
+    const acknowledged = new Set(session.parts.map(part => part.partNumber));
+    if (acknowledged.size > 0) {
+      console.log(`⏯️ Resuming ${path.basename(filePath)} at part ${acknowledged.size + 1} of ${session.partCount}`);
+    }
+
+    for (let partNumber = 1; partNumber <= session.partCount; partNumber++) {
+      if (acknowledged.has(partNumber)) {
+        continue;
+      }
+
+      const data = await readSessionPart(uploadPath, session, chunkOffsets, partNumber);
+      if (options.meter) {
+        await options.meter(data.length);
+      }
+      await api.put(`/uploads/${session.id}/parts/${partNumber}`, data, {
+        headers: { 'Content-Type': 'application/octet-stream' },
+        maxBodyLength: Infinity
+      });
+    }
+
+    const response = await api.post(`/uploads/${session.id}/complete`);
+
+    console.log(`📤 Uploaded: ${path.basename(filePath)} (${session.packSize} of ${size} bytes sent)`);
     return response.data;
   } catch (error) {
     console.error(`❌ Upload failed for ${filePath}:`, error.response?.data?.error || error.message);
     throw error;
+  } finally {
+    if (uploadPath !== filePath) {
+      await fs.promises.rm(uploadPath, { force: true });
+    }
   }
 }
 
-async function downloadFile(fileId, savePath) {
+// Return the session if it can still be resumed for this exact content,
+// otherwise abort it so the caller starts a new one. An assembled session has
+// all its parts on the server and only needs completing.
+async function resumeUploadSession(sessionId, fileHash) {
   try {
-    // Get download URL
-    const urlResponse = await api.get(`/files/${fileId}/download`);
-    const { downloadUrl, file } = urlResponse.data;
+    const response = await api.get(`/uploads/${sessionId}`);
+    const session = response.data.session;
+    const unfinished = session.status === 'active' || session.status === 'assembled';
 
-    // Download file
-    const fileResponse = await axios.get(downloadUrl, {
-      responseType: 'stream'
-    });
+    if (unfinished && session.fileHash === fileHash) {
+      return session;
+    }
 
-    // Ensure directory exists
-    const dir = path.dirname(savePath);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
+    if (unfinished) {
+      await abortUpload(sessionId);
+    }
+  } catch (error) {
+    if (error.response?.status !== 404) {
+      throw error;
     }
+  }
 
-    // Save file
-    const writeStream = fs.createWriteStream(savePath);
-    fileResponse.data.pipe(writeStream);
+  return null;
+}
 
-    return new Promise((resolve, reject) => {
-      writeStream.on('finish', () => {
-        console.log(`📥 Downloaded: ${file.filename}`);
-        resolve({ file, savePath });
-      });
-      writeStream.on('error', reject);
-    });
+async function abortUpload(sessionId) {
+  try {
+    await api.delete(`/uploads/${sessionId}`);
+  } catch (error) {
+    console.error('❌ Abort upload failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+// Fetch a file's content into `partPath`, continuing from whatever is already
+// there. If-Range makes the server send the whole file instead when its
+// content is no longer the version the part came from.
+async function fetchContent(fileId, partPath, expectedHash, meter) {
+  // Without a hash to send as If-Range, the part may be of an older version
+  // of the file; start over
+  const offset = expectedHash && fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+  const headers = {};
+  if (offset > 0) {
+    headers.Range = `bytes=${offset}-`;
+    headers['If-Range'] = `"${expectedHash}"`;
+  }
+
+  let response;
+  try {
+    response = await api.get(`/files/${fileId}/content`, { responseType: 'stream', timeout: 0, headers });
+  } catch (error) {
+    // The part is already as long as the file, or longer: start over
+    if (offset > 0 && error.response?.status === 416) {
+      await fs.promises.rm(partPath, { force: true });
+      return fetchContent(fileId, partPath, expectedHash, meter);
+    }
+    throw error;
+  }
+
+  const resumed = response.status === 206;
+  if (resumed) {
+    console.log(`⏯️ Resuming download at byte ${offset}`);
+  }
+
+  const stages = [response.data];
+  if (meter) {
+    stages.push(new Transform({
+      transform(chunk, encoding, callback) {
+        meter(chunk.length).then(() => callback(null, chunk), callback);
+      }
+    }));
+  }
+  await pipeline(...stages, fs.createWriteStream(partPath, { flags: resumed ? 'a' : 'w' }));
+
+  return {
+    filename: response.headers['x-file-name'],
+    fileHash: response.headers['x-file-hash']
+  };
+}
+
+// Remove unfinished downloads left long ago, such as those of files deleted
+// on the server before they could be resumed
+async function pruneDownloadParts(maxAgeDays = PART_MAX_AGE_DAYS) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(downloadDirectory);
+  } catch (error) {
+    return 0;
+  }
+
+  const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+  let pruned = 0;
+
+  for (const entry of entries.filter(name => name.endsWith('.part'))) {
+    const partPath = path.join(downloadDirectory, entry);
+    if ((await fs.promises.stat(partPath)).mtimeMs < cutoff) {
+      await fs.promises.rm(partPath, { force: true });
+      pruned++;
+    }
+  }
+
+  return pruned;
+}
+
+// Move a finished download into place in one step. A rename cannot cross
+// file systems, so then the file is copied next to its destination first.
+async function placeFile(sourcePath, savePath) {
+  await fs.promises.mkdir(path.dirname(savePath), { recursive: true });
+
+  try {
+    await fs.promises.rename(sourcePath, savePath);
+  } catch (error) {
+    if (error.code !== 'EXDEV') {
+      throw error;
+    }
+    // Named so the watcher ignores it (see ignore-rules.js)
+    const tempPath = path.join(path.dirname(savePath), `.file-sync-${crypto.randomBytes(8).toString('hex')}.tmp`);
+    await fs.promises.copyFile(sourcePath, tempPath);
+    await fs.promises.rename(tempPath, savePath);
+    await fs.promises.rm(sourcePath, { force: true });
+  }
+}
+
+// Download a file to `savePath`. Nothing appears there until the whole
+// content has arrived and hashes to `expectedHash` (or to the hash the server
+// sent, without one). With `expectedHash`, an interrupted download resumes,
+// within this call or the next one for the same file. `meter(bytes)` is
+// awaited for each piece received (see transfers.js).
+async function downloadFile(fileId, savePath, { expectedHash, meter } = {}) {
+  const partPath = path.join(downloadDirectory, `${fileId}.part`);
+
+  try {
+    await fs.promises.mkdir(downloadDirectory, { recursive: true });
+
+    let info;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        info = await fetchContent(fileId, partPath, expectedHash, meter);
+        break;
+      } catch (error) {
+        // Only dropped connections are worth resuming, not refusals
+        if (error.response || attempt >= DOWNLOAD_ATTEMPTS) {
+          throw error;
+        }
+        console.log(`⚠️ Download interrupted (${error.message}), resuming...`);
+      }
+    }
+
+    const fileHash = await hashFile(partPath);
+    const wantedHash = expectedHash || info.fileHash;
+    if (wantedHash && fileHash !== wantedHash) {
+      await fs.promises.rm(partPath, { force: true });
+      throw new Error(`Downloaded content hashes to ${fileHash}, expected ${wantedHash}`);
+    }
+
+    const file = {
+      id: fileId,
+      filename: decodeURIComponent(info.filename || path.basename(savePath)),
+      fileHash,
+      fileSize: fs.statSync(partPath).size
+    };
+
+    // Only files in encrypted folders are decrypted; ones stored there before
+    // the folder was encrypted are still plaintext
+    const relativePath = path.relative(config.WATCH_DIRECTORY, savePath);
+    const encrypted = !relativePath.startsWith('..') && encryption.isEncryptedPath(relativePath) &&
+      await encryption.isEncryptedFile(partPath);
+    const readyPath = encrypted ? await decryptDownloadedFile(partPath) : partPath;
+    await placeFile(readyPath, savePath);
+
+    console.log(`📥 Downloaded: ${file.filename}`);
+    return { file, savePath };
   } catch (error) {
     console.error('❌ Download failed:', error.response?.data?.error || error.message);
     throw error;
@@ -181,7 +597,421 @@ async function getMerkleTree(deviceId) {
   }
 }
 
-// Get fresh presigned URL for a file
+// Get the children of namespace folders at `paths`; none if `rootHash` still matches
+async function getMerkleSubtrees(paths, rootHash) {
+  try {
+    const response = await api.post('/merkle/subtrees', { paths, rootHash });
+    return response.data;
+  } catch (error) {
+    console.error('❌ Get Merkle subtrees failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+// Move a file on the server to the folder and name of `relativePath`
+async function moveFile(fileId, relativePath) {
+  try {
+    const remoteDir = path.dirname(relativePath);
+    const response = await api.post(`/files/${fileId}/move`, {
+      filePath: remoteDir === '.' ? '/' : remoteDir.split(path.sep).join('/'),
+      filename: path.basename(relativePath)
+    });
+    return response.data;
+  } catch (error) {
+    console.error('❌ Move failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+// Folder paths on the server use forward slashes and no leading slash
+function toFolderPath(relativePath) {
+  return relativePath.split(path.sep).join('/');
+}
+
+async function createFolder(relativePath) {
+  try {
+    const response = await api.post('/folders', { path: toFolderPath(relativePath) });
+    return response.data.folder;
+  } catch (error) {
+    // Already there, e.g. created along with a file inside it
+    if (error.response?.status === 409 && error.response.data.folderId) {
+      return { id: error.response.data.folderId, path: toFolderPath(relativePath) };
+    }
+    console.error('❌ Create folder failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+// The folder at `relativePath`, or null if the server has none
+async function getFolder(relativePath) {
+  try {
+    const response = await api.get('/folders', { params: { path: toFolderPath(relativePath) } });
+    return response.data.folder;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
+    }
+    console.error('❌ Get folder failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+// Paths of the folders marked encrypted, in the sync folder's form
+async function listEncryptedFolders() {
+  try {
+    const response = await api.get('/folders/encrypted');
+    return response.data.paths;
+  } catch (error) {
+    console.error('❌ List encrypted folders failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+// Mark a folder encrypted, creating it if needed
+async function encryptFolder(relativePath) {
+  try {
+    const folder = await getFolder(relativePath);
+    if (!folder) {
+      const response = await api.post('/folders', { path: toFolderPath(relativePath), encrypted: true });
+      return response.data.folder;
+    }
+    if (folder.encrypted) {
+      return folder;
+    }
+    const response = await api.post(`/folders/${folder.id}/encrypt`);
+    return response.data.folder;
+  } catch (error) {
+    console.error('❌ Encrypt folder failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+async function listFolderPaths() {
+  try {
+    const response = await api.get('/folders/paths');
+    return response.data.paths;
+  } catch (error) {
+    console.error('❌ List folders failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+async function moveFolder(folderId, relativePath) {
+  try {
+    const response = await api.post(`/folders/${folderId}/move`, { path: toFolderPath(relativePath) });
+    return response.data;
+  } catch (error) {
+    console.error('❌ Move folder failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+async function deleteFolder(folderId) {
+  try {
+    const response = await api.delete(`/folders/${folderId}`);
+    return response.data;
+  } catch (error) {
+    console.error('❌ Delete folder failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+// Share a folder of the sync folder with other users
+async function createShare(relativePath) {
+  try {
+    const response = await api.post('/shares', { path: toFolderPath(relativePath) });
+    return response.data.share;
+  } catch (error) {
+    console.error('❌ Share folder failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+// Shared folders this user owns or has joined
+async function listShares() {
+  try {
+    const response = await api.get('/shares');
+    return response.data.shares;
+  } catch (error) {
+    console.error('❌ List shared folders failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+async function inviteToShare(shareId, email, role = 'editor') {
+  try {
+    const response = await api.post(`/shares/${shareId}/invitations`, { email, role });
+    return response.data.member;
+  } catch (error) {
+    console.error('❌ Invite to shared folder failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+async function listInvitations() {
+  try {
+    const response = await api.get('/shares/invitations');
+    return response.data.invitations;
+  } catch (error) {
+    console.error('❌ List invitations failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+// The shared folder shows up in the namespace, so the next sync downloads it
+async function acceptInvitation(invitationId) {
+  try {
+    const response = await api.post(`/shares/invitations/${invitationId}/accept`);
+    return response.data.share;
+  } catch (error) {
+    console.error('❌ Accept invitation failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+async function declineInvitation(invitationId) {
+  try {
+    const response = await api.delete(`/shares/invitations/${invitationId}`);
+    return response.data;
+  } catch (error) {
+    console.error('❌ Decline invitation failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+async function updateShareMember(shareId, memberId, role) {
+  try {
+    const response = await api.patch(`/shares/${shareId}/members/${memberId}`, { role });
+    return response.data.member;
+  } catch (error) {
+    console.error('❌ Update member role failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+// Remove a member, or leave a shared folder by removing yourself
+async function removeShareMember(shareId, memberId) {
+  try {
+    const response = await api.delete(`/shares/${shareId}/members/${memberId}`);
+    return response.data;
+  } catch (error) {
+    console.error('❌ Remove member failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+// Public link to a file; options are password, expiresInHours and maxDownloads
+async function createFileLink(fileId, options = {}) {
+  try {
+    const response = await api.post('/links', { fileId, ...options });
+    return response.data.link;
+  } catch (error) {
+    console.error('❌ Create link failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+// Public link to a folder, downloaded as a zip
+async function createFolderLink(relativePath, options = {}) {
+  try {
+    const response = await api.post('/links', { folderPath: toFolderPath(relativePath), ...options });
+    return response.data.link;
+  } catch (error) {
+    console.error('❌ Create link failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+async function listLinks() {
+  try {
+    const response = await api.get('/links');
+    return response.data.links;
+  } catch (error) {
+    console.error('❌ List links failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+async function revokeLink(linkId) {
+  try {
+    const response = await api.delete(`/links/${linkId}`);
+    return response.data.link;
+  } catch (error) {
+    console.error('❌ Revoke link failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+// Upload link for a folder; options are expiresInHours, maxFileSize and allowedTypes
+async function createDrop(relativePath, options = {}) {
+  try {
+    const response = await api.post('/drops', { folderPath: toFolderPath(relativePath), ...options });
+    return response.data.drop;
+  } catch (error) {
+    console.error('❌ Create upload link failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+async function listDrops() {
+  try {
+    const response = await api.get('/drops');
+    return response.data.drops;
+  } catch (error) {
+    console.error('❌ List upload links failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+async function revokeDrop(dropId) {
+  try {
+    const response = await api.delete(`/drops/${dropId}`);
+    return response.data.drop;
+  } catch (error) {
+    console.error('❌ Revoke upload link failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+// Storage used against the quota, with a breakdown by folder and file type
+async function getUsage() {
+  try {
+    const response = await api.get('/account/usage');
+    return response.data.usage;
+  } catch (error) {
+    console.error('❌ Get storage usage failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+async function listDevices() {
+  try {
+    const response = await api.get('/devices');
+    return response.data.devices;
+  } catch (error) {
+    console.error('❌ List devices failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+// Folders a device mirrors: { include: [...], exclude: [...] }
+async function getSyncRules(deviceId) {
+  try {
+    const response = await api.get(`/devices/${encodeURIComponent(deviceId)}/sync-rules`);
+    return response.data.syncRules;
+  } catch (error) {
+    console.error('❌ Get sync rules failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+async function setSyncRules(deviceId, rules) {
+  try {
+    const response = await api.put(`/devices/${encodeURIComponent(deviceId)}/sync-rules`, rules);
+    return response.data.device;
+  } catch (error) {
+    console.error('❌ Set sync rules failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+// The user's global ignore list, in gitignore syntax
+async function getIgnoreRules() {
+  try {
+    const response = await api.get('/account/ignore-rules');
+    return response.data.patterns;
+  } catch (error) {
+    console.error('❌ Get ignore rules failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+async function setIgnoreRules(patterns) {
+  try {
+    const response = await api.put('/account/ignore-rules', { patterns });
+    return response.data.patterns;
+  } catch (error) {
+    console.error('❌ Set ignore rules failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+// Make the user's encryption key available on this device. The first device
+// creates the key; later ones fetch it from the server and unwrap it with
+// the same passphrase.
+async function unlockEncryption(passphrase) {
+  if (!passphrase) {
+    throw new Error('E2E_PASSPHRASE is required for encrypted folders');
+  }
+
+  try {
+    const response = await api.get('/account/encryption-key');
+    encryption.setUserKey(await encryption.unwrapUserKey(response.data.encryptionKey, passphrase));
+    console.log('🔐 Encryption key unlocked');
+  } catch (error) {
+    if (error.response?.status !== 404) {
+      console.error('❌ Unlock encryption failed:', error.response?.data?.error || error.message);
+      throw error;
+    }
+
+    const { masterKey, record } = await encryption.createUserKey(passphrase);
+    try {
+      await api.put('/account/encryption-key', record);
+    } catch (saveError) {
+      // Another device set one up first
+      if (saveError.response?.status === 409) {
+        return unlockEncryption(passphrase);
+      }
+      throw saveError;
+    }
+    encryption.setUserKey(masterKey);
+    console.log('🔐 Encryption key created');
+  }
+}
+
+// Rewrap the encryption key under a new passphrase. Files stay as they are.
+async function changeEncryptionPassphrase(oldPassphrase, newPassphrase) {
+  try {
+    const response = await api.get('/account/encryption-key');
+    const masterKey = await encryption.unwrapUserKey(response.data.encryptionKey, oldPassphrase);
+    await api.put('/account/encryption-key', await encryption.wrapUserKey(masterKey, newPassphrase));
+  } catch (error) {
+    console.error('❌ Change passphrase failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+// One page of the change log after `cursor`
+async function getChanges(cursor = 0, limit) {
+  try {
+    const response = await api.get('/sync/changes', { params: { cursor, limit } });
+    return response.data;
+  } catch (error) {
+    console.error('❌ Get changes failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+async function getChangeCursor() {
+  try {
+    const response = await api.get('/sync/cursor');
+    return response.data.cursor;
+  } catch (error) {
+    console.error('❌ Get change cursor failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+// Open the server-sent event stream; resolves with the response stream
+async function openEventStream() {
+  const response = await api.get('/events', {
+    responseType: 'stream',
+    timeout: 0,
+    headers: { Accept: 'text/event-stream' }
+  });
+  return response.data;
+}
+
 async function getFreshFileUrl(fileId, expiryHours = 24) {
   try {
     const response = await api.get(`/files/${fileId}/url`, {
@@ -221,10 +1051,42 @@ async function getFreshFileUrl(fileId, expiryHours = 24) {
   }
 }
 
+// List the version history of a file
+async function listFileVersions(fileId) {
+  try {
+    const response = await api.get(`/files/${fileId}/versions`);
+    return response.data;
+  } catch (error) {
+    console.error('❌ List file versions failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+// Make a previous version the current content of a file
+async function restoreFileVersion(fileId, versionId) {
+  try {
+    const response = await api.post(`/files/${fileId}/versions/${versionId}/restore`);
+    return response.data;
+  } catch (error) {
+    console.error('❌ Restore file version failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+// Server file paths are built from the upload's directory and file name
+function toServerPath(relativePath) {
+  const dir = path.dirname(relativePath);
+  const filename = path.basename(relativePath);
+  return path.posix.join(dir === '.' ? '/' : dir.split(path.sep).join('/'), filename);
+}
+
 // Delete file by hash (for propagating deletions)
-async function deleteFileByHash(fileHash) {
+// Files are identified by path; the hash makes sure a newer version is not deleted
+async function deleteFileByHash(fileHash, relativePath = null) {
   try {
-    const response = await api.delete(`/files/hash/${fileHash}`);
+    const response = await api.delete(`/files/hash/${fileHash}`, {
+      params: relativePath ? { filePath: toServerPath(relativePath) } : {}
+    });
     return response.data;
   } catch (error) {
     console.error('❌ Delete file by hash failed:', error.response?.data?.error || error.message);
@@ -232,10 +1094,87 @@ async function deleteFileByHash(fileHash) {
   }
 }
 
+async function listConflicts(status = null) {
+  try {
+    const response = await api.get('/sync/conflicts', {
+      params: status ? { status } : {}
+    });
+    return response.data;
+  } catch (error) {
+    console.error('❌ List conflicts failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+async function reportConflict(conflict) {
+  try {
+    const response = await api.post('/sync/conflicts', conflict);
+    return response.data;
+  } catch (error) {
+    console.error('❌ Report conflict failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+async function resolveConflict(conflictId) {
+  try {
+    const response = await api.post(`/sync/conflicts/${conflictId}/resolve`);
+    return response.data;
+  } catch (error) {
+    console.error('❌ Resolve conflict failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+async function listTrash() {
+  try {
+    const response = await api.get('/trash');
+    return response.data;
+  } catch (error) {
+    console.error('❌ List trash failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+async function restoreFromTrash(fileId) {
+  try {
+    const response = await api.post(`/trash/${fileId}/restore`);
+    return response.data;
+  } catch (error) {
+    console.error('❌ Restore from trash failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+async function deleteFromTrash(fileId) {
+  try {
+    const response = await api.delete(`/trash/${fileId}`);
+    return response.data;
+  } catch (error) {
+    console.error('❌ Delete from trash failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
+async function emptyTrash() {
+  try {
+    const response = await api.delete('/trash');
+    return response.data;
+  } catch (error) {
+    console.error('❌ Empty trash failed:', error.response?.data?.error || error.message);
+    throw error;
+  }
+}
+
 module.exports = {
   authenticate,
+  logout,
+  listSessions,
+  revokeSession,
   uploadFile,
+  abortUpload,
   downloadFile,
+  pruneDownloadParts,
   listFiles,
   deleteFile,
   initSync,
@@ -243,7 +1182,52 @@ module.exports = {
   updateMerkleTree,
   getMerkleTree,
   getMerkleTreeDifferences,
+  getMerkleSubtrees,
+  getChanges,
+  getChangeCursor,
+  openEventStream,
   getFreshFileUrl,
+  listFileVersions,
+  restoreFileVersion,
   deleteFileByHash,
-  getToken: () => token
+  moveFile,
+  createFolder,
+  getFolder,
+  listFolderPaths,
+  listEncryptedFolders,
+  encryptFolder,
+  moveFolder,
+  deleteFolder,
+  createShare,
+  listShares,
+  inviteToShare,
+  listInvitations,
+  acceptInvitation,
+  declineInvitation,
+  updateShareMember,
+  removeShareMember,
+  createFileLink,
+  createFolderLink,
+  listLinks,
+  revokeLink,
+  createDrop,
+  listDrops,
+  revokeDrop,
+  getUsage,
+  listDevices,
+  getSyncRules,
+  setSyncRules,
+  getIgnoreRules,
+  setIgnoreRules,
+  unlockEncryption,
+  changeEncryptionPassphrase,
+  listConflicts,
+  reportConflict,
+  resolveConflict,
+  toServerPath,
+  listTrash,
+  restoreFromTrash,
+  deleteFromTrash,
+  emptyTrash,
+  getToken: () => authToken
 };
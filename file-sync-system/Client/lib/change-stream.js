@@ -0,0 +1,105 @@
+// client/lib/change-stream.js - Change notifications pushed by the server (SSE)
+const api = require('./api');
+
+const RECONNECT_DELAY_MS = 5000;
+// The server sends a heartbeat every 25 seconds; silence longer than this
+// means the connection died without closing
+const IDLE_TIMEOUT_MS = 60000;
+
+let connected = false;
+
+function isConnected() {
+  return connected;
+}
+
+// Split complete "event:/data:" blocks off the buffer; returns the remainder
+function parseEvents(buffer, onEvent) {
+  const blocks = buffer.split('\n\n');
+  const remainder = blocks.pop();
+
+  for (const block of blocks) {
+    let event = 'message';
+    const data = [];
+
+    for (const line of block.split('\n')) {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        data.push(line.slice(5).trim());
+      }
+    }
+
+    if (data.length > 0) {
+      try {
+        onEvent(event, JSON.parse(data.join('\n')));
+      } catch (error) {
+        console.error('❌ Invalid change event:', error.message);
+      }
+    }
+  }
+
+  return remainder;
+}
+
+// Keep a stream open for as long as the client runs, reconnecting when it drops.
+//   onConnect()           - the stream is (re)established
+//   onEvent(event, data)  - 'change', 'tree' or 'resync' notification
+function connect({ onConnect, onEvent }) {
+  const reconnect = () => {
+    connected = false;
+    setTimeout(open, RECONNECT_DELAY_MS);
+  };
+
+  const open = async () => {
+    let stream;
+
+    try {
+      stream = await api.openEventStream();
+    } catch (error) {
+      console.error('❌ Change stream unavailable, polling instead:', error.message);
+      return reconnect();
+    }
+
+    let buffered = '';
+    let idleTimer;
+    const resetIdleTimer = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => stream.destroy(new Error('Change stream timed out')), IDLE_TIMEOUT_MS);
+    };
+
+    stream.setEncoding('utf8');
+    resetIdleTimer();
+
+    stream.on('data', (chunk) => {
+      resetIdleTimer();
+      buffered = parseEvents(buffered + chunk, (event, data) => {
+        if (event === 'ready') {
+          connected = true;
+          console.log('📡 Connected to change stream');
+          onConnect();
+        } else {
+          onEvent(event, data);
+        }
+      });
+    });
+
+    stream.on('error', (error) => {
+      console.error('❌ Change stream error:', error.message);
+    });
+
+    stream.once('close', () => {
+      clearTimeout(idleTimer);
+      if (connected) {
+        console.log('📡 Change stream closed, polling until it reconnects');
+      }
+      reconnect();
+    });
+  };
+
+  open();
+}
+
+module.exports = {
+  connect,
+  isConnected
+};
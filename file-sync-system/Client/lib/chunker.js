@@ -0,0 +1,24 @@
+// client/lib/chunker.js - Chunking files on disk, with the chunker shared with the server
+const fs = require('fs');
+const { Chunker, chunkStream, MIN_CHUNK_SIZE, MAX_CHUNK_SIZE } = require('../../shared/chunker');
+
+// Chunk a file on disk without keeping its data: returns the file hash, size
+// and the offset, size and hash of every chunk
+async function chunkFile(filePath) {
+  const chunks = [];
+  const stream = fs.createReadStream(filePath, { highWaterMark: 1024 * 1024 });
+
+  const { hash, size } = await chunkStream(stream, (chunk) => {
+    chunks.push({ offset: chunk.offset, size: chunk.size, hash: chunk.hash });
+  });
+
+  return { hash, size, chunks };
+}
+
+module.exports = {
+  Chunker,
+  chunkStream,
+  chunkFile,
+  MIN_CHUNK_SIZE,
+  MAX_CHUNK_SIZE
+};
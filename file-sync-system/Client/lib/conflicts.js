@@ -0,0 +1,33 @@
+// client/lib/conflicts.js - Naming of conflicted copies (matches the server)
+const fs = require('fs-extra');
+const path = require('path');
+
+// "report (conflicted copy from laptop-001, 2026-10-19).txt"
+function conflictedCopyName(filename, deviceId, date = new Date()) {
+  const ext = path.extname(filename);
+  const base = filename.slice(0, filename.length - ext.length);
+  const day = date.toISOString().slice(0, 10);
+
+  return `${base} (conflicted copy from ${deviceId || 'unknown device'}, ${day})${ext}`;
+}
+
+// Relative path for a conflicted copy of `relativePath` that does not exist yet
+async function findConflictPath(rootDirectory, relativePath, deviceId) {
+  const copyName = conflictedCopyName(path.basename(relativePath), deviceId);
+  const ext = path.extname(copyName);
+  const base = copyName.slice(0, copyName.length - ext.length);
+
+  for (let attempt = 1; ; attempt++) {
+    const candidate = attempt === 1 ? copyName : `${base} ${attempt}${ext}`;
+    const candidatePath = path.join(path.dirname(relativePath), candidate);
+
+    if (!(await fs.pathExists(path.join(rootDirectory, candidatePath)))) {
+      return candidatePath;
+    }
+  }
+}
+
+module.exports = {
+  conflictedCopyName,
+  findConflictPath
+};
@@ -0,0 +1,252 @@
+// client/lib/encryption.js - End-to-end encryption of file content
+//
+// Files in folders marked encrypted on the server are encrypted with
+// AES-256-GCM before upload, so the server only stores ciphertext. Each file gets its own key, wrapped by the
+// user's key and kept in the file's header. The user's key is wrapped by a key
+// derived from their passphrase (scrypt) and stored on the server, which is
+// how a new device is enrolled: it fetches the wrapped key and unwraps it with
+// the passphrase.
+//
+// Encryption is deterministic: the file key and nonces are derived from the
+// content, so a device holding the user key gets the same ciphertext, and the
+// same hash, as the server has. That keeps hash comparisons in sync working,
+// at the cost of revealing to the server which encrypted files are identical.
+const crypto = require('crypto');
+const fs = require('fs');
+const { promisify } = require('util');
+const localDb = require('./local-db');
+
+const scrypt = promisify(crypto.scrypt);
+
+// "FSYNCE2E" then a format version
+const MAGIC = Buffer.from('FSYNCE2E');
+const FORMAT_VERSION = 1;
+const KEY_ID_SIZE = 8;
+const KEY_SIZE = 32;
+const NONCE_SIZE = 12;
+const TAG_SIZE = 16;
+const HEADER_SIZE = MAGIC.length + 1 + KEY_ID_SIZE + NONCE_SIZE + KEY_SIZE + TAG_SIZE;
+
+const KDF_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+
+let keys = null;
+// Encrypted folder paths, as the server lists them
+let encryptedFolders = [];
+
+function deriveSubkey(masterKey, purpose) {
+  return Buffer.from(crypto.hkdfSync('sha256', masterKey, Buffer.alloc(0), `file-sync ${purpose}`, KEY_SIZE));
+}
+
+function hmac(key, ...parts) {
+  const mac = crypto.createHmac('sha256', key);
+  parts.forEach(part => mac.update(part));
+  return mac.digest();
+}
+
+function seal(key, nonce, plaintext, aad) {
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, nonce);
+  if (aad) cipher.setAAD(aad);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { ciphertext, tag: cipher.getAuthTag() };
+}
+
+function open(key, nonce, ciphertext, tag, aad) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, nonce);
+  if (aad) decipher.setAAD(aad);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+function keyIdOf(masterKey) {
+  return deriveSubkey(masterKey, 'key id').subarray(0, KEY_ID_SIZE);
+}
+
+async function deriveKeyEncryptionKey(passphrase, kdf) {
+  return scrypt(passphrase, Buffer.from(kdf.salt, 'base64'), KEY_SIZE, {
+    N: kdf.N,
+    r: kdf.r,
+    p: kdf.p,
+    maxmem: 256 * kdf.N * kdf.r
+  });
+}
+
+// Wrap the user key under a passphrase, as stored on the server
+async function wrapUserKey(masterKey, passphrase) {
+  const kdf = { name: 'scrypt', salt: crypto.randomBytes(16).toString('base64'), ...KDF_PARAMS };
+  const nonce = crypto.randomBytes(NONCE_SIZE);
+  const keyId = keyIdOf(masterKey);
+  const { ciphertext, tag } = seal(await deriveKeyEncryptionKey(passphrase, kdf), nonce, masterKey, keyId);
+
+  return {
+    keyId: keyId.toString('hex'),
+    kdf,
+    nonce: nonce.toString('base64'),
+    wrappedKey: Buffer.concat([ciphertext, tag]).toString('base64')
+  };
+}
+
+async function unwrapUserKey(record, passphrase) {
+  const wrapped = Buffer.from(record.wrappedKey, 'base64');
+
+  try {
+    return open(
+      await deriveKeyEncryptionKey(passphrase, record.kdf),
+      Buffer.from(record.nonce, 'base64'),
+      wrapped.subarray(0, wrapped.length - TAG_SIZE),
+      wrapped.subarray(wrapped.length - TAG_SIZE),
+      Buffer.from(record.keyId, 'hex')
+    );
+  } catch (error) {
+    throw new Error('Wrong encryption passphrase');
+  }
+}
+
+// A new user key, wrapped under the passphrase for the server
+async function createUserKey(passphrase) {
+  const masterKey = crypto.randomBytes(KEY_SIZE);
+  return { masterKey, record: await wrapUserKey(masterKey, passphrase) };
+}
+
+function setUserKey(masterKey) {
+  keys = {
+    keyId: keyIdOf(masterKey),
+    wrap: deriveSubkey(masterKey, 'file key wrapping'),
+    content: deriveSubkey(masterKey, 'file key derivation')
+  };
+}
+
+function isUnlocked() {
+  return keys !== null;
+}
+
+function requireKeys() {
+  if (!keys) {
+    throw new Error('Encryption is locked; set E2E_PASSPHRASE to use encrypted folders');
+  }
+  return keys;
+}
+
+function setEncryptedFolders(paths) {
+  encryptedFolders = paths;
+}
+
+function getEncryptedFolders() {
+  return encryptedFolders;
+}
+
+// Whether a file at this path (relative to the sync folder or the server
+// root, either separator) is encrypted
+function isEncryptedPath(filePath) {
+  const normalized = filePath.split(/[\\/]+/).filter(Boolean).join('/');
+  return encryptedFolders.some(folder => normalized === folder || normalized.startsWith(`${folder}/`));
+}
+
+// In an encrypted folder while this device has no key: it can neither read
+// what is there nor encrypt what it would send, so it leaves such paths alone
+function isLockedPath(filePath) {
+  return !isUnlocked() && isEncryptedPath(filePath);
+}
+
+function isEncryptedContent(data) {
+  return data.length >= HEADER_SIZE && data.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+async function isEncryptedFile(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(MAGIC.length), 0, MAGIC.length, 0);
+    return bytesRead === MAGIC.length && buffer.equals(MAGIC);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Layout: magic, version, user key id, wrapped file key (nonce, key, tag),
+// then the content (nonce, ciphertext, tag) authenticated with the header
+function encryptContent(plaintext) {
+  const { keyId, wrap, content } = requireKeys();
+  const fileKey = hmac(content, plaintext);
+  const wrapNonce = hmac(fileKey, 'wrap nonce').subarray(0, NONCE_SIZE);
+  const dataNonce = hmac(fileKey, 'data nonce').subarray(0, NONCE_SIZE);
+
+  const wrapped = seal(wrap, wrapNonce, fileKey, keyId);
+  const header = Buffer.concat([MAGIC, Buffer.from([FORMAT_VERSION]), keyId, wrapNonce, wrapped.ciphertext, wrapped.tag]);
+  const body = seal(fileKey, dataNonce, plaintext, header);
+
+  return Buffer.concat([header, dataNonce, body.ciphertext, body.tag]);
+}
+
+function decryptContent(data) {
+  const { keyId, wrap } = requireKeys();
+
+  if (!isEncryptedContent(data) || data.length < HEADER_SIZE + NONCE_SIZE + TAG_SIZE) {
+    throw new Error('Not an encrypted file');
+  }
+
+  let offset = MAGIC.length;
+  const version = data[offset++];
+  const fileKeyId = data.subarray(offset, offset += KEY_ID_SIZE);
+  const wrapNonce = data.subarray(offset, offset += NONCE_SIZE);
+  const wrappedKey = data.subarray(offset, offset += KEY_SIZE);
+  const wrapTag = data.subarray(offset, offset += TAG_SIZE);
+
+  if (version !== FORMAT_VERSION) {
+    throw new Error(`Unsupported encryption format version ${version}`);
+  }
+  if (!fileKeyId.equals(keyId)) {
+    throw new Error('File was encrypted with a different key');
+  }
+
+  try {
+    const fileKey = open(wrap, wrapNonce, wrappedKey, wrapTag, keyId);
+    const dataNonce = data.subarray(HEADER_SIZE, HEADER_SIZE + NONCE_SIZE);
+    const ciphertext = data.subarray(HEADER_SIZE + NONCE_SIZE, data.length - TAG_SIZE);
+    return open(fileKey, dataNonce, ciphertext, data.subarray(data.length - TAG_SIZE), data.subarray(0, HEADER_SIZE));
+  } catch (error) {
+    throw new Error('Encrypted file is corrupt or has been tampered with');
+  }
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// The hash the server has for this content: of the ciphertext in encrypted
+// folders, of the content itself everywhere else. Encryption is deterministic,
+// so the ciphertext hash of known content is looked up instead of encrypting
+// the file again.
+function hashContent(data, filePath) {
+  const plainHash = sha256(data);
+  if (!isEncryptedPath(filePath)) {
+    return plainHash;
+  }
+
+  const keyId = requireKeys().keyId.toString('hex');
+  const db = localDb.getDb();
+  const known = db.prepare('SELECT cipher_hash FROM encrypted_hashes WHERE plain_hash = ? AND key_id = ?')
+    .pluck().get(plainHash, keyId);
+  if (known) {
+    return known;
+  }
+
+  const cipherHash = sha256(encryptContent(data));
+  db.prepare('INSERT OR REPLACE INTO encrypted_hashes (plain_hash, key_id, cipher_hash) VALUES (?, ?, ?)')
+    .run(plainHash, keyId, cipherHash);
+  return cipherHash;
+}
+
+module.exports = {
+  createUserKey,
+  wrapUserKey,
+  unwrapUserKey,
+  setUserKey,
+  isUnlocked,
+  setEncryptedFolders,
+  getEncryptedFolders,
+  isEncryptedPath,
+  isLockedPath,
+  isEncryptedFile,
+  encryptContent,
+  decryptContent,
+  hashContent
+};
@@ -1,65 +1,83 @@
 const chokidar = require('chokidar');
 const path = require('path');
 const fs = require('fs-extra');
-const crypto = require('crypto');
 const api = require('./api');
 const config = require('../config');
 const { MerkleTree } = require('./merkle-tree');
+const uploadJournal = require('./upload-journal');
+const syncState = require('./sync-state');
+const encryption = require('./encryption');
+const selectiveSync = require('./selective-sync');
+const ignoreRules = require('./ignore-rules');
+const localDb = require('./local-db');
+const transfers = require('./transfers');
 
 let watcher = null;
 let uploadQueue = new Map();
-let isProcessing = false;
+// Paths with an upload job waiting in the scheduler or running
+const scheduledUploads = new Set();
+// Set while the account is out of storage; the queue waits instead of retrying
+let uploadsPaused = false;
 let downloadingFiles = new Set();
+// Hash each path was just downloaded with, so its watcher events are not uploaded back
 let recentlyDownloaded = new Map();
+const RECENT_DOWNLOAD_WINDOW = 10000;
+// Deletions held back in case the file reappears elsewhere, by content hash
+let pendingMoves = new Map();
+// Folder deletions held back the same way
+let pendingFolderMoves = [];
+// All three are also kept in the local database, to survive a restart
 
 // Initialize Merkle Tree
 const merkleTree = new MerkleTree();
-const merkleTreePath = path.join(config.WATCH_DIRECTORY, '.merkle-tree.json');
 
 // Load existing Merkle Tree
 async function loadMerkleTree() {
   try {
-    if (await fs.pathExists(merkleTreePath)) {
-      const treeData = await fs.readJSON(merkleTreePath);
-      merkleTree.fromJSON(treeData);
-      console.log('📂 Loaded existing Merkle Tree');
-    } else {
-      console.log('🌱 Created new Merkle Tree');
-    }
+    const files = localDb.getFiles();
+    merkleTree.fromJSON({ files });
+    console.log(files.length > 0 ? `📂 Loaded Merkle Tree (${files.length} files)` : '🌱 Created new Merkle Tree');
   } catch (error) {
     console.error('❌ Error loading Merkle Tree:', error.message);
   }
 }
 
-// Save Merkle Tree to disk
+// Persist the files changed since the last save, in one transaction
 async function saveMerkleTree() {
+  const changed = merkleTree.takeChangedPaths();
+  
   try {
-    await fs.ensureDir(path.dirname(merkleTreePath));
-    await fs.writeJSON(merkleTreePath, merkleTree.toJSON(), { spaces: 2 });
+    localDb.transaction(() => {
+      for (const filePath of changed) {
+        const file = merkleTree.getFile(filePath);
+        if (file) {
+          localDb.putFile(filePath, file);
+        } else {
+          localDb.deleteFile(filePath);
+        }
+      }
+    });
   } catch (error) {
+    // Kept for the next save
+    changed.forEach(filePath => merkleTree.changedPaths.add(filePath));
     console.error('❌ Error saving Merkle Tree:', error.message);
   }
 }
 
-function shouldIgnoreFile(filePath) {
-  const basename = path.basename(filePath);
-  
-  const ignorePatterns = [
-    /^\./,          // Hidden files
-    /~$/,           // Temp files  
-    /\.tmp$/,       // Temp files
-    /\.log$/,       // Log files
-    /node_modules/, // Dependencies
-    /\.git/         // Git files
-  ];
+// Paths matched by the ignore rules, and folders this device does not mirror,
+// are left alone entirely
+function shouldIgnoreFile(filePath, stats) {
+  const relativePath = path.relative(config.WATCH_DIRECTORY, filePath);
   
-  return ignorePatterns.some(pattern => pattern.test(basename) || pattern.test(filePath));
+  return ignoreRules.isIgnored(relativePath, stats?.isDirectory()) || selectiveSync.isExcluded(relativePath) ||
+    encryption.isLockedPath(relativePath);
 }
 
+// Same hash as the server's copy, which for encrypted folders is the ciphertext
 function calculateFileHash(filePath) {
   try {
     const buffer = fs.readFileSync(filePath);
-    return crypto.createHash('sha256').update(buffer).digest('hex');
+    return encryption.hashContent(buffer, path.relative(config.WATCH_DIRECTORY, filePath));
   } catch (error) {
     return null;
   }
@@ -72,6 +90,11 @@ async function handleFileChange(filePath, eventType) {
   
   const relativePath = path.relative(config.WATCH_DIRECTORY, filePath);
   
+  // New rules apply from now on; the .syncignore itself is synced like any file
+  if (ignoreRules.isIgnoreFile(relativePath)) {
+    await ignoreRules.loadIgnoreFile(path.dirname(relativePath));
+  }
+  
   // Skip if file is currently being downloaded
   if (downloadingFiles.has(relativePath)) {
     console.log(`⏭️ Skipping ${eventType} for ${relativePath} (currently downloading)`);
@@ -88,6 +111,13 @@ async function handleFileChange(filePath, eventType) {
       return;
     }
     
+    // A synced file that just disappeared with the same content was moved here
+    const movedFrom = eventType === 'add' && currentHash && takePendingMove(currentHash, relativePath);
+    if (movedFrom) {
+      await handleLocalMove(movedFrom, relativePath, filePath);
+      return;
+    }
+    
     // Update Merkle Tree with new/changed file
     if (currentHash) {
       const stats = await fs.stat(filePath);
@@ -98,6 +128,7 @@ async function handleFileChange(filePath, eventType) {
         s3_url: null, // Will be updated after upload
         hash: currentHash,
         size: stats.size,
+        mtime: stats.mtimeMs,
         timestamp: new Date().toISOString(),
         mime_type: getMimeType(filePath)
       };
@@ -111,94 +142,374 @@ async function handleFileChange(filePath, eventType) {
   console.log(`📁 File ${eventType}: ${relativePath}`);
   
   if (eventType === 'add' || eventType === 'change') {
-    queueUpload(filePath, relativePath);
+    await queueUpload(filePath, relativePath);
   } else if (eventType === 'unlink') {
+    // The file was replaced right away (e.g. moved aside as a conflicted copy and re-downloaded)
+    if (await fs.pathExists(filePath)) {
+      return;
+    }
+    
+    // Wait a moment in case this is the first half of a move or rename
+    if (deferDeletion(relativePath)) {
+      return;
+    }
+    
     // Handle local deletion - propagate to server and other devices
     await handleLocalDeletion(relativePath);
   }
 }
 
-function queueUpload(filePath, relativePath) {
+// Empty folders are synced too. Folders with files in them are created on the
+// server along with the files, so this mostly matters for empty ones.
+async function handleDirectoryChange(dirPath, eventType) {
+  const relativePath = path.relative(config.WATCH_DIRECTORY, dirPath);
+  
+  if (!relativePath || shouldIgnoreFile(dirPath)) {
+    return;
+  }
+  
+  try {
+    if (eventType === 'addDir') {
+      if (syncState.isFolderSynced(relativePath)) {
+        return;
+      }
+      
+      // A synced folder that just disappeared with the same contents was renamed or moved here
+      const movedFrom = await takePendingFolderMove(relativePath);
+      if (movedFrom) {
+        await handleLocalFolderMove(movedFrom.relativePath, relativePath);
+        return;
+      }
+      
+      await api.createFolder(relativePath);
+      await syncState.markFolderSynced(relativePath);
+      console.log(`📁 Folder created on server: ${relativePath}`);
+    } else if (eventType === 'unlinkDir') {
+      if (!syncState.isFolderSynced(relativePath)) {
+        return;
+      }
+      
+      // Wait for the files in it first: they may be moving elsewhere
+      deferFolderDeletion(relativePath);
+    }
+  } catch (error) {
+    console.error(`❌ Error handling folder ${eventType} for ${relativePath}: ${error.message}`);
+  }
+}
+
+function deferFolderDeletion(relativePath) {
+  if (pendingFolderMoves.some(entry => entry.relativePath === relativePath)) {
+    return;
+  }
+  
+  const entry = { relativePath };
+  entry.timer = setTimeout(() => {
+    removePendingFolderMove(entry);
+    handleLocalFolderDeletion(relativePath);
+  }, config.MOVE_DETECTION_WINDOW);
+  pendingFolderMoves.push(entry);
+  syncState.addPendingDelete(relativePath, true);
+}
+
+function removePendingFolderMove(entry) {
+  pendingFolderMoves = pendingFolderMoves.filter(candidate => candidate !== entry);
+  syncState.removePendingDelete(entry.relativePath, true);
+}
+
+// A removed folder that `relativePath` is the new location of: every file the
+// old folder had is at the same place below the new one (an empty folder
+// only matches an empty one). Same-named candidates are tried first.
+async function takePendingFolderMove(relativePath) {
+  const fullPath = path.join(config.WATCH_DIRECTORY, relativePath);
+  const name = path.basename(relativePath);
+  const candidates = [
+    ...pendingFolderMoves.filter(candidate => path.basename(candidate.relativePath) === name),
+    ...pendingFolderMoves.filter(candidate => path.basename(candidate.relativePath) !== name)
+  ];
+  
+  for (const candidate of candidates) {
+    const files = merkleTree.getFilesUnder(candidate.relativePath);
+    let matches;
+    
+    if (files.length === 0) {
+      matches = (await fs.readdir(fullPath)).length === 0;
+    } else {
+      matches = true;
+      for (const file of files) {
+        const movedPath = path.join(fullPath, path.relative(candidate.relativePath, file.file_path));
+        if (!await fs.pathExists(movedPath)) {
+          matches = false;
+          break;
+        }
+      }
+    }
+    
+    if (matches) {
+      clearTimeout(candidate.timer);
+      removePendingFolderMove(candidate);
+      return candidate;
+    }
+  }
+  
+  return null;
+}
+
+// Rename or move the folder on the server in one step. The files in it then
+// pair up as moves to where the server already has them.
+async function handleLocalFolderMove(fromPath, toPath) {
+  console.log(`🚚 Folder move detected: ${fromPath} → ${toPath}`);
+  const knownFolders = syncState.getSyncedFolders()
+    .filter(folder => folder === fromPath || folder.startsWith(`${fromPath}${path.sep}`));
+  
+  try {
+    const folder = await api.getFolder(fromPath);
+    if (!folder) {
+      throw new Error('Folder not found on server');
+    }
+    
+    await api.moveFolder(folder.id, toPath);
+    await syncState.forgetFolder(fromPath);
+    for (const known of knownFolders) {
+      await syncState.markFolderSynced(path.join(toPath, path.relative(fromPath, known)));
+    }
+    console.log(`🌐 Folder moved on server: ${toPath}`);
+  } catch (error) {
+    console.error(`⚠️ Folder move failed, recreating instead: ${error.message}`);
+    await api.createFolder(toPath);
+    await syncState.markFolderSynced(toPath);
+    await handleLocalFolderDeletion(fromPath);
+  }
+}
+
+async function handleLocalFolderDeletion(relativePath) {
+  try {
+    if (await fs.pathExists(path.join(config.WATCH_DIRECTORY, relativePath))) {
+      return;
+    }
+    
+    const folder = await api.getFolder(relativePath);
+    if (folder) {
+      await api.deleteFolder(folder.id);
+      console.log(`🌐 Folder deleted on server: ${relativePath}`);
+    }
+    
+    await syncState.forgetFolder(relativePath);
+  } catch (error) {
+    console.error(`❌ Error handling local folder deletion: ${error.message}`);
+  }
+}
+
+async function queueUpload(filePath, relativePath) {
+  const hash = calculateFileHash(filePath);
+  
   uploadQueue.set(relativePath, {
     fullPath: filePath,
     relativePath: relativePath,
     timestamp: Date.now(),
-    hash: calculateFileHash(filePath)
+    hash
   });
   
+  // Persist the queue so pending uploads survive a restart
+  await uploadJournal.recordUpload(relativePath, hash);
+  
   setTimeout(processUploadQueue, 1000);
 }
 
-async function processUploadQueue() {
-  if (isProcessing || uploadQueue.size === 0) {
+// Re-queue uploads that were still pending when the client last stopped
+async function resumePendingUploads() {
+  const pending = await uploadJournal.loadJournal();
+  
+  if (pending.length === 0) {
     return;
   }
   
-  isProcessing = true;
-  console.log(`🔄 Processing ${uploadQueue.size} queued files...`);
+  console.log(`⏯️ Resuming ${pending.length} pending uploads...`);
+  
+  for (const entry of pending) {
+    uploadQueue.set(entry.relativePath, {
+      fullPath: path.join(config.WATCH_DIRECTORY, entry.relativePath),
+      relativePath: entry.relativePath,
+      timestamp: Date.now(),
+      hash: entry.hash
+    });
+  }
+  
+  setTimeout(processUploadQueue, 1000);
+}
+
+// Stop uploading until the account has space again, checking every
+// QUOTA_RETRY_INTERVAL. Deleting files frees space once the trash is purged.
+function pauseUploads(details) {
+  if (uploadsPaused) {
+    return;
+  }
+  uploadsPaused = true;
   
-  const files = Array.from(uploadQueue.entries());
-  uploadQueue.clear();
+  console.error(`⛔ Storage quota exceeded (${details.used} of ${details.quota} bytes used); uploads paused`);
   
-  for (const [relativePath, fileInfo] of files) {
+  const check = async () => {
     try {
-      if (!await fs.pathExists(fileInfo.fullPath)) {
-        continue;
-      }
-      
-      // Check if this file was recently downloaded
-      const recentDownload = recentlyDownloaded.get(relativePath);
-      if (recentDownload) {
-        const currentHash = calculateFileHash(fileInfo.fullPath);
-        if (currentHash === recentDownload.hash) {
-          console.log(`⏭️ Skipping upload for ${relativePath} (matches downloaded version)`);
-          continue;
-        }
+      const usage = await api.getUsage();
+      if (usage.available > 0) {
+        uploadsPaused = false;
+        console.log(`▶️ ${usage.available} bytes available again; resuming uploads`);
+        return processUploadQueue();
       }
-      
-      // Upload file to S3 via server
-      const remotePath = path.dirname(relativePath);
-      const result = await api.uploadFile(fileInfo.fullPath, remotePath === '.' ? '/' : remotePath);
-      
-      // Update Merkle Tree with S3 URL after successful upload
-      if (result.file && result.file.s3Url) {
-        merkleTree.updateS3Url(relativePath, result.file.s3Url);
-        await saveMerkleTree();
-        console.log(`🌳 Updated S3 URL in Merkle Tree for: ${relativePath}`);
-      } else {
-        console.log(`⚠️ No S3 URL in response for: ${relativePath}`);
+    } catch (error) {
+      console.error(`⚠️ Could not check storage usage: ${error.message}`);
+    }
+    setTimeout(check, config.QUOTA_RETRY_INTERVAL);
+  };
+  
+  setTimeout(check, config.QUOTA_RETRY_INTERVAL);
+}
+
+function isUploadPaused() {
+  return uploadsPaused;
+}
+
+// Hand each queued file to the transfer scheduler on its own, so a large
+// upload never holds back files queued after it. A path has at most one job:
+// a file changed while waiting is picked up when its job starts, and one
+// changed while uploading is scheduled again once that upload ends.
+function processUploadQueue() {
+  if (uploadsPaused) {
+    return;
+  }
+  
+  for (const relativePath of uploadQueue.keys()) {
+    if (!scheduledUploads.has(relativePath)) {
+      scheduleUpload(relativePath);
+    }
+  }
+}
+
+async function scheduleUpload(relativePath) {
+  scheduledUploads.add(relativePath);
+  
+  try {
+    const stats = await fs.stat(uploadQueue.get(relativePath).fullPath).catch(() => null);
+    await transfers.schedule('upload', relativePath, stats?.size, (meter) => {
+      // The latest queued change, gone if the file was deleted meanwhile
+      const fileInfo = uploadQueue.get(relativePath);
+      uploadQueue.delete(relativePath);
+      return fileInfo && uploadQueuedFile(relativePath, fileInfo, meter);
+    });
+  } finally {
+    scheduledUploads.delete(relativePath);
+  }
+  
+  if (uploadQueue.has(relativePath)) {
+    processUploadQueue();
+  }
+}
+
+async function uploadQueuedFile(relativePath, fileInfo, meter) {
+  try {
+    // Ran out of space while this file was waiting for a slot
+    if (uploadsPaused) {
+      if (!uploadQueue.has(relativePath)) {
+        uploadQueue.set(relativePath, fileInfo);
       }
-      
-      // Send updated Merkle Tree metadata to server
-      try {
-        await api.updateMerkleTree(config.DEVICE_ID, merkleTree.toJSON());
-        console.log(`🌳 Sent tree update to server for: ${relativePath}`);
-      } catch (updateError) {
-        console.error(`⚠️ Failed to update server tree: ${updateError.message}`);
-        // Continue processing even if server update fails
+      return;
+    }
+    
+    // Gone, or ignored since it was queued
+    if (!await fs.pathExists(fileInfo.fullPath) || ignoreRules.isIgnored(relativePath)) {
+      await uploadJournal.removeUpload(relativePath);
+      return;
+    }
+    
+    // Check if this file was recently downloaded
+    const recentDownload = recentlyDownloaded.get(relativePath);
+    if (recentDownload) {
+      const currentHash = calculateFileHash(fileInfo.fullPath);
+      if (currentHash === recentDownload.hash) {
+        console.log(`⏭️ Skipping upload for ${relativePath} (matches downloaded version)`);
+        await uploadJournal.removeUpload(relativePath);
+        return;
       }
+    }
+    
+    // Upload file to S3 via server, resuming the journaled session if there is one
+    const remotePath = path.dirname(relativePath);
+    const journalEntry = uploadJournal.getUpload(relativePath);
+    const result = await api.uploadFile(fileInfo.fullPath, remotePath === '.' ? '/' : remotePath, {
+      baseHash: syncState.getBaseHash(relativePath),
+      sessionId: journalEntry?.sessionId,
+      onSession: (session) => uploadJournal.updateUpload(relativePath, { sessionId: session.id }),
+      meter
+    });
+    
+    await uploadJournal.removeUpload(relativePath, fileInfo.hash);
+    
+    if (result.conflict) {
+      // Another device changed the file first; the server kept our version as a conflicted copy
+      console.log(`⚠️ Conflict on ${relativePath}, saved as ${result.file.filePath}`);
+      await require('./sync').applyUploadConflict(relativePath, result);
+      return;
+    }
+    
+    await syncState.markSynced(relativePath, result.file.fileHash);
+    
+    // Update Merkle Tree with S3 URL after successful upload
+    if (result.file && result.file.s3Url) {
+      merkleTree.updateS3Url(relativePath, result.file.s3Url, result.file.id);
+      await saveMerkleTree();
+      console.log(`🌳 Updated S3 URL in Merkle Tree for: ${relativePath}`);
+    } else {
+      console.log(`⚠️ No S3 URL in response for: ${relativePath}`);
+    }
+    
+    // Send updated Merkle Tree metadata to server
+    try {
+      await api.updateMerkleTree(config.DEVICE_ID, merkleTree.toJSON());
+      console.log(`🌳 Sent tree update to server for: ${relativePath}`);
+    } catch (updateError) {
+      console.error(`⚠️ Failed to update server tree: ${updateError.message}`);
+      // Continue processing even if server update fails
+    }
+    
+    // Enhanced feedback based on server response
+    if (result.message.includes('updated')) {
+      console.log(`🔄 File updated on server: ${relativePath}`);
+    } else if (result.message.includes('identical')) {
+      console.log(`⏭️ File already up-to-date: ${relativePath}`);
+    } else {
+      console.log(`✅ File uploaded: ${relativePath}`);
+    }
+    
+  } catch (error) {
+    if (error.response?.status === 409) {
+      await uploadJournal.removeUpload(relativePath);
       
-      // Enhanced feedback based on server response
-      if (result.message.includes('updated')) {
-        console.log(`🔄 File updated on server: ${relativePath}`);
-      } else if (result.message.includes('identical')) {
-        console.log(`⏭️ File already up-to-date: ${relativePath}`);
+      // The content or the upload session went away under us: start over
+      if (error.response.data?.contentMissing || error.response.data?.sessionStatus) {
+        console.log(`🔁 Uploading ${relativePath} again: ${error.response.data.error}`);
+        if (!uploadQueue.has(relativePath)) {
+          uploadQueue.set(relativePath, fileInfo);
+        }
       } else {
-        console.log(`✅ File uploaded: ${relativePath}`);
+        console.log(`⏭️ Not uploading ${relativePath}: ${error.response.data?.error || 'conflict on server'}`);
       }
-      
-      await new Promise(resolve => setTimeout(resolve, 200));
-      
-    } catch (error) {
-      if (error.response?.status === 409) {
-        console.log(`⏭️ File ${relativePath} conflict resolved on server`);
-      } else {
-        console.error(`❌ Failed to upload ${relativePath}:`, error.message);
+    } else if (error.response?.status === 507) {
+      // Out of space: put the file back; files still waiting for a slot follow it
+      if (!uploadQueue.has(relativePath)) {
+        uploadQueue.set(relativePath, fileInfo);
       }
+      pauseUploads(error.response.data);
+    } else if (error.response?.status === 413) {
+      // Bigger than the whole quota; retrying cannot help until the file changes
+      console.error(`❌ ${relativePath} is larger than the storage quota; not uploading it`);
+      await uploadJournal.removeUpload(relativePath);
+    } else if (error.response?.status === 403) {
+      // Read-only here (e.g. a viewer in a shared folder); the local file stays as it is
+      console.error(`❌ No permission to upload ${relativePath}; keeping the local file: ${error.response.data?.error}`);
+      await uploadJournal.removeUpload(relativePath);
+    } else {
+      console.error(`❌ Failed to upload ${relativePath}:`, error.message);
     }
   }
-  
-  isProcessing = false;
 }
 
 // Handle local file deletion - propagate to server
@@ -207,13 +518,24 @@ async function handleLocalDeletion(relativePath) {
     // Get file info from Merkle Tree before removing it
     const fileInfo = merkleTree.getFile(relativePath);
     
+    // Drop any pending upload for the file
+    const pendingUpload = uploadJournal.getUpload(relativePath);
+    if (pendingUpload) {
+      uploadQueue.delete(relativePath);
+      await uploadJournal.removeUpload(relativePath);
+      
+      if (pendingUpload.sessionId) {
+        api.abortUpload(pendingUpload.sessionId).catch(() => {});
+      }
+    }
+    
     if (fileInfo) {
       console.log(`🗑️ Local deletion detected: ${relativePath}`);
       
       // Try to delete from server if we have file hash
       if (fileInfo.hash) {
         try {
-          await api.deleteFileByHash(fileInfo.hash);
+          await api.deleteFileByHash(fileInfo.hash, relativePath);
           console.log(`🌐 Deleted from server: ${relativePath}`);
         } catch (serverError) {
           console.error(`⚠️ Failed to delete from server: ${serverError.message}`);
@@ -225,6 +547,7 @@ async function handleLocalDeletion(relativePath) {
     // Remove from local Merkle Tree
     merkleTree.removeFile(relativePath);
     await saveMerkleTree();
+    await syncState.forgetPath(relativePath);
     console.log(`🌳 Removed from Merkle Tree: ${relativePath}`);
     
     // Send updated Merkle Tree to server
@@ -240,6 +563,90 @@ async function handleLocalDeletion(relativePath) {
   }
 }
 
+// Hold back the deletion of a synced, unmodified file for MOVE_DETECTION_WINDOW.
+// If a file with the same content appears in the meantime, the pair is a move.
+function deferDeletion(relativePath) {
+  const fileInfo = merkleTree.getFile(relativePath);
+  if (!fileInfo || !fileInfo.id || syncState.getBaseHash(relativePath) !== fileInfo.hash) {
+    return false;
+  }
+  if ((pendingMoves.get(fileInfo.hash) || []).some(entry => entry.relativePath === relativePath)) {
+    return true;
+  }
+  
+  const entry = { relativePath, fileInfo };
+  entry.timer = setTimeout(() => {
+    removePendingMove(entry);
+    handleLocalDeletion(relativePath);
+  }, config.MOVE_DETECTION_WINDOW);
+  
+  const candidates = pendingMoves.get(fileInfo.hash) || [];
+  candidates.push(entry);
+  pendingMoves.set(fileInfo.hash, candidates);
+  syncState.addPendingDelete(relativePath, false);
+  return true;
+}
+
+function removePendingMove(entry) {
+  const candidates = (pendingMoves.get(entry.fileInfo.hash) || []).filter(candidate => candidate !== entry);
+  if (candidates.length > 0) {
+    pendingMoves.set(entry.fileInfo.hash, candidates);
+  } else {
+    pendingMoves.delete(entry.fileInfo.hash);
+  }
+  syncState.removePendingDelete(entry.relativePath, false);
+}
+
+// The deleted file a newly added one was moved from. With several candidates
+// (copies of the same content), prefer one with the same name.
+function takePendingMove(hash, relativePath) {
+  const candidates = pendingMoves.get(hash);
+  if (!candidates) {
+    return null;
+  }
+  
+  const entry = candidates.find(candidate => path.basename(candidate.relativePath) === path.basename(relativePath))
+    || candidates[0];
+  clearTimeout(entry.timer);
+  removePendingMove(entry);
+  return entry;
+}
+
+// Apply a local move to the server by path only, so nothing is uploaded again
+async function handleLocalMove(movedFrom, relativePath, filePath) {
+  const { fileInfo } = movedFrom;
+  console.log(`🚚 Move detected: ${movedFrom.relativePath} → ${relativePath}`);
+  
+  try {
+    const result = await api.moveFile(fileInfo.id, relativePath);
+    
+    merkleTree.removeFile(movedFrom.relativePath);
+    merkleTree.addOrUpdateFile(relativePath, {
+      ...fileInfo,
+      file_path: relativePath,
+      filename: path.basename(filePath),
+      local_url: filePath,
+      s3_url: result.file.s3Url
+    });
+    await saveMerkleTree();
+    
+    await syncState.forgetPath(movedFrom.relativePath);
+    await syncState.markSynced(relativePath, fileInfo.hash);
+    console.log(`🌐 Moved on server: ${relativePath}`);
+    
+    try {
+      await api.updateMerkleTree(config.DEVICE_ID, merkleTree.toJSON());
+    } catch (updateError) {
+      console.error(`⚠️ Failed to update server tree: ${updateError.message}`);
+    }
+  } catch (error) {
+    // Fall back to deleting the old path and uploading the new one
+    console.error(`⚠️ Move failed, uploading instead: ${error.message}`);
+    await handleLocalDeletion(movedFrom.relativePath);
+    await handleFileChange(filePath, 'change');
+  }
+}
+
 function markAsDownloading(relativePath) {
   downloadingFiles.add(relativePath);
 }
@@ -247,24 +654,188 @@ function markAsDownloading(relativePath) {
 function markDownloadComplete(relativePath, fileHash) {
   downloadingFiles.delete(relativePath);
   
-  recentlyDownloaded.set(relativePath, {
-    hash: fileHash,
-    timestamp: Date.now()
-  });
-  
+  const entry = { hash: fileHash, timestamp: Date.now() };
+  recentlyDownloaded.set(relativePath, entry);
+  syncState.addRecentDownload(relativePath, fileHash, entry.timestamp);
+  expireRecentDownload(relativePath, entry);
+}
+
+function expireRecentDownload(relativePath, entry) {
   setTimeout(() => {
-    const entry = recentlyDownloaded.get(relativePath);
-    if (entry && Date.now() - entry.timestamp > 10000) {
+    if (recentlyDownloaded.get(relativePath) === entry) {
       recentlyDownloaded.delete(relativePath);
     }
-  }, 10000);
+    syncState.removeRecentDownload(relativePath, entry.timestamp);
+  }, RECENT_DOWNLOAD_WINDOW);
+}
+
+// Pick up what was held back when the client last stopped. Downloads are
+// remembered until the startup scan has seen them; deletions wait for their
+// move again, unless the file or folder is back.
+function restoreHeldState() {
+  for (const { relativePath, hash, timestamp } of syncState.getRecentDownloads()) {
+    recentlyDownloaded.set(relativePath, { hash, timestamp });
+  }
+  
+  for (const { relativePath, isFolder } of syncState.getPendingDeletes()) {
+    const exists = fs.existsSync(path.join(config.WATCH_DIRECTORY, relativePath));
+    if (isFolder) {
+      if (!exists && syncState.isFolderSynced(relativePath)) {
+        deferFolderDeletion(relativePath);
+      } else {
+        syncState.removePendingDelete(relativePath, true);
+      }
+    } else if (exists || !deferDeletion(relativePath)) {
+      syncState.removePendingDelete(relativePath, false);
+    }
+  }
+}
+
+// Files between progress lines during the startup scan
+const SCAN_PROGRESS_INTERVAL = 1000;
+
+// Compare the sync folder with the tree: files added or edited, files and
+// folders deleted, and the folders present. Files whose size and modification
+// time match the tree are taken as unchanged; the rest are hashed.
+async function scanLocalChanges() {
+  const asDirectory = { isDirectory: () => true };
+  const seenFiles = new Set();
+  const seenFolders = new Set();
+  const changed = [];
+  let scanned = 0;
+  let touched = false;
+  
+  console.log('🔍 Scanning for changes made while offline...');
+  
+  const pending = [config.WATCH_DIRECTORY];
+  while (pending.length > 0) {
+    const dirPath = pending.shift();
+    let entries;
+    try {
+      entries = await fs.readdir(dirPath, { withFileTypes: true });
+    } catch (error) {
+      console.error(`⚠️ Could not scan ${dirPath}: ${error.message}`);
+      continue;
+    }
+    
+    for (const entry of entries) {
+      const fullPath = path.join(dirPath, entry.name);
+      const relativePath = path.relative(config.WATCH_DIRECTORY, fullPath);
+      
+      if (shouldIgnoreFile(fullPath, entry)) {
+        continue;
+      }
+      
+      if (entry.isDirectory()) {
+        seenFolders.add(relativePath);
+        pending.push(fullPath);
+        continue;
+      }
+      if (!entry.isFile()) {
+        continue;
+      }
+      
+      seenFiles.add(relativePath);
+      if (++scanned % SCAN_PROGRESS_INTERVAL === 0) {
+        console.log(`🔍 Scanned ${scanned} files...`);
+      }
+      
+      const known = merkleTree.getFile(relativePath);
+      if (!known) {
+        changed.push({ fullPath, eventType: 'add' });
+        continue;
+      }
+      
+      const stats = await fs.stat(fullPath);
+      if (stats.size === known.size && stats.mtimeMs === known.mtime) {
+        continue;
+      }
+      
+      if (calculateFileHash(fullPath) !== known.hash) {
+        changed.push({ fullPath, eventType: 'change' });
+      } else {
+        // Touched but not edited; remember the new time so it is not hashed again
+        merkleTree.addOrUpdateFile(relativePath, { size: stats.size, mtime: stats.mtimeMs });
+        touched = true;
+      }
+    }
+  }
+  
+  const deleted = merkleTree.getAllFiles()
+    .map(file => file.file_path)
+    .filter(relativePath => !seenFiles.has(relativePath) &&
+      !shouldIgnoreFile(path.join(config.WATCH_DIRECTORY, relativePath)));
+  const deletedFolders = syncState.getSyncedFolders()
+    .filter(folderPath => !seenFolders.has(folderPath) &&
+      !shouldIgnoreFile(path.join(config.WATCH_DIRECTORY, folderPath), asDirectory));
+  
+  const added = changed.filter(change => change.eventType === 'add').length;
+  console.log(`🔍 Scanned ${scanned} files: ${added} added, ${changed.length - added} modified, ${deleted.length} deleted`);
+  
+  if (touched) {
+    await saveMerkleTree();
+  }
+  
+  return { changed, deleted, deletedFolders, seenFolders };
+}
+
+// Catch up on what changed while the client was not running, before live
+// watching starts. Changes go through the same handlers as live events,
+// deletions first, so offline renames and folder moves are still applied as
+// moves.
+async function reconcileLocalChanges() {
+  const { changed, deleted, deletedFolders, seenFolders } = await scanLocalChanges();
+  
+  for (const relativePath of deleted) {
+    await handleFileChange(path.join(config.WATCH_DIRECTORY, relativePath), 'unlink');
+  }
+  for (const folderPath of deletedFolders) {
+    await handleDirectoryChange(path.join(config.WATCH_DIRECTORY, folderPath), 'unlinkDir');
+  }
+  // Parents before children, as they were walked
+  for (const folderPath of seenFolders) {
+    await handleDirectoryChange(path.join(config.WATCH_DIRECTORY, folderPath), 'addDir');
+  }
+  for (const [index, { fullPath, eventType }] of changed.entries()) {
+    await handleFileChange(fullPath, eventType);
+    if ((index + 1) % SCAN_PROGRESS_INTERVAL === 0) {
+      console.log(`🔍 Queued ${index + 1} of ${changed.length} changed files...`);
+    }
+  }
+  
+  console.log('✅ Offline changes reconciled');
+}
+
+// The startup scan skips excluded folders like the watcher does; offline, the
+// rules the local copy was last reconciled with are used
+async function loadSyncRules() {
+  try {
+    await selectiveSync.loadRules();
+  } catch (error) {
+    console.error(`⚠️ Could not load sync rules, using the last applied ones: ${error.message}`);
+    selectiveSync.setRules(syncState.getSyncRules());
+  }
 }
 
 async function startWatcher() {
   await fs.ensureDir(config.WATCH_DIRECTORY);
   
-  // Load existing Merkle Tree
+  // Load existing state and Merkle Tree
+  await syncState.loadSyncState();
   await loadMerkleTree();
+  await ignoreRules.loadGlobalRules();
+  await ignoreRules.loadIgnoreFiles();
+  await loadSyncRules();
+  
+  // Pick up uploads interrupted by a crash or shutdown
+  await resumePendingUploads();
+  restoreHeldState();
+  
+  // Then anything added, edited or deleted while the client was off
+  await reconcileLocalChanges();
+  for (const [relativePath, entry] of recentlyDownloaded) {
+    expireRecentDownload(relativePath, entry);
+  }
   
   console.log(`👀 Watching directory: ${config.WATCH_DIRECTORY}`);
   console.log(`🌳 Merkle Tree root hash: ${merkleTree.getRootHash() || 'empty'}`);
@@ -283,6 +854,8 @@ async function startWatcher() {
     .on('add', (filePath) => handleFileChange(filePath, 'add'))
     .on('change', (filePath) => handleFileChange(filePath, 'change'))
     .on('unlink', (filePath) => handleFileChange(filePath, 'unlink'))
+    .on('addDir', (dirPath) => handleDirectoryChange(dirPath, 'addDir'))
+    .on('unlinkDir', (dirPath) => handleDirectoryChange(dirPath, 'unlinkDir'))
     .on('error', (error) => console.error('❌ Watcher error:', error))
     .on('ready', () => console.log('✅ File watcher ready'));
 }
@@ -307,18 +880,31 @@ function getMimeType(filePath) {
 }
 
 async function stopWatcher() {
+  // Deletions still waiting for a matching add stay in the database, and
+  // wait for it again at the next start
+  for (const candidates of pendingMoves.values()) {
+    candidates.forEach(entry => clearTimeout(entry.timer));
+  }
+  pendingFolderMoves.forEach(entry => clearTimeout(entry.timer));
+  
   if (watcher) {
     await watcher.close();
     console.log('⏹️ File watcher stopped');
   }
+  
+  await saveMerkleTree();
+  localDb.close();
 }
 
 module.exports = {
   startWatcher,
   stopWatcher,
+  queueUpload,
   processUploadQueue,
+  isUploadPaused,
   markAsDownloading,
   markDownloadComplete,
+  scanLocalChanges,
   getMerkleTree: () => merkleTree,
   saveMerkleTree
 };
\ No newline at end of file
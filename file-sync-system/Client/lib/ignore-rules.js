@@ -0,0 +1,143 @@
+// client/lib/ignore-rules.js - Which paths are never synced
+//
+// Patterns use gitignore syntax, negation and directory patterns included.
+// They come from the user's global list on the server and from .syncignore
+// files at any folder level, a deeper file taking precedence. As in git, a
+// file inside an ignored folder cannot be re-included. Ignored paths are
+// neither uploaded nor downloaded; copies already synced are left alone.
+const fs = require('fs-extra');
+const path = require('path');
+const ignore = require('ignore');
+const api = require('./api');
+const config = require('../config');
+
+const IGNORE_FILE = '.syncignore';
+
+// The client's own state, which no rule can bring back
+const internal = ignore().add([
+  '/.sync-state.json',
+  '/.merkle-tree.json',
+  '/.upload-journal.json',
+  '/.session.json',
+  '/.device-id',
+  '/.trash/',
+  // Downloads being copied into place
+  '.file-sync-*.tmp'
+]);
+
+let globalRules = ignore();
+let globalPatterns = null;
+// Rules from each folder's .syncignore, by folder ('' is the sync folder)
+const folderRules = new Map();
+
+function toRulePath(relativePath) {
+  return relativePath.split(/[\\/]+/).filter(Boolean).join('/');
+}
+
+function matches(rulePath, isDirectory) {
+  const candidate = isDirectory ? `${rulePath}/` : rulePath;
+
+  if (internal.ignores(candidate)) {
+    return true;
+  }
+
+  let ignored = false;
+  const apply = (rules, relative) => {
+    const result = rules.test(isDirectory ? `${relative}/` : relative);
+    if (result.ignored) ignored = true;
+    else if (result.unignored) ignored = false;
+  };
+
+  apply(globalRules, rulePath);
+
+  const names = rulePath.split('/');
+  for (let depth = 0; depth < names.length; depth++) {
+    const rules = folderRules.get(names.slice(0, depth).join('/'));
+    if (rules) {
+      apply(rules, names.slice(depth).join('/'));
+    }
+  }
+
+  return ignored;
+}
+
+// Whether a path relative to the sync folder is ignored
+function isIgnored(relativePath, isDirectory = false) {
+  const rulePath = toRulePath(relativePath);
+
+  if (!rulePath || rulePath.startsWith('..')) {
+    return false;
+  }
+
+  const names = rulePath.split('/');
+  for (let depth = 1; depth < names.length; depth++) {
+    if (matches(names.slice(0, depth).join('/'), true)) {
+      return true;
+    }
+  }
+
+  return matches(rulePath, isDirectory);
+}
+
+function isIgnoreFile(relativePath) {
+  return path.basename(relativePath) === IGNORE_FILE;
+}
+
+// Fetch the user's global list and return its patterns. Keeps the previous
+// list if the server cannot be reached.
+async function loadGlobalRules() {
+  try {
+    const patterns = await api.getIgnoreRules();
+    globalRules = ignore().add(patterns);
+    globalPatterns = patterns;
+  } catch (error) {
+    console.error(`⚠️ Could not load ignore rules from the server: ${error.message}`);
+  }
+  return globalPatterns;
+}
+
+// (Re)read the .syncignore of one folder, after it was added, changed or removed
+async function loadIgnoreFile(folderPath) {
+  const folder = toRulePath(folderPath);
+  const filePath = path.join(config.WATCH_DIRECTORY, folder, IGNORE_FILE);
+
+  try {
+    folderRules.set(folder, ignore().add(await fs.readFile(filePath, 'utf8')));
+  } catch (error) {
+    folderRules.delete(folder);
+  }
+}
+
+// Read every .syncignore, top-down, skipping folders already ignored
+async function loadIgnoreFiles() {
+  folderRules.clear();
+  const pending = [''];
+
+  while (pending.length > 0) {
+    const folder = pending.shift();
+    await loadIgnoreFile(folder);
+
+    let entries = [];
+    try {
+      entries = await fs.readdir(path.join(config.WATCH_DIRECTORY, folder), { withFileTypes: true });
+    } catch (error) {
+      continue;
+    }
+
+    for (const entry of entries) {
+      const child = folder ? `${folder}/${entry.name}` : entry.name;
+      if (entry.isDirectory() && !isIgnored(child, true)) {
+        pending.push(child);
+      }
+    }
+  }
+}
+
+module.exports = {
+  IGNORE_FILE,
+  isIgnored,
+  isIgnoreFile,
+  loadGlobalRules,
+  loadIgnoreFile,
+  loadIgnoreFiles
+};
@@ -0,0 +1,259 @@
+// client/lib/local-db.js - The client's own state, in SQLite
+//
+// Kept in STATE_DIRECTORY, outside the sync folder, so the watcher never sees
+// it. Each change is a small transactional write instead of a rewrite of the
+// whole state, and a crash mid-write rolls back to the last committed state.
+const Database = require('better-sqlite3');
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config');
+
+const dbPath = path.join(config.STATE_DIRECTORY, 'state.db');
+
+const migrations = [
+  {
+    name: 'create_files_table',
+    // The local Merkle tree: one row per file on disk
+    sql: `
+      CREATE TABLE files (
+        path TEXT PRIMARY KEY,
+        file_id TEXT,
+        hash TEXT NOT NULL,
+        size INTEGER,
+        mtime REAL,
+        s3_url TEXT,
+        mime_type TEXT,
+        updated_at TEXT NOT NULL
+      );
+    `
+  },
+  {
+    name: 'create_synced_table',
+    // Last version each path was in sync with the server (the merge base)
+    sql: `
+      CREATE TABLE synced (
+        path TEXT PRIMARY KEY,
+        hash TEXT NOT NULL,
+        synced_at TEXT NOT NULL
+      );
+
+      CREATE TABLE synced_folders (
+        path TEXT PRIMARY KEY
+      );
+    `
+  },
+  {
+    name: 'create_uploads_table',
+    // Uploads not yet acknowledged by the server
+    sql: `
+      CREATE TABLE uploads (
+        path TEXT PRIMARY KEY,
+        hash TEXT,
+        session_id TEXT,
+        last_acknowledged_part INTEGER,
+        queued_at TEXT NOT NULL
+      );
+    `
+  },
+  {
+    name: 'create_settings_table',
+    // Single values such as the change log cursor, as JSON
+    sql: `
+      CREATE TABLE settings (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      );
+    `
+  },
+  {
+    name: 'create_encrypted_hashes_table',
+    // Hash of the ciphertext each encrypted content hashes to under a key
+    sql: `
+      CREATE TABLE encrypted_hashes (
+        plain_hash TEXT NOT NULL,
+        key_id TEXT NOT NULL,
+        cipher_hash TEXT NOT NULL,
+        PRIMARY KEY (plain_hash, key_id)
+      );
+    `
+  },
+  {
+    name: 'create_pending_tables',
+    // Deletions held back as possible moves, and files just written by a
+    // download, so both still hold after a restart
+    sql: `
+      CREATE TABLE pending_deletes (
+        path TEXT NOT NULL,
+        is_folder INTEGER NOT NULL,
+        deleted_at TEXT NOT NULL,
+        PRIMARY KEY (path, is_folder)
+      );
+
+      CREATE TABLE recent_downloads (
+        path TEXT PRIMARY KEY,
+        hash TEXT,
+        downloaded_at INTEGER NOT NULL
+      );
+    `
+  },
+  {
+    name: 'drop_uploads_last_acknowledged_part',
+    // Resumed uploads skip the parts the server lists for the session
+    sql: 'ALTER TABLE uploads DROP COLUMN last_acknowledged_part;'
+  }
+];
+
+let db = null;
+
+function runMigrations() {
+  db.exec('CREATE TABLE IF NOT EXISTS migrations (name TEXT PRIMARY KEY, executed_at TEXT NOT NULL)');
+  const executed = new Set(db.prepare('SELECT name FROM migrations').pluck().all());
+
+  for (const migration of migrations) {
+    if (executed.has(migration.name)) {
+      continue;
+    }
+    db.transaction(() => {
+      db.exec(migration.sql);
+      db.prepare('INSERT INTO migrations (name, executed_at) VALUES (?, ?)').run(migration.name, new Date().toISOString());
+    })();
+  }
+}
+
+// State files earlier versions kept in the sync folder, imported once
+const legacyFiles = {
+  tree: path.join(config.WATCH_DIRECTORY, '.merkle-tree.json'),
+  state: path.join(config.WATCH_DIRECTORY, '.sync-state.json'),
+  journal: path.join(config.WATCH_DIRECTORY, '.upload-journal.json')
+};
+
+function readLegacy(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function importLegacyState() {
+  const tree = readLegacy(legacyFiles.tree);
+  const state = readLegacy(legacyFiles.state);
+  const journal = readLegacy(legacyFiles.journal);
+
+  if (!tree && !state && !journal) {
+    return;
+  }
+
+  // Entries without a hash are left out: the startup scan hashes those files
+  // again and treats them as new
+  try {
+    db.transaction(() => {
+      for (const file of (tree?.files || []).filter(file => file.file_path && file.hash)) {
+        putFile(file.file_path, file);
+      }
+      for (const entry of (state?.files || []).filter(entry => entry.relativePath && entry.hash)) {
+        db.prepare('INSERT OR REPLACE INTO synced (path, hash, synced_at) VALUES (?, ?, ?)')
+          .run(entry.relativePath, entry.hash, entry.syncedAt || new Date().toISOString());
+      }
+      for (const folderPath of (state?.folders || []).filter(Boolean)) {
+        db.prepare('INSERT OR IGNORE INTO synced_folders (path) VALUES (?)').run(folderPath);
+      }
+      if (state) {
+        setSetting('cursor', state.cursor ?? null);
+        setSetting('syncRules', state.syncRules || null);
+        setSetting('ignorePatterns', state.ignorePatterns || null);
+      }
+      for (const entry of (journal?.uploads || []).filter(entry => entry.relativePath)) {
+        db.prepare(`
+          INSERT OR REPLACE INTO uploads (path, hash, session_id, queued_at)
+          VALUES (?, ?, ?, ?)
+        `).run(entry.relativePath, entry.hash || null, entry.sessionId || null, entry.queuedAt || new Date().toISOString());
+      }
+    })();
+  } catch (error) {
+    // Nothing was imported; the old files stay for the next start, and the
+    // startup scan rebuilds the tree meanwhile
+    console.error(`⚠️ Could not import sync state from the sync folder: ${error.message}`);
+    return;
+  }
+
+  for (const filePath of Object.values(legacyFiles)) {
+    fs.removeSync(filePath);
+  }
+  console.log('📦 Moved sync state from the sync folder into the local database');
+}
+
+// Open the database on first use
+function getDb() {
+  if (!db) {
+    fs.ensureDirSync(config.STATE_DIRECTORY);
+    db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+    runMigrations();
+    importLegacyState();
+  }
+  return db;
+}
+
+// Run `fn` in a transaction: all of its writes are kept, or none
+function transaction(fn) {
+  return getDb().transaction(fn)();
+}
+
+function toFile(row) {
+  return {
+    id: row.file_id,
+    filename: path.basename(row.path),
+    file_path: row.path,
+    local_url: path.join(config.WATCH_DIRECTORY, row.path),
+    s3_url: row.s3_url,
+    hash: row.hash,
+    size: row.size,
+    mtime: row.mtime ?? undefined,
+    timestamp: row.updated_at,
+    mime_type: row.mime_type
+  };
+}
+
+function getFiles() {
+  return getDb().prepare('SELECT * FROM files').all().map(toFile);
+}
+
+function putFile(filePath, file) {
+  getDb().prepare(`
+    INSERT OR REPLACE INTO files (path, file_id, hash, size, mtime, s3_url, mime_type, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(filePath, file.id || null, file.hash, file.size ?? null, file.mtime ?? null, file.s3_url || null,
+    file.mime_type || null, file.timestamp || new Date().toISOString());
+}
+
+function deleteFile(filePath) {
+  getDb().prepare('DELETE FROM files WHERE path = ?').run(filePath);
+}
+
+function getSetting(key) {
+  const value = getDb().prepare('SELECT value FROM settings WHERE key = ?').pluck().get(key);
+  return value === undefined ? null : JSON.parse(value);
+}
+
+function setSetting(key, value) {
+  getDb().prepare('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)').run(key, JSON.stringify(value));
+}
+
+function close() {
+  if (db) {
+    db.close();
+    db = null;
+  }
+}
+
+module.exports = {
+  getDb,
+  transaction,
+  getFiles,
+  putFile,
+  deleteFile,
+  getSetting,
+  setSetting,
+  close
+};
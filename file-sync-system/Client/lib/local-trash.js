@@ -0,0 +1,65 @@
+// client/lib/local-trash.js - Local copies of files deleted on the server
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config');
+
+// Outside the sync folder, so the watcher never sees its contents
+const trashDirectory = path.join(config.STATE_DIRECTORY, 'trash');
+// Where earlier versions kept it
+const legacyTrashDirectory = path.join(config.WATCH_DIRECTORY, '.trash');
+let legacyChecked = false;
+
+async function moveLegacyTrash() {
+  if (legacyChecked) {
+    return;
+  }
+  legacyChecked = true;
+
+  if (!(await fs.pathExists(legacyTrashDirectory))) {
+    return;
+  }
+  for (const entry of await fs.readdir(legacyTrashDirectory)) {
+    await fs.move(path.join(legacyTrashDirectory, entry), path.join(trashDirectory, entry), { overwrite: true });
+  }
+  await fs.remove(legacyTrashDirectory);
+}
+
+// Move a file into the trash, under a folder named after the time of deletion
+async function moveToTrash(relativePath) {
+  await moveLegacyTrash();
+  const sourcePath = path.join(config.WATCH_DIRECTORY, relativePath);
+  if (!(await fs.pathExists(sourcePath))) {
+    return null;
+  }
+
+  const trashPath = path.join(trashDirectory, String(Date.now()), relativePath);
+  await fs.move(sourcePath, trashPath, { overwrite: true });
+  return trashPath;
+}
+
+// Remove trashed files older than the retention period
+async function purgeLocalTrash(retentionDays = config.LOCAL_TRASH_RETENTION_DAYS) {
+  await moveLegacyTrash();
+  if (!(await fs.pathExists(trashDirectory))) {
+    return 0;
+  }
+
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  let purged = 0;
+
+  for (const entry of await fs.readdir(trashDirectory)) {
+    const deletedAt = parseInt(entry);
+    if (deletedAt && deletedAt < cutoff) {
+      await fs.remove(path.join(trashDirectory, entry));
+      purged++;
+    }
+  }
+
+  return purged;
+}
+
+module.exports = {
+  trashDirectory,
+  moveToTrash,
+  purgeLocalTrash
+};
@@ -0,0 +1,47 @@
+// client/lib/selective-sync.js - Which folders this device mirrors
+//
+// The rules are stored on the server with the device record, and both sides
+// match them with shared/sync-rules.js.
+const api = require('./api');
+const config = require('../config');
+const syncRules = require('../../shared/sync-rules');
+
+let rules = { include: [], exclude: [] };
+
+function isIncluded(relativePath) {
+  return syncRules.isIncluded(rules, relativePath);
+}
+
+// Excluded paths are neither downloaded nor watched. Folders on the way to an
+// included folder are not excluded themselves.
+function isExcluded(relativePath) {
+  const rulePath = syncRules.toRulePath(relativePath);
+
+  if (!rulePath || isIncluded(rulePath)) {
+    return false;
+  }
+  return !rules.include.some(folder => folder.startsWith(`${rulePath}/`) && isIncluded(folder));
+}
+
+function getRules() {
+  return rules;
+}
+
+// Rules saved earlier, for when the server cannot be reached
+function setRules(savedRules) {
+  rules = savedRules || { include: [], exclude: [] };
+}
+
+// Fetch this device's rules from the server
+async function loadRules() {
+  rules = await api.getSyncRules(config.DEVICE_ID);
+  return rules;
+}
+
+module.exports = {
+  isIncluded,
+  isExcluded,
+  getRules,
+  setRules,
+  loadRules
+};
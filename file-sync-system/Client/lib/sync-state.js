@@ -0,0 +1,136 @@
+// client/lib/sync-state.js - Last synced version of every path (the merge base)
+const path = require('path');
+const localDb = require('./local-db');
+
+// Open the database, importing state left in the sync folder by older versions
+async function loadSyncState() {
+  try {
+    localDb.getDb();
+  } catch (error) {
+    console.error('❌ Error loading sync state:', error.message);
+    throw error;
+  }
+}
+
+// Hash of the version this device and the server last agreed on, or null
+function getBaseHash(relativePath) {
+  return localDb.getDb().prepare('SELECT hash FROM synced WHERE path = ?').pluck().get(relativePath) || null;
+}
+
+async function markSynced(relativePath, hash) {
+  localDb.getDb()
+    .prepare('INSERT OR REPLACE INTO synced (path, hash, synced_at) VALUES (?, ?, ?)')
+    .run(relativePath, hash, new Date().toISOString());
+}
+
+async function forgetPath(relativePath) {
+  localDb.getDb().prepare('DELETE FROM synced WHERE path = ?').run(relativePath);
+}
+
+// Position in the server's change log the tree is current with
+function getCursor() {
+  return localDb.getSetting('cursor');
+}
+
+async function setCursor(value) {
+  localDb.setSetting('cursor', value);
+}
+
+// Selective sync rules the local copy was last reconciled with
+function getSyncRules() {
+  return localDb.getSetting('syncRules');
+}
+
+async function setSyncRules(rules) {
+  localDb.setSetting('syncRules', rules);
+}
+
+// Global ignore list the local copy was last reconciled with
+function getIgnorePatterns() {
+  return localDb.getSetting('ignorePatterns');
+}
+
+async function setIgnorePatterns(patterns) {
+  localDb.setSetting('ignorePatterns', patterns);
+}
+
+// Folders known to exist on the server
+function isFolderSynced(folderPath) {
+  return localDb.getDb().prepare('SELECT 1 FROM synced_folders WHERE path = ?').get(folderPath) !== undefined;
+}
+
+function getSyncedFolders() {
+  return localDb.getDb().prepare('SELECT path FROM synced_folders').pluck().all();
+}
+
+async function markFolderSynced(folderPath) {
+  localDb.getDb().prepare('INSERT OR IGNORE INTO synced_folders (path) VALUES (?)').run(folderPath);
+}
+
+// Forget a folder along with the folders inside it
+async function forgetFolder(folderPath) {
+  const prefix = `${folderPath}${path.sep}`;
+  localDb.getDb()
+    .prepare('DELETE FROM synced_folders WHERE path = ? OR substr(path, 1, length(?)) = ?')
+    .run(folderPath, prefix, prefix);
+}
+
+// Deletions held back as possible moves, oldest first
+function getPendingDeletes() {
+  return localDb.getDb()
+    .prepare('SELECT path, is_folder FROM pending_deletes ORDER BY deleted_at')
+    .all()
+    .map(row => ({ relativePath: row.path, isFolder: row.is_folder === 1 }));
+}
+
+function addPendingDelete(relativePath, isFolder) {
+  localDb.getDb()
+    .prepare('INSERT OR REPLACE INTO pending_deletes (path, is_folder, deleted_at) VALUES (?, ?, ?)')
+    .run(relativePath, isFolder ? 1 : 0, new Date().toISOString());
+}
+
+function removePendingDelete(relativePath, isFolder) {
+  localDb.getDb().prepare('DELETE FROM pending_deletes WHERE path = ? AND is_folder = ?').run(relativePath, isFolder ? 1 : 0);
+}
+
+// Files just written by a download, with the hash they were written with
+function getRecentDownloads() {
+  return localDb.getDb()
+    .prepare('SELECT path, hash, downloaded_at FROM recent_downloads')
+    .all()
+    .map(row => ({ relativePath: row.path, hash: row.hash, timestamp: row.downloaded_at }));
+}
+
+function addRecentDownload(relativePath, hash, timestamp) {
+  localDb.getDb()
+    .prepare('INSERT OR REPLACE INTO recent_downloads (path, hash, downloaded_at) VALUES (?, ?, ?)')
+    .run(relativePath, hash, timestamp);
+}
+
+// Only if it is still the download made at `timestamp`
+function removeRecentDownload(relativePath, timestamp) {
+  localDb.getDb().prepare('DELETE FROM recent_downloads WHERE path = ? AND downloaded_at = ?').run(relativePath, timestamp);
+}
+
+module.exports = {
+  loadSyncState,
+  isFolderSynced,
+  getSyncedFolders,
+  markFolderSynced,
+  forgetFolder,
+  getCursor,
+  setCursor,
+  getSyncRules,
+  setSyncRules,
+  getIgnorePatterns,
+  setIgnorePatterns,
+  getBaseHash,
+  markSynced,
+  forgetPath,
+  getPendingDeletes,
+  addPendingDelete,
+  removePendingDelete,
+  getRecentDownloads,
+  addRecentDownload,
+  removeRecentDownload
+};
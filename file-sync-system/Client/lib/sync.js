@@ -3,36 +3,236 @@ const api = require('./api');
 const config = require('../config');
 const path = require('path');
 const fs = require('fs-extra');
-const crypto = require('crypto');
 const { MerkleTree } = require('./merkle-tree');
+const localTrash = require('./local-trash');
+const syncState = require('./sync-state');
+const changeStream = require('./change-stream');
+const { findConflictPath } = require('./conflicts');
+const encryption = require('./encryption');
+const selectiveSync = require('./selective-sync');
+const ignoreRules = require('./ignore-rules');
+const transfers = require('./transfers');
 
 let lastSyncAt = null;
+// Downloads started by a sync and not finished yet, by path
+const pendingDownloads = new Map();
+// Cursor to store when they are done, unless one of them failed
+let deferredCursor = null;
+let downloadFailed = false;
 
+// Same hash as the server's copy, which for encrypted folders is the ciphertext
 function calculateFileHash(filePath) {
   try {
     const buffer = fs.readFileSync(filePath);
-    return crypto.createHash('sha256').update(buffer).digest('hex');
+    return encryption.hashContent(buffer, path.relative(config.WATCH_DIRECTORY, filePath));
   } catch (error) {
     return null;
   }
 }
 
+// Folders compared per request while walking the namespace
+const SUBTREE_BATCH_SIZE = 200;
+
+// Paths this device neither downloads nor removes: ignored, in a folder it
+// does not mirror, or encrypted without a key to read them
+function isSkipped(relativePath, isDirectory = false) {
+  return ignoreRules.isIgnored(relativePath, isDirectory) || selectiveSync.isExcluded(relativePath) ||
+    encryption.isLockedPath(relativePath);
+}
+
+// Compare the local tree with the server's namespace one level at a time,
+// only descending into folders whose hashes differ. Uses the last synced
+// version of each path to tell remote changes from local ones:
+//   added    - on the server, not here
+//   modified - changed on the server since we last synced it
+//   deleted  - synced here before, gone from the server now
+async function findRemoteChanges(localTree) {
+  const differences = { added: [], modified: [], deleted: [] };
+  const rootHash = localTree.getRootHash();
+  let pending = [''];
+  let firstRequest = true;
+  
+  const localDeleted = (localPath) => {
+    for (const file of localTree.getFilesUnder(localPath)) {
+      if (syncState.getBaseHash(file.file_path)) {
+        differences.deleted.push(file);
+      }
+    }
+  };
+  
+  while (pending.length > 0) {
+    const batch = pending.splice(0, SUBTREE_BATCH_SIZE);
+    const result = await api.getMerkleSubtrees(batch, firstRequest ? rootHash : undefined);
+    firstRequest = false;
+    
+    if (result.unchanged) {
+      break;
+    }
+    
+    for (const node of result.nodes) {
+      const localChildren = new Map((localTree.getChildren(node.path) || []).map(child => [child.name, child]));
+      
+      for (const remote of node.children || []) {
+        const local = localChildren.get(remote.name);
+        const childPath = MerkleTree.joinPath(node.path, remote.name);
+        localChildren.delete(remote.name);
+        
+        if (isSkipped(childPath, remote.type === 'directory')) {
+          continue;
+        }
+        
+        if (local && local.type === remote.type && local.hash === remote.hash) {
+          continue;
+        }
+        
+        if (remote.type === 'directory') {
+          if (local && local.type === 'file') {
+            localDeleted(childPath);
+          }
+          pending.push(childPath);
+        } else if (!local || local.type !== 'file') {
+          if (local) {
+            localDeleted(childPath);
+          }
+          differences.added.push(remote);
+        } else if (syncState.getBaseHash(local.file_path) !== remote.hash) {
+          // Otherwise only our copy changed, and it is waiting to be uploaded
+          differences.modified.push(remote);
+        }
+      }
+      
+      for (const local of localChildren.values()) {
+        const childPath = MerkleTree.joinPath(node.path, local.name);
+        if (!isSkipped(childPath, local.type === 'directory')) {
+          localDeleted(childPath);
+        }
+      }
+    }
+  }
+  
+  return differences;
+}
+
+// Changes read per request from the change log
+const CHANGE_PAGE_SIZE = 500;
+// Past this many changes since the last sync, walking the namespace is cheaper
+const MAX_LOGGED_CHANGES = 5000;
+
+// Read the change log from `cursor` and work out what a walk would find for
+// the paths that changed, keeping only the last change to each. A move is a
+// deletion and an addition of the same content, which applyRemoteMoves turns
+// back into a local move. Folders are reconciled by syncFolders either way.
+// Returns null when a walk is needed: shares mounted or unmounted bring whole
+// folders with them, and files in newly encrypted folders hash differently.
+async function readRemoteChanges(localTree, cursor) {
+  const latest = new Map(); // Path to the server's file, or null once deleted
+  let count = 0;
+  let page;
+  
+  do {
+    page = await api.getChanges(cursor, CHANGE_PAGE_SIZE);
+    
+    for (const change of page.changes) {
+      const filePath = change.filePath.replace(/^\/+/, '');
+      const file = {
+        id: change.fileId,
+        filename: path.posix.basename(filePath),
+        file_path: filePath,
+        s3_url: `${config.API_BASE_URL}/files/${change.fileId}/content`,
+        hash: change.fileHash,
+        size: change.fileSize,
+        mime_type: change.mimeType
+      };
+      
+      switch (change.type) {
+        case 'create':
+        case 'modify':
+          latest.set(filePath, file);
+          break;
+        case 'delete':
+          latest.set(filePath, null);
+          break;
+        case 'move':
+          if (change.previousPath) {
+            latest.set(change.previousPath.replace(/^\/+/, ''), null);
+          }
+          latest.set(filePath, file);
+          break;
+        case 'folder_create':
+        case 'folder_move':
+        case 'folder_delete':
+          break;
+        case 'folder_encrypt':
+          await loadEncryptedFolders();
+          return null;
+        default:
+          return null;
+      }
+    }
+    
+    cursor = page.cursor;
+    count += page.changes.length;
+  } while (page.hasMore && count < MAX_LOGGED_CHANGES);
+  
+  if (page.hasMore) {
+    return null;
+  }
+  
+  const differences = { added: [], modified: [], deleted: [] };
+  
+  for (const [filePath, remote] of latest) {
+    if (isSkipped(filePath)) {
+      continue;
+    }
+    
+    const local = localTree.getFile(filePath);
+    if (!remote) {
+      if (local && syncState.getBaseHash(filePath)) {
+        differences.deleted.push(local);
+      }
+    } else if (!local) {
+      differences.added.push(remote);
+    } else if (local.hash !== remote.hash && syncState.getBaseHash(filePath) !== remote.hash) {
+      differences.modified.push(remote);
+    }
+  }
+  
+  return { differences, cursor, count };
+}
+
 async function performSync() {
   try {
     console.log('🔄 Starting Merkle Tree sync...');
     
     const fileWatcher = require('./file-watcher');
-    const localTree = fileWatcher.getMerkleTree();
     
-    // Get differences between local and server trees
-    const result = await api.getMerkleTreeDifferences(config.DEVICE_ID, localTree.toJSON());
+    await applySyncRules();
+    await applyIgnoreRules();
     
-    if (!result || !result.differences) {
-      console.log('⚠️ No differences data received from server');
+    // Apply what the change log recorded since the last sync
+    const cursor = syncState.getCursor();
+    const logged = cursor === null ? null : await readRemoteChanges(fileWatcher.getMerkleTree(), cursor);
+    if (logged && logged.count === 0) {
+      console.log('✅ No changes on the server since last sync');
+      lastSyncAt = new Date().toISOString();
       return;
     }
     
-    const differences = result.differences;
+    let latestCursor;
+    let differences;
+    if (logged) {
+      console.log(`📜 ${logged.count} changes in the change log since last sync`);
+      latestCursor = logged.cursor;
+      differences = logged.differences;
+    } else {
+      await loadEncryptedFolders();
+      // Taken before the walk, so changes made during it are picked up next time
+      latestCursor = await api.getChangeCursor();
+      // Walk the server's namespace top-down, skipping identical branches
+      differences = await findRemoteChanges(fileWatcher.getMerkleTree());
+    }
+    await applyRemoteMoves(differences);
+    let failed = 0;
     
     if ((differences.added && differences.added.length > 0) || 
         (differences.modified && differences.modified.length > 0) || 
@@ -49,12 +249,14 @@ async function performSync() {
         ...(differences.modified || [])
       ];
       
-      // Only download files that have valid s3_url (fully uploaded)
+      // Only download files that have valid s3_url (fully uploaded). They
+      // finish in the background, as the transfer scheduler gets to them.
       for (const file of filesToDownload) {
         if (file.s3_url && file.id) {
-          await downloadFileFromServer(file);
+          startDownload(file);
         } else {
           console.log(`⏭️ Skipping download of ${file.filename} (no S3 URL or ID)`);
+          failed++;
         }
       }
       
@@ -73,6 +275,14 @@ async function performSync() {
       console.log('✅ No sync differences found');
     }
     
+    await syncFolders();
+    
+    // Keep the old cursor while anything is left to retry, and until the
+    // downloads this sync started are done
+    if (failed === 0) {
+      await advanceCursor(latestCursor);
+    }
+    
     // Update last sync time
     lastSyncAt = new Date().toISOString();
     
@@ -84,6 +294,348 @@ async function performSync() {
   }
 }
 
+// Start downloading a changed file without waiting for it. A file already
+// on its way in at the same version is not fetched twice; a newer version
+// waits for the older download to finish, since both resume the same part.
+function startDownload(file) {
+  const pending = pendingDownloads.get(file.file_path);
+  if (pending && pending.hash === file.hash) {
+    return;
+  }
+  
+  const download = (pending ? pending.download : Promise.resolve())
+    .then(() => applyRemoteChange(file))
+    .catch((error) => {
+      console.error(`❌ Failed to apply remote change to ${file.file_path}:`, error.message);
+      return false;
+    })
+    .then(async (ok) => {
+      if (!ok) {
+        downloadFailed = true;
+      }
+      if (pendingDownloads.get(file.file_path)?.download === download) {
+        pendingDownloads.delete(file.file_path);
+      }
+      await require('./file-watcher').saveMerkleTree();
+      
+      if (pendingDownloads.size === 0) {
+        const cursor = deferredCursor;
+        deferredCursor = null;
+        if (cursor !== null && !downloadFailed) {
+          await syncState.setCursor(cursor);
+        }
+        downloadFailed = false;
+      }
+    })
+    .catch(error => console.error('❌ Error finishing download:', error.message));
+  
+  pendingDownloads.set(file.file_path, { hash: file.hash, download });
+}
+
+// Store the cursor now, or once the downloads in flight have all finished
+async function advanceCursor(cursor) {
+  if (pendingDownloads.size === 0) {
+    await syncState.setCursor(cursor);
+  } else {
+    deferredCursor = cursor;
+  }
+}
+
+// Empty folders are not part of the file tree, so folders are reconciled
+// separately against the folders this device last saw on the server:
+//   on the server, not here, never seen  - created remotely, create it here
+//   seen before, no longer on the server - deleted remotely, remove it here if empty
+// Local changes are sent by the watcher as they happen.
+async function syncFolders() {
+  const remote = new Set((await api.listFolderPaths()).map(folderPath => path.join(...folderPath.split('/'))));
+  
+  for (const folderPath of remote) {
+    const localPath = path.join(config.WATCH_DIRECTORY, folderPath);
+    
+    if (isSkipped(folderPath, true)) {
+      continue;
+    }
+    
+    if (await fs.pathExists(localPath)) {
+      await syncState.markFolderSynced(folderPath);
+    } else if (!syncState.isFolderSynced(folderPath)) {
+      // Marked first so the watcher does not send it back
+      await syncState.markFolderSynced(folderPath);
+      await fs.ensureDir(localPath);
+      console.log(`📁 Created folder: ${folderPath}`);
+    }
+  }
+  
+  // Deepest first, so emptied parents can go too
+  const removed = syncState.getSyncedFolders()
+    .filter(folderPath => !remote.has(folderPath))
+    .sort((a, b) => b.length - a.length);
+  
+  for (const folderPath of removed) {
+    await syncState.forgetFolder(folderPath);
+    try {
+      await fs.promises.rmdir(path.join(config.WATCH_DIRECTORY, folderPath));
+      console.log(`🗑️ Removed folder deleted on server: ${folderPath}`);
+    } catch (error) {
+      // Gone already, or still has files in it that are not on the server yet
+    }
+  }
+}
+
+// Fetch this device's sync rules and bring the local copy in line when they
+// changed: newly excluded folders are removed here (the server keeps them),
+// and a full walk downloads newly included ones.
+async function applySyncRules() {
+  const rules = await selectiveSync.loadRules();
+  
+  if (JSON.stringify(rules) === JSON.stringify(syncState.getSyncRules())) {
+    return;
+  }
+  
+  console.log(`🗂️ Sync rules changed (include: ${rules.include.join(', ') || 'everything'}; exclude: ${rules.exclude.join(', ') || 'nothing'})`);
+  
+  await removeExcludedFiles();
+  await syncState.setCursor(null);
+  await syncState.setSyncRules(rules);
+}
+
+// Which folders are encrypted is kept on the server, so every device treats
+// the same folders the same way
+async function loadEncryptedFolders() {
+  const paths = await api.listEncryptedFolders();
+  encryption.setEncryptedFolders(paths);
+  return paths;
+}
+
+// Files skipped under an earlier global ignore list may be wanted now, so a
+// changed list means walking the whole namespace again
+async function applyIgnoreRules() {
+  const patterns = await ignoreRules.loadGlobalRules();
+  
+  if (!patterns || JSON.stringify(patterns) === JSON.stringify(syncState.getIgnorePatterns())) {
+    return;
+  }
+  
+  console.log(`🙈 Ignore rules changed (${patterns.length} patterns)`);
+  
+  await syncState.setCursor(null);
+  await syncState.setIgnorePatterns(patterns);
+}
+
+// Remove excluded files from this device. Local edits that have not been
+// uploaded yet are left in place.
+async function removeExcludedFiles() {
+  const fileWatcher = require('./file-watcher');
+  const localTree = fileWatcher.getMerkleTree();
+  const emptied = new Set();
+  let removed = 0;
+  
+  for (const file of localTree.getAllFiles()) {
+    if (!selectiveSync.isExcluded(file.file_path)) {
+      continue;
+    }
+    
+    const localPath = path.join(config.WATCH_DIRECTORY, file.file_path);
+    const baseHash = syncState.getBaseHash(file.file_path);
+    
+    if (await fs.pathExists(localPath) && calculateFileHash(localPath) !== baseHash) {
+      console.log(`⚠️ Keeping ${file.file_path} in an excluded folder: it has changes that were never uploaded`);
+    } else {
+      fileWatcher.markAsDownloading(file.file_path);
+      try {
+        await fs.remove(localPath);
+        removed++;
+      } finally {
+        fileWatcher.markDownloadComplete(file.file_path, null);
+      }
+      emptied.add(path.dirname(file.file_path));
+    }
+    
+    localTree.removeFile(file.file_path);
+    await syncState.forgetPath(file.file_path);
+  }
+  
+  for (const folderPath of syncState.getSyncedFolders()) {
+    if (selectiveSync.isExcluded(folderPath)) {
+      await syncState.forgetFolder(folderPath);
+      emptied.add(folderPath);
+    }
+  }
+  
+  // Deepest first, climbing while the parents are excluded and empty
+  const pending = Array.from(emptied).sort((a, b) => b.length - a.length);
+  while (pending.length > 0) {
+    const folderPath = pending.shift();
+    if (folderPath === '.' || !selectiveSync.isExcluded(folderPath)) {
+      continue;
+    }
+    try {
+      await fs.promises.rmdir(path.join(config.WATCH_DIRECTORY, folderPath));
+      pending.push(path.dirname(folderPath));
+    } catch (error) {
+      // Gone already, or still holds something
+    }
+  }
+  
+  if (removed > 0) {
+    await fileWatcher.saveMerkleTree();
+    console.log(`🗂️ Removed ${removed} excluded files from this device`);
+  }
+}
+
+// A file moved on the server shows up as deleted at its old path and added at
+// the new one. Move an unmodified local copy over instead of downloading it again.
+async function applyRemoteMoves(differences) {
+  const fileWatcher = require('./file-watcher');
+  const localTree = fileWatcher.getMerkleTree();
+  const movable = new Map();
+  
+  for (const file of differences.deleted) {
+    const localPath = path.join(config.WATCH_DIRECTORY, file.file_path);
+    if (syncState.getBaseHash(file.file_path) === file.hash && calculateFileHash(localPath) === file.hash) {
+      movable.set(file.hash, [...(movable.get(file.hash) || []), file]);
+    }
+  }
+  
+  const added = [];
+  const movedFrom = new Set();
+  
+  for (const file of differences.added) {
+    const source = movable.get(file.hash)?.shift();
+    const sourcePath = source && path.join(config.WATCH_DIRECTORY, source.file_path);
+    const targetPath = path.join(config.WATCH_DIRECTORY, file.file_path);
+    
+    if (!source || await fs.pathExists(targetPath)) {
+      added.push(file);
+      continue;
+    }
+    
+    // Update the tree first so the watcher sees neither a deletion nor a new file
+    fileWatcher.markAsDownloading(file.file_path);
+    localTree.removeFile(source.file_path);
+    localTree.addOrUpdateFile(file.file_path, {
+      id: file.id,
+      filename: file.filename,
+      local_url: targetPath,
+      s3_url: file.s3_url,
+      hash: file.hash,
+      size: file.size,
+      mime_type: file.mime_type
+    });
+    
+    try {
+      await fs.move(sourcePath, targetPath);
+      await syncState.forgetPath(source.file_path);
+      await syncState.markSynced(file.file_path, file.hash);
+      movedFrom.add(source);
+      console.log(`🚚 Moved locally: ${source.file_path} → ${file.file_path}`);
+    } catch (error) {
+      console.error(`⚠️ Local move failed, downloading instead: ${error.message}`);
+      localTree.removeFile(file.file_path);
+      localTree.addOrUpdateFile(source.file_path, source);
+      added.push(file);
+    } finally {
+      fileWatcher.markDownloadComplete(file.file_path, file.hash);
+    }
+  }
+  
+  differences.added = added;
+  differences.deleted = differences.deleted.filter(file => !movedFrom.has(file));
+  
+  if (movedFrom.size > 0) {
+    await fileWatcher.saveMerkleTree();
+  }
+}
+
+// Three-way check of a file changed on the server against the local copy and
+// the version both last agreed on. Only a local copy that was edited since then
+// and differs from the server's is in conflict; it is kept as a conflicted copy.
+async function applyRemoteChange(fileMetadata) {
+  const localPath = path.join(config.WATCH_DIRECTORY, fileMetadata.file_path);
+  const relativePath = path.relative(config.WATCH_DIRECTORY, localPath);
+  
+  if (await fs.pathExists(localPath)) {
+    const localHash = calculateFileHash(localPath);
+    const baseHash = syncState.getBaseHash(relativePath);
+    
+    if (localHash && localHash !== fileMetadata.hash && localHash !== baseHash) {
+      await materializeLocalConflict(relativePath, localHash, baseHash, fileMetadata);
+    }
+  }
+  
+  return downloadFileFromServer(fileMetadata);
+}
+
+// Move the local edit aside as a conflicted copy so the server's version can
+// take its place. The watcher uploads the copy as a new file.
+async function materializeLocalConflict(relativePath, localHash, baseHash, fileMetadata) {
+  const fileWatcher = require('./file-watcher');
+  const copyPath = await findConflictPath(config.WATCH_DIRECTORY, relativePath, config.DEVICE_ID);
+  
+  console.log(`⚠️ Conflict on ${relativePath}: changed locally and on the server, keeping local copy as ${copyPath}`);
+  
+  // The original path is re-downloaded right away; it must not look like a local deletion
+  fileWatcher.markAsDownloading(relativePath);
+  fileWatcher.getMerkleTree().removeFile(relativePath);
+  await fs.move(path.join(config.WATCH_DIRECTORY, relativePath), path.join(config.WATCH_DIRECTORY, copyPath));
+  
+  try {
+    await api.reportConflict({
+      filePath: api.toServerPath(relativePath),
+      conflictPath: api.toServerPath(copyPath),
+      deviceId: config.DEVICE_ID,
+      baseHash,
+      localHash,
+      remoteHash: fileMetadata.hash
+    });
+  } catch (error) {
+    console.error(`⚠️ Failed to report conflict: ${error.message}`);
+  }
+}
+
+// The server rejected our upload of `relativePath` as based on an outdated
+// version and stored it as a conflicted copy. Mirror that locally.
+async function applyUploadConflict(relativePath, result) {
+  const fileWatcher = require('./file-watcher');
+  const copy = result.file;
+  const copyPath = path.normalize(copy.filePath.replace(/^\//, ''));
+  
+  // Our content is already on the server under the copy's path
+  fileWatcher.markAsDownloading(relativePath);
+  fileWatcher.markAsDownloading(copyPath);
+  fileWatcher.getMerkleTree().removeFile(relativePath);
+  
+  try {
+    await fs.move(path.join(config.WATCH_DIRECTORY, relativePath), path.join(config.WATCH_DIRECTORY, copyPath));
+    fileWatcher.getMerkleTree().addOrUpdateFile(copyPath, {
+      filename: copy.filename,
+      local_url: path.join(config.WATCH_DIRECTORY, copyPath),
+      s3_url: copy.s3Url,
+      hash: copy.fileHash,
+      size: copy.fileSize,
+      mime_type: copy.mimeType
+    });
+    await syncState.markSynced(copyPath, copy.fileHash);
+  } finally {
+    fileWatcher.markDownloadComplete(copyPath, copy.fileHash);
+  }
+  
+  // Not awaited: this runs inside the upload's transfer slot, and the
+  // download needs a slot of its own
+  const current = result.currentFile;
+  startDownload({
+    id: current.id,
+    filename: current.filename,
+    file_path: relativePath,
+    s3_url: current.s3Url,
+    hash: current.fileHash,
+    size: current.fileSize,
+    mime_type: current.mimeType
+  });
+  
+  await fileWatcher.saveMerkleTree();
+}
+
 async function downloadFileFromServer(fileMetadata) {
   const fileWatcher = require('./file-watcher'); // Import here to avoid circular dependency
   
@@ -96,7 +648,8 @@ async function downloadFileFromServer(fileMetadata) {
       const localHash = calculateFileHash(localPath);
       if (localHash === fileMetadata.hash) {
         console.log(`⏭️ File unchanged: ${fileMetadata.filename}`);
-        return;
+        await syncState.markSynced(relativePath, fileMetadata.hash);
+        return true;
       }
     }
     
@@ -108,25 +661,32 @@ async function downloadFileFromServer(fileMetadata) {
     // Use authenticated server download instead of direct S3 access
     // This ensures fresh URLs and proper authentication
     if (fileMetadata.id) {
-      await api.downloadFile(fileMetadata.id, localPath);
+      await transfers.schedule('download', relativePath, Number(fileMetadata.size) || 0,
+        (meter) => api.downloadFile(fileMetadata.id, localPath, { expectedHash: fileMetadata.hash, meter }));
     } else {
       console.error(`❌ No file ID available for ${fileMetadata.filename}`);
-      return;
+      return false;
     }
     
-    // Update local Merkle Tree
+    // Update local Merkle Tree, with the local size and time the startup scan compares
+    const stats = await fs.stat(localPath);
     const localTree = fileWatcher.getMerkleTree();
     localTree.addOrUpdateFile(relativePath, {
+      id: fileMetadata.id,
       filename: fileMetadata.filename,
       local_url: localPath,
       s3_url: fileMetadata.s3_url,
       hash: fileMetadata.hash,
-      size: fileMetadata.size,
+      size: stats.size,
+      mtime: stats.mtimeMs,
       mime_type: fileMetadata.mime_type
     });
     
+    await syncState.markSynced(relativePath, fileMetadata.hash);
+    
     // Mark download complete with hash
     fileWatcher.markDownloadComplete(relativePath, fileMetadata.hash);
+    return true;
     
   } catch (error) {
     console.error(`❌ Failed to download ${fileMetadata.filename}:`, error.message);
@@ -135,6 +695,7 @@ async function downloadFileFromServer(fileMetadata) {
     const relativePath = path.relative(config.WATCH_DIRECTORY, 
       path.join(config.WATCH_DIRECTORY, fileMetadata.file_path));
     require('./file-watcher').markDownloadComplete(relativePath, null);
+    return false;
   }
 }
 
@@ -171,18 +732,36 @@ async function handleServerDeletion(fileMetadata) {
     const localPath = path.join(config.WATCH_DIRECTORY, fileMetadata.file_path);
     const relativePath = path.relative(config.WATCH_DIRECTORY, localPath);
     
-    console.log(`🗑️ Server deleted file, removing locally: ${fileMetadata.filename}`);
+    const fileWatcher = require('./file-watcher');
     
-    // Remove local file if it exists
+    // A local edit made since the last sync wins over the remote deletion
     if (await fs.pathExists(localPath)) {
-      await fs.remove(localPath);
-      console.log(`🗑️ Deleted local file: ${fileMetadata.filename}`);
+      const baseHash = syncState.getBaseHash(relativePath);
+      if (baseHash && calculateFileHash(localPath) !== baseHash) {
+        console.log(`⚠️ ${fileMetadata.filename} was deleted on the server but changed locally, keeping it`);
+        await syncState.forgetPath(relativePath);
+        await fileWatcher.queueUpload(localPath, relativePath);
+        return;
+      }
+    }
+    
+    console.log(`🗑️ Server deleted file, moving local copy to trash: ${fileMetadata.filename}`);
+    
+    // Keep the local copy recoverable; the watcher must not treat the move as a local deletion
+    fileWatcher.markAsDownloading(relativePath);
+    try {
+      const trashPath = await localTrash.moveToTrash(relativePath);
+      if (trashPath) {
+        console.log(`🗑️ Moved local file to ${path.relative(config.WATCH_DIRECTORY, trashPath)}`);
+      }
+    } finally {
+      fileWatcher.markDownloadComplete(relativePath, null);
     }
     
     // Remove from local Merkle Tree
-    const fileWatcher = require('./file-watcher');
     const localTree = fileWatcher.getMerkleTree();
     localTree.removeFile(relativePath);
+    await syncState.forgetPath(relativePath);
     
     console.log(`🌳 Removed from local Merkle Tree: ${fileMetadata.filename}`);
     
@@ -191,17 +770,105 @@ async function handleServerDeletion(fileMetadata) {
   }
 }
 
+// Restore a previous version on the server and bring it into the watch folder
+async function restoreFileVersion(fileId, versionId) {
+  const fileWatcher = require('./file-watcher');
+  
+  const result = await api.restoreFileVersion(fileId, versionId);
+  const file = result.file;
+  
+  console.log(`⏪ ${result.message}: ${file.filePath}`);
+  
+  await downloadFileFromServer({
+    id: file.id,
+    filename: file.filename,
+    file_path: file.filePath,
+    s3_url: file.s3Url,
+    hash: file.fileHash,
+    size: file.fileSize,
+    mime_type: file.mimeType
+  });
+  
+  await fileWatcher.saveMerkleTree();
+  return result;
+}
+
+async function purgeLocalTrash() {
+  try {
+    const purged = await localTrash.purgeLocalTrash();
+    if (purged > 0) {
+      console.log(`🗑️ Purged ${purged} old entries from local trash`);
+    }
+  } catch (error) {
+    console.error('❌ Failed to purge local trash:', error.message);
+  }
+}
+
+async function pruneDownloadParts() {
+  try {
+    const pruned = await api.pruneDownloadParts();
+    if (pruned > 0) {
+      console.log(`🧹 Removed ${pruned} unfinished downloads left from earlier runs`);
+    }
+  } catch (error) {
+    console.error('❌ Failed to remove old unfinished downloads:', error.message);
+  }
+}
+
+// Run performSync, folding requests that arrive while it runs into one rerun
+let runningSync = null;
+let syncRequested = false;
+
+function requestSync() {
+  syncRequested = true;
+  
+  if (!runningSync) {
+    runningSync = (async () => {
+      while (syncRequested) {
+        syncRequested = false;
+        await performSync();
+      }
+      runningSync = null;
+    })();
+  }
+  
+  return runningSync;
+}
+
 function startPeriodicSync() {
   // Initial sync
-  performSync();
+  requestSync();
+  purgeLocalTrash();
+  pruneDownloadParts();
+  
+  // Sync when the server reports a change, and after every reconnect to
+  // catch up on whatever happened while the stream was down
+  changeStream.connect({
+    onConnect: requestSync,
+    onEvent: (event, data) => {
+      if (event === 'change' || event === 'resync' || event === 'ignore_rules' ||
+          (event === 'sync_rules' && data.deviceId === config.DEVICE_ID)) {
+        requestSync();
+      }
+    }
+  });
   
-  // Set up periodic sync
-  setInterval(performSync, config.SYNC_INTERVAL);
+  // Fall back to polling while the stream is down
+  setInterval(() => {
+    if (!changeStream.isConnected()) {
+      requestSync();
+    }
+  }, config.SYNC_INTERVAL);
   
-  console.log(`⏰ Periodic sync every ${config.SYNC_INTERVAL / 1000} seconds`);
+  console.log(`⏰ Syncing on server events, polling every ${config.SYNC_INTERVAL / 1000} seconds while disconnected`);
 }
 
 module.exports = {
   performSync,
-  startPeriodicSync
+  requestSync,
+  findRemoteChanges,
+  startPeriodicSync,
+  loadEncryptedFolders,
+  restoreFileVersion,
+  applyUploadConflict
 };
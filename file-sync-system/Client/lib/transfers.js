@@ -0,0 +1,159 @@
+// client/lib/transfers.js - One scheduler for every upload and download
+//
+// Up to TRANSFER_CONCURRENCY transfers run at once, smallest first, so a
+// batch of small files is not stuck behind a large one. Large files never
+// take the last free slot, which keeps a lane open for small ones. Each
+// direction can be capped in bandwidth; transfers report the bytes they move
+// through `meter`, which is where they are throttled and paused.
+//
+// Events on `events`: queued, start, progress, done, failed, paused, resumed.
+// Each carries { id, direction, path, size, transferred } (none for paused
+// and resumed).
+const EventEmitter = require('events');
+const config = require('../config');
+
+const events = new EventEmitter();
+
+// Bytes per second, refilled continuously, with up to a second's worth of
+// burst. A take larger than what is left runs the bucket into debt, which
+// every later take waits out, so concurrent transfers share the rate.
+class TokenBucket {
+  constructor(bytesPerSecond) {
+    this.rate = bytesPerSecond;
+    this.tokens = bytesPerSecond;
+    this.updatedAt = Date.now();
+  }
+
+  async take(bytes) {
+    if (!this.rate) {
+      return;
+    }
+
+    const now = Date.now();
+    this.tokens = Math.min(this.rate, this.tokens + (now - this.updatedAt) / 1000 * this.rate);
+    this.updatedAt = now;
+    this.tokens -= bytes;
+
+    if (this.tokens < 0) {
+      await new Promise(resolve => setTimeout(resolve, -this.tokens / this.rate * 1000));
+    }
+  }
+}
+
+const buckets = {
+  upload: new TokenBucket(config.UPLOAD_LIMIT_KBPS * 1024),
+  download: new TokenBucket(config.DOWNLOAD_LIMIT_KBPS * 1024)
+};
+
+const queue = [];
+const running = new Set();
+let nextId = 1;
+let paused = false;
+let resumeWaiters = [];
+
+function isLarge(job) {
+  return job.size > config.SMALL_FILE_SIZE;
+}
+
+function describe(job) {
+  return { id: job.id, direction: job.direction, path: job.path, size: job.size, transferred: job.transferred };
+}
+
+// The smallest queued job that may start now, or null
+function takeNext() {
+  if (paused || running.size >= config.TRANSFER_CONCURRENCY || queue.length === 0) {
+    return null;
+  }
+
+  const lastSlot = running.size === config.TRANSFER_CONCURRENCY - 1 && config.TRANSFER_CONCURRENCY > 1;
+  const index = queue.findIndex(job => !(lastSlot && isLarge(job)));
+  return index === -1 ? null : queue.splice(index, 1)[0];
+}
+
+function startNext() {
+  let job;
+  while ((job = takeNext())) {
+    run(job);
+  }
+}
+
+async function run(job) {
+  running.add(job);
+  events.emit('start', describe(job));
+
+  const meter = async (bytes) => {
+    while (paused) {
+      await new Promise(resolve => resumeWaiters.push(resolve));
+    }
+    await buckets[job.direction].take(bytes);
+    job.transferred += bytes;
+    events.emit('progress', describe(job));
+  };
+
+  try {
+    const result = await job.task(meter);
+    events.emit('done', describe(job));
+    job.resolve(result);
+  } catch (error) {
+    events.emit('failed', { ...describe(job), error: error.message });
+    job.reject(error);
+  } finally {
+    running.delete(job);
+    startNext();
+  }
+}
+
+// Queue a transfer. `task(meter)` does the work and calls `await meter(bytes)`
+// for every piece it sends or receives. Resolves or rejects with the task.
+function schedule(direction, path, size, task) {
+  return new Promise((resolve, reject) => {
+    const job = { id: nextId++, direction, path, size: size || 0, transferred: 0, task, resolve, reject };
+
+    // Kept sorted by size; equal sizes stay in order
+    const index = queue.findIndex(queued => queued.size > job.size);
+    queue.splice(index === -1 ? queue.length : index, 0, job);
+
+    events.emit('queued', describe(job));
+    // After the current tick, so a batch scheduled together is sorted first
+    setImmediate(startNext);
+  });
+}
+
+// Stop starting transfers and hold running ones at their next piece
+function pause() {
+  if (!paused) {
+    paused = true;
+    events.emit('paused');
+  }
+}
+
+function resume() {
+  if (paused) {
+    paused = false;
+    resumeWaiters.splice(0).forEach(resolve => resolve());
+    events.emit('resumed');
+    startNext();
+  }
+}
+
+function isPaused() {
+  return paused;
+}
+
+function getStatus() {
+  return {
+    paused,
+    queued: queue.length,
+    running: Array.from(running).map(describe)
+  };
+}
+
+module.exports = {
+  TokenBucket,
+  events,
+  schedule,
+  pause,
+  resume,
+  isPaused,
+  getStatus
+};
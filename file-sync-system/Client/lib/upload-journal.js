@@ -0,0 +1,66 @@
+// client/lib/upload-journal.js - Persisted list of pending uploads
+const localDb = require('./local-db');
+
+function toEntry(row) {
+  return {
+    relativePath: row.path,
+    hash: row.hash,
+    sessionId: row.session_id || undefined,
+    queuedAt: row.queued_at
+  };
+}
+
+async function loadJournal() {
+  try {
+    return getPendingUploads();
+  } catch (error) {
+    console.error('❌ Error loading upload journal:', error.message);
+    return [];
+  }
+}
+
+function getPendingUploads() {
+  return localDb.getDb().prepare('SELECT * FROM uploads ORDER BY queued_at').all().map(toEntry);
+}
+
+function getUpload(relativePath) {
+  const row = localDb.getDb().prepare('SELECT * FROM uploads WHERE path = ?').get(relativePath);
+  return row ? toEntry(row) : null;
+}
+
+// Add a file to the journal, keeping any session already started for it
+async function recordUpload(relativePath, hash) {
+  localDb.getDb().prepare(`
+    INSERT INTO uploads (path, hash, queued_at) VALUES (?, ?, ?)
+    ON CONFLICT (path) DO UPDATE SET hash = excluded.hash, queued_at = excluded.queued_at
+  `).run(relativePath, hash, new Date().toISOString());
+}
+
+async function updateUpload(relativePath, changes) {
+  const columns = { sessionId: 'session_id' };
+  for (const [key, value] of Object.entries(changes)) {
+    if (!columns[key]) {
+      throw new Error(`Unknown upload journal field: ${key}`);
+    }
+    localDb.getDb().prepare(`UPDATE uploads SET ${columns[key]} = ? WHERE path = ?`).run(value ?? null, relativePath);
+  }
+}
+
+// Remove a file from the journal. With `hash`, only remove it if the journaled
+// content is still that version (the file may have changed again meanwhile).
+async function removeUpload(relativePath, hash = null) {
+  if (hash) {
+    localDb.getDb().prepare('DELETE FROM uploads WHERE path = ? AND hash = ?').run(relativePath, hash);
+  } else {
+    localDb.getDb().prepare('DELETE FROM uploads WHERE path = ?').run(relativePath);
+  }
+}
+
+module.exports = {
+  loadJournal,
+  getPendingUploads,
+  getUpload,
+  recordUpload,
+  updateUpload,
+  removeUpload
+};
@@ -3,12 +3,16 @@ const axios = require('axios');
 const fs = require('fs-extra');
 const path = require('path');
 const FormData = require('form-data');
+const { chunkFile } = require('../lib/chunker');
+const { MerkleTree } = require('../lib/merkle-tree');
+const encryption = require('../lib/encryption');
 
 const config = {
   BASE_URL: 'http://localhost:3000/api',
   USER_EMAIL: 'test@example.com',
   USER_PASSWORD: 'password123',
-  DEVICE_ID: 'test-device-001'
+  DEVICE_ID: 'test-device-001',
+  E2E_PASSPHRASE: 'test encryption passphrase'
 };
 
 let authToken = null;
@@ -99,9 +103,10 @@ async function testFileUpload() {
   try {
     // Create form data
     const form = new FormData();
-    form.append('file', fs.createReadStream(testFile));
     form.append('filePath', '/test');
     form.append('localUrl', testFile);
+    form.append('fileSize', fs.statSync(testFile).size);
+    form.append('file', fs.createReadStream(testFile));
     
     const uploadResult = await apiCall('POST', '/files/upload', form);
     console.log('✅ File upload successful');
@@ -116,6 +121,363 @@ async function testFileUpload() {
   }
 }
 
+async function testStreamingUpload() {
+  console.log('\n🌊 Testing Streaming Upload...');
+  
+  const testDir = path.join(__dirname, 'temp');
+  await fs.ensureDir(testDir);
+  
+  // Several chunks' worth, so the server has to chunk it as it streams in
+  const testFile = path.join(testDir, 'test-streaming.bin');
+  const content = require('crypto').randomBytes(3 * 1024 * 1024 + 123);
+  await fs.writeFile(testFile, content);
+  const expectedHash = require('crypto').createHash('sha256').update(content).digest('hex');
+  
+  const upload = (fileHash) => {
+    const form = new FormData();
+    form.append('filePath', '/test');
+    form.append('fileHash', fileHash);
+    form.append('fileSize', fs.statSync(testFile).size);
+    form.append('file', fs.createReadStream(testFile));
+    return apiCall('POST', '/files/upload', form);
+  };
+  
+  let file = null;
+  try {
+    try {
+      await upload('0'.repeat(64));
+      throw new Error('Upload with the wrong fileHash was committed');
+    } catch (error) {
+      if (error.response?.status !== 400) throw error;
+      console.log('✅ Upload not matching fileHash rejected');
+    }
+    
+    file = (await upload(expectedHash)).file;
+    if (file.fileHash !== expectedHash || parseInt(file.fileSize) !== content.length) {
+      throw new Error(`Server hashed the upload as ${file.fileHash} (${file.fileSize} bytes)`);
+    }
+    
+    const stored = await axios.get(`${config.BASE_URL}/files/${file.id}/content`, {
+      responseType: 'arraybuffer',
+      headers: { Authorization: `Bearer ${authToken}` }
+    });
+    if (!Buffer.from(stored.data).equals(content)) {
+      throw new Error('Downloaded content differs from the upload');
+    }
+    console.log('✅ Streamed upload stored with a verified hash');
+  } finally {
+    if (file) {
+      await apiCall('DELETE', `/files/${file.id}`);
+    }
+    await fs.remove(testDir);
+  }
+}
+
+async function testRangeDownload() {
+  console.log('\n⏯️ Testing Range Downloads...');
+  
+  const testDir = path.join(__dirname, 'temp');
+  await fs.ensureDir(testDir);
+  
+  const testFile = path.join(testDir, 'test-range.bin');
+  const content = require('crypto').randomBytes(600 * 1024);
+  await fs.writeFile(testFile, content);
+  
+  let file = null;
+  try {
+    const form = new FormData();
+    form.append('filePath', '/test');
+    form.append('fileSize', fs.statSync(testFile).size);
+    form.append('file', fs.createReadStream(testFile));
+    file = (await apiCall('POST', '/files/upload', form)).file;
+    
+    const get = (headers) => axios.get(`${config.BASE_URL}/files/${file.id}/content`, {
+      responseType: 'arraybuffer',
+      headers: { Authorization: `Bearer ${authToken}`, ...headers },
+      validateStatus: () => true
+    });
+    
+    // Across chunk boundaries, up to the end
+    const start = 100000;
+    const partial = await get({ Range: `bytes=${start}-`, 'If-Range': `"${file.fileHash}"` });
+    if (partial.status !== 206 || !Buffer.from(partial.data).equals(content.subarray(start))) {
+      throw new Error(`Range request returned ${partial.status}`);
+    }
+    if (partial.headers['content-range'] !== `bytes ${start}-${content.length - 1}/${content.length}`) {
+      throw new Error(`Unexpected Content-Range ${partial.headers['content-range']}`);
+    }
+    console.log('✅ Download resumed from the middle');
+    
+    const changed = await get({ Range: `bytes=${start}-`, 'If-Range': `"${'0'.repeat(64)}"` });
+    if (changed.status !== 200 || !Buffer.from(changed.data).equals(content)) {
+      throw new Error('Range for another version was not answered with the whole file');
+    }
+    console.log('✅ Whole file sent when the content changed since');
+    
+    const beyond = await get({ Range: `bytes=${content.length}-` });
+    if (beyond.status !== 416) {
+      throw new Error(`Range past the end returned ${beyond.status}`);
+    }
+    console.log('✅ Range past the end rejected');
+  } finally {
+    if (file) {
+      await apiCall('DELETE', `/files/${file.id}`);
+    }
+    await fs.remove(testDir);
+  }
+}
+
+async function testUploadSession() {
+  console.log('\n⏯️ Testing Resumable Upload Session...');
+  
+  const testDir = path.join(__dirname, 'temp');
+  await fs.ensureDir(testDir);
+  
+  // Fresh random content, so every chunk is missing and the single part is the whole file
+  const testFile = path.join(testDir, 'test-session.bin');
+  const content = require('crypto').randomBytes(512 * 1024);
+  await fs.writeFile(testFile, content);
+  
+  try {
+    const { hash, size, chunks } = await chunkFile(testFile);
+    
+    const initResult = await apiCall('POST', '/uploads', {
+      filename: 'test-session.bin',
+      filePath: '/test',
+      fileHash: hash,
+      fileSize: size,
+      chunks: chunks.map(chunk => ({ hash: chunk.hash, size: chunk.size }))
+    });
+    const session = initResult.session;
+    console.log('✅ Upload session created');
+    console.log(`   Session ID: ${session.id}`);
+    console.log(`   Parts: ${session.partCount}, bytes to send: ${session.packSize}`);
+    
+    await apiCall('PUT', `/uploads/${session.id}/parts/1`, content, {
+      'Content-Type': 'application/octet-stream'
+    });
+    
+    const statusResult = await apiCall('GET', `/uploads/${session.id}`);
+    console.log(`✅ Session reports ${statusResult.session.parts.length} acknowledged part(s)`);
+    
+    const completeResult = await apiCall('POST', `/uploads/${session.id}/complete`);
+    console.log('✅ Upload session completed');
+    console.log(`   File ID: ${completeResult.file.id}`);
+    
+    // Another user can neither see which chunks are stored nor skip sending them
+    const ownerToken = authToken;
+    try {
+      authToken = (await apiCall('POST', '/auth/register', {
+        email: `chunks-${Date.now()}@example.com`,
+        password: config.USER_PASSWORD
+      })).token;
+      
+      const other = (await apiCall('POST', '/uploads', {
+        filename: 'claimed.bin',
+        filePath: '/test',
+        fileHash: hash,
+        fileSize: size,
+        chunks: chunks.map(chunk => ({ hash: chunk.hash, size: chunk.size }))
+      })).session;
+      await apiCall('DELETE', `/uploads/${other.id}`);
+      if (other.packSize !== size) {
+        throw new Error('Another user was told which chunks are stored');
+      }
+      console.log('✅ Stored chunks stay private to the users who sent them');
+    } finally {
+      authToken = ownerToken;
+    }
+    
+    return completeResult.file;
+  } finally {
+    await fs.remove(testDir);
+  }
+}
+
+async function testFileVersions() {
+  console.log('\n🕘 Testing File Versions...');
+  
+  const testDir = path.join(__dirname, 'temp');
+  await fs.ensureDir(testDir);
+  const testFile = path.join(testDir, 'test-versions.txt');
+  
+  const uploadVersion = async (content) => {
+    await fs.writeFile(testFile, content);
+    const form = new FormData();
+    form.append('filePath', '/test');
+    form.append('fileSize', fs.statSync(testFile).size);
+    form.append('file', fs.createReadStream(testFile));
+    return apiCall('POST', '/files/upload', form);
+  };
+  
+  try {
+    const first = await uploadVersion(`First version ${Date.now()}`);
+    const second = await uploadVersion(`Second version ${Date.now()}`);
+    
+    if (first.file.id !== second.file.id) {
+      throw new Error('Editing a file created a new file instead of a new version');
+    }
+    console.log('✅ Second upload stored as a new version of the same file');
+    
+    const versionsResult = await apiCall('GET', `/files/${second.file.id}/versions`);
+    console.log(`✅ Version listing successful (${versionsResult.versions.length} versions)`);
+    
+    const previous = versionsResult.versions.find(version => version.fileHash === first.file.fileHash);
+    const restoreResult = await apiCall('POST', `/files/${second.file.id}/versions/${previous.id}/restore`);
+    
+    if (restoreResult.file.fileHash !== first.file.fileHash) {
+      throw new Error('Restored file does not have the previous content');
+    }
+    console.log(`✅ ${restoreResult.message}`);
+    
+    return restoreResult.file;
+  } finally {
+    await fs.remove(testDir);
+  }
+}
+
+async function testPathIdentity() {
+  console.log('\n🪪 Testing Path-Based File Identity...');
+  
+  const testDir = path.join(__dirname, 'temp');
+  await fs.ensureDir(testDir);
+  const content = `Shared template ${Date.now()}`;
+  
+  const uploadCopy = async (filename) => {
+    const testFile = path.join(testDir, filename);
+    await fs.writeFile(testFile, content);
+    const form = new FormData();
+    form.append('filePath', '/test');
+    form.append('fileSize', fs.statSync(testFile).size);
+    form.append('file', fs.createReadStream(testFile));
+    return apiCall('POST', '/files/upload', form);
+  };
+  
+  try {
+    const first = await uploadCopy('template-copy-a.txt');
+    const second = await uploadCopy('template-copy-b.txt');
+    
+    if (first.file.id === second.file.id) {
+      throw new Error('Identical content at two paths collapsed into one file');
+    }
+    console.log('✅ Identical content at two paths kept as separate files');
+    
+    try {
+      await apiCall('DELETE', `/files/hash/${first.file.fileHash}`);
+      throw new Error('Ambiguous delete by hash was accepted');
+    } catch (error) {
+      if (error.response?.status !== 409) throw error;
+      console.log('✅ Ambiguous delete by hash rejected');
+    }
+    
+    const filePath = encodeURIComponent(first.file.filePath);
+    await apiCall('DELETE', `/files/hash/${first.file.fileHash}?filePath=${filePath}`);
+    
+    const remaining = await apiCall('GET', `/files/${second.file.id}/download`);
+    if (!remaining.downloadUrl) {
+      throw new Error('Deleting one copy affected the other');
+    }
+    console.log('✅ Deleting one copy left the other intact');
+    
+    await apiCall('DELETE', `/files/${second.file.id}`);
+  } finally {
+    await fs.remove(testDir);
+  }
+}
+
+async function testConflicts() {
+  console.log('\n⚔️ Testing Conflict Detection...');
+  
+  const testDir = path.join(__dirname, 'temp');
+  await fs.ensureDir(testDir);
+  const testFile = path.join(testDir, `test-conflict-${Date.now()}.txt`);
+  
+  const uploadVersion = async (content, baseHash) => {
+    await fs.writeFile(testFile, content);
+    const form = new FormData();
+    form.append('filePath', '/test');
+    form.append('deviceId', 'api-test');
+    if (baseHash !== undefined) {
+      form.append('baseHash', baseHash);
+    }
+    form.append('fileSize', fs.statSync(testFile).size);
+    form.append('file', fs.createReadStream(testFile));
+    return apiCall('POST', '/files/upload', form);
+  };
+  
+  try {
+    const original = await uploadVersion(`Original ${Date.now()}`, '');
+    const edit = await uploadVersion(`Edit from one device ${Date.now()}`, original.file.fileHash);
+    
+    if (edit.conflict) {
+      throw new Error('Edit based on the current version was flagged as a conflict');
+    }
+    
+    // Second device still thinks the original is current
+    const staleEdit = await uploadVersion(`Edit from another device ${Date.now()}`, original.file.fileHash);
+    
+    if (!staleEdit.conflict || !staleEdit.file.filePath.includes('conflicted copy from api-test')) {
+      throw new Error('Edit based on an outdated version was not saved as a conflicted copy');
+    }
+    if (staleEdit.currentFile.fileHash !== edit.file.fileHash) {
+      throw new Error('Conflicting upload overwrote the current version');
+    }
+    console.log(`✅ Conflicted copy created: ${staleEdit.file.filePath}`);
+    
+    const conflictsResult = await apiCall('GET', '/sync/conflicts?status=open');
+    if (!conflictsResult.conflicts.some(conflict => conflict.id === staleEdit.conflict.id)) {
+      throw new Error('Conflict is not listed');
+    }
+    console.log(`✅ Conflict listing successful (${conflictsResult.count} open)`);
+    
+    const resolveResult = await apiCall('POST', `/sync/conflicts/${staleEdit.conflict.id}/resolve`);
+    console.log(`✅ ${resolveResult.message}`);
+  } finally {
+    await fs.remove(testDir);
+  }
+}
+
+async function testTrash() {
+  console.log('\n🗑️ Testing Trash...');
+  
+  const testDir = path.join(__dirname, 'temp');
+  await fs.ensureDir(testDir);
+  const testFile = path.join(testDir, `test-trash-${Date.now()}.txt`);
+  
+  try {
+    await fs.writeFile(testFile, `Trash test ${Date.now()}`);
+    const form = new FormData();
+    form.append('filePath', '/test');
+    form.append('fileSize', fs.statSync(testFile).size);
+    form.append('file', fs.createReadStream(testFile));
+    const uploadResult = await apiCall('POST', '/files/upload', form);
+    const fileId = uploadResult.file.id;
+    
+    await apiCall('DELETE', `/files/${fileId}`);
+    
+    const trashResult = await apiCall('GET', '/trash');
+    if (!trashResult.files.some(file => file.id === fileId)) {
+      throw new Error('Deleted file is not in the trash');
+    }
+    console.log(`✅ Deleted file moved to trash (${trashResult.count} files in trash)`);
+    
+    const restoreResult = await apiCall('POST', `/trash/${fileId}/restore`);
+    await apiCall('GET', `/files/${fileId}/download`);
+    console.log(`✅ ${restoreResult.message}`);
+    
+    await apiCall('DELETE', `/files/${fileId}`);
+    await apiCall('DELETE', `/trash/${fileId}`);
+    
+    const afterPurge = await apiCall('GET', '/trash');
+    if (afterPurge.files.some(file => file.id === fileId)) {
+      throw new Error('Permanently deleted file is still in the trash');
+    }
+    console.log('✅ File permanently deleted from trash');
+  } finally {
+    await fs.remove(testDir);
+  }
+}
+
 async function testMerkleTreeOperations() {
   console.log('\n🌳 Testing Merkle Tree Operations...');
   
@@ -206,6 +568,907 @@ async function testMerkleTreeOperations() {
   }
 }
 
+async function testNamespaceSync() {
+  console.log('\n🗺️ Testing Namespace Sync...');
+  
+  const testDir = path.join(__dirname, 'temp');
+  await fs.ensureDir(testDir);
+  const filename = `test-namespace-${Date.now()}.txt`;
+  const testFile = path.join(testDir, filename);
+  
+  try {
+    await fs.writeFile(testFile, `Uploaded from device A ${Date.now()}`);
+    const form = new FormData();
+    form.append('filePath', '/test');
+    form.append('fileSize', fs.statSync(testFile).size);
+    form.append('file', fs.createReadStream(testFile));
+    const uploadResult = await apiCall('POST', '/files/upload', form);
+    const namespacePath = `test/${filename}`;
+    
+    // A device that has never seen the file gets it as added
+    const freshDevice = await apiCall('POST', '/merkle/diff', {
+      deviceId: 'api-test-device-b',
+      localTreeData: { files: [] }
+    });
+    if (!freshDevice.differences.added.some(file => file.file_path === namespacePath)) {
+      throw new Error('File uploaded by one device is not added for another');
+    }
+    console.log('✅ File from one device appears as added on another');
+    
+    // A local edit of the synced version is a pending upload, not a remote change
+    const localEntry = {
+      filename,
+      file_path: namespacePath,
+      hash: 'a'.repeat(64),
+      size: 1,
+      synced_hash: uploadResult.file.fileHash
+    };
+    const editingDevice = await apiCall('POST', '/merkle/diff', {
+      deviceId: 'api-test-device-b',
+      localTreeData: { files: [localEntry] }
+    });
+    if (editingDevice.differences.modified.some(file => file.file_path === namespacePath)) {
+      throw new Error('Local edit was reported as a remote modification');
+    }
+    console.log('✅ Local edits are not reported as remote changes');
+    
+    await apiCall('DELETE', `/files/${uploadResult.file.id}`);
+    
+    const afterDelete = await apiCall('POST', '/merkle/diff', {
+      deviceId: 'api-test-device-b',
+      localTreeData: { files: [{ ...localEntry, hash: uploadResult.file.fileHash }] }
+    });
+    if (!afterDelete.differences.deleted.some(file => file.file_path === namespacePath)) {
+      throw new Error('Server deletion is not reported to a device that synced the file');
+    }
+    console.log('✅ Server deletion reported to other devices');
+  } finally {
+    await fs.remove(testDir);
+  }
+}
+
+async function testMerkleSubtrees() {
+  console.log('\n🌲 Testing Merkle Subtrees...');
+  
+  const testDir = path.join(__dirname, 'temp');
+  await fs.ensureDir(testDir);
+  const folder = `test/subtree-${Date.now()}`;
+  const localTree = new MerkleTree();
+  
+  try {
+    for (const name of ['b.txt', 'a.txt']) {
+      const testFile = path.join(testDir, name);
+      await fs.writeFile(testFile, `Subtree file ${name} ${Date.now()}`);
+      const form = new FormData();
+      form.append('filePath', `/${folder}`);
+      form.append('fileSize', fs.statSync(testFile).size);
+      form.append('file', fs.createReadStream(testFile));
+      const uploadResult = await apiCall('POST', '/files/upload', form);
+      
+      localTree.addOrUpdateFile(`${folder}/${name}`, {
+        filename: name,
+        hash: uploadResult.file.fileHash,
+        size: uploadResult.file.fileSize
+      });
+    }
+    
+    const rootResult = await apiCall('POST', '/merkle/subtrees', { paths: [''] });
+    if (!rootResult.nodes[0].children.some(child => child.name === 'test' && child.type === 'directory')) {
+      throw new Error('Root listing is missing the test folder');
+    }
+    
+    const folderResult = await apiCall('POST', '/merkle/subtrees', { paths: [folder] });
+    const folderNode = folderResult.nodes[0];
+    const names = folderNode.children.map(child => child.name);
+    if (names.join(',') !== 'a.txt,b.txt') {
+      throw new Error(`Folder children are not sorted by name: ${names.join(',')}`);
+    }
+    
+    localTree.getRootHash();
+    if (localTree.getNode(folder).hash !== folderNode.hash) {
+      throw new Error('Client and server compute different folder hashes');
+    }
+    console.log('✅ Folder hash matches between client and server');
+    
+    const unchangedResult = await apiCall('POST', '/merkle/subtrees', {
+      paths: [''],
+      rootHash: rootResult.rootHash
+    });
+    if (!unchangedResult.unchanged) {
+      throw new Error('Matching root hash was not recognized');
+    }
+    console.log('✅ Matching root hash short-circuits the comparison');
+    
+    for (const child of folderNode.children) {
+      await apiCall('DELETE', `/files/${child.id}`);
+    }
+  } finally {
+    await fs.remove(testDir);
+  }
+}
+
+async function testChangeLog() {
+  console.log('\n📜 Testing Change Log...');
+  
+  const testDir = path.join(__dirname, 'temp');
+  await fs.ensureDir(testDir);
+  const testFile = path.join(testDir, `changes-${Date.now()}.txt`);
+  
+  try {
+    const { cursor } = await apiCall('GET', '/sync/cursor');
+    
+    await fs.writeFile(testFile, `Change log test ${Date.now()}`);
+    const form = new FormData();
+    form.append('filePath', '/test');
+    form.append('fileSize', fs.statSync(testFile).size);
+    form.append('file', fs.createReadStream(testFile));
+    const uploadResult = await apiCall('POST', '/files/upload', form);
+    await apiCall('DELETE', `/files/${uploadResult.file.id}`);
+    
+    const page = await apiCall('GET', `/sync/changes?cursor=${cursor}&limit=1`);
+    if (page.changes.length !== 1 || page.changes[0].type !== 'create' || !page.hasMore) {
+      throw new Error('Expected the create event on the first page, with more to come');
+    }
+    
+    const nextPage = await apiCall('GET', `/sync/changes?cursor=${page.cursor}`);
+    const deletion = nextPage.changes.find(change => change.fileId === uploadResult.file.id);
+    if (!deletion || deletion.type !== 'delete' || deletion.seq <= page.cursor) {
+      throw new Error('Deletion missing from the change log');
+    }
+    console.log(`✅ Create and delete logged in order (seq ${page.changes[0].seq} → ${deletion.seq})`);
+  } finally {
+    await fs.remove(testDir);
+  }
+}
+
+async function testChangeEvents() {
+  console.log('\n📡 Testing Change Events...');
+  
+  const testDir = path.join(__dirname, 'temp');
+  await fs.ensureDir(testDir);
+  const testFile = path.join(testDir, `events-${Date.now()}.txt`);
+  
+  const response = await axios.get(`${config.BASE_URL}/events`, {
+    headers: { Authorization: `Bearer ${authToken}` },
+    responseType: 'stream'
+  });
+  const stream = response.data;
+  
+  try {
+    let received = '';
+    const waitFor = (event) => new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`No ${event} event within 5 seconds`)), 5000);
+      const check = () => {
+        if (received.includes(`event: ${event}\n`)) {
+          clearTimeout(timer);
+          stream.off('data', onData);
+          resolve();
+        }
+      };
+      const onData = (chunk) => {
+        received += chunk.toString();
+        check();
+      };
+      stream.on('data', onData);
+      check();
+    });
+    
+    await waitFor('ready');
+    console.log('✅ Event stream connected');
+    
+    await fs.writeFile(testFile, `Change event test ${Date.now()}`);
+    const form = new FormData();
+    form.append('filePath', '/test');
+    form.append('fileSize', fs.statSync(testFile).size);
+    form.append('file', fs.createReadStream(testFile));
+    const uploadResult = await apiCall('POST', '/files/upload', form);
+    
+    await waitFor('change');
+    console.log('✅ Upload pushed a change event');
+    
+    await apiCall('DELETE', `/files/${uploadResult.file.id}`);
+  } finally {
+    stream.destroy();
+    await fs.remove(testDir);
+  }
+}
+
+async function testFileMove() {
+  console.log('\n🚚 Testing File Move...');
+  
+  const testDir = path.join(__dirname, 'temp');
+  await fs.ensureDir(testDir);
+  const stamp = Date.now();
+  const uploaded = [];
+  
+  try {
+    for (const name of [`move-a-${stamp}.txt`, `move-b-${stamp}.txt`]) {
+      const testFile = path.join(testDir, name);
+      await fs.writeFile(testFile, `Move test ${name}`);
+      const form = new FormData();
+      form.append('filePath', '/test');
+      form.append('fileSize', fs.statSync(testFile).size);
+      form.append('file', fs.createReadStream(testFile));
+      uploaded.push((await apiCall('POST', '/files/upload', form)).file);
+    }
+    
+    const { cursor } = await apiCall('GET', '/sync/cursor');
+    const moveResult = await apiCall('POST', `/files/${uploaded[0].id}/move`, {
+      filePath: `/test/moved-${stamp}`,
+      filename: `renamed-${stamp}.txt`
+    });
+    
+    if (moveResult.file.filePath !== `/test/moved-${stamp}/renamed-${stamp}.txt` ||
+        moveResult.file.fileHash !== uploaded[0].fileHash) {
+      throw new Error('Move did not keep the content under the new path');
+    }
+    
+    const { changes } = await apiCall('GET', `/sync/changes?cursor=${cursor}`);
+    if (!changes.some(change => change.type === 'move' && change.previousPath === uploaded[0].filePath)) {
+      throw new Error('Move missing from the change log');
+    }
+    console.log(`✅ File moved to ${moveResult.file.filePath}`);
+    
+    try {
+      await apiCall('POST', `/files/${uploaded[1].id}/move`, {
+        filePath: `/test/moved-${stamp}`,
+        filename: `renamed-${stamp}.txt`
+      });
+      throw new Error('Moving onto an existing file should fail');
+    } catch (error) {
+      if (error.response?.status !== 409) throw error;
+      console.log('✅ Moving onto an existing file is rejected');
+    }
+  } finally {
+    for (const file of uploaded) {
+      await apiCall('DELETE', `/files/${file.id}`).catch(() => {});
+    }
+    await fs.remove(testDir);
+  }
+}
+
+async function testFolders() {
+  console.log('\n📁 Testing Folders...');
+  
+  const testDir = path.join(__dirname, 'temp');
+  await fs.ensureDir(testDir);
+  const root = `test/folders-${Date.now()}`;
+  
+  const uploadTo = async (folder, name) => {
+    const testFile = path.join(testDir, name);
+    await fs.writeFile(testFile, `Folder test ${folder}/${name}`);
+    const form = new FormData();
+    form.append('filePath', folder);
+    form.append('fileSize', fs.statSync(testFile).size);
+    form.append('file', fs.createReadStream(testFile));
+    return (await apiCall('POST', '/files/upload', form)).file;
+  };
+  
+  try {
+    await apiCall('POST', '/folders', { path: `${root}/empty` });
+    await uploadTo(`${root}/docs`, 'a.txt');
+    await uploadTo(`${root}/docs-old`, 'b.txt');
+    
+    const listing = await apiCall('GET', `/folders?path=${encodeURIComponent(root)}`);
+    const names = listing.folders.map(folder => `${folder.name}:${folder.fileCount}`);
+    if (names.join(',') !== 'docs:1,docs-old:1,empty:0' || listing.folder.fileCount !== 2) {
+      throw new Error(`Unexpected folder listing: ${names.join(',')}`);
+    }
+    console.log(`✅ Listed ${listing.folders.length} subfolders with counts`);
+    
+    const files = await apiCall('GET', `/files?path=${encodeURIComponent(`${root}/docs`)}`);
+    if (files.files.length !== 1 || !files.files[0].file_path.endsWith('docs/a.txt')) {
+      throw new Error('Listing a folder also matched folders sharing its prefix');
+    }
+    console.log('✅ File listing stops at folder boundaries');
+    
+    const docs = listing.folders.find(folder => folder.name === 'docs');
+    const moveResult = await apiCall('POST', `/folders/${docs.id}/move`, { path: `${root}/renamed/docs` });
+    const renamed = await apiCall('GET', `/folders?path=${encodeURIComponent(`${root}/renamed/docs`)}`);
+    if (moveResult.movedFiles !== 1 || renamed.files.length !== 1) {
+      throw new Error('Folder rename did not take its files along');
+    }
+    console.log('✅ Folder renamed with its files');
+
+    // Paths uploaded with a leading slash keep it, so the moved file is found again
+    await uploadTo(`/${root}/slashed`, 'c.txt');
+    const slashed = (await apiCall('GET', `/folders?path=${encodeURIComponent(root)}`)).folders
+      .find(folder => folder.name === 'slashed');
+    await apiCall('POST', `/folders/${slashed.id}/move`, { path: `${root}/moved` });
+    const reuploaded = await uploadTo(`/${root}/moved`, 'c.txt');
+    const moved = await apiCall('GET', `/folders?path=${encodeURIComponent(`${root}/moved`)}`);
+    if (moved.files.length !== 1 || moved.files[0].id !== reuploaded.id) {
+      throw new Error('Upload after a folder move created a second file at the same path');
+    }
+    console.log('✅ Upload after a folder move updates the moved file');
+
+    try {
+      await apiCall('POST', '/folders', { path: `${root}/empty` });
+      throw new Error('Creating an existing folder should fail');
+    } catch (error) {
+      if (error.response?.status !== 409) throw error;
+      console.log('✅ Duplicate folder rejected');
+    }
+  } finally {
+    const top = await apiCall('GET', `/folders?path=${encodeURIComponent(root)}`).catch(() => null);
+    if (top) {
+      const result = await apiCall('DELETE', `/folders/${top.folder.id}`);
+      console.log(`✅ Folder deleted, ${result.trashedFiles} file(s) moved to trash`);
+    }
+    await fs.remove(testDir);
+  }
+}
+
+async function testSharedFolders() {
+  console.log('\n🤝 Testing Shared Folders...');
+  
+  const testDir = path.join(__dirname, 'temp');
+  await fs.ensureDir(testDir);
+  const folderName = `shared-${Date.now()}`;
+  const ownerToken = authToken;
+  let share = null;
+  
+  const uploadTo = async (folder, name) => {
+    const testFile = path.join(testDir, name);
+    await fs.writeFile(testFile, `Shared test ${folder}/${name}`);
+    const form = new FormData();
+    form.append('filePath', folder);
+    form.append('fileSize', fs.statSync(testFile).size);
+    form.append('file', fs.createReadStream(testFile));
+    return (await apiCall('POST', '/files/upload', form)).file;
+  };
+  
+  try {
+    await uploadTo(folderName, 'owner.txt');
+    share = (await apiCall('POST', '/shares', { path: folderName })).share;
+    console.log(`✅ Shared folder ${share.folderPath}`);
+    
+    // A second user joins as a viewer
+    const memberEmail = `member-${Date.now()}@example.com`;
+    const member = await apiCall('POST', '/auth/register', { email: memberEmail, password: config.USER_PASSWORD });
+    const invited = await apiCall('POST', `/shares/${share.id}/invitations`, { email: memberEmail, role: 'viewer' });
+    
+    authToken = member.token;
+    const { invitations } = await apiCall('GET', '/shares/invitations');
+    if (!invitations.some(invitation => invitation.id === invited.member.id)) {
+      throw new Error('Invitation not listed for the invited user');
+    }
+    const joined = (await apiCall('POST', `/shares/invitations/${invited.member.id}/accept`)).share;
+    console.log(`✅ Invitation accepted, mounted at ${joined.mountPath}`);
+    
+    const listing = await apiCall('GET', `/folders?path=${encodeURIComponent(joined.mountPath)}`);
+    if (listing.files.length !== 1 || listing.files[0].filePath !== `${joined.mountPath}/owner.txt`) {
+      throw new Error('Shared files are not listed at the mount path');
+    }
+    console.log('✅ Member sees the owner\'s files at the mount path');
+    
+    try {
+      await uploadTo(joined.mountPath, 'viewer.txt');
+      throw new Error('Viewers should not be able to upload');
+    } catch (error) {
+      if (error.response?.status !== 403) throw error;
+      console.log('✅ Viewer upload rejected');
+    }
+    
+    authToken = ownerToken;
+    await apiCall('PATCH', `/shares/${share.id}/members/${invited.member.id}`, { role: 'editor' });
+    
+    authToken = member.token;
+    const uploaded = await uploadTo(joined.mountPath, 'editor.txt');
+    if (uploaded.filePath !== `${joined.mountPath}/editor.txt`) {
+      throw new Error(`Unexpected member path: ${uploaded.filePath}`);
+    }
+
+    const init = await apiCall('POST', '/sync/init', { deviceId: `member-device-${Date.now()}` });
+    if (!init.changedFiles.some(file => file.file_path === `${joined.mountPath}/owner.txt`)) {
+      throw new Error('Sync init does not list shared folder files for the member');
+    }
+    console.log('✅ Sync init lists shared folder files at the mount path');
+
+    authToken = ownerToken;
+    const ownerListing = await apiCall('GET', `/folders?path=${encodeURIComponent(folderName)}`);
+    if (ownerListing.files.length !== 2) {
+      throw new Error('Editor upload did not land in the owner\'s folder');
+    }
+    console.log('✅ Editor upload landed in the owner\'s folder');
+  } finally {
+    authToken = ownerToken;
+    if (share) {
+      await apiCall('DELETE', `/shares/${share.id}`);
+      console.log('✅ Stopped sharing');
+    }
+    const top = await apiCall('GET', `/folders?path=${encodeURIComponent(folderName)}`).catch(() => null);
+    if (top) {
+      await apiCall('DELETE', `/folders/${top.folder.id}`);
+    }
+    await fs.remove(testDir);
+  }
+}
+
+async function testShareLinks() {
+  console.log('\n🔗 Testing Share Links...');
+  
+  const testDir = path.join(__dirname, 'temp');
+  await fs.ensureDir(testDir);
+  const folderName = `links-${Date.now()}`;
+  const content = `Link test ${Date.now()}`;
+  
+  // Public downloads go without the bearer token
+  const fetchLink = (url, password) => axios.get(url, {
+    responseType: 'arraybuffer',
+    headers: password ? { 'X-Link-Password': password } : {}
+  });
+  
+  try {
+    const testFile = path.join(testDir, 'linked.txt');
+    await fs.writeFile(testFile, content);
+    const form = new FormData();
+    form.append('filePath', folderName);
+    form.append('fileSize', fs.statSync(testFile).size);
+    form.append('file', fs.createReadStream(testFile));
+    const file = (await apiCall('POST', '/files/upload', form)).file;
+    
+    const link = (await apiCall('POST', '/links', { fileId: file.id, password: 'secret', maxDownloads: 1 })).link;
+    console.log(`✅ Link created: ${link.url}`);
+    
+    try {
+      await fetchLink(link.url);
+      throw new Error('A password-protected link opened without the password');
+    } catch (error) {
+      if (error.response?.status !== 401) throw error;
+      console.log('✅ Password required');
+    }
+    
+    const download = await fetchLink(link.url, 'secret');
+    if (Buffer.from(download.data).toString() !== content) {
+      throw new Error('Link download does not match the uploaded content');
+    }
+    console.log('✅ Downloaded through the link');
+    
+    try {
+      await fetchLink(link.url, 'secret');
+      throw new Error('The download limit was not enforced');
+    } catch (error) {
+      if (error.response?.status !== 410) throw error;
+      console.log('✅ Download limit enforced');
+    }
+    
+    // Guessing slows down: past a few wrong passwords the link stops checking for a while
+    const guarded = (await apiCall('POST', '/links', { fileId: file.id, password: 'secret' })).link;
+    for (let attempt = 1; attempt <= 6; attempt++) {
+      try {
+        await fetchLink(guarded.url, `guess-${attempt}`);
+        throw new Error('A wrong password opened the link');
+      } catch (error) {
+        if (error.response?.status !== 401) throw error;
+      }
+    }
+    try {
+      await fetchLink(guarded.url, 'secret');
+      throw new Error('Passwords were still checked after repeated wrong guesses');
+    } catch (error) {
+      if (error.response?.status !== 429) throw error;
+      console.log('✅ Wrong passwords back off');
+    }
+    
+    const folderLink = (await apiCall('POST', '/links', { folderPath: folderName })).link;
+    const zip = await fetchLink(folderLink.url);
+    if (Buffer.from(zip.data).subarray(0, 2).toString() !== 'PK') {
+      throw new Error('Folder link did not return a zip');
+    }
+    console.log(`✅ Folder downloaded as a zip (${zip.data.byteLength} bytes)`);
+    
+    await apiCall('DELETE', `/links/${folderLink.id}`);
+    try {
+      await fetchLink(folderLink.url);
+      throw new Error('A revoked link still works');
+    } catch (error) {
+      if (error.response?.status !== 410) throw error;
+      console.log('✅ Revoked link stopped working');
+    }
+    
+    const { links } = await apiCall('GET', '/links');
+    const listed = links.find(candidate => candidate.id === link.id);
+    if (!listed || listed.downloadCount !== 1 || listed.status !== 'exhausted') {
+      throw new Error('Link counters not reported');
+    }
+    console.log('✅ Links listed with their download counts');
+  } finally {
+    const top = await apiCall('GET', `/folders?path=${encodeURIComponent(folderName)}`).catch(() => null);
+    if (top) {
+      await apiCall('DELETE', `/folders/${top.folder.id}`);
+    }
+    await fs.remove(testDir);
+  }
+}
+
+async function testFileDrops() {
+  console.log('\n📥 Testing Upload Links...');
+  
+  const folderName = `drops-${Date.now()}`;
+  
+  // Contributors upload without an account
+  const dropFile = (url, name, content) => {
+    const form = new FormData();
+    form.append('file', Buffer.from(content), { filename: name, contentType: 'text/plain' });
+    return axios.post(url, form, { headers: form.getHeaders() });
+  };
+  
+  try {
+    await apiCall('POST', '/folders', { path: folderName });
+    const drop = (await apiCall('POST', '/drops', {
+      folderPath: folderName,
+      maxFileSize: 1024,
+      maxFiles: 3,
+      allowedTypes: ['.txt']
+    })).drop;
+    console.log(`✅ Upload link created: ${drop.url}`);
+    
+    const info = await axios.get(drop.url);
+    if (info.data.drop.folderName !== folderName) {
+      throw new Error('Upload link does not describe its folder');
+    }
+    
+    await dropFile(drop.url, 'notes.txt', 'first');
+    const second = await dropFile(drop.url, 'notes.txt', 'second');
+    if (second.data.file.filename !== 'notes (2).txt') {
+      throw new Error(`A drop with a taken name was saved as ${second.data.file.filename}`);
+    }
+    console.log('✅ Files received without replacing each other');
+    
+    const rejected = [['big.txt', 'x'.repeat(2048), 413], ['script.sh', 'echo', 415], ['renamed.txt', '%PDF-1.4', 415]];
+    for (const [name, content, status] of rejected) {
+      try {
+        await dropFile(drop.url, name, content);
+        throw new Error(`${name} should have been rejected`);
+      } catch (error) {
+        if (error.response?.status !== status) throw error;
+      }
+    }
+    console.log('✅ Size and type limits enforced, by content too');
+    
+    await dropFile(drop.url, 'third.txt', 'third');
+    try {
+      await dropFile(drop.url, 'fourth.txt', 'fourth');
+      throw new Error('An upload link took more files than its cap');
+    } catch (error) {
+      if (error.response?.status !== 410 || !/full/.test(error.response.data.error)) throw error;
+      console.log('✅ Upload link stops at its file cap');
+    }
+    
+    const listing = await apiCall('GET', `/folders?path=${encodeURIComponent(folderName)}`);
+    if (listing.files.length !== 3) {
+      throw new Error('Dropped files did not land in the folder');
+    }
+    console.log('✅ Dropped files are in the owner\'s folder');
+    
+    await apiCall('DELETE', `/drops/${drop.id}`);
+    try {
+      await dropFile(drop.url, 'late.txt', 'late');
+      throw new Error('A revoked upload link still accepts files');
+    } catch (error) {
+      if (error.response?.status !== 410) throw error;
+      console.log('✅ Revoked upload link rejects files');
+    }
+  } finally {
+    const top = await apiCall('GET', `/folders?path=${encodeURIComponent(folderName)}`).catch(() => null);
+    if (top) {
+      await apiCall('DELETE', `/folders/${top.folder.id}`);
+    }
+  }
+}
+
+async function testStorageUsage() {
+  console.log('\n💾 Testing Storage Usage...');
+  
+  const testDir = path.join(__dirname, 'temp');
+  await fs.ensureDir(testDir);
+  const folderName = `usage-${Date.now()}`;
+  const content = `Usage test ${Date.now()}`;
+  
+  try {
+    const before = (await apiCall('GET', '/account/usage')).usage;
+    if (typeof before.quota !== 'number' || before.available !== Math.max(before.quota - before.used, 0)) {
+      throw new Error('Usage does not report the quota');
+    }
+    
+    const testFile = path.join(testDir, 'usage.txt');
+    await fs.writeFile(testFile, content);
+    const form = new FormData();
+    form.append('filePath', folderName);
+    form.append('fileSize', fs.statSync(testFile).size);
+    form.append('file', fs.createReadStream(testFile));
+    const { file } = await apiCall('POST', '/files/upload', form);
+    
+    const after = (await apiCall('GET', '/account/usage')).usage;
+    const folder = after.byFolder.find(entry => entry.folder === folderName);
+    if (after.used - before.used !== content.length || !folder || folder.size !== content.length) {
+      throw new Error(`Usage grew by ${after.used - before.used} bytes for a ${content.length}-byte upload`);
+    }
+    console.log(`✅ Usage: ${after.used} of ${after.quota} bytes, ${after.byType.length} file type(s)`);
+    
+    // Restoring the content the file already has stores nothing new
+    const { versions } = await apiCall('GET', `/files/${file.id}/versions`);
+    await apiCall('POST', `/files/${file.id}/versions/${versions[0].id}/restore`);
+    const afterRestore = (await apiCall('GET', '/account/usage')).usage;
+    const versionsAfter = (await apiCall('GET', `/files/${file.id}/versions`)).versions;
+    if (afterRestore.used !== after.used || versionsAfter.length !== versions.length) {
+      throw new Error('Restoring the current content was charged as a new version');
+    }
+    console.log('✅ Unchanged content is not charged again');
+    
+    const me = await apiCall('GET', '/auth/me');
+    if (me.user.storage.used !== after.used) {
+      throw new Error('/auth/me does not report storage usage');
+    }
+    console.log('✅ Account reports storage usage');
+  } finally {
+    const top = await apiCall('GET', `/folders?path=${encodeURIComponent(folderName)}`).catch(() => null);
+    if (top) {
+      await apiCall('DELETE', `/folders/${top.folder.id}`);
+    }
+    await fs.remove(testDir);
+  }
+}
+
+async function testSelectiveSync() {
+  console.log('\n🗂️ Testing Selective Sync...');
+  
+  const testDir = path.join(__dirname, 'temp');
+  await fs.ensureDir(testDir);
+  const folderName = `selective-${Date.now()}`;
+  const deviceId = `api-test-laptop-${Date.now()}`;
+  
+  const upload = async (folder, name) => {
+    const testFile = path.join(testDir, name);
+    await fs.writeFile(testFile, `${folder}/${name} ${Date.now()}`);
+    const form = new FormData();
+    form.append('filePath', folder);
+    form.append('fileSize', fs.statSync(testFile).size);
+    form.append('file', fs.createReadStream(testFile));
+    return (await apiCall('POST', '/files/upload', form)).file;
+  };
+  
+  try {
+    await upload(`${folderName}/docs`, 'keep.txt');
+    await upload(`${folderName}/videos`, 'skip.txt');
+    await upload(`${folderName}/videos/favourites`, 'keep-too.txt');
+    
+    const updated = await apiCall('PUT', `/devices/${deviceId}/sync-rules`, { include: [`/${folderName}/`] });
+    if (updated.device.syncRules.include[0] !== folderName) {
+      throw new Error('Sync rule paths were not normalized');
+    }
+    
+    // Mirror only the test folder, without its videos but with the favourites
+    await apiCall('PUT', `/devices/${deviceId}/sync-rules`, {
+      include: [folderName, `${folderName}/videos/favourites`],
+      exclude: [`${folderName}/videos`]
+    });
+    
+    const rules = (await apiCall('GET', `/devices/${deviceId}/sync-rules`)).syncRules;
+    if (rules.include.length !== 2 || rules.exclude.length !== 1) {
+      throw new Error('Sync rules were not stored');
+    }
+    console.log('✅ Sync rules stored with the device');
+    
+    const fresh = await apiCall('POST', '/merkle/diff', { deviceId, localTreeData: { files: [] } });
+    const added = fresh.differences.added.map(file => file.file_path).sort();
+    const expected = [`${folderName}/docs/keep.txt`, `${folderName}/videos/favourites/keep-too.txt`];
+    if (JSON.stringify(added) !== JSON.stringify(expected)) {
+      throw new Error(`Diff offered ${added.join(', ')} instead of ${expected.join(', ')}`);
+    }
+    console.log('✅ Diff only offers included folders');
+    
+    // A file the device still has from before the rule changed is left to the
+    // device, not reported as deleted
+    const stale = { filename: 'skip.txt', file_path: `${folderName}/videos/skip.txt`, hash: 'b'.repeat(64), size: 1, synced_hash: 'b'.repeat(64) };
+    const withStale = await apiCall('POST', '/merkle/diff', { deviceId, localTreeData: { files: [stale] } });
+    if (withStale.differences.deleted.some(file => file.file_path === stale.file_path)) {
+      throw new Error('Excluded local file was reported as deleted');
+    }
+    console.log('✅ Excluded local files are not reported as deleted');
+    
+    const { devices } = await apiCall('GET', '/devices');
+    if (!devices.some(device => device.deviceId === deviceId)) {
+      throw new Error('Device is not listed');
+    }
+    console.log(`✅ ${devices.length} device(s) listed`);
+  } finally {
+    const top = await apiCall('GET', `/folders?path=${encodeURIComponent(folderName)}`).catch(() => null);
+    if (top) {
+      await apiCall('DELETE', `/folders/${top.folder.id}`);
+    }
+    await fs.remove(testDir);
+  }
+}
+
+async function testIgnoreRules() {
+  console.log('\n🙈 Testing Ignore Rules...');
+  
+  const original = (await apiCall('GET', '/account/ignore-rules')).patterns;
+  if (!Array.isArray(original)) {
+    throw new Error('Ignore rules are not a list of patterns');
+  }
+  console.log(`✅ ${original.length} global ignore pattern(s)`);
+  
+  try {
+    const updated = await apiCall('PUT', '/account/ignore-rules', { patterns: ['*.log', '  build/  ', '!keep.log'] });
+    if (JSON.stringify(updated.patterns) !== JSON.stringify(['*.log', 'build/', '!keep.log'])) {
+      throw new Error(`Patterns were stored as ${updated.patterns.join(', ')}`);
+    }
+    
+    const { patterns } = await apiCall('GET', '/account/ignore-rules');
+    if (patterns.length !== 3 || patterns[2] !== '!keep.log') {
+      throw new Error('Ignore rules were not stored');
+    }
+    console.log('✅ Global ignore list stored, negations included');
+    
+    try {
+      await apiCall('PUT', '/account/ignore-rules', { patterns: 'node_modules/' });
+      throw new Error('A pattern outside a list was accepted');
+    } catch (error) {
+      if (error.response?.status !== 400) throw error;
+      console.log('✅ Invalid ignore rules rejected');
+    }
+  } finally {
+    await apiCall('PUT', '/account/ignore-rules', { patterns: original });
+  }
+}
+
+async function testEncryption() {
+  console.log('\n🔐 Testing End-to-End Encryption...');
+  
+  const testDir = path.join(__dirname, 'temp');
+  await fs.ensureDir(testDir);
+  const folderName = `encrypted-${Date.now()}`;
+  const content = `Privileged and confidential ${Date.now()}`;
+  
+  try {
+    // The key may be left over from an earlier run
+    let masterKey;
+    try {
+      const existing = await apiCall('GET', '/account/encryption-key');
+      masterKey = await encryption.unwrapUserKey(existing.encryptionKey, config.E2E_PASSPHRASE);
+      console.log('✅ Enrolled with the stored key');
+    } catch (error) {
+      if (error.response?.status !== 404) throw error;
+      const created = await encryption.createUserKey(config.E2E_PASSPHRASE);
+      await apiCall('PUT', '/account/encryption-key', created.record);
+      masterKey = created.masterKey;
+      console.log('✅ Encryption key stored');
+    }
+    
+    // Rewrapping the same key is allowed, replacing it is not
+    await apiCall('PUT', '/account/encryption-key', await encryption.wrapUserKey(masterKey, config.E2E_PASSPHRASE));
+    try {
+      await apiCall('PUT', '/account/encryption-key', (await encryption.createUserKey(config.E2E_PASSPHRASE)).record);
+      throw new Error('A different encryption key replaced the stored one');
+    } catch (error) {
+      if (error.response?.status !== 409) throw error;
+      console.log('✅ Stored key cannot be replaced');
+    }
+    
+    // Which folders are encrypted is kept on the server for every device
+    await apiCall('POST', '/folders', { path: folderName, encrypted: true });
+    const { paths } = await apiCall('GET', '/folders/encrypted');
+    if (!paths.includes(folderName)) {
+      throw new Error('Encrypted folder not listed');
+    }
+    console.log('✅ Folder marked encrypted on the server');
+    
+    encryption.setUserKey(masterKey);
+    const ciphertext = encryption.encryptContent(Buffer.from(content));
+    const testFile = path.join(testDir, 'brief.txt');
+    await fs.writeFile(testFile, ciphertext);
+    const form = new FormData();
+    form.append('filePath', folderName);
+    form.append('fileSize', fs.statSync(testFile).size);
+    form.append('file', fs.createReadStream(testFile));
+    const file = (await apiCall('POST', '/files/upload', form)).file;
+    
+    const stored = await axios.get(`${config.BASE_URL}/files/${file.id}/content`, {
+      responseType: 'arraybuffer',
+      headers: { Authorization: `Bearer ${authToken}` }
+    });
+    const data = Buffer.from(stored.data);
+    if (data.includes(Buffer.from(content)) || !data.equals(ciphertext)) {
+      throw new Error('Server does not hold exactly the ciphertext');
+    }
+    if (encryption.decryptContent(data).toString() !== content) {
+      throw new Error('Downloaded content does not decrypt');
+    }
+    console.log('✅ Server stores only ciphertext, which decrypts on download');
+    
+    if (!encryption.encryptContent(Buffer.from(content)).equals(ciphertext)) {
+      throw new Error('Encrypting the same content twice gave different ciphertext');
+    }
+    console.log('✅ Ciphertext hash is stable across devices');
+    
+    try {
+      await apiCall('POST', `/files/${file.id}/move`, { filePath: '/' });
+      throw new Error('Moving a file out of an encrypted folder should fail');
+    } catch (error) {
+      if (error.response?.status !== 400) throw error;
+      console.log('✅ Files cannot leave an encrypted folder by moving');
+    }
+  } finally {
+    const top = await apiCall('GET', `/folders?path=${encodeURIComponent(folderName)}`).catch(() => null);
+    if (top) {
+      await apiCall('DELETE', `/folders/${top.folder.id}`);
+    }
+    await fs.remove(testDir);
+  }
+}
+
+async function testSessions() {
+  console.log('\n🔑 Testing Sessions...');
+  
+  // Sign in as two other devices so the suite's own session stays untouched
+  const signIn = async (deviceId) => (await axios.post(`${config.BASE_URL}/auth/login`, {
+    email: config.USER_EMAIL,
+    password: config.USER_PASSWORD,
+    deviceId,
+    deviceName: `Test ${deviceId}`
+  })).data;
+  const asDevice = (token) => ({ headers: { Authorization: `Bearer ${token}` } });
+  const expectStatus = async (request, status, message) => {
+    try {
+      await request;
+      throw new Error(message);
+    } catch (error) {
+      if (error.response?.status !== status) throw error;
+    }
+  };
+  
+  const laptop = await signIn('session-test-laptop');
+  if (!laptop.refreshToken || !laptop.session?.current) {
+    throw new Error('Login did not start a session');
+  }
+  
+  const refreshed = (await axios.post(`${config.BASE_URL}/auth/refresh`, { refreshToken: laptop.refreshToken })).data;
+  if (refreshed.refreshToken === laptop.refreshToken) {
+    throw new Error('Refresh did not rotate the refresh token');
+  }
+  await axios.get(`${config.BASE_URL}/auth/me`, asDevice(refreshed.token));
+  console.log(`✅ Refreshed (access token valid for ${refreshed.expiresIn}s)`);
+  
+  await expectStatus(
+    axios.post(`${config.BASE_URL}/auth/refresh`, { refreshToken: laptop.refreshToken }),
+    401, 'A replaced refresh token was accepted'
+  );
+  await expectStatus(
+    axios.get(`${config.BASE_URL}/auth/me`, asDevice(refreshed.token)),
+    401, 'Reusing a refresh token did not revoke the session'
+  );
+  console.log('✅ Reused refresh token revoked the session');
+  
+  const phone = await signIn('session-test-phone');
+  const { sessions } = await apiCall('GET', '/auth/sessions');
+  if (!sessions.some(session => session.id === phone.session.id) || sessions.some(session => session.id === laptop.session.id)) {
+    throw new Error('Session list does not match the signed-in devices');
+  }
+  console.log(`✅ ${sessions.length} active session(s)`);
+  
+  await apiCall('DELETE', `/auth/sessions/${phone.session.id}`);
+  await expectStatus(
+    axios.get(`${config.BASE_URL}/auth/me`, asDevice(phone.token)),
+    401, 'A revoked session could still be used'
+  );
+  await expectStatus(
+    axios.post(`${config.BASE_URL}/auth/refresh`, { refreshToken: phone.refreshToken }),
+    401, 'A revoked session could still be refreshed'
+  );
+  console.log('✅ Revoked session rejected immediately');
+  
+  const other = await signIn('session-test-other');
+  await axios.post(`${config.BASE_URL}/auth/logout`, null, asDevice(other.token));
+  await expectStatus(
+    axios.get(`${config.BASE_URL}/auth/me`, asDevice(other.token)),
+    401, 'Logout did not end the session'
+  );
+  console.log('✅ Logged out');
+}
+
 async function testFileOperations() {
   console.log('\n📁 Testing File Operations...');
   
@@ -257,7 +1520,28 @@ async function runAllTests() {
     await testHealthCheck();
     await testAuthentication();
     await testFileUpload();
+    await testStreamingUpload();
+    await testRangeDownload();
+    await testUploadSession();
+    await testFileVersions();
+    await testPathIdentity();
+    await testConflicts();
+    await testTrash();
     await testMerkleTreeOperations();
+    await testNamespaceSync();
+    await testMerkleSubtrees();
+    await testChangeLog();
+    await testChangeEvents();
+    await testFileMove();
+    await testFolders();
+    await testSharedFolders();
+    await testShareLinks();
+    await testFileDrops();
+    await testStorageUsage();
+    await testSelectiveSync();
+    await testIgnoreRules();
+    await testEncryption();
+    await testSessions();
     await testFileOperations();
     
     console.log('\n🎉 All tests completed successfully!');
@@ -273,7 +1557,28 @@ async function runAllTests() {
 module.exports = {
   testAuthentication,
   testFileUpload,
+  testStreamingUpload,
+  testRangeDownload,
+  testUploadSession,
+  testFileVersions,
+  testPathIdentity,
+  testConflicts,
+  testTrash,
   testMerkleTreeOperations,
+  testNamespaceSync,
+  testMerkleSubtrees,
+  testChangeLog,
+  testChangeEvents,
+  testFileMove,
+  testFolders,
+  testSharedFolders,
+  testShareLinks,
+  testFileDrops,
+  testStorageUsage,
+  testSelectiveSync,
+  testIgnoreRules,
+  testEncryption,
+  testSessions,
   testFileOperations,
   testHealthCheck,
   apiCall
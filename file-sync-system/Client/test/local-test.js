@@ -0,0 +1,341 @@
+// test/local-test.js - Tests of client modules that need no server
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// The client's config is read once, on first require: point it at a scratch
+// sync folder and state directory before loading anything
+const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'file-sync-test-'));
+process.env.WATCH_DIRECTORY = path.join(tempRoot, 'sync-folder');
+process.env.STATE_DIRECTORY = path.join(tempRoot, 'state');
+process.env.DEVICE_ID = 'local-test-device';
+process.env.TRANSFER_CONCURRENCY = '2';
+
+const transfers = require('../lib/transfers');
+const localDb = require('../lib/local-db');
+const syncState = require('../lib/sync-state');
+const uploadJournal = require('../lib/upload-journal');
+const fileWatcher = require('../lib/file-watcher');
+const selectiveSync = require('../lib/selective-sync');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const sha256 = data => require('crypto').createHash('sha256').update(data).digest('hex');
+
+// A transfer task that runs until `finish` is called
+function heldTask(started, name) {
+  let finish;
+  const done = new Promise(resolve => { finish = resolve; });
+  const task = async (meter) => {
+    started.push(name);
+    await meter(1);
+    await done;
+    return name;
+  };
+  return { task, finish };
+}
+
+async function testLegacyImport() {
+  console.log('\n📦 Testing Legacy State Import...');
+
+  // State files an earlier version left in the sync folder, one tree entry
+  // without a hash
+  const watchDirectory = process.env.WATCH_DIRECTORY;
+  await fs.outputJson(path.join(watchDirectory, '.merkle-tree.json'), {
+    files: [
+      { file_path: 'notes.txt', id: 'file-1', hash: 'a'.repeat(64), size: 5 },
+      { file_path: 'unhashed.txt', size: 7 }
+    ]
+  });
+  await fs.outputJson(path.join(watchDirectory, '.sync-state.json'), {
+    files: [{ relativePath: 'notes.txt', hash: 'a'.repeat(64) }, { relativePath: 'unhashed.txt' }],
+    folders: ['docs'],
+    cursor: 42
+  });
+  await fs.outputJson(path.join(watchDirectory, '.upload-journal.json'), {
+    uploads: [{ relativePath: 'draft.txt', hash: 'b'.repeat(64), sessionId: 'session-1' }]
+  });
+
+  localDb.getDb();
+
+  const files = localDb.getFiles().map(file => file.file_path);
+  if (files.join(',') !== 'notes.txt') {
+    throw new Error(`Unexpected files imported: ${files.join(',')}`);
+  }
+  if (syncState.getBaseHash('notes.txt') !== 'a'.repeat(64) || syncState.getBaseHash('unhashed.txt') !== null) {
+    throw new Error('Merge base not imported');
+  }
+  if (!syncState.isFolderSynced('docs') || syncState.getCursor() !== 42) {
+    throw new Error('Folders or cursor not imported');
+  }
+  if (uploadJournal.getUpload('draft.txt')?.sessionId !== 'session-1') {
+    throw new Error('Upload journal not imported');
+  }
+  const left = ['.merkle-tree.json', '.sync-state.json', '.upload-journal.json']
+    .filter(name => fs.existsSync(path.join(watchDirectory, name)));
+  if (left.length > 0) {
+    throw new Error(`Legacy files left in the sync folder: ${left.join(',')}`);
+  }
+  console.log('✅ Legacy state imported, entries without a hash skipped');
+}
+
+async function testMigrations() {
+  console.log('\n🗄️ Testing Local Database Migrations...');
+
+  const migrationRows = () => localDb.getDb().prepare('SELECT name, executed_at FROM migrations ORDER BY name').all();
+  const before = migrationRows();
+
+  localDb.close();
+  if (JSON.stringify(migrationRows()) !== JSON.stringify(before)) {
+    throw new Error('Migrations ran again on reopening');
+  }
+  console.log(`✅ ${before.length} migrations run once`);
+
+  // A database from before the last migration picks it up, keeping its data
+  const last = 'create_pending_tables';
+  localDb.getDb().exec('DROP TABLE pending_deletes; DROP TABLE recent_downloads');
+  localDb.getDb().prepare('DELETE FROM migrations WHERE name = ?').run(last);
+  localDb.close();
+
+  if (!migrationRows().some(row => row.name === last) || localDb.getFiles().length !== 1) {
+    throw new Error('Pending migration not applied to an existing database');
+  }
+  console.log('✅ Pending migrations applied to an existing database');
+
+  // Held-back deletions and recent downloads outlive the process
+  syncState.addPendingDelete('notes.txt', false);
+  syncState.addPendingDelete('docs', true);
+  syncState.addRecentDownload('notes.txt', 'a'.repeat(64), 1000);
+  localDb.close();
+
+  const pending = syncState.getPendingDeletes().map(entry => `${entry.relativePath}:${entry.isFolder}`);
+  const downloads = syncState.getRecentDownloads();
+  if (pending.sort().join(',') !== 'docs:true,notes.txt:false' || downloads[0]?.hash !== 'a'.repeat(64)) {
+    throw new Error(`Held state not kept: ${pending.join(',')}`);
+  }
+  syncState.removeRecentDownload('notes.txt', 999);
+  if (syncState.getRecentDownloads().length !== 1) {
+    throw new Error('A newer download was forgotten by an older one');
+  }
+  console.log('✅ Pending deletes and recent downloads survive a restart');
+}
+
+async function testScanLocalChanges() {
+  console.log('\n🔍 Testing Startup Change Detection...');
+
+  const watchDirectory = process.env.WATCH_DIRECTORY;
+  const tree = fileWatcher.getMerkleTree();
+
+  // Record a file in the tree as it was last synced
+  const synced = async (relativePath, content, overrides = {}) => {
+    const fullPath = path.join(watchDirectory, relativePath);
+    await fs.outputFile(fullPath, content);
+    const stats = await fs.stat(fullPath);
+    tree.addOrUpdateFile(relativePath, {
+      hash: sha256(content),
+      size: stats.size,
+      mtime: stats.mtimeMs,
+      ...overrides
+    });
+  };
+
+  await synced('kept.txt', 'unchanged');
+  await synced('edited.txt', 'before');
+  await fs.outputFile(path.join(watchDirectory, 'edited.txt'), 'after the edit');
+  await synced('touched.txt', 'same content', { mtime: 1 });
+  await synced('gone.txt', 'deleted offline');
+  await fs.remove(path.join(watchDirectory, 'gone.txt'));
+  await fs.outputFile(path.join(watchDirectory, 'docs/new.txt'), 'added offline');
+  // Excluded folders are neither scanned nor taken as deleted
+  await synced('skipped/old.txt', 'kept on the server');
+  await fs.remove(path.join(watchDirectory, 'skipped/old.txt'));
+  await fs.outputFile(path.join(watchDirectory, 'skipped/new.txt'), 'not synced here');
+  selectiveSync.setRules({ include: [], exclude: ['skipped'] });
+
+  try {
+    const { changed, deleted, seenFolders } = await fileWatcher.scanLocalChanges();
+
+    const changes = changed
+      .map(change => `${change.eventType}:${path.relative(watchDirectory, change.fullPath)}`)
+      .sort();
+    if (changes.join(',') !== `add:${path.join('docs', 'new.txt')},change:edited.txt`) {
+      throw new Error(`Unexpected changes: ${changes.join(',')}`);
+    }
+    if (deleted.join(',') !== 'gone.txt') {
+      throw new Error(`Unexpected deletions: ${deleted.join(',')}`);
+    }
+    if ([...seenFolders].join(',') !== 'docs') {
+      throw new Error(`Unexpected folders: ${[...seenFolders].join(',')}`);
+    }
+    console.log('✅ Added, edited and deleted files found, excluded folder skipped');
+
+    const touchedTime = (await fs.stat(path.join(watchDirectory, 'touched.txt'))).mtimeMs;
+    if (tree.getFile('touched.txt').mtime !== touchedTime) {
+      throw new Error('Touched file not recorded with its new time');
+    }
+    console.log('✅ Touched but unchanged file is not reported');
+  } finally {
+    selectiveSync.setRules(null);
+  }
+}
+
+async function testTokenBucket() {
+  console.log('\n🪣 Testing Token Bucket...');
+
+  const unlimited = new transfers.TokenBucket(0);
+  let start = Date.now();
+  await unlimited.take(100 * 1024 * 1024);
+  if (Date.now() - start > 50) {
+    throw new Error('An unlimited bucket should never wait');
+  }
+  console.log('✅ Rate 0 does not throttle');
+
+  // 100 KB/s: a second's worth goes through at once, the next 50 KB waits ~0.5s
+  const bucket = new transfers.TokenBucket(100 * 1024);
+  start = Date.now();
+  await bucket.take(100 * 1024);
+  if (Date.now() - start > 50) {
+    throw new Error('The first second of bandwidth should not wait');
+  }
+  await bucket.take(50 * 1024);
+  const waited = Date.now() - start;
+  if (waited < 400 || waited > 900) {
+    throw new Error(`Expected to wait about 500ms, waited ${waited}ms`);
+  }
+  console.log(`✅ Throttled to the rate (waited ${waited}ms for 50 KB)`);
+}
+
+async function testTransferOrder() {
+  console.log('\n🚦 Testing Transfer Order...');
+
+  const started = [];
+  const large = 10 * 1024 * 1024;
+
+  // A batch scheduled together starts smallest first; with one of the two
+  // slots taken, the large file waits for the other
+  const first = heldTask(started, 'large-1');
+  const second = heldTask(started, 'small-1');
+  const batch = [
+    transfers.schedule('upload', 'large-1', large, first.task),
+    transfers.schedule('upload', 'small-1', 10, second.task)
+  ];
+  await tick();
+  if (started.join(',') !== 'small-1') {
+    throw new Error(`Unexpected start order: ${started.join(',')}`);
+  }
+  second.finish();
+  await batch[1];
+  await tick();
+  if (started.join(',') !== 'small-1,large-1') {
+    throw new Error(`Large file did not start after the small one: ${started.join(',')}`);
+  }
+  console.log('✅ Smallest file starts first');
+
+  // With one slot left, a large file waits and a small one goes ahead
+  started.length = 0;
+  const waiting = heldTask(started, 'large-2');
+  const small = heldTask(started, 'small-2');
+  const more = [
+    transfers.schedule('download', 'large-2', large, waiting.task),
+    transfers.schedule('download', 'small-2', 20, small.task)
+  ];
+  await tick();
+  if (started.join(',') !== 'small-2') {
+    throw new Error(`The last slot should be kept for small files: ${started.join(',')}`);
+  }
+
+  small.finish();
+  await more[1];
+  await tick();
+  if (started.join(',') !== 'small-2') {
+    throw new Error('A large file took the last free slot');
+  }
+  console.log('✅ Last slot kept for small files');
+
+  first.finish();
+  await batch[0];
+  await tick();
+  if (started.join(',') !== 'small-2,large-2') {
+    throw new Error('The waiting large file did not start when a slot freed up');
+  }
+  waiting.finish();
+  await more[0];
+  console.log('✅ Large file starts once a slot frees up');
+}
+
+async function testTransferPause() {
+  console.log('\n⏸️ Testing Transfer Pause...');
+
+  const events = [];
+  const onProgress = transfer => events.push(`${transfer.path}:${transfer.transferred}`);
+  transfers.events.on('progress', onProgress);
+
+  try {
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const running = transfers.schedule('upload', 'running', 10, async (meter) => {
+      await meter(5);
+      await gate;
+      await meter(5);
+    });
+    await tick();
+
+    transfers.pause();
+    const queued = transfers.schedule('upload', 'queued', 10, meter => meter(10));
+    release();
+    await sleep(50);
+
+    if (events.join(',') !== 'running:5' || transfers.getStatus().queued !== 1) {
+      throw new Error(`Transfers moved while paused: ${events.join(',')}`);
+    }
+    console.log('✅ Pause holds running transfers and starts nothing new');
+
+    transfers.resume();
+    await Promise.all([running, queued]);
+    if (events.slice().sort().join(',') !== 'queued:10,running:10,running:5') {
+      throw new Error(`Unexpected progress after resume: ${events.join(',')}`);
+    }
+    console.log('✅ Resume continues where transfers stopped');
+  } finally {
+    transfers.events.off('progress', onProgress);
+    transfers.resume();
+  }
+}
+
+async function runAllTests() {
+  console.log('🚀 Starting Local Client Tests');
+  console.log('==============================');
+
+  try {
+    // Before anything else opens the local database
+    await testLegacyImport();
+    await testMigrations();
+    await testScanLocalChanges();
+    await testTokenBucket();
+    await testTransferOrder();
+    await testTransferPause();
+
+    console.log('\n🎉 All tests completed successfully!');
+    console.log('====================================');
+  } catch (error) {
+    console.error('\n💥 Test suite failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    localDb.close();
+    await fs.remove(tempRoot);
+  }
+}
+
+module.exports = {
+  testLegacyImport,
+  testMigrations,
+  testScanLocalChanges,
+  testTokenBucket,
+  testTransferOrder,
+  testTransferPause
+};
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runAllTests();
+}
@@ -0,0 +1,82 @@
+// lib/change-events.js - Change notifications for devices connected to /api/events
+const { EventEmitter } = require('events');
+const pool = require('../config/database');
+
+const CHANNEL = 'file_changes';
+const RECONNECT_DELAY_MS = 5000;
+
+// Listeners are keyed by user id; RESYNC goes to everyone
+const RESYNC = Symbol('resync');
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Queue a notification on `client`. Inside a transaction Postgres only delivers
+// it on commit, so devices never fetch a change that is not visible yet.
+async function notifyChange(client, userId, kind, data = {}) {
+  await client.query('SELECT pg_notify($1, $2)', [CHANNEL, JSON.stringify({ userId, kind, data })]);
+}
+
+// Call `listener(kind, data)` for the user's notifications. Returns the
+// function that unsubscribes it.
+function subscribe(userId, listener) {
+  const onEvent = event => listener(event.kind, event.data);
+  const onResync = () => listener('resync', {});
+
+  emitter.on(userId, onEvent);
+  emitter.on(RESYNC, onResync);
+
+  return () => {
+    emitter.off(userId, onEvent);
+    emitter.off(RESYNC, onResync);
+  };
+}
+
+// Hold one connection that LISTENs on the channel and fans notifications out.
+// Notifications sent while it was down are lost, so after reconnecting every
+// device is told to resync.
+async function startListening(reconnected = false) {
+  let client;
+  let failed = false;
+
+  const retry = (error) => {
+    if (failed) return;
+    failed = true;
+
+    console.error('❌ Change notification listener failed:', error.message);
+    if (client) {
+      client.removeAllListeners('notification');
+      client.release(error);
+      client = null;
+    }
+    setTimeout(() => startListening(true), RECONNECT_DELAY_MS);
+  };
+
+  try {
+    client = await pool.connect();
+
+    client.on('notification', (message) => {
+      try {
+        const event = JSON.parse(message.payload);
+        emitter.emit(event.userId, event);
+      } catch (error) {
+        console.error('❌ Invalid change notification:', error.message);
+      }
+    });
+    client.once('error', retry);
+
+    await client.query(`LISTEN ${CHANNEL}`);
+    console.log('📡 Listening for change notifications');
+
+    if (reconnected) {
+      emitter.emit(RESYNC);
+    }
+  } catch (error) {
+    retry(error);
+  }
+}
+
+module.exports = {
+  notifyChange,
+  subscribe,
+  startListening
+};
@@ -0,0 +1,139 @@
+// lib/change-log.js - Per-user journal of file changes, ordered by sequence number
+const pool = require('../config/database');
+const { notifyChange } = require('./change-events');
+
+const MAX_PAGE_SIZE = 1000;
+
+// Lock the change counters of every user in `userIds`, always in the same
+// order, so two writes whose logs overlap cannot each hold one counter while
+// waiting for the other's
+async function lockCounters(client, userIds) {
+  const ids = Array.from(new Set(userIds)).sort();
+
+  await client.query(`
+    INSERT INTO change_counters (user_id)
+    SELECT unnest($1::uuid[])
+    ON CONFLICT (user_id) DO NOTHING
+  `, [ids]);
+  await client.query('SELECT user_id FROM change_counters WHERE user_id = ANY($1) ORDER BY user_id FOR UPDATE', [ids]);
+}
+
+async function appendChange(client, userId, type, file, previousPath) {
+  const counter = await client.query(
+    'UPDATE change_counters SET seq = seq + 1 WHERE user_id = $1 RETURNING seq',
+    [userId]
+  );
+
+  const result = await client.query(`
+    INSERT INTO change_log (user_id, seq, event_type, file_id, file_path, previous_path, file_hash, file_size, mime_type)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING *
+  `, [
+    userId, counter.rows[0].seq, type, file.id, file.file_path, previousPath,
+    file.file_hash, file.file_size, file.mime_type
+  ]);
+
+  const change = result.rows[0];
+  await notifyChange(client, userId, 'change', { seq: parseInt(change.seq), type });
+
+  return change;
+}
+
+// Where a change in a shared folder lands in a member's namespace. A move
+// across the edge of the folder is a create or delete from their side.
+function memberChange(member, type, filePath, previousPath) {
+  const toMember = (ownerPath) => {
+    const namespacePath = ownerPath.replace(/^\/+/, '');
+    const inside = namespacePath === member.folder_path || namespacePath.startsWith(`${member.folder_path}/`);
+    return inside ? member.mount_path + namespacePath.slice(member.folder_path.length) : null;
+  };
+
+  const memberPath = toMember(filePath);
+  const memberPrevious = previousPath && toMember(previousPath);
+  const isFolder = type.startsWith('folder_');
+
+  if (type === 'move' || type === 'folder_move') {
+    if (memberPath && memberPrevious) return { type, path: memberPath, previousPath: memberPrevious };
+    if (memberPath) return { type: isFolder ? 'folder_create' : 'create', path: memberPath, previousPath: null };
+    if (memberPrevious) return { type: isFolder ? 'folder_delete' : 'delete', path: memberPrevious, previousPath: null };
+    return null;
+  }
+
+  return memberPath ? { type, path: memberPath, previousPath: null } : null;
+}
+
+// Append an event to the user's change log, and to the logs of members of a
+// shared folder it happened in. Must run inside the transaction that makes
+// the change: taking the next number locks the user's counter, so events
+// become visible in sequence order and a cursor never skips one.
+async function recordChange(client, userId, type, file, previousPath = null) {
+  const members = await client.query(`
+    SELECT m.user_id, m.mount_path, f.path AS folder_path
+    FROM shared_folders s
+    JOIN folders f ON f.id = s.folder_id
+    JOIN share_members m ON m.share_id = s.id
+    WHERE s.owner_id = $1 AND m.status = 'accepted'
+    ORDER BY m.user_id
+  `, [userId]);
+
+  const memberChanges = members.rows
+    .map(member => ({ userId: member.user_id, mapped: memberChange(member, type, file.file_path, previousPath) }))
+    .filter(({ mapped }) => mapped);
+
+  await lockCounters(client, [userId, ...memberChanges.map(({ userId: memberId }) => memberId)]);
+
+  const change = await appendChange(client, userId, type, file, previousPath);
+
+  for (const { userId: memberId, mapped } of memberChanges) {
+    await appendChange(client, memberId, mapped.type, { ...file, file_path: mapped.path }, mapped.previousPath);
+  }
+
+  return change;
+}
+
+function formatChange(change) {
+  return {
+    seq: parseInt(change.seq),
+    type: change.event_type,
+    fileId: change.file_id,
+    filePath: change.file_path,
+    previousPath: change.previous_path,
+    fileHash: change.file_hash,
+    fileSize: change.file_size === null ? null : parseInt(change.file_size),
+    mimeType: change.mime_type,
+    createdAt: change.created_at
+  };
+}
+
+async function getLatestSeq(userId) {
+  const result = await pool.query('SELECT seq FROM change_counters WHERE user_id = $1', [userId]);
+  return result.rows.length > 0 ? parseInt(result.rows[0].seq) : 0;
+}
+
+// Changes after `cursor`, oldest first
+async function getChanges(userId, cursor = 0, limit = 500) {
+  const pageSize = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+
+  const result = await pool.query(`
+    SELECT * FROM change_log
+    WHERE user_id = $1 AND seq > $2
+    ORDER BY seq
+    LIMIT $3
+  `, [userId, cursor, pageSize + 1]);
+
+  const hasMore = result.rows.length > pageSize;
+  const changes = result.rows.slice(0, pageSize).map(formatChange);
+
+  return {
+    changes,
+    cursor: changes.length > 0 ? changes[changes.length - 1].seq : cursor,
+    hasMore
+  };
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  recordChange,
+  getLatestSeq,
+  getChanges
+};
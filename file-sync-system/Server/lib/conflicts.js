@@ -0,0 +1,94 @@
+// lib/conflicts.js - Concurrent edits of the same path, kept as conflicted copies
+const path = require('path');
+
+const pool = require('../config/database');
+
+// "report (conflicted copy from laptop-001, 2026-10-19).txt"
+function conflictedCopyName(filename, deviceId, date = new Date()) {
+  const ext = path.extname(filename);
+  const base = filename.slice(0, filename.length - ext.length);
+  const day = date.toISOString().slice(0, 10);
+
+  return `${base} (conflicted copy from ${deviceId || 'unknown device'}, ${day})${ext}`;
+}
+
+// Pick a conflicted copy path that is not taken yet by an active file
+async function findConflictPath(client, userId, filePath, deviceId) {
+  const dir = path.posix.dirname(filePath);
+  const filename = path.posix.basename(filePath);
+  const copyName = conflictedCopyName(filename, deviceId);
+  const ext = path.extname(copyName);
+  const base = copyName.slice(0, copyName.length - ext.length);
+
+  for (let attempt = 1; ; attempt++) {
+    const candidate = attempt === 1 ? copyName : `${base} ${attempt}${ext}`;
+    const candidatePath = path.posix.join(dir, candidate);
+
+    const taken = await client.query(
+      'SELECT 1 FROM files WHERE user_id = $1 AND file_path = $2 AND status = $3',
+      [userId, candidatePath, 'active']
+    );
+
+    if (taken.rows.length === 0) {
+      return { filename: candidate, filePath: candidatePath };
+    }
+  }
+}
+
+async function recordConflict(client, userId, conflict) {
+  const result = await client.query(`
+    INSERT INTO sync_conflicts (
+      user_id, file_path, conflict_path, file_id, conflict_file_id, device_id,
+      base_hash, local_hash, remote_hash, detected_by
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    RETURNING *
+  `, [
+    userId, conflict.filePath, conflict.conflictPath, conflict.fileId || null,
+    conflict.conflictFileId || null, conflict.deviceId || null, conflict.baseHash || null,
+    conflict.localHash, conflict.remoteHash || null, conflict.detectedBy
+  ]);
+
+  return result.rows[0];
+}
+
+function formatConflict(conflict) {
+  return {
+    id: conflict.id,
+    filePath: conflict.file_path,
+    conflictPath: conflict.conflict_path,
+    fileId: conflict.file_id,
+    conflictFileId: conflict.conflict_file_id,
+    deviceId: conflict.device_id,
+    baseHash: conflict.base_hash,
+    localHash: conflict.local_hash,
+    remoteHash: conflict.remote_hash,
+    detectedBy: conflict.detected_by,
+    status: conflict.status,
+    createdAt: conflict.created_at,
+    resolvedAt: conflict.resolved_at
+  };
+}
+
+async function listConflicts(userId, status = null) {
+  const params = [userId];
+  let query = 'SELECT * FROM sync_conflicts WHERE user_id = $1';
+
+  if (status) {
+    query += ' AND status = $2';
+    params.push(status);
+  }
+
+  query += ' ORDER BY created_at DESC';
+
+  const result = await pool.query(query, params);
+  return result.rows;
+}
+
+module.exports = {
+  conflictedCopyName,
+  findConflictPath,
+  recordConflict,
+  formatConflict,
+  listConflicts
+};
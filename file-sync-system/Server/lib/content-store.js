@@ -0,0 +1,386 @@
+// lib/content-store.js - Deduplicated chunk storage in MinIO with manifests in PostgreSQL
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+const pool = require('../config/database');
+const { minioClient, BUCKET_NAME } = require('../config/minio');
+const { chunkStream, MAX_CHUNK_SIZE } = require('../../shared/chunker');
+const { HEAD_SIZE } = require('./file-types');
+const { HttpError } = require('../middleware/errorHandler');
+
+const GC_GRACE_PERIOD = '1 day';
+
+function calculateHash(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function chunkKey(chunkHash) {
+  return `chunks/${chunkHash.slice(0, 2)}/${chunkHash}`;
+}
+
+// Return the subset of chunk hashes that `userId` still has to send. A stored
+// chunk only counts for a user who sent it or has a file containing it, so
+// nobody can find out which data other users have. Without `userId`, any
+// stored chunk counts (for content the server chunked itself).
+async function findMissingChunks(chunkHashes, userId = null) {
+  const unique = [...new Set(chunkHashes)];
+  if (unique.length === 0) {
+    return [];
+  }
+
+  const result = userId ? await pool.query(`
+    SELECT c.hash FROM chunks c
+    WHERE c.hash = ANY($1) AND (
+      EXISTS (SELECT 1 FROM chunk_holders h WHERE h.chunk_hash = c.hash AND h.user_id = $2)
+      OR EXISTS (
+        SELECT 1 FROM content_chunks cc
+        JOIN file_versions v ON v.file_hash = cc.content_hash
+        WHERE cc.chunk_hash = c.hash AND v.user_id = $2
+      )
+    )
+  `, [unique, userId]) : await pool.query('SELECT hash FROM chunks WHERE hash = ANY($1)', [unique]);
+  const present = new Set(result.rows.map(row => row.hash));
+
+  return unique.filter(hash => !present.has(hash));
+}
+
+function addChunkHolders(chunkHashes, userId) {
+  return pool.query(`
+    INSERT INTO chunk_holders (chunk_hash, user_id)
+    SELECT unnest($1::varchar[]), $2
+    ON CONFLICT DO NOTHING
+  `, [chunkHashes, userId]);
+}
+
+// Store a single chunk after checking that its content matches the hash. The
+// sender, if given, has shown they have the chunk even if it was stored already.
+async function putChunk(chunkHash, data, userId = null) {
+  if (data.length === 0 || data.length > MAX_CHUNK_SIZE) {
+    throw new HttpError(400, `Chunk size must be between 1 and ${MAX_CHUNK_SIZE} bytes`);
+  }
+
+  if (calculateHash(data) !== chunkHash) {
+    throw new HttpError(400, 'Chunk content does not match its hash');
+  }
+
+  const existing = await pool.query('SELECT hash FROM chunks WHERE hash = $1', [chunkHash]);
+  const stored = existing.rows.length === 0;
+
+  if (stored) {
+    const minioKey = chunkKey(chunkHash);
+    await minioClient.putObject(BUCKET_NAME, minioKey, data, {
+      'Content-Type': 'application/octet-stream'
+    });
+
+    await pool.query(
+      'INSERT INTO chunks (hash, size, minio_key) VALUES ($1, $2, $3) ON CONFLICT (hash) DO NOTHING',
+      [chunkHash, data.length, minioKey]
+    );
+  }
+
+  if (userId) {
+    await addChunkHolders([chunkHash], userId);
+  }
+
+  return stored;
+}
+
+async function getManifest(contentHash, db = pool) {
+  const result = await db.query(`
+    SELECT cc.chunk_index, cc.chunk_hash, cc.chunk_offset, c.size, c.minio_key, c.object_offset
+    FROM content_chunks cc
+    JOIN chunks c ON c.hash = cc.chunk_hash
+    WHERE cc.content_hash = $1
+    ORDER BY cc.chunk_index
+  `, [contentHash]);
+
+  return result.rows;
+}
+
+// A chunk is either its own object or a byte range inside a pack object
+// (object_offset is a BIGINT, which pg returns as a string)
+function readChunkObject(chunk) {
+  return minioClient.getPartialObject(BUCKET_NAME, chunk.minio_key, parseInt(chunk.object_offset), chunk.size);
+}
+
+// Hash the concatenation of stored chunks, used to arbitrate manifest disputes
+async function hashChunks(chunkHashes) {
+  const result = await pool.query(
+    'SELECT hash, size, minio_key, object_offset FROM chunks WHERE hash = ANY($1)',
+    [chunkHashes]
+  );
+  const chunks = new Map(result.rows.map(row => [row.hash, row]));
+  const hash = crypto.createHash('sha256');
+
+  for (const chunkHash of chunkHashes) {
+    const stream = await readChunkObject(chunks.get(chunkHash));
+    for await (const data of stream) {
+      hash.update(data);
+    }
+  }
+
+  return hash.digest('hex');
+}
+
+async function insertManifest(client, contentHash, chunks) {
+  const indexes = [];
+  const hashes = [];
+  const offsets = [];
+  let offset = 0;
+
+  chunks.forEach((chunk, index) => {
+    indexes.push(index);
+    hashes.push(chunk.hash);
+    offsets.push(offset);
+    offset += chunk.size;
+  });
+
+  await client.query(`
+    INSERT INTO content_chunks (content_hash, chunk_index, chunk_hash, chunk_offset)
+    SELECT $1, * FROM unnest($2::int[], $3::varchar[], $4::bigint[])
+  `, [contentHash, indexes, hashes, offsets]);
+}
+
+// Record which chunks make up a piece of content. Every chunk must already be
+// stored. Content is shared by hash with everyone who uploads the same bytes,
+// so a manifest is only accepted once its chunks really hash to the content
+// hash: when the content is new, or disagrees with the manifest on record.
+// The chunks must be ones `userId` sent or already has; `verified` is for
+// content the server chunked and hashed itself.
+async function registerContent({ hash, size, chunks }, { userId = null, verified = false } = {}) {
+  const totalSize = chunks.reduce((sum, chunk) => sum + chunk.size, 0);
+  if (totalSize !== size) {
+    throw new HttpError(400, 'Chunk sizes do not add up to the file size');
+  }
+
+  const missing = await findMissingChunks(chunks.map(chunk => chunk.hash), verified ? null : userId);
+  if (missing.length > 0) {
+    throw new HttpError(400, 'Some chunks have not been uploaded', { missingChunks: missing });
+  }
+
+  const storedSizes = await pool.query(
+    'SELECT hash, size FROM chunks WHERE hash = ANY($1)',
+    [[...new Set(chunks.map(chunk => chunk.hash))]]
+  );
+  const sizes = new Map(storedSizes.rows.map(row => [row.hash, row.size]));
+  if (chunks.some(chunk => sizes.get(chunk.hash) !== chunk.size)) {
+    throw new HttpError(400, 'Chunk sizes do not match the stored chunks');
+  }
+
+  let checked = verified;
+  const verify = async () => {
+    if (!checked && await hashChunks(chunks.map(chunk => chunk.hash)) !== hash) {
+      throw new HttpError(400, 'Chunks do not match the file hash');
+    }
+    checked = true;
+  };
+
+  // Read back before the transaction rather than while holding it open
+  const known = await pool.query('SELECT 1 FROM contents WHERE hash = $1', [hash]);
+  if (known.rows.length === 0) {
+    await verify();
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      'SELECT hash FROM contents WHERE hash = $1 FOR UPDATE',
+      [hash]
+    );
+
+    if (existing.rows.length > 0) {
+      const manifest = await getManifest(hash, client);
+      const sameManifest = manifest.length === chunks.length &&
+        manifest.every((row, index) => row.chunk_hash === chunks[index].hash);
+
+      if (!sameManifest) {
+        await verify();
+
+        await client.query('DELETE FROM content_chunks WHERE content_hash = $1', [hash]);
+        await client.query(
+          'UPDATE contents SET size = $2, chunk_count = $3 WHERE hash = $1',
+          [hash, size, chunks.length]
+        );
+        await insertManifest(client, hash, chunks);
+      }
+
+      // Keep garbage collection away from content a file is about to point at
+      await client.query(
+        'UPDATE contents SET last_used_at = CURRENT_TIMESTAMP WHERE hash = $1',
+        [hash]
+      );
+    } else {
+      await verify();
+      await client.query(
+        'INSERT INTO contents (hash, size, chunk_count) VALUES ($1, $2, $3)',
+        [hash, size, chunks.length]
+      );
+      await insertManifest(client, hash, chunks);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Register the chunks of a completed pack object (uploaded through a multipart
+// session) after reading the pack back and checking every chunk against its hash
+async function registerPack(minioKey, packChunks, userId) {
+  const stream = await minioClient.getObject(BUCKET_NAME, minioKey);
+  let index = 0;
+  let hash = null;
+  let remaining = 0;
+
+  const startChunk = () => {
+    if (index < packChunks.length) {
+      hash = crypto.createHash('sha256');
+      remaining = packChunks[index].size;
+    }
+  };
+
+  startChunk();
+
+  for await (let data of stream) {
+    while (data.length > 0) {
+      if (index >= packChunks.length) {
+        throw new HttpError(400, 'Uploaded data is longer than expected');
+      }
+
+      const piece = data.subarray(0, remaining);
+      hash.update(piece);
+      remaining -= piece.length;
+      data = data.subarray(piece.length);
+
+      if (remaining === 0) {
+        if (hash.digest('hex') !== packChunks[index].hash) {
+          throw new HttpError(400, `Uploaded data does not match chunk ${packChunks[index].hash}`);
+        }
+        index++;
+        startChunk();
+      }
+    }
+  }
+
+  if (index !== packChunks.length) {
+    throw new HttpError(400, 'Uploaded data is shorter than expected');
+  }
+
+  // Another upload may have stored some of these chunks meanwhile; keep the first copy
+  await pool.query(`
+    INSERT INTO chunks (hash, size, minio_key, object_offset)
+    SELECT hash, size, $1, object_offset
+    FROM unnest($2::varchar[], $3::int[], $4::bigint[]) AS pack(hash, size, object_offset)
+    ON CONFLICT (hash) DO NOTHING
+  `, [
+    minioKey,
+    packChunks.map(chunk => chunk.hash),
+    packChunks.map(chunk => chunk.size),
+    packChunks.map(chunk => chunk.offset)
+  ]);
+  await addChunkHolders(packChunks.map(chunk => chunk.hash), userId);
+}
+
+// Chunk a stream on the server as it arrives and store whatever chunks are
+// new, holding one chunk in memory at a time. Resolves with the content's
+// hash, size, chunks and `head`, its first bytes (to tell its type by);
+// registering the content is left to the caller, once it has checked the hash.
+async function storeStream(stream) {
+  const chunks = [];
+  let head = Buffer.alloc(0);
+
+  const { hash, size } = await chunkStream(stream, async (chunk) => {
+    if (chunks.length === 0) {
+      head = Buffer.from(chunk.data.subarray(0, HEAD_SIZE));
+    }
+    chunks.push({ hash: chunk.hash, size: chunk.size });
+    await putChunk(chunk.hash, chunk.data);
+  });
+
+  return { hash, size, chunks, head };
+}
+
+// Remove content that no file version refers to any more, then the chunks
+// no content refers to, and finally their objects in MinIO. Anything used
+// within the grace period is left alone: an upload in progress may have stored
+// chunks or content without having created its file record yet.
+async function collectGarbage() {
+  await pool.query(`
+    DELETE FROM contents
+    WHERE ref_count <= 0 AND last_used_at < NOW() - $1::interval
+  `, [GC_GRACE_PERIOD]);
+
+  const removed = await pool.query(`
+    DELETE FROM chunks c
+    WHERE c.created_at < NOW() - $1::interval
+      AND NOT EXISTS (SELECT 1 FROM content_chunks cc WHERE cc.chunk_hash = c.hash)
+    RETURNING minio_key
+  `, [GC_GRACE_PERIOD]);
+
+  // Chunks uploaded through a session share a pack object, which can only go
+  // once none of its chunks are left
+  const keys = [...new Set(removed.rows.map(row => row.minio_key))];
+  const stillUsed = await pool.query(
+    'SELECT DISTINCT minio_key FROM chunks WHERE minio_key = ANY($1)',
+    [keys]
+  );
+  const used = new Set(stillUsed.rows.map(row => row.minio_key));
+
+  for (const key of keys.filter(key => !used.has(key))) {
+    try {
+      await minioClient.removeObject(BUCKET_NAME, key);
+    } catch (minioError) {
+      console.error(`MinIO deletion error for ${key}:`, minioError.message);
+    }
+  }
+
+  return { chunks: removed.rows.length };
+}
+
+// Stream a file's bytes, whether it was stored whole (before chunking) or as
+// chunks. `start` and `end` (inclusive) select a byte range; only the chunks
+// that overlap it are read.
+function createFileStream(file, { start = 0, end = parseInt(file.file_size) - 1 } = {}) {
+  return Readable.from((async function* () {
+    if (end < start) {
+      return;
+    }
+
+    if (file.minio_key) {
+      yield* await minioClient.getPartialObject(BUCKET_NAME, file.minio_key, start, end - start + 1);
+      return;
+    }
+
+    const manifest = await getManifest(file.file_hash);
+    for (const chunk of manifest) {
+      const chunkStart = parseInt(chunk.chunk_offset);
+      const chunkEnd = chunkStart + chunk.size - 1;
+      if (chunkEnd < start || chunkStart > end) {
+        continue;
+      }
+
+      const from = Math.max(start, chunkStart) - chunkStart;
+      const to = Math.min(end, chunkEnd) - chunkStart;
+      yield* await minioClient.getPartialObject(
+        BUCKET_NAME, chunk.minio_key, parseInt(chunk.object_offset) + from, to - from + 1
+      );
+    }
+  })());
+}
+
+module.exports = {
+  calculateHash,
+  findMissingChunks,
+  putChunk,
+  registerPack,
+  registerContent,
+  storeStream,
+  createFileStream,
+  collectGarbage
+};
@@ -0,0 +1,77 @@
+// lib/devices.js - A user's devices and the folders each one syncs
+//
+// Sync rules are folder paths, matched as in shared/sync-rules.js.
+const pool = require('../config/database');
+const { normalizeFolderPath } = require('./folders');
+const { notifyChange } = require('./change-events');
+
+function formatRules(device) {
+  return {
+    include: device ? device.include_folders : [],
+    exclude: device ? device.exclude_folders : []
+  };
+}
+
+function formatDevice(device) {
+  return {
+    deviceId: device.device_id,
+    deviceName: device.device_name,
+    syncRules: formatRules(device),
+    createdAt: device.created_at,
+    updatedAt: device.updated_at
+  };
+}
+
+// Record a device when it signs in, keeping its name current
+async function registerDevice(userId, deviceId, deviceName) {
+  await pool.query(`
+    INSERT INTO devices (user_id, device_id, device_name)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (user_id, device_id)
+    DO UPDATE SET device_name = COALESCE(EXCLUDED.device_name, devices.device_name)
+  `, [userId, deviceId, deviceName || null]);
+}
+
+async function listDevices(userId) {
+  const result = await pool.query('SELECT * FROM devices WHERE user_id = $1 ORDER BY created_at', [userId]);
+  return result.rows;
+}
+
+// Devices nobody set rules for sync everything
+async function getSyncRules(userId, deviceId) {
+  const result = await pool.query(
+    'SELECT include_folders, exclude_folders FROM devices WHERE user_id = $1 AND device_id = $2',
+    [userId, deviceId]
+  );
+  return formatRules(result.rows[0]);
+}
+
+function normalizeFolders(folders) {
+  return [...new Set(folders.map(normalizeFolderPath).filter(Boolean))].sort();
+}
+
+// Replace a device's rules. The device is told over the change stream, and
+// removes newly excluded folders from its disk; the server keeps them.
+async function setSyncRules(userId, deviceId, { include, exclude }) {
+  const result = await pool.query(`
+    INSERT INTO devices (user_id, device_id, include_folders, exclude_folders)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (user_id, device_id)
+    DO UPDATE SET include_folders = EXCLUDED.include_folders,
+                  exclude_folders = EXCLUDED.exclude_folders,
+                  updated_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `, [userId, deviceId, normalizeFolders(include), normalizeFolders(exclude)]);
+
+  await notifyChange(pool, userId, 'sync_rules', { deviceId });
+  return result.rows[0];
+}
+
+module.exports = {
+  formatRules,
+  formatDevice,
+  registerDevice,
+  listDevices,
+  getSyncRules,
+  setSyncRules
+};
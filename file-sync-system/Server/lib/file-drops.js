@@ -0,0 +1,260 @@
+// lib/file-drops.js - Upload links ("file drops") that let people without an
+// account put files into one of a user's folders
+const path = require('path');
+const crypto = require('crypto');
+
+const pool = require('../config/database');
+const contentStore = require('./content-store');
+const { saveFileRecord } = require('./file-records');
+const { normalizeFolderPath, isEncryptedAt } = require('./folders');
+const { resolvePath, getAccess, hasRole } = require('./shares');
+const { checkQuota, getMaxFileSize } = require('./usage');
+const { matchesContent } = require('./file-types');
+const { HttpError } = require('../middleware/errorHandler');
+
+// Limits of links that do not set their own
+const DROP_MAX_FILE_SIZE = (parseInt(process.env.DROP_MAX_FILE_SIZE_MB) || 100) * 1024 * 1024;
+const DROP_MAX_FILES = parseInt(process.env.DROP_MAX_FILES) || 100;
+const DROP_MAX_TOTAL_SIZE = (parseInt(process.env.DROP_MAX_TOTAL_SIZE_MB) || 1024) * 1024 * 1024;
+
+const DROP_QUERY = `
+  SELECT p.*, d.name AS folder_name, d.path AS folder_path, d.user_id AS owner_id
+  FROM file_drops p
+  JOIN folders d ON d.id = p.folder_id
+`;
+
+function generateToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+function dropStatus(drop) {
+  if (drop.revoked_at) return 'revoked';
+  if (drop.expires_at && new Date(drop.expires_at) <= new Date()) return 'expired';
+  return 'active';
+}
+
+function dropCaps(drop) {
+  return {
+    maxFiles: drop.max_files === null ? DROP_MAX_FILES : drop.max_files,
+    maxTotalSize: drop.max_total_size === null ? DROP_MAX_TOTAL_SIZE : parseInt(drop.max_total_size)
+  };
+}
+
+function formatDrop(req, drop) {
+  return {
+    id: drop.id,
+    url: `${req.protocol}://${req.get('host')}/d/${drop.token}`,
+    folderId: drop.folder_id,
+    folderName: drop.folder_name,
+    maxFileSize: drop.max_file_size === null ? null : parseInt(drop.max_file_size),
+    allowedTypes: drop.allowed_types,
+    ...dropCaps(drop),
+    expiresAt: drop.expires_at,
+    uploadCount: drop.upload_count,
+    totalSize: parseInt(drop.total_size),
+    lastUploadAt: drop.last_upload_at,
+    status: dropStatus(drop),
+    revokedAt: drop.revoked_at,
+    createdAt: drop.created_at
+  };
+}
+
+// What someone uploading through the link gets to see
+function formatPublicDrop(drop) {
+  return {
+    folderName: drop.folder_name,
+    maxFileSize: drop.max_file_size === null ? null : parseInt(drop.max_file_size),
+    allowedTypes: drop.allowed_types,
+    expiresAt: drop.expires_at
+  };
+}
+
+// The link's limit, never more than the folder owner could upload themselves
+// or than what is left of the link's total
+async function getDropFileSizeLimit(drop) {
+  const linkLimit = drop.max_file_size === null ? DROP_MAX_FILE_SIZE : parseInt(drop.max_file_size);
+  const remaining = dropCaps(drop).maxTotalSize - parseInt(drop.total_size);
+  return Math.max(0, Math.min(linkLimit, remaining, await getMaxFileSize(drop.owner_id)));
+}
+
+async function getDrop(dropId) {
+  const result = await pool.query(`${DROP_QUERY} WHERE p.id = $1`, [dropId]);
+  return result.rows[0];
+}
+
+// Files land in the folder's owner's namespace, so in a shared folder it
+// takes the editor role to create a drop
+async function createDrop(userId, { folderPath, expiresInHours, maxFileSize, maxFiles, maxTotalSize, allowedTypes }) {
+  const target = await resolvePath(userId, normalizeFolderPath(folderPath), 'editor');
+  const folder = await pool.query(
+    'SELECT id FROM folders WHERE user_id = $1 AND path = $2',
+    [target.userId, target.path]
+  );
+
+  if (!target.path || folder.rows.length === 0) {
+    throw new HttpError(404, 'Folder not found');
+  }
+
+  // Anonymous uploads arrive as plaintext, which devices could not tell apart
+  if (await isEncryptedAt(pool, target.userId, target.path)) {
+    throw new HttpError(400, 'Upload links cannot point into an encrypted folder');
+  }
+
+  const expiresAt = expiresInHours ? new Date(Date.now() + expiresInHours * 3600 * 1000) : null;
+  const types = allowedTypes && allowedTypes.length > 0 ? allowedTypes.map(type => type.toLowerCase()) : null;
+
+  const result = await pool.query(`
+    INSERT INTO file_drops (token, user_id, folder_id, max_file_size, max_files, max_total_size, allowed_types, expires_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING id
+  `, [generateToken(), userId, folder.rows[0].id, maxFileSize || null, maxFiles || null, maxTotalSize || null, types, expiresAt]);
+
+  return getDrop(result.rows[0].id);
+}
+
+async function listDrops(userId) {
+  const result = await pool.query(`${DROP_QUERY} WHERE p.user_id = $1 ORDER BY p.created_at DESC`, [userId]);
+  return result.rows;
+}
+
+async function revokeDrop(userId, dropId) {
+  const result = await pool.query(`
+    UPDATE file_drops SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+    WHERE id = $1 AND user_id = $2
+    RETURNING id
+  `, [dropId, userId]);
+
+  if (result.rows.length === 0) {
+    throw new HttpError(404, 'Upload link not found');
+  }
+  return getDrop(dropId);
+}
+
+// A drop that still accepts uploads
+async function getOpenDrop(token) {
+  const result = await pool.query(`${DROP_QUERY} WHERE p.token = $1`, [token]);
+  const drop = result.rows[0];
+
+  if (!drop) {
+    throw new HttpError(404, 'Upload link not found');
+  }
+
+  const status = dropStatus(drop);
+  if (status !== 'active') {
+    throw new HttpError(410, `This upload link has ${status === 'revoked' ? 'been revoked' : 'expired'}`);
+  }
+
+  // Whoever created the link may have lost access to the folder since
+  const access = await getAccess(drop.user_id, drop.owner_id, drop.folder_path);
+  if (!access || !hasRole(access.role, 'editor')) {
+    throw new HttpError(410, 'This upload link is no longer available');
+  }
+
+  const caps = dropCaps(drop);
+  if (drop.upload_count >= caps.maxFiles || parseInt(drop.total_size) >= caps.maxTotalSize) {
+    throw new HttpError(410, 'This upload link is full');
+  }
+
+  return drop;
+}
+
+// Allowed types are MIME types ("application/pdf"), wildcards ("image/*")
+// or extensions (".docx"). This checks what the uploader declares, before the
+// file is read; saveDroppedFile checks it against the content.
+function isAllowedType(drop, { originalname, mimetype }) {
+  if (!drop.allowed_types) {
+    return true;
+  }
+
+  const extension = path.extname(originalname).toLowerCase();
+  const mimeType = (mimetype || '').toLowerCase();
+
+  return drop.allowed_types.some(type => {
+    if (type.startsWith('.')) return type === extension;
+    if (type.endsWith('/*')) return mimeType.startsWith(type.slice(0, -1));
+    return type === mimeType;
+  });
+}
+
+// "report.pdf", then "report (2).pdf"... so a drop never replaces a file
+async function findFreeName(ownerId, folderPath, filename) {
+  const ext = path.extname(filename);
+  const base = filename.slice(0, filename.length - ext.length);
+
+  for (let counter = 1; ; counter++) {
+    const candidate = counter === 1 ? filename : `${base} (${counter})${ext}`;
+
+    // Stored paths may start with a slash, folder paths never do
+    const taken = await pool.query(
+      `SELECT 1 FROM files WHERE user_id = $1 AND ltrim(file_path, '/') = $2 AND status = 'active'`,
+      [ownerId, `${folderPath}/${candidate}`]
+    );
+
+    if (taken.rows.length === 0) {
+      return candidate;
+    }
+  }
+}
+
+// Save a file uploaded through a drop into its folder
+async function saveDroppedFile(drop, { originalname, mimetype, hash: fileHash, size, chunks, head }) {
+  const filename = path.basename(originalname.replace(/\\/g, '/'));
+  if (!filename || filename === '.' || filename === '..') {
+    throw new HttpError(400, 'Invalid file name');
+  }
+
+  // The declared name and type were checked before reading; the content must
+  // be what they say
+  if (drop.allowed_types && !matchesContent(head, { originalname: filename, mimetype })) {
+    throw new HttpError(415, 'The file\'s content does not match its type', { allowedTypes: drop.allowed_types });
+  }
+
+  await checkQuota(drop.owner_id, size);
+  await contentStore.registerContent({ hash: fileHash, size, chunks }, { verified: true });
+
+  // Counted before saving, so concurrent uploads cannot go over the caps
+  const caps = dropCaps(drop);
+  const counted = await pool.query(`
+    UPDATE file_drops
+    SET upload_count = upload_count + 1, total_size = total_size + $2, last_upload_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND upload_count < $3 AND total_size + $2 <= $4
+  `, [drop.id, size, caps.maxFiles, caps.maxTotalSize]);
+
+  if (counted.rowCount === 0) {
+    throw new HttpError(410, 'This upload link is full');
+  }
+
+  try {
+    // baseHash '' says the uploader never saw a file at this path, so losing a
+    // race for the name gives a conflicted copy rather than overwriting
+    const saved = await saveFileRecord(drop.owner_id, {
+      filename: await findFreeName(drop.owner_id, drop.folder_path, filename),
+      filePath: drop.folder_path,
+      fileHash,
+      fileSize: size,
+      mimeType: mimetype,
+      baseHash: '',
+      deviceId: 'file drop'
+    });
+
+    return saved.fileRecord;
+  } catch (error) {
+    await pool.query(
+      'UPDATE file_drops SET upload_count = upload_count - 1, total_size = total_size - $2 WHERE id = $1',
+      [drop.id, size]
+    );
+    throw error;
+  }
+}
+
+module.exports = {
+  formatDrop,
+  formatPublicDrop,
+  createDrop,
+  listDrops,
+  revokeDrop,
+  getOpenDrop,
+  isAllowedType,
+  getDropFileSizeLimit,
+  saveDroppedFile
+};
@@ -0,0 +1,387 @@
+// lib/file-records.js - File rows shared by the upload routes
+const path = require('path');
+
+const pool = require('../config/database');
+const { minioClient, BUCKET_NAME } = require('../config/minio');
+const { findConflictPath, recordConflict, formatConflict } = require('./conflicts');
+const { recordChange } = require('./change-log');
+const { ensureParentFolders, assertSameEncryption } = require('./folders');
+const { toNamespacePath } = require('./namespace');
+const { hasRole, resolvePath, getAccess, toMemberPath } = require('./shares');
+const { chargeStorage, releaseStorage } = require('./usage');
+const { HttpError } = require('../middleware/errorHandler');
+
+// Versions kept per file; older ones are pruned as new ones are added (0 keeps all)
+const MAX_FILE_VERSIONS = process.env.MAX_FILE_VERSIONS === undefined ? 50 : parseInt(process.env.MAX_FILE_VERSIONS) || 0;
+
+async function generatePresignedUrl(minioKey, expirySeconds = 3600) {
+  // Generate presigned URL for temporary access (default 1 hour)
+  try {
+    const presignedUrl = await minioClient.presignedGetObject(BUCKET_NAME, minioKey, expirySeconds);
+    return presignedUrl;
+  } catch (error) {
+    console.error('Error generating presigned URL:', error);
+    throw new Error('Failed to generate download URL');
+  }
+}
+
+// Files uploaded whole have their own object; chunked files are served by the API
+async function getFileUrl(req, file, expirySeconds = 3600) {
+  if (file.minio_key) {
+    return generatePresignedUrl(file.minio_key, expirySeconds);
+  }
+  return `${req.protocol}://${req.get('host')}/api/files/${file.id}/content`;
+}
+
+async function formatFile(req, fileRecord) {
+  return {
+    id: fileRecord.id,
+    filename: fileRecord.filename,
+    filePath: fileRecord.file_path,
+    fileSize: fileRecord.file_size,
+    fileHash: fileRecord.file_hash,
+    mimeType: fileRecord.mime_type,
+    localUrl: fileRecord.local_url,
+    s3Url: await getFileUrl(req, fileRecord),
+    createdAt: fileRecord.created_at
+  };
+}
+
+function formatVersion(version, isCurrent) {
+  return {
+    id: version.id,
+    versionNumber: version.version_number,
+    filePath: version.file_path,
+    fileSize: version.file_size,
+    fileHash: version.file_hash,
+    mimeType: version.mime_type,
+    isCurrent,
+    createdAt: version.created_at
+  };
+}
+
+// Drop the oldest versions of a file beyond MAX_FILE_VERSIONS, releasing their
+// content references and the storage they were charged for. Versions stored
+// as whole objects, from before chunked storage, are kept.
+async function pruneVersions(client, fileRecord) {
+  if (!MAX_FILE_VERSIONS) {
+    return;
+  }
+
+  const pruned = await client.query(`
+    DELETE FROM file_versions
+    WHERE file_id = $1 AND minio_key IS NULL AND version_number <= (
+      SELECT MAX(version_number) - $2 FROM file_versions WHERE file_id = $1
+    )
+    RETURNING file_hash, file_size
+  `, [fileRecord.id, MAX_FILE_VERSIONS]);
+
+  for (const version of pruned.rows) {
+    await client.query(
+      'UPDATE contents SET ref_count = ref_count - 1 WHERE hash = $1',
+      [version.file_hash]
+    );
+  }
+
+  const bytes = pruned.rows.reduce((sum, version) => sum + parseInt(version.file_size), 0);
+  await releaseStorage(client, fileRecord.user_id, bytes, 'version_pruned', fileRecord.id);
+}
+
+// Append the file's current content to its version history. Every version
+// holds a reference on its content, which is only purged once none are left,
+// and counts against the owner's storage quota.
+async function addVersion(client, fileRecord) {
+  await chargeStorage(client, fileRecord.user_id, parseInt(fileRecord.file_size), 'version_added', fileRecord.id);
+
+  const result = await client.query(`
+    INSERT INTO file_versions (file_id, user_id, file_path, version_number, file_hash, file_size, mime_type, minio_key)
+    SELECT $1, $2, $3, COALESCE(MAX(version_number), 0) + 1, $4, $5, $6, $7
+    FROM file_versions WHERE file_id = $1
+    RETURNING *
+  `, [
+    fileRecord.id, fileRecord.user_id, fileRecord.file_path, fileRecord.file_hash,
+    fileRecord.file_size, fileRecord.mime_type, fileRecord.minio_key
+  ]);
+
+  // Content stored whole before chunking (minio_key set) has no contents row
+  if (!fileRecord.minio_key) {
+    // Locked, so garbage collection cannot drop the content before the new
+    // reference is committed
+    await client.query('SELECT hash FROM contents WHERE hash = $1 FOR UPDATE', [fileRecord.file_hash]);
+    const referenced = await client.query(
+      'UPDATE contents SET ref_count = ref_count + 1 WHERE hash = $1',
+      [fileRecord.file_hash]
+    );
+    if (referenced.rowCount === 0) {
+      throw new HttpError(409, 'File content is no longer stored; upload it again', { contentMissing: true });
+    }
+  }
+
+  await pruneVersions(client, fileRecord);
+  return result.rows[0];
+}
+
+// Point an existing file at new content and record it as a new version.
+// The content it already has is not stored or charged for again.
+async function updateFileContent(client, fileRecord, { fileHash, fileSize, mimeType, minioKey = null, localUrl }) {
+  if (fileHash === fileRecord.file_hash) {
+    const current = await client.query(
+      'SELECT * FROM file_versions WHERE file_id = $1 ORDER BY version_number DESC LIMIT 1',
+      [fileRecord.id]
+    );
+    return { fileRecord, version: current.rows[0] };
+  }
+
+  const result = await client.query(`
+    UPDATE files
+    SET file_hash = $2, file_size = $3, mime_type = $4, minio_key = $5,
+        local_url = COALESCE($6, local_url), updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING *
+  `, [fileRecord.id, fileHash, fileSize, mimeType, minioKey, localUrl]);
+
+  const updated = result.rows[0];
+  const version = await addVersion(client, updated);
+  await recordChange(client, updated.user_id, 'modify', updated);
+
+  return { fileRecord: updated, version };
+}
+
+async function insertFileRecord(client, userId, { filename, fullPath, fileHash, fileSize, mimeType, localUrl }) {
+  await ensureParentFolders(client, userId, fullPath);
+
+  // The content itself lives in the chunk store
+  const result = await client.query(`
+    INSERT INTO files (user_id, filename, file_path, file_size, file_hash, mime_type, minio_key, local_url, upload_status)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING *
+  `, [userId, filename, fullPath, fileSize, fileHash, mimeType, null, localUrl, 'completed']);
+
+  const fileRecord = result.rows[0];
+  const version = await addVersion(client, fileRecord);
+  await recordChange(client, userId, 'create', fileRecord);
+
+  return { fileRecord, version };
+}
+
+// An upload based on a version that is no longer current would overwrite
+// someone else's change. Keep it next to the file as a conflicted copy.
+async function saveConflictedCopy(client, userId, currentFile, upload) {
+  const copy = await findConflictPath(client, userId, currentFile.file_path, upload.deviceId);
+  const saved = await insertFileRecord(client, userId, {
+    ...upload,
+    filename: copy.filename,
+    fullPath: copy.filePath
+  });
+
+  // Recorded for whoever uploaded, with the paths they see
+  const seenPath = filePath => viewRecord(upload.mount, { file_path: filePath }).file_path;
+  const conflict = await recordConflict(client, upload.uploaderId || userId, {
+    filePath: seenPath(currentFile.file_path),
+    conflictPath: seenPath(copy.filePath),
+    fileId: currentFile.id,
+    conflictFileId: saved.fileRecord.id,
+    deviceId: upload.deviceId,
+    baseHash: upload.baseHash,
+    localHash: upload.fileHash,
+    remoteHash: currentFile.file_hash,
+    detectedBy: 'server'
+  });
+
+  return { ...saved, currentFile, conflict, action: 'conflict' };
+}
+
+// Create or update the file record for content that is already in the content
+// store. A file is identified by its path: new content at a known path becomes
+// a new version of that file, and identical content at another path is a
+// separate file sharing the stored content.
+//
+// `baseHash` is the version the uploading device last synced for this path
+// (null if it never had one). When given and the path has moved on since, the
+// upload is saved as a conflicted copy instead. Uploads without it overwrite.
+// `uploaderId` and `mount` name a member uploading into a shared folder, so
+// such a conflict is reported to them.
+async function saveFileRecord(userId, {
+  filename, filePath, fileHash, fileSize, mimeType, localUrl, baseHash, deviceId, uploaderId, mount
+}) {
+  const fullPath = path.join(filePath, filename).replace(/\\/g, '/');
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const existingPath = await client.query(
+      'SELECT * FROM files WHERE user_id = $1 AND file_path = $2 AND status = $3 ORDER BY updated_at DESC LIMIT 1 FOR UPDATE',
+      [userId, fullPath, 'active']
+    );
+
+    const currentFile = existingPath.rows[0];
+    const upload = { filename, fullPath, fileHash, fileSize, mimeType, localUrl, baseHash, deviceId, uploaderId, mount };
+    let saved;
+
+    if (currentFile && currentFile.file_hash !== fileHash &&
+        baseHash !== undefined && (baseHash || null) !== currentFile.file_hash) {
+      // Edited concurrently on another device
+      saved = await saveConflictedCopy(client, userId, currentFile, upload);
+    } else if (currentFile && currentFile.file_hash !== fileHash) {
+      // Same path, new content
+      saved = {
+        ...await updateFileContent(client, currentFile, { fileHash, fileSize, mimeType, localUrl }),
+        action: 'updated'
+      };
+    } else if (currentFile) {
+      // Same path, same content
+      if (localUrl && currentFile.local_url !== localUrl) {
+        await client.query(
+          'UPDATE files SET local_url = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+          [localUrl, currentFile.id]
+        );
+        currentFile.local_url = localUrl;
+      }
+
+      saved = { fileRecord: currentFile, action: 'unchanged' };
+    } else {
+      saved = { ...await insertFileRecord(client, userId, upload), action: 'created' };
+    }
+
+    await client.query('COMMIT');
+    return saved;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// A file row as seen by a member through `mount` (unchanged for the owner)
+function viewRecord(mount, fileRecord) {
+  return mount ? { ...fileRecord, file_path: toMemberPath(mount, fileRecord.file_path) } : fileRecord;
+}
+
+// Whose files an upload to `filePath` goes to. Uploads into a shared folder
+// need the editor role and are saved in the owner's namespace.
+async function resolveUploadTarget(userId, filePath) {
+  const target = await resolvePath(userId, toNamespacePath(filePath), 'editor');
+  return {
+    userId: target.userId,
+    filePath: target.mount ? target.path : filePath,
+    mount: target.mount
+  };
+}
+
+// An active file the user owns or reaches through a shared folder, if their
+// role is at least `required`. Other users' files are reported as not found.
+async function getFileAccess(userId, fileId, required = 'viewer', db = pool, forUpdate = false) {
+  const result = await db.query(
+    `SELECT * FROM files WHERE id = $1 AND status = 'active'${forUpdate ? ' FOR UPDATE' : ''}`,
+    [fileId]
+  );
+
+  const file = result.rows[0];
+  const access = file && await getAccess(userId, file.user_id, file.file_path, db);
+
+  if (!access) {
+    throw new HttpError(404, 'File not found');
+  }
+
+  if (!hasRole(access.role, required)) {
+    throw new HttpError(403, `Your role in this shared folder is ${access.role}`, { shareId: access.mount.shareId });
+  }
+
+  return { file, role: access.role, mount: access.mount, view: viewRecord(access.mount, file) };
+}
+
+// Send the standard upload response for a saved file record, with paths as
+// the uploader sees them
+async function sendFileRecord(req, res, { fileRecord, action, currentFile, conflict }, mount = null) {
+  const file = await formatFile(req, viewRecord(mount, fileRecord));
+
+  switch (action) {
+    case 'conflict':
+      return res.json({
+        message: 'File was changed on another device; saved as a conflicted copy',
+        file,
+        currentFile: await formatFile(req, viewRecord(mount, currentFile)),
+        conflict: formatConflict(conflict)
+      });
+    case 'created':
+      return res.status(201).json({ message: 'File uploaded successfully', file });
+    case 'updated':
+      return res.json({ message: 'File updated with a new version', file });
+    default:
+      return res.json({ message: 'File already exists with identical content', file });
+  }
+}
+
+// Give a file a new path. Only the row changes; its content and version
+// history stay where they are. Files stay in their owner's namespace, so they
+// cannot move into or out of a shared folder.
+async function moveFile(userId, fileId, { filePath, filename }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { file } = await getFileAccess(userId, fileId, 'editor', client, true);
+    const target = await resolveUploadTarget(userId, filePath);
+
+    if (target.userId !== file.user_id) {
+      throw new HttpError(400, 'Files cannot be moved into or out of a shared folder; upload a copy instead');
+    }
+
+    const ownerId = file.user_id;
+    const newName = filename || file.filename;
+    const fullPath = path.join(target.filePath, newName).replace(/\\/g, '/');
+
+    if (fullPath === file.file_path) {
+      await client.query('COMMIT');
+      return { fileRecord: viewRecord(target.mount, file), moved: false };
+    }
+
+    const occupied = await client.query(
+      'SELECT id FROM files WHERE user_id = $1 AND file_path = $2 AND status = $3',
+      [ownerId, fullPath, 'active']
+    );
+
+    if (occupied.rows.length > 0) {
+      throw new HttpError(409, 'Another file already exists at this path', {
+        filePath: viewRecord(target.mount, { file_path: fullPath }).file_path,
+        fileId: occupied.rows[0].id
+      });
+    }
+
+    await assertSameEncryption(client, ownerId, toNamespacePath(file.file_path), toNamespacePath(fullPath));
+    await ensureParentFolders(client, ownerId, fullPath);
+
+    const result = await client.query(`
+      UPDATE files
+      SET file_path = $2, filename = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [file.id, fullPath, newName]);
+
+    await recordChange(client, ownerId, 'move', result.rows[0], file.file_path);
+
+    await client.query('COMMIT');
+    return { fileRecord: viewRecord(target.mount, result.rows[0]), moved: true };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  getFileUrl,
+  formatFile,
+  formatVersion,
+  updateFileContent,
+  saveFileRecord,
+  sendFileRecord,
+  moveFile,
+  viewRecord,
+  resolveUploadTarget,
+  getFileAccess
+};
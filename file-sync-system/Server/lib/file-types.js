@@ -0,0 +1,83 @@
+// lib/file-types.js - Recognising common file types by their first bytes
+//
+// Uploads name their own type and extension; for formats with a signature
+// the content says what the file really is.
+const path = require('path');
+
+// Bytes needed to recognise any type below
+const HEAD_SIZE = 64;
+
+const SIGNATURES = [
+  { mimeType: 'application/pdf', extensions: ['.pdf'], magic: '%PDF-' },
+  { mimeType: 'image/png', extensions: ['.png'], magic: '\x89PNG\r\n\x1a\n' },
+  { mimeType: 'image/jpeg', extensions: ['.jpg', '.jpeg'], aliases: ['image/jpg', 'image/pjpeg'], magic: '\xff\xd8\xff' },
+  { mimeType: 'image/gif', extensions: ['.gif'], magic: 'GIF8' },
+  { mimeType: 'image/webp', extensions: ['.webp'], magic: 'RIFF', at: { offset: 8, magic: 'WEBP' } },
+  {
+    mimeType: 'video/mp4',
+    extensions: ['.mp4', '.m4v', '.m4a', '.mov'],
+    aliases: ['audio/mp4', 'video/quicktime', 'video/x-m4v', 'audio/x-m4a'],
+    magic: 'ftyp',
+    offset: 4
+  },
+  { mimeType: 'application/gzip', extensions: ['.gz', '.tgz'], magic: '\x1f\x8b' },
+  { mimeType: 'application/x-7z-compressed', extensions: ['.7z'], magic: '7z\xbc\xaf\x27\x1c' },
+  { mimeType: 'application/vnd.rar', extensions: ['.rar'], magic: 'Rar!\x1a\x07' },
+  // Office documents, e-books and Java archives are zip files too
+  {
+    mimeType: 'application/zip',
+    extensions: ['.zip', '.docx', '.xlsx', '.pptx', '.odt', '.ods', '.odp', '.epub', '.jar', '.apk'],
+    aliases: [
+      'application/vnd.openxmlformats-officedocument.',
+      'application/vnd.oasis.opendocument.',
+      'application/epub+zip',
+      'application/java-archive',
+      'application/vnd.android.package-archive',
+      'application/x-zip-compressed'
+    ],
+    magic: 'PK\x03\x04'
+  },
+  { mimeType: 'application/x-msdownload', extensions: ['.exe', '.dll'], magic: 'MZ' },
+  { mimeType: 'application/x-executable', extensions: [], magic: '\x7fELF' }
+];
+
+function startsWith(head, magic, offset = 0) {
+  return head.subarray(offset, offset + magic.length).equals(Buffer.from(magic, 'latin1'));
+}
+
+// The signature the content matches, or null for anything else (text among it)
+function detectType(head) {
+  return SIGNATURES.find(signature =>
+    startsWith(head, signature.magic, signature.offset) &&
+    (!signature.at || startsWith(head, signature.at.magic, signature.at.offset))
+  ) || null;
+}
+
+function claims(signature, { extension, mimeType }) {
+  return (extension && signature.extensions.includes(extension)) ||
+    signature.mimeType === mimeType ||
+    (signature.aliases || []).some(alias => alias.endsWith('.') ? mimeType.startsWith(alias) : alias === mimeType);
+}
+
+// Whether the name and declared type fit the content: content with a known
+// signature has to be named and typed as that, and content without one may not
+// claim to be any of the known types
+function matchesContent(head, { originalname, mimetype }) {
+  const extension = path.extname(originalname).toLowerCase();
+  const mimeType = (mimetype || '').toLowerCase();
+  const detected = detectType(head);
+
+  if (detected) {
+    const extensionFits = !extension || detected.extensions.includes(extension);
+    const typeFits = mimeType === 'application/octet-stream' || claims(detected, { mimeType });
+    return extensionFits && typeFits;
+  }
+
+  return !SIGNATURES.some(signature => claims(signature, { extension, mimeType }));
+}
+
+module.exports = {
+  HEAD_SIZE,
+  detectType,
+  matchesContent
+};
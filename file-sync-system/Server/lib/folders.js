@@ -0,0 +1,445 @@
+// lib/folders.js - Folders as entities: a row per folder, empty or not
+const pool = require('../config/database');
+const { recordChange } = require('./change-log');
+const { toNamespacePath } = require('./namespace');
+const { getMounts, resolvePath, getAccess, hasRole, toMemberPath, unshareFolders } = require('./shares');
+const { HttpError } = require('../middleware/errorHandler');
+
+// Folder paths are namespace paths: relative to the sync folder, without
+// leading or trailing slashes. The root is ''.
+function normalizeFolderPath(folderPath = '') {
+  const names = String(folderPath).replace(/\\/g, '/').split('/').filter(Boolean);
+
+  if (names.some(name => name === '.' || name === '..')) {
+    throw new HttpError(400, 'Invalid folder path');
+  }
+
+  return names.join('/');
+}
+
+function parentOf(folderPath) {
+  const index = folderPath.lastIndexOf('/');
+  return index === -1 ? '' : folderPath.slice(0, index);
+}
+
+function formatFolder(folder) {
+  return {
+    id: folder.id,
+    name: folder.name,
+    path: folder.path,
+    size: folder.size === undefined ? undefined : parseInt(folder.size),
+    fileCount: folder.file_count === undefined ? undefined : parseInt(folder.file_count),
+    folderCount: folder.folder_count === undefined ? undefined : parseInt(folder.folder_count),
+    shareId: folder.share_id,
+    role: folder.role,
+    encrypted: folder.encrypted,
+    createdAt: folder.created_at,
+    updatedAt: folder.updated_at
+  };
+}
+
+// A folder row as seen by a member through `mount` (unchanged for the owner).
+// The shared folder itself carries the name it is mounted under.
+function viewFolder(mount, folder) {
+  if (!mount) {
+    return folder;
+  }
+
+  const isRoot = folder.path === mount.folderPath;
+  return {
+    ...folder,
+    path: toMemberPath(mount, folder.path),
+    parent_path: isRoot ? parentOf(mount.mountPath) : toMemberPath(mount, folder.parent_path),
+    name: isRoot ? mount.mountPath.split('/').pop() : folder.name,
+    share_id: isRoot ? mount.shareId : folder.share_id,
+    role: isRoot ? mount.role : folder.role
+  };
+}
+
+// Folder events go in the change log next to file events, without a file
+function folderChange(folderPath) {
+  return { id: null, file_path: folderPath, file_hash: null, file_size: null, mime_type: null };
+}
+
+// Create a folder and whichever of its ancestors are missing
+async function ensureFolders(client, userId, folderPath) {
+  let current = '';
+
+  for (const name of normalizeFolderPath(folderPath).split('/').filter(Boolean)) {
+    const parentPath = current;
+    current = current ? `${current}/${name}` : name;
+
+    const result = await client.query(`
+      INSERT INTO folders (user_id, path, parent_path, name)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (user_id, path) DO NOTHING
+      RETURNING *
+    `, [userId, current, parentPath, name]);
+
+    if (result.rows.length > 0) {
+      await recordChange(client, userId, 'folder_create', folderChange(current));
+    }
+  }
+}
+
+// Folders a file at `filePath` needs to exist
+function ensureParentFolders(client, userId, filePath) {
+  return ensureFolders(client, userId, parentOf(toNamespacePath(filePath)));
+}
+
+// Nothing may exist at `folderPath` yet, neither a folder nor a file
+async function assertPathFree(client, userId, folderPath) {
+  const folder = await client.query(
+    'SELECT id FROM folders WHERE user_id = $1 AND path = $2',
+    [userId, folderPath]
+  );
+
+  if (folder.rows.length > 0) {
+    throw new HttpError(409, 'Folder already exists', { path: folderPath, folderId: folder.rows[0].id });
+  }
+
+  const file = await client.query(
+    `SELECT id FROM files WHERE user_id = $1 AND status = 'active' AND ltrim(file_path, '/') = $2`,
+    [userId, folderPath]
+  );
+
+  if (file.rows.length > 0) {
+    throw new HttpError(409, 'A file already exists at this path', { path: folderPath, fileId: file.rows[0].id });
+  }
+}
+
+// Whether what is stored at `namespacePath` is encrypted: it is an encrypted
+// folder, or inside one
+async function isEncryptedAt(db, userId, namespacePath) {
+  const result = await db.query(`
+    SELECT 1 FROM folders
+    WHERE user_id = $1 AND encrypted AND ($2 = path OR starts_with($2, path || '/'))
+    LIMIT 1
+  `, [userId, namespacePath]);
+  return result.rows.length > 0;
+}
+
+// Content cannot change between ciphertext and plaintext by moving it
+async function assertSameEncryption(db, userId, fromPath, toPath) {
+  if (await isEncryptedAt(db, userId, fromPath) !== await isEncryptedAt(db, userId, toPath)) {
+    throw new HttpError(400, 'Files cannot be moved into or out of an encrypted folder; upload a copy instead');
+  }
+}
+
+async function withTransaction(work) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Lock a folder the user may change: their own, or one inside a shared
+// folder they edit. The shared folder itself belongs to its owner.
+async function lockFolder(client, userId, folderId) {
+  const result = await client.query('SELECT * FROM folders WHERE id = $1 FOR UPDATE', [folderId]);
+  const folder = result.rows[0];
+  const access = folder && await getAccess(userId, folder.user_id, folder.path, client);
+
+  if (!access) {
+    throw new HttpError(404, 'Folder not found');
+  }
+
+  if (!hasRole(access.role, 'editor')) {
+    throw new HttpError(403, `Your role in this shared folder is ${access.role}`, { shareId: access.mount.shareId });
+  }
+
+  if (access.mount && folder.path === access.mount.folderPath) {
+    throw new HttpError(403, 'This is a shared folder; leave it instead', { shareId: access.mount.shareId });
+  }
+
+  return { folder, mount: access.mount };
+}
+
+async function createFolder(userId, folderPath, { encrypted = false } = {}) {
+  const normalized = normalizeFolderPath(folderPath);
+  if (!normalized) {
+    throw new HttpError(400, 'Invalid folder path');
+  }
+
+  return withTransaction(async (client) => {
+    const target = await resolvePath(userId, normalized, 'editor', client);
+
+    await assertPathFree(client, target.userId, target.path);
+    await ensureFolders(client, target.userId, target.path);
+
+    const result = await client.query(
+      'UPDATE folders SET encrypted = encrypted OR $3 WHERE user_id = $1 AND path = $2 RETURNING *',
+      [target.userId, target.path, encrypted]
+    );
+    if (encrypted) {
+      await recordChange(client, target.userId, 'folder_encrypt', folderChange(target.path));
+    }
+    return viewFolder(target.mount, result.rows[0]);
+  });
+}
+
+// Mark a folder encrypted. Devices encrypt what they upload into it from then
+// on; files already in it stay as they are until they next change.
+async function encryptFolder(userId, folderId) {
+  return withTransaction(async (client) => {
+    const { folder, mount } = await lockFolder(client, userId, folderId);
+
+    if (folder.encrypted) {
+      return viewFolder(mount, folder);
+    }
+
+    const result = await client.query(
+      'UPDATE folders SET encrypted = true, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+      [folder.id]
+    );
+    await recordChange(client, folder.user_id, 'folder_encrypt', folderChange(folder.path));
+
+    return viewFolder(mount, result.rows[0]);
+  });
+}
+
+// Paths of the encrypted folders in the user's namespace. A shared folder
+// inside an owner's encrypted folder is encrypted at its mount path.
+async function listEncryptedFolders(userId) {
+  const result = await pool.query(
+    'SELECT path FROM folders WHERE user_id = $1 AND encrypted ORDER BY path',
+    [userId]
+  );
+  const paths = result.rows.map(row => row.path);
+
+  for (const mount of await getMounts(userId)) {
+    const shared = await pool.query(`
+      SELECT path FROM folders
+      WHERE user_id = $1 AND encrypted
+        AND (path = $2 OR starts_with(path, $2 || '/') OR starts_with($2, path || '/'))
+    `, [mount.ownerId, mount.folderPath]);
+
+    for (const row of shared.rows) {
+      paths.push(row.path.length > mount.folderPath.length ? toMemberPath(mount, row.path) : mount.mountPath);
+    }
+  }
+
+  return Array.from(new Set(paths)).sort();
+}
+
+// Subfolder, file and size totals of everything below a folder ('' is the root)
+async function folderTotals(userId, folderPath) {
+  const prefix = folderPath ? `${folderPath}/` : '';
+
+  const totals = await pool.query(`
+    SELECT
+      (SELECT COUNT(*) FROM folders WHERE user_id = $1 AND starts_with(path, $2)) AS folder_count,
+      COUNT(*) AS file_count,
+      COALESCE(SUM(file_size), 0) AS size
+    FROM files
+    WHERE user_id = $1 AND status = 'active' AND starts_with(ltrim(file_path, '/'), $2)
+  `, [userId, prefix]);
+
+  return totals.rows[0];
+}
+
+// A folder with its immediate subfolders and files. Sizes and file counts of
+// folders include everything below them. Shared folders the user joined are
+// listed where they are mounted.
+async function listFolder(userId, folderPath) {
+  const target = await resolvePath(userId, normalizeFolderPath(folderPath));
+  let folder = { id: null, name: '', path: '' };
+
+  if (target.path) {
+    const result = await pool.query(
+      'SELECT * FROM folders WHERE user_id = $1 AND path = $2',
+      [target.userId, target.path]
+    );
+
+    if (result.rows.length === 0) {
+      throw new HttpError(404, 'Folder not found');
+    }
+    folder = result.rows[0];
+  }
+
+  const folders = await pool.query(`
+    SELECT d.*,
+      (SELECT COUNT(*) FROM folders s WHERE s.user_id = d.user_id AND starts_with(s.path, d.path || '/')) AS folder_count,
+      COUNT(f.id) AS file_count,
+      COALESCE(SUM(f.file_size), 0) AS size
+    FROM folders d
+    LEFT JOIN files f
+      ON f.user_id = d.user_id AND f.status = 'active' AND starts_with(ltrim(f.file_path, '/'), d.path || '/')
+    WHERE d.user_id = $1 AND d.parent_path = $2
+    GROUP BY d.id
+    ORDER BY d.name
+  `, [target.userId, target.path]);
+
+  // The folder expression is the one idx_files_active_folder indexes
+  const files = await pool.query(`
+    SELECT * FROM files
+    WHERE user_id = $1 AND status = 'active' AND regexp_replace(ltrim(file_path, '/'), '/?[^/]*$', '') = $2
+    ORDER BY filename
+  `, [target.userId, target.path]);
+
+  const subfolders = folders.rows.map(row => viewFolder(target.mount, row));
+
+  if (!target.mount) {
+    for (const mount of await getMounts(userId)) {
+      if (parentOf(mount.mountPath) !== target.path) continue;
+
+      const shared = await pool.query('SELECT * FROM folders WHERE id = $1', [mount.folderId]);
+      const totals = await folderTotals(mount.ownerId, mount.folderPath);
+      subfolders.push(viewFolder(mount, { ...shared.rows[0], ...totals }));
+    }
+    subfolders.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  return {
+    folder: viewFolder(target.mount, { ...folder, ...await folderTotals(target.userId, target.path) }),
+    folders: subfolders,
+    files: files.rows.map(row => (target.mount ? { ...row, file_path: toMemberPath(target.mount, row.file_path) } : row))
+  };
+}
+
+// Every folder path in the user's namespace, shared folders included
+async function listFolderPaths(userId) {
+  const result = await pool.query(
+    'SELECT path FROM folders WHERE user_id = $1 ORDER BY path',
+    [userId]
+  );
+  const paths = result.rows.map(row => row.path);
+
+  for (const mount of await getMounts(userId)) {
+    const shared = await pool.query(
+      `SELECT path FROM folders WHERE user_id = $1 AND (path = $2 OR starts_with(path, $2 || '/'))`,
+      [mount.ownerId, mount.folderPath]
+    );
+    paths.push(...shared.rows.map(row => toMemberPath(mount, row.path)));
+  }
+
+  return paths.sort();
+}
+
+// Rename or move a folder with everything in it, in one transaction
+async function moveFolder(userId, folderId, newPath) {
+  const target = normalizeFolderPath(newPath);
+  if (!target) {
+    throw new HttpError(400, 'Invalid folder path');
+  }
+
+  return withTransaction(async (client) => {
+    const { folder, mount } = await lockFolder(client, userId, folderId);
+    const destination = await resolvePath(userId, target, 'editor', client);
+    const ownerId = folder.user_id;
+    const source = folder.path;
+
+    // Folders stay in their owner's namespace
+    if (destination.userId !== ownerId) {
+      throw new HttpError(400, 'Folders cannot be moved into or out of a shared folder');
+    }
+
+    if (destination.path === source) {
+      return { folder: viewFolder(mount, folder), moved: 0 };
+    }
+
+    if (destination.path.startsWith(`${source}/`)) {
+      throw new HttpError(400, 'A folder cannot be moved into itself');
+    }
+
+    await assertPathFree(client, ownerId, destination.path);
+    if (!folder.encrypted) {
+      await assertSameEncryption(client, ownerId, parentOf(source), parentOf(destination.path));
+    }
+    await ensureFolders(client, ownerId, parentOf(destination.path));
+
+    const folders = await client.query(`
+      UPDATE folders
+      SET path = $3 || substr(path, length($2) + 1),
+          parent_path = CASE WHEN path = $2 THEN $4 ELSE $3 || substr(parent_path, length($2) + 1) END,
+          name = CASE WHEN path = $2 THEN $5 ELSE name END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND (path = $2 OR starts_with(path, $2 || '/'))
+      RETURNING *
+    `, [ownerId, source, destination.path, parentOf(destination.path), destination.path.split('/').pop()]);
+
+    const files = await client.query(`
+      WITH moving AS (
+        SELECT id, file_path FROM files
+        WHERE user_id = $1 AND status = 'active' AND starts_with(ltrim(file_path, '/'), $2 || '/')
+        FOR UPDATE
+      )
+      UPDATE files f
+      -- Stored paths keep whatever leading slash they were uploaded with, which
+      -- later lookups by exact path rely on
+      SET file_path = substr(f.file_path, 1, length(f.file_path) - length(ltrim(f.file_path, '/')))
+          || $3 || substr(ltrim(f.file_path, '/'), length($2) + 1),
+          updated_at = CURRENT_TIMESTAMP
+      FROM moving
+      WHERE f.id = moving.id
+      RETURNING f.*, moving.file_path AS previous_path
+    `, [ownerId, source, destination.path]);
+
+    await recordChange(client, ownerId, 'folder_move', folderChange(destination.path), source);
+    for (const file of files.rows) {
+      await recordChange(client, ownerId, 'move', file, file.previous_path);
+    }
+
+    return {
+      folder: viewFolder(mount, folders.rows.find(row => row.id === folder.id)),
+      moved: files.rows.length
+    };
+  });
+}
+
+// Delete a folder and its subfolders. The files in them go to the trash, and
+// restoring one brings back the folders it needs. Shared folders among them
+// stop being shared.
+async function deleteFolder(userId, folderId) {
+  return withTransaction(async (client) => {
+    const { folder, mount } = await lockFolder(client, userId, folderId);
+    const ownerId = folder.user_id;
+
+    const files = await client.query(`
+      UPDATE files
+      SET status = 'trashed', deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND status = 'active' AND starts_with(ltrim(file_path, '/'), $2 || '/')
+      RETURNING *
+    `, [ownerId, folder.path]);
+
+    for (const file of files.rows) {
+      await recordChange(client, ownerId, 'delete', file);
+    }
+
+    // Members hear about the folder before the share goes with it
+    await recordChange(client, ownerId, 'folder_delete', folderChange(folder.path));
+    await unshareFolders(client, ownerId, folder.path);
+
+    await client.query(
+      'DELETE FROM folders WHERE user_id = $1 AND (path = $2 OR starts_with(path, $2 || \'/\'))',
+      [ownerId, folder.path]
+    );
+
+    return { folder: viewFolder(mount, folder), trashed: files.rows.length };
+  });
+}
+
+module.exports = {
+  normalizeFolderPath,
+  formatFolder,
+  ensureFolders,
+  ensureParentFolders,
+  isEncryptedAt,
+  assertSameEncryption,
+  createFolder,
+  encryptFolder,
+  listFolder,
+  listFolderPaths,
+  listEncryptedFolders,
+  moveFolder,
+  deleteFolder
+};
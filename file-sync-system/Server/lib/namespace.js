@@ -0,0 +1,148 @@
+// lib/namespace.js - The canonical tree of a user's files, derived from the files table
+const pool = require('../config/database');
+const { MerkleTree } = require('../../shared/merkle-tree');
+const { getMounts, toMemberPath } = require('./shares');
+const { getLatestSeq } = require('./change-log');
+
+// Most recently built namespace per user, reused until their change log moves
+// on. Only the users seen last are kept, oldest use first out.
+const NAMESPACE_CACHE_SIZE = parseInt(process.env.NAMESPACE_CACHE_SIZE) || 100;
+const cache = new Map();
+
+// Paths in the namespace are relative to the sync folder. Files uploaded to
+// the top level are stored as "/name", nested ones as "dir/name".
+function toNamespacePath(filePath) {
+  return filePath.replace(/\\/g, '/').replace(/^\/+/, '');
+}
+
+// Build the namespace tree in the same shape devices use for their local trees.
+// Shared folders the user joined appear at their mount paths.
+async function getNamespaceTree(userId) {
+  const version = String(await getLatestSeq(userId));
+
+  const cached = cache.get(userId);
+  if (cached && cached.version === version) {
+    cache.delete(userId);
+    cache.set(userId, cached);
+    return cached;
+  }
+
+  const result = await pool.query(`
+    SELECT id, filename, file_path, file_size, file_hash, mime_type, minio_key, updated_at
+    FROM files
+    WHERE user_id = $1 AND status = 'active'
+    ORDER BY updated_at
+  `, [userId]);
+
+  const sources = [{ rows: result.rows, toPath: toNamespacePath }];
+
+  for (const mount of await getMounts(userId)) {
+    const shared = await pool.query(`
+      SELECT id, filename, file_path, file_size, file_hash, mime_type, minio_key, updated_at
+      FROM files
+      WHERE user_id = $1 AND status = 'active' AND starts_with(ltrim(file_path, '/'), $2)
+      ORDER BY updated_at
+    `, [mount.ownerId, `${mount.folderPath}/`]);
+
+    sources.push({ rows: shared.rows, toPath: filePath => toMemberPath(mount, filePath) });
+  }
+
+  // Later rows win if "/name" and "name" were both uploaded
+  const byPath = new Map();
+  for (const { rows, toPath } of sources) {
+    for (const row of rows) {
+      const namespacePath = toPath(row.file_path);
+      byPath.set(namespacePath, {
+        id: row.id,
+        filename: row.filename,
+        file_path: namespacePath,
+        hash: row.file_hash,
+        size: parseInt(row.file_size),
+        mime_type: row.mime_type,
+        minio_key: row.minio_key,
+        timestamp: row.updated_at.toISOString()
+      });
+    }
+  }
+
+  const tree = new MerkleTree();
+  for (const [namespacePath, file] of byPath) {
+    tree.addOrUpdateFile(namespacePath, file);
+  }
+
+  const namespaceTree = {
+    version,
+    rootHash: tree.getRootHash(),
+    files: Array.from(byPath.values()).sort((a, b) => (a.file_path < b.file_path ? -1 : 1)),
+    byPath,
+    tree
+  };
+
+  cache.delete(userId);
+  cache.set(userId, namespaceTree);
+  if (cache.size > NAMESPACE_CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+  return namespaceTree;
+}
+
+// The children of each requested folder, with their hashes. Devices walk the
+// namespace top-down with this and only descend into folders whose hash
+// differs from their own, so unchanged branches are never transferred.
+function getSubtrees(namespaceTree, dirPaths) {
+  return dirPaths.map((dirPath) => {
+    const children = namespaceTree.tree.getChildren(toNamespacePath(dirPath));
+    const node = namespaceTree.tree.getNode(toNamespacePath(dirPath));
+
+    return {
+      path: dirPath,
+      hash: node ? node.hash : null,
+      children: children && children.map(child => (child.type === 'file'
+        ? { ...namespaceTree.byPath.get(child.file_path), name: child.name, type: child.type }
+        : { name: child.name, type: child.type, hash: child.hash }))
+    };
+  });
+}
+
+// Compare a device's local tree with the namespace, from the server's point of
+// view. Local entries carry `synced_hash`, the version the device last synced
+// for that path, which separates remote changes from local ones:
+//   added    - in the namespace, not on the device
+//   modified - changed in the namespace since the device last synced it
+//   deleted  - synced to the device before, gone from the namespace now
+// Local files that were never synced are pending uploads and not reported.
+function diffAgainstNamespace(namespaceTree, localFiles) {
+  const remote = new Map(namespaceTree.files.map(file => [file.file_path, file]));
+  const local = new Map(localFiles.map(file => [toNamespacePath(file.file_path), file]));
+
+  const differences = {
+    added: [],
+    modified: [],
+    deleted: []
+  };
+
+  for (const [filePath, file] of remote) {
+    const localFile = local.get(filePath);
+
+    if (!localFile) {
+      differences.added.push(file);
+    } else if (localFile.hash !== file.hash && localFile.synced_hash !== file.hash) {
+      differences.modified.push(file);
+    }
+  }
+
+  for (const [filePath, file] of local) {
+    if (!remote.has(filePath) && file.synced_hash) {
+      differences.deleted.push(file);
+    }
+  }
+
+  return differences;
+}
+
+module.exports = {
+  toNamespacePath,
+  getNamespaceTree,
+  getSubtrees,
+  diffAgainstNamespace
+};
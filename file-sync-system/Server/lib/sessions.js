@@ -0,0 +1,214 @@
+// lib/sessions.js - Signed-in devices, short-lived access tokens and rotating refresh tokens
+//
+// Access tokens are JWTs naming their session, checked against it on every
+// request, so revoking a session locks its device out at once. Refresh tokens
+// are "<sessionId>.<secret>" and change on every refresh; presenting the one
+// that was just replaced means it was copied, and ends the session.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const pool = require('../config/database');
+const { notifyChange } = require('./change-events');
+const { HttpError } = require('../middleware/errorHandler');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const PRUNE_INTERVAL_MINUTES = parseInt(process.env.SESSION_PRUNE_INTERVAL_MINUTES) || 60;
+
+function hashToken(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function newSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function issueTokens(session, secret) {
+  const token = jwt.sign(
+    { userId: session.user_id, sessionId: session.id },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+
+  return {
+    token,
+    refreshToken: `${session.id}.${secret}`,
+    expiresIn: jwt.decode(token).exp - Math.floor(Date.now() / 1000)
+  };
+}
+
+function formatSession(session, currentSessionId = null) {
+  return {
+    id: session.id,
+    deviceId: session.device_id,
+    deviceName: session.device_name,
+    userAgent: session.user_agent,
+    ipAddress: session.ip_address,
+    createdAt: session.created_at,
+    lastUsedAt: session.last_used_at,
+    expiresAt: session.expires_at,
+    current: session.id === currentSessionId
+  };
+}
+
+// Start a session for a user who just proved who they are. Signing in again
+// on a device replaces that device's previous session.
+async function createSession(userId, { deviceId, deviceName, userAgent, ipAddress }) {
+  const secret = newSecret();
+
+  if (deviceId) {
+    await pool.query(`
+      UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND device_id = $2 AND revoked_at IS NULL
+    `, [userId, deviceId]);
+  }
+
+  const result = await pool.query(`
+    INSERT INTO sessions (user_id, device_id, device_name, user_agent, ip_address, refresh_token_hash, expires_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `, [userId, deviceId || null, deviceName || null, userAgent || null, ipAddress || null, hashToken(secret), refreshExpiry()]);
+
+  const session = result.rows[0];
+  return { session, ...issueTokens(session, secret) };
+}
+
+// Replace a refresh token with a new one. Resolves with null when the token
+// had already been replaced, after revoking the session.
+async function rotateRefreshToken(refreshToken, { ipAddress } = {}) {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  const invalid = new HttpError(401, 'Invalid refresh token');
+
+  if (!sessionId || !secret || !/^[0-9a-f-]{36}$/i.test(sessionId)) {
+    throw invalid;
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'SELECT * FROM sessions WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW() FOR UPDATE',
+      [sessionId]
+    );
+    const session = result.rows[0];
+    const presented = hashToken(secret);
+
+    if (!session) {
+      throw invalid;
+    }
+
+    // Whoever replayed it and whoever holds the newer token cannot be told
+    // apart, so neither keeps the session
+    if (presented === session.previous_token_hash) {
+      await revokeSessionRow(client, session);
+      await client.query('COMMIT');
+      console.warn(`⚠️ Refresh token reused; revoked session ${session.id}`);
+      return null;
+    }
+
+    if (!crypto.timingSafeEqual(Buffer.from(presented), Buffer.from(session.refresh_token_hash))) {
+      throw invalid;
+    }
+
+    const nextSecret = newSecret();
+    const updated = await client.query(`
+      UPDATE sessions
+      SET refresh_token_hash = $2, previous_token_hash = refresh_token_hash,
+          last_used_at = CURRENT_TIMESTAMP, expires_at = $3, ip_address = COALESCE($4, ip_address)
+      WHERE id = $1
+      RETURNING *
+    `, [session.id, hashToken(nextSecret), refreshExpiry(), ipAddress || null]);
+
+    await client.query('COMMIT');
+    return { session: updated.rows[0], ...issueTokens(updated.rows[0], nextSecret) };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Trade a refresh token for new access and refresh tokens
+async function refreshSession(refreshToken, options = {}) {
+  const refreshed = await rotateRefreshToken(refreshToken, options);
+
+  if (!refreshed) {
+    throw new HttpError(401, 'Refresh token was already used; the session has been revoked');
+  }
+  return refreshed;
+}
+
+// Open event streams of the session are closed when it is revoked
+async function revokeSessionRow(client, session) {
+  await client.query('UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1', [session.id]);
+  await notifyChange(client, session.user_id, 'session_revoked', { sessionId: session.id });
+}
+
+async function revokeSession(userId, sessionId) {
+  const result = await pool.query(
+    'SELECT * FROM sessions WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+    [sessionId, userId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new HttpError(404, 'Session not found');
+  }
+
+  await revokeSessionRow(pool, result.rows[0]);
+  return result.rows[0];
+}
+
+// Revoked and expired sessions can never be used again
+async function pruneSessions() {
+  const result = await pool.query('DELETE FROM sessions WHERE revoked_at IS NOT NULL OR expires_at <= NOW()');
+  return result.rowCount;
+}
+
+function startPruneJob() {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      const pruned = await pruneSessions();
+      if (pruned > 0) {
+        console.log(`🔑 Removed ${pruned} revoked or expired session(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Session cleanup failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  setInterval(run, PRUNE_INTERVAL_MINUTES * 60 * 1000);
+}
+
+async function listSessions(userId) {
+  const result = await pool.query(`
+    SELECT * FROM sessions
+    WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+    ORDER BY last_used_at DESC
+  `, [userId]);
+  return result.rows;
+}
+
+module.exports = {
+  formatSession,
+  createSession,
+  refreshSession,
+  revokeSession,
+  listSessions,
+  pruneSessions,
+  startPruneJob
+};
@@ -0,0 +1,223 @@
+// lib/share-links.js - Public links to a file or folder, for people without an account
+//
+// A link can have a password, an expiry time and a download limit, and can be
+// revoked at any time. Unlike presigned URLs, every download goes through the
+// API, so those rules are checked each time.
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const pool = require('../config/database');
+const { getFileAccess } = require('./file-records');
+const { normalizeFolderPath } = require('./folders');
+const { resolvePath, getAccess, hasRole } = require('./shares');
+const { HttpError } = require('../middleware/errorHandler');
+
+// Wrong passwords allowed in a row before each further one locks the link,
+// for twice as long each time, up to the maximum
+const FREE_PASSWORD_ATTEMPTS = 5;
+const MAX_PASSWORD_LOCK_SECONDS = 15 * 60;
+
+const LINK_QUERY = `
+  SELECT l.*,
+    COALESCE(f.filename, d.name) AS name,
+    COALESCE(f.file_path, d.path) AS target_path,
+    COALESCE(f.user_id, d.user_id) AS owner_id,
+    f.status AS file_status
+  FROM share_links l
+  LEFT JOIN files f ON f.id = l.file_id
+  LEFT JOIN folders d ON d.id = l.folder_id
+`;
+
+function generateToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+function linkStatus(link) {
+  if (link.revoked_at) return 'revoked';
+  if (link.expires_at && new Date(link.expires_at) <= new Date()) return 'expired';
+  if (link.max_downloads !== null && link.download_count >= link.max_downloads) return 'exhausted';
+  return 'active';
+}
+
+function formatLink(req, link) {
+  return {
+    id: link.id,
+    url: `${req.protocol}://${req.get('host')}/s/${link.token}`,
+    type: link.file_id ? 'file' : 'folder',
+    fileId: link.file_id,
+    folderId: link.folder_id,
+    name: link.name,
+    hasPassword: Boolean(link.password_hash),
+    expiresAt: link.expires_at,
+    maxDownloads: link.max_downloads,
+    downloadCount: link.download_count,
+    lastAccessedAt: link.last_accessed_at,
+    status: linkStatus(link),
+    revokedAt: link.revoked_at,
+    createdAt: link.created_at
+  };
+}
+
+async function getLink(linkId, db = pool) {
+  const result = await db.query(`${LINK_QUERY} WHERE l.id = $1`, [linkId]);
+  return result.rows[0];
+}
+
+// Create a link to a file (by id) or a folder (by path). Publishing something
+// takes the editor role when it is in a shared folder.
+async function createLink(userId, { fileId, folderPath, password, expiresInHours, maxDownloads }) {
+  let target;
+
+  if (fileId) {
+    const { file } = await getFileAccess(userId, fileId, 'editor');
+    target = { file_id: file.id, folder_id: null };
+  } else {
+    const resolved = await resolvePath(userId, normalizeFolderPath(folderPath), 'editor');
+    const folder = await pool.query(
+      'SELECT id FROM folders WHERE user_id = $1 AND path = $2',
+      [resolved.userId, resolved.path]
+    );
+
+    if (!resolved.path || folder.rows.length === 0) {
+      throw new HttpError(404, 'Folder not found');
+    }
+    target = { file_id: null, folder_id: folder.rows[0].id };
+  }
+
+  const passwordHash = password ? await bcrypt.hash(password, 10) : null;
+  const expiresAt = expiresInHours ? new Date(Date.now() + expiresInHours * 3600 * 1000) : null;
+
+  const result = await pool.query(`
+    INSERT INTO share_links (token, user_id, file_id, folder_id, password_hash, expires_at, max_downloads)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING id
+  `, [generateToken(), userId, target.file_id, target.folder_id, passwordHash, expiresAt, maxDownloads || null]);
+
+  return getLink(result.rows[0].id);
+}
+
+// Links the user created, and links others created to the user's files and folders
+async function listLinks(userId) {
+  const result = await pool.query(`
+    ${LINK_QUERY}
+    WHERE l.user_id = $1 OR COALESCE(f.user_id, d.user_id) = $1
+    ORDER BY l.created_at DESC
+  `, [userId]);
+  return result.rows;
+}
+
+// Whoever created the link, or the owner of what it points to
+async function revokeLink(userId, linkId) {
+  const result = await pool.query(`
+    UPDATE share_links l SET revoked_at = COALESCE(l.revoked_at, CURRENT_TIMESTAMP)
+    WHERE l.id = $1 AND (
+      l.user_id = $2
+      OR EXISTS (SELECT 1 FROM files f WHERE f.id = l.file_id AND f.user_id = $2)
+      OR EXISTS (SELECT 1 FROM folders d WHERE d.id = l.folder_id AND d.user_id = $2)
+    )
+    RETURNING l.id
+  `, [linkId, userId]);
+
+  if (result.rows.length === 0) {
+    throw new HttpError(404, 'Link not found');
+  }
+  return getLink(linkId);
+}
+
+// Check a password against the link, refusing to while it is locked after
+// too many wrong ones
+async function checkPassword(link, password) {
+  if (link.password_locked_until && new Date(link.password_locked_until) > new Date()) {
+    const retryAfter = Math.ceil((new Date(link.password_locked_until) - Date.now()) / 1000);
+    throw new HttpError(429, 'Too many wrong passwords, try again later', { retryAfter });
+  }
+
+  if (password && await bcrypt.compare(password, link.password_hash)) {
+    if (link.password_failures > 0) {
+      await pool.query('UPDATE share_links SET password_failures = 0, password_locked_until = NULL WHERE id = $1', [link.id]);
+    }
+    return;
+  }
+
+  await pool.query(`
+    UPDATE share_links
+    SET password_failures = password_failures + 1,
+        password_locked_until = CASE
+          WHEN password_failures + 1 > $2
+          THEN NOW() + make_interval(secs => LEAST(power(2, password_failures + 1 - $2), $3))
+        END
+    WHERE id = $1
+  `, [link.id, FREE_PASSWORD_ATTEMPTS, MAX_PASSWORD_LOCK_SECONDS]);
+
+  throw new HttpError(401, 'This link needs a password', { passwordRequired: true });
+}
+
+// Check a link and count one download. Resolves with the file, or with the
+// folder and the files below it. A download that does not complete is given
+// back with releaseDownload.
+async function openLink(token, password) {
+  const result = await pool.query(`${LINK_QUERY} WHERE l.token = $1`, [token]);
+  const link = result.rows[0];
+
+  if (!link) {
+    throw new HttpError(404, 'Link not found');
+  }
+
+  const status = linkStatus(link);
+  if (status !== 'active') {
+    throw new HttpError(410, `This link has ${status === 'exhausted' ? 'reached its download limit' : status}`);
+  }
+
+  // The target is gone, or whoever created the link can no longer publish it
+  const access = link.owner_id && link.file_status !== 'trashed' &&
+    await getAccess(link.user_id, link.owner_id, link.target_path);
+  if (!access || !hasRole(access.role, 'editor')) {
+    throw new HttpError(410, 'This link is no longer available');
+  }
+
+  if (link.password_hash) {
+    await checkPassword(link, password);
+  }
+
+  // Conditional, so concurrent downloads cannot go over the limit
+  const counted = await pool.query(`
+    UPDATE share_links
+    SET download_count = download_count + 1, last_accessed_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND (max_downloads IS NULL OR download_count < max_downloads)
+    RETURNING id
+  `, [link.id]);
+
+  if (counted.rows.length === 0) {
+    throw new HttpError(410, 'This link has reached its download limit');
+  }
+
+  if (link.file_id) {
+    const file = await pool.query(`SELECT * FROM files WHERE id = $1 AND status = 'active'`, [link.file_id]);
+    return { link, file: file.rows[0] };
+  }
+
+  const files = await pool.query(`
+    SELECT * FROM files
+    WHERE user_id = $1 AND status = 'active' AND starts_with(ltrim(file_path, '/'), $2)
+    ORDER BY file_path
+  `, [link.owner_id, `${link.target_path}/`]);
+
+  return { link, files: files.rows };
+}
+
+// Give back the download counted for a transfer that failed or was cut off
+async function releaseDownload(link) {
+  await pool.query(
+    'UPDATE share_links SET download_count = download_count - 1 WHERE id = $1 AND download_count > 0',
+    [link.id]
+  );
+}
+
+module.exports = {
+  formatLink,
+  createLink,
+  listLinks,
+  revokeLink,
+  openLink,
+  releaseDownload
+};
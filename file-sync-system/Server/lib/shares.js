@@ -0,0 +1,420 @@
+// lib/shares.js - Folders shared between users, and where members see them
+//
+// A shared folder stays in its owner's namespace. Every member who accepts an
+// invitation gets it mounted at a path in their own namespace, and anything
+// they do below that path happens to the owner's files, within their role.
+const pool = require('../config/database');
+const { recordChange } = require('./change-log');
+const { HttpError } = require('../middleware/errorHandler');
+
+const ROLES = { viewer: 1, editor: 2, owner: 3 };
+
+function hasRole(role, required) {
+  return ROLES[role] >= ROLES[required];
+}
+
+function isUnder(namespacePath, folderPath) {
+  return namespacePath === folderPath || namespacePath.startsWith(`${folderPath}/`);
+}
+
+function toOwnerPath(mount, memberPath) {
+  return mount.folderPath + memberPath.slice(mount.mountPath.length);
+}
+
+function toMemberPath(mount, ownerPath) {
+  return mount.mountPath + ownerPath.replace(/^\/+/, '').slice(mount.folderPath.length);
+}
+
+// Shared folders mounted in a user's namespace
+async function getMounts(userId, db = pool) {
+  const result = await db.query(`
+    SELECT s.id AS share_id, s.owner_id, s.folder_id, f.path AS folder_path, m.mount_path, m.role
+    FROM share_members m
+    JOIN shared_folders s ON s.id = m.share_id
+    JOIN folders f ON f.id = s.folder_id
+    WHERE m.user_id = $1 AND m.status = 'accepted'
+  `, [userId]);
+
+  return result.rows.map(row => ({
+    shareId: row.share_id,
+    ownerId: row.owner_id,
+    folderId: row.folder_id,
+    folderPath: row.folder_path,
+    mountPath: row.mount_path,
+    role: row.role
+  }));
+}
+
+// Whose namespace a path of `userId`'s namespace is in, and where. Throws 403
+// when the user's role in a shared folder is below `required`.
+async function resolvePath(userId, namespacePath, required = 'viewer', db = pool) {
+  const mounts = await getMounts(userId, db);
+  const mount = mounts.find(candidate => isUnder(namespacePath, candidate.mountPath));
+
+  if (!mount) {
+    return { userId, path: namespacePath, role: 'owner', mount: null };
+  }
+
+  if (!hasRole(mount.role, required)) {
+    throw new HttpError(403, `Your role in this shared folder is ${mount.role}`, { shareId: mount.shareId });
+  }
+
+  return { userId: mount.ownerId, path: toOwnerPath(mount, namespacePath), role: mount.role, mount };
+}
+
+// The role a user has on something of `ownerId` at `ownerPath`, with the
+// mount it is seen through (null for the owner), or null without access
+async function getAccess(userId, ownerId, ownerPath, db = pool) {
+  if (ownerId === userId) {
+    return { role: 'owner', mount: null };
+  }
+
+  const mounts = await getMounts(userId, db);
+  const mount = mounts.find(candidate =>
+    candidate.ownerId === ownerId && isUnder(ownerPath.replace(/^\/+/, ''), candidate.folderPath));
+
+  return mount ? { role: mount.role, mount } : null;
+}
+
+function formatMember(member) {
+  return {
+    id: member.id,
+    userId: member.user_id,
+    email: member.email,
+    role: member.role,
+    status: member.status,
+    mountPath: member.mount_path,
+    createdAt: member.created_at,
+    acceptedAt: member.accepted_at
+  };
+}
+
+function formatShare(share, members = []) {
+  return {
+    id: share.id,
+    ownerId: share.owner_id,
+    ownerEmail: share.owner_email,
+    folderId: share.folder_id,
+    folderPath: share.folder_path,
+    name: share.name,
+    role: share.role || 'owner',
+    mountPath: share.mount_path || share.folder_path,
+    createdAt: share.created_at,
+    members: members.map(formatMember)
+  };
+}
+
+async function withTransaction(work) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+const SHARE_QUERY = `
+  SELECT s.*, f.path AS folder_path, f.name, u.email AS owner_email
+  FROM shared_folders s
+  JOIN folders f ON f.id = s.folder_id
+  JOIN users u ON u.id = s.owner_id
+`;
+
+// A share the user owns or has joined, with the user's role in it
+async function getShare(userId, shareId, db = pool) {
+  const result = await db.query(`${SHARE_QUERY} WHERE s.id = $1`, [shareId]);
+  const share = result.rows[0];
+
+  if (share && share.owner_id === userId) {
+    return { ...share, role: 'owner' };
+  }
+
+  if (share) {
+    const member = await db.query(
+      `SELECT role, mount_path FROM share_members WHERE share_id = $1 AND user_id = $2 AND status = 'accepted'`,
+      [shareId, userId]
+    );
+    if (member.rows.length > 0) {
+      return { ...share, ...member.rows[0] };
+    }
+  }
+
+  throw new HttpError(404, 'Shared folder not found');
+}
+
+async function getOwnedShare(userId, shareId, db = pool) {
+  const share = await getShare(userId, shareId, db);
+  if (share.role !== 'owner') {
+    throw new HttpError(403, 'Only the owner can manage this shared folder');
+  }
+  return share;
+}
+
+async function listMembers(shareId, db = pool) {
+  const result = await db.query(
+    'SELECT * FROM share_members WHERE share_id = $1 ORDER BY created_at',
+    [shareId]
+  );
+  return result.rows;
+}
+
+// Share one of the user's own folders. Shares cannot be nested.
+async function createShare(userId, folderPath) {
+  return withTransaction(async (client) => {
+    const folder = await client.query(
+      'SELECT * FROM folders WHERE user_id = $1 AND path = $2',
+      [userId, folderPath]
+    );
+
+    if (folder.rows.length === 0) {
+      throw new HttpError(404, 'Folder not found');
+    }
+
+    const overlapping = await client.query(`
+      SELECT s.id FROM shared_folders s JOIN folders f ON f.id = s.folder_id
+      WHERE s.owner_id = $1 AND (starts_with(f.path || '/', $2 || '/') OR starts_with($2 || '/', f.path || '/'))
+    `, [userId, folderPath]);
+
+    if (overlapping.rows.length > 0) {
+      throw new HttpError(409, 'This folder is already shared or inside a shared folder', {
+        shareId: overlapping.rows[0].id
+      });
+    }
+
+    const result = await client.query(
+      'INSERT INTO shared_folders (owner_id, folder_id) VALUES ($1, $2) RETURNING id',
+      [userId, folder.rows[0].id]
+    );
+
+    return getShare(userId, result.rows[0].id, client);
+  });
+}
+
+async function listShares(userId) {
+  const owned = await pool.query(`${SHARE_QUERY} WHERE s.owner_id = $1 ORDER BY f.path`, [userId]);
+  const joined = await pool.query(`
+    SELECT s.*, f.path AS folder_path, f.name, u.email AS owner_email, m.role, m.mount_path
+    FROM share_members m
+    JOIN shared_folders s ON s.id = m.share_id
+    JOIN folders f ON f.id = s.folder_id
+    JOIN users u ON u.id = s.owner_id
+    WHERE m.user_id = $1 AND m.status = 'accepted'
+    ORDER BY m.mount_path
+  `, [userId]);
+
+  return [
+    ...owned.rows.map(share => ({ ...share, role: 'owner' })),
+    ...joined.rows
+  ];
+}
+
+// Invite someone by email. Anyone can be invited, including people who have
+// not registered yet; the invitation waits for an account with that address.
+async function inviteMember(userId, shareId, { email, role }) {
+  const share = await getOwnedShare(userId, shareId);
+  const normalizedEmail = email.toLowerCase();
+
+  const owner = await pool.query('SELECT email FROM users WHERE id = $1', [userId]);
+  if (owner.rows[0].email.toLowerCase() === normalizedEmail) {
+    throw new HttpError(400, 'You already own this shared folder');
+  }
+
+  const result = await pool.query(`
+    INSERT INTO share_members (share_id, email, role, invited_by)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (share_id, email) DO NOTHING
+    RETURNING *
+  `, [shareId, normalizedEmail, role, userId]);
+
+  if (result.rows.length === 0) {
+    throw new HttpError(409, 'This person is already invited');
+  }
+
+  console.log(`✉️ Invited ${normalizedEmail} to "${share.name}" as ${role}`);
+  return result.rows[0];
+}
+
+async function listInvitations(email) {
+  const result = await pool.query(`
+    SELECT m.*, f.name AS folder_name, u.email AS owner_email
+    FROM share_members m
+    JOIN shared_folders s ON s.id = m.share_id
+    JOIN folders f ON f.id = s.folder_id
+    JOIN users u ON u.id = s.owner_id
+    WHERE m.email = $1 AND m.status = 'pending'
+    ORDER BY m.created_at
+  `, [email.toLowerCase()]);
+
+  return result.rows.map(row => ({
+    ...formatMember(row),
+    shareId: row.share_id,
+    folderName: row.folder_name,
+    ownerEmail: row.owner_email
+  }));
+}
+
+// A path at the root of the user's namespace that nothing uses yet:
+// "Name", then "Name (2)", "Name (3)"...
+async function findMountPath(client, userId, name) {
+  for (let counter = 1; ; counter++) {
+    const candidate = counter === 1 ? name : `${name} (${counter})`;
+
+    const taken = await client.query(`
+      SELECT 1 FROM folders WHERE user_id = $1 AND path = $2
+      UNION ALL
+      SELECT 1 FROM files WHERE user_id = $1 AND status = 'active'
+        AND (ltrim(file_path, '/') = $2 OR starts_with(ltrim(file_path, '/'), $2 || '/'))
+      UNION ALL
+      SELECT 1 FROM share_members WHERE user_id = $1 AND status = 'accepted' AND mount_path = $2
+    `, [userId, candidate]);
+
+    if (taken.rows.length === 0) {
+      return candidate;
+    }
+  }
+}
+
+// Mount changes go in the member's change log, so their devices sync
+function mountChange(mountPath) {
+  return { id: null, file_path: mountPath, file_hash: null, file_size: null, mime_type: null };
+}
+
+async function acceptInvitation(user, invitationId) {
+  return withTransaction(async (client) => {
+    const invitation = await client.query(
+      `SELECT * FROM share_members WHERE id = $1 AND email = $2 AND status = 'pending' FOR UPDATE`,
+      [invitationId, user.email.toLowerCase()]
+    );
+
+    if (invitation.rows.length === 0) {
+      throw new HttpError(404, 'Invitation not found');
+    }
+
+    const share = await client.query(`${SHARE_QUERY} WHERE s.id = $1`, [invitation.rows[0].share_id]);
+    const mountPath = await findMountPath(client, user.id, share.rows[0].name);
+
+    const result = await client.query(`
+      UPDATE share_members
+      SET user_id = $2, status = 'accepted', mount_path = $3, accepted_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [invitationId, user.id, mountPath]);
+
+    await recordChange(client, user.id, 'share_mount', mountChange(mountPath));
+    return result.rows[0];
+  });
+}
+
+async function declineInvitation(user, invitationId) {
+  const result = await pool.query(
+    `DELETE FROM share_members WHERE id = $1 AND email = $2 AND status = 'pending' RETURNING id`,
+    [invitationId, user.email.toLowerCase()]
+  );
+
+  if (result.rows.length === 0) {
+    throw new HttpError(404, 'Invitation not found');
+  }
+}
+
+async function updateMemberRole(userId, shareId, memberId, role) {
+  await getOwnedShare(userId, shareId);
+
+  const result = await pool.query(
+    'UPDATE share_members SET role = $3 WHERE id = $1 AND share_id = $2 RETURNING *',
+    [memberId, shareId, role]
+  );
+
+  if (result.rows.length === 0) {
+    throw new HttpError(404, 'Member not found');
+  }
+  return result.rows[0];
+}
+
+// The owner removes a member or withdraws an invitation; members can remove
+// themselves, which is leaving the shared folder
+async function removeMember(userId, shareId, memberId) {
+  return withTransaction(async (client) => {
+    const member = await client.query(
+      'SELECT * FROM share_members WHERE id = $1 AND share_id = $2 FOR UPDATE',
+      [memberId, shareId]
+    );
+
+    if (member.rows.length === 0) {
+      throw new HttpError(404, 'Member not found');
+    }
+
+    const removed = member.rows[0];
+    if (removed.user_id !== userId) {
+      await getOwnedShare(userId, shareId, client);
+    }
+
+    await client.query('DELETE FROM share_members WHERE id = $1', [memberId]);
+
+    if (removed.status === 'accepted') {
+      await recordChange(client, removed.user_id, 'share_unmount', mountChange(removed.mount_path));
+    }
+    return removed;
+  });
+}
+
+// Stop sharing: members lose the folder, the owner keeps it
+async function deleteShare(userId, shareId) {
+  return withTransaction(async (client) => {
+    const share = await getOwnedShare(userId, shareId, client);
+    const members = await listMembers(shareId, client);
+
+    for (const member of members.filter(candidate => candidate.status === 'accepted')) {
+      await recordChange(client, member.user_id, 'share_unmount', mountChange(member.mount_path));
+    }
+
+    await client.query('DELETE FROM shared_folders WHERE id = $1', [shareId]);
+    return share;
+  });
+}
+
+// Unmount the shares at or below an owner's folder that is about to be
+// deleted; deleting the folder deletes them
+async function unshareFolders(client, ownerId, folderPath) {
+  const members = await client.query(`
+    SELECT m.user_id, m.mount_path
+    FROM shared_folders s
+    JOIN folders f ON f.id = s.folder_id
+    JOIN share_members m ON m.share_id = s.id
+    WHERE s.owner_id = $1 AND m.status = 'accepted' AND (f.path = $2 OR starts_with(f.path, $2 || '/'))
+  `, [ownerId, folderPath]);
+
+  for (const member of members.rows) {
+    await recordChange(client, member.user_id, 'share_unmount', mountChange(member.mount_path));
+  }
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  isUnder,
+  toMemberPath,
+  getMounts,
+  resolvePath,
+  getAccess,
+  formatMember,
+  formatShare,
+  getShare,
+  listMembers,
+  createShare,
+  listShares,
+  inviteMember,
+  listInvitations,
+  acceptInvitation,
+  declineInvitation,
+  updateMemberRole,
+  removeMember,
+  deleteShare,
+  unshareFolders
+};
@@ -0,0 +1,250 @@
+// lib/trash.js - Soft-deleted files and the background job that purges them
+const pool = require('../config/database');
+const { minioClient, BUCKET_NAME } = require('../config/minio');
+const { collectGarbage } = require('./content-store');
+const { recordChange } = require('./change-log');
+const { releaseStorage } = require('./usage');
+const { ensureParentFolders } = require('./folders');
+const { HttpError } = require('../middleware/errorHandler');
+
+const RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL_MINUTES = parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60;
+
+function formatTrashedFile(file) {
+  const purgeAt = new Date(file.deleted_at);
+  purgeAt.setDate(purgeAt.getDate() + RETENTION_DAYS);
+
+  return {
+    id: file.id,
+    filename: file.filename,
+    filePath: file.file_path,
+    fileSize: file.file_size,
+    fileHash: file.file_hash,
+    mimeType: file.mime_type,
+    deletedAt: file.deleted_at,
+    purgeAt: purgeAt.toISOString()
+  };
+}
+
+// Move a file to the trash. Its content stays in storage until it is purged.
+async function trashFile(fileId) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(`
+      UPDATE files
+      SET status = 'trashed', deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'active'
+      RETURNING *
+    `, [fileId]);
+
+    const file = result.rows[0] || null;
+    if (file) {
+      await recordChange(client, file.user_id, 'delete', file);
+    }
+
+    await client.query('COMMIT');
+    return file;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function listTrash(userId) {
+  const result = await pool.query(
+    'SELECT * FROM files WHERE user_id = $1 AND status = $2 ORDER BY deleted_at DESC',
+    [userId, 'trashed']
+  );
+  return result.rows;
+}
+
+// Put a trashed file back at its original path
+async function restoreFile(userId, fileId) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const trashed = await client.query(
+      'SELECT * FROM files WHERE id = $1 AND user_id = $2 AND status = $3 FOR UPDATE',
+      [fileId, userId, 'trashed']
+    );
+
+    if (trashed.rows.length === 0) {
+      throw new HttpError(404, 'File not found in trash');
+    }
+
+    const file = trashed.rows[0];
+
+    const occupied = await client.query(
+      'SELECT id FROM files WHERE user_id = $1 AND file_path = $2 AND status = $3',
+      [userId, file.file_path, 'active']
+    );
+
+    if (occupied.rows.length > 0) {
+      throw new HttpError(409, 'Another file already exists at this path', {
+        filePath: file.file_path,
+        fileId: occupied.rows[0].id
+      });
+    }
+
+    await ensureParentFolders(client, userId, file.file_path);
+
+    const result = await client.query(`
+      UPDATE files
+      SET status = 'active', deleted_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [file.id]);
+
+    await recordChange(client, userId, 'create', result.rows[0]);
+
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Permanently delete files (and their version history) matching `condition`,
+// then remove whatever storage they no longer share with other files
+async function purgeFiles(condition, params = []) {
+  const client = await pool.connect();
+  let legacyKeys;
+  let purged;
+
+  try {
+    await client.query('BEGIN');
+
+    const files = await client.query(
+      `SELECT id FROM files WHERE ${condition} FOR UPDATE`,
+      params
+    );
+    const fileIds = files.rows.map(row => row.id);
+
+    // Objects of files uploaded whole, before chunked storage
+    const keys = await client.query(`
+      SELECT minio_key FROM files WHERE id = ANY($1) AND minio_key IS NOT NULL
+      UNION
+      SELECT minio_key FROM file_versions WHERE file_id = ANY($1) AND minio_key IS NOT NULL
+    `, [fileIds]);
+    legacyKeys = keys.rows.map(row => row.minio_key);
+
+    // Release the content references held by the versions about to go
+    await client.query(`
+      UPDATE contents c
+      SET ref_count = c.ref_count - v.refs
+      FROM (
+        SELECT file_hash, COUNT(*) AS refs
+        FROM file_versions WHERE file_id = ANY($1)
+        GROUP BY file_hash
+      ) v
+      WHERE c.hash = v.file_hash
+    `, [fileIds]);
+
+    // Their versions no longer count against their owners' quotas
+    const stored = await client.query(`
+      SELECT user_id, file_id, SUM(file_size) AS bytes
+      FROM file_versions WHERE file_id = ANY($1)
+      GROUP BY user_id, file_id
+    `, [fileIds]);
+
+    for (const row of stored.rows) {
+      await releaseStorage(client, row.user_id, parseInt(row.bytes), 'purged', row.file_id);
+    }
+
+    await client.query('DELETE FROM files WHERE id = ANY($1)', [fileIds]);
+
+    await client.query('COMMIT');
+    purged = fileIds.length;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (legacyKeys.length > 0) {
+    const stillUsed = await pool.query(`
+      SELECT minio_key FROM files WHERE minio_key = ANY($1)
+      UNION
+      SELECT minio_key FROM file_versions WHERE minio_key = ANY($1)
+    `, [legacyKeys]);
+    const used = new Set(stillUsed.rows.map(row => row.minio_key));
+
+    for (const key of legacyKeys.filter(key => !used.has(key))) {
+      try {
+        await minioClient.removeObject(BUCKET_NAME, key);
+      } catch (minioError) {
+        console.error(`MinIO deletion error for ${key}:`, minioError.message);
+      }
+    }
+  }
+
+  if (purged > 0) {
+    await collectGarbage();
+  }
+
+  return purged;
+}
+
+function purgeTrashedFile(userId, fileId) {
+  return purgeFiles('id = $1 AND user_id = $2 AND status = $3', [fileId, userId, 'trashed']);
+}
+
+function emptyTrash(userId) {
+  return purgeFiles('user_id = $1 AND status = $2', [userId, 'trashed']);
+}
+
+// Files past the retention period, plus rows left behind by the old hard
+// delete (status 'deleted'), whose content was never cleaned up
+function purgeExpiredTrash() {
+  return purgeFiles(
+    `status = 'deleted' OR (status = 'trashed' AND deleted_at < NOW() - make_interval(days => $1))`,
+    [RETENTION_DAYS]
+  );
+}
+
+function startPurgeJob() {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      const purged = await purgeExpiredTrash();
+      if (purged > 0) {
+        console.log(`🗑️ Purged ${purged} file(s) from trash`);
+      }
+    } catch (error) {
+      console.error('❌ Trash purge failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  setInterval(run, PURGE_INTERVAL_MINUTES * 60 * 1000);
+
+  console.log(`🗑️ Trash retention: ${RETENTION_DAYS} days, purge every ${PURGE_INTERVAL_MINUTES} minutes`);
+}
+
+module.exports = {
+  formatTrashedFile,
+  trashFile,
+  listTrash,
+  restoreFile,
+  purgeTrashedFile,
+  emptyTrash,
+  purgeExpiredTrash,
+  startPurgeJob
+};
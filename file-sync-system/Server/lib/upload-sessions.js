@@ -0,0 +1,91 @@
+// lib/upload-sessions.js - Cleaning up upload sessions nobody will finish
+const pool = require('../config/database');
+const { minioClient, BUCKET_NAME } = require('../config/minio');
+
+// Unfinished sessions with no part uploaded for this long are given up on
+const SESSION_EXPIRY_HOURS = parseInt(process.env.UPLOAD_SESSION_EXPIRY_HOURS) || 48;
+const CLEANUP_INTERVAL_MINUTES = parseInt(process.env.UPLOAD_SESSION_CLEANUP_INTERVAL_MINUTES) || 60;
+
+// Abort sessions left idle past the expiry, and delete ended sessions once
+// they are that old too. A pack object goes with its session unless chunks
+// were registered from it; the ones that were are removed by collectGarbage.
+async function expireUploadSessions() {
+  const expired = await pool.query(`
+    UPDATE upload_sessions s
+    SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+    FROM (
+      SELECT id, status FROM upload_sessions
+      WHERE status IN ('active', 'assembled')
+      FOR UPDATE
+    ) previous
+    WHERE s.id = previous.id
+      AND GREATEST(
+        s.updated_at,
+        (SELECT MAX(p.created_at) FROM upload_session_parts p WHERE p.session_id = s.id)
+      ) < NOW() - make_interval(hours => $1)
+    RETURNING s.minio_key, s.minio_upload_id, previous.status AS previous_status
+  `, [SESSION_EXPIRY_HOURS]);
+
+  // Assembled sessions have no multipart upload left to abort
+  const unassembled = expired.rows.filter(row => row.previous_status === 'active' && row.minio_upload_id);
+
+  for (const session of unassembled) {
+    try {
+      await minioClient.abortMultipartUpload(BUCKET_NAME, session.minio_key, session.minio_upload_id);
+    } catch (minioError) {
+      // Completed already; the object is removed with the session below
+      console.error(`MinIO abort error for ${session.minio_key}:`, minioError.message);
+    }
+  }
+
+  const ended = await pool.query(`
+    DELETE FROM upload_sessions
+    WHERE status NOT IN ('active', 'assembled') AND updated_at < NOW() - make_interval(hours => $1)
+    RETURNING minio_key
+  `, [SESSION_EXPIRY_HOURS]);
+
+  const keys = ended.rows.map(row => row.minio_key).filter(Boolean);
+  const stillUsed = await pool.query(
+    'SELECT DISTINCT minio_key FROM chunks WHERE minio_key = ANY($1)',
+    [keys]
+  );
+  const used = new Set(stillUsed.rows.map(row => row.minio_key));
+
+  for (const key of keys.filter(key => !used.has(key))) {
+    try {
+      await minioClient.removeObject(BUCKET_NAME, key);
+    } catch (minioError) {
+      console.error(`MinIO deletion error for ${key}:`, minioError.message);
+    }
+  }
+
+  return { expired: expired.rowCount, deleted: ended.rowCount };
+}
+
+function startExpiryJob() {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      const { expired, deleted } = await expireUploadSessions();
+      if (expired > 0 || deleted > 0) {
+        console.log(`📤 Expired ${expired} idle upload session(s), removed ${deleted} old one(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Upload session cleanup failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  setInterval(run, CLEANUP_INTERVAL_MINUTES * 60 * 1000);
+}
+
+module.exports = {
+  expireUploadSessions,
+  startExpiryJob
+};
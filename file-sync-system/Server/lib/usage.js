@@ -0,0 +1,172 @@
+// lib/usage.js - Storage quotas and the ledger of what each user stores
+//
+// A user's usage is the size of every version they store, including files in
+// the trash: all of it takes up space until it is purged. Files in a shared
+// folder count against the folder's owner.
+const pool = require('../config/database');
+const { HttpError } = require('../middleware/errorHandler');
+
+const DEFAULT_QUOTA = (parseFloat(process.env.DEFAULT_STORAGE_QUOTA_GB) || 10) * 1024 * 1024 * 1024;
+// Largest single file, unless set per user
+const MAX_FILE_SIZE = (parseFloat(process.env.MAX_FILE_SIZE_GB) || 5) * 1024 * 1024 * 1024;
+
+function formatUsage(user) {
+  const quota = parseInt(user.quota);
+  const used = parseInt(user.storage_used);
+
+  return {
+    used,
+    quota,
+    available: Math.max(quota - used, 0)
+  };
+}
+
+async function getQuota(userId, db = pool) {
+  const result = await db.query(
+    'SELECT storage_used, COALESCE(storage_quota, $2) AS quota FROM users WHERE id = $1',
+    [userId, DEFAULT_QUOTA]
+  );
+  return formatUsage(result.rows[0]);
+}
+
+function quotaError(usage, bytes) {
+  // A file bigger than the whole quota will never fit; anything else fits
+  // once space is freed
+  if (bytes > usage.quota) {
+    return new HttpError(413, 'File is larger than your storage quota', { ...usage, required: bytes });
+  }
+  return new HttpError(507, 'Storage quota exceeded', { ...usage, required: bytes });
+}
+
+// Fail early, before an upload is stored, if it cannot fit. The charge made
+// when the version is saved is what actually enforces the quota.
+async function checkQuota(userId, bytes) {
+  const usage = await getQuota(userId);
+  if (usage.used + bytes > usage.quota) {
+    throw quotaError(usage, bytes);
+  }
+}
+
+async function getMaxFileSize(userId) {
+  const result = await pool.query(
+    'SELECT COALESCE(max_file_size, $2) AS max_file_size FROM users WHERE id = $1',
+    [userId, MAX_FILE_SIZE]
+  );
+  return parseInt(result.rows[0].max_file_size);
+}
+
+// For uploads whose size is declared up front; streamed ones are cut off
+// at the limit instead
+async function checkFileSize(userId, bytes) {
+  const maxFileSize = await getMaxFileSize(userId);
+  if (bytes > maxFileSize) {
+    throw new HttpError(413, 'File is larger than the maximum upload size', { maxFileSize, size: bytes });
+  }
+}
+
+async function appendLedger(client, userId, delta, reason, fileId) {
+  await client.query(
+    'INSERT INTO storage_ledger (user_id, delta, reason, file_id) VALUES ($1, $2, $3, $4)',
+    [userId, delta, reason, fileId]
+  );
+}
+
+// Add `bytes` to a user's usage inside the transaction that stores them.
+// The conditional update keeps concurrent uploads from overshooting the quota.
+async function chargeStorage(client, userId, bytes, reason, fileId = null) {
+  const result = await client.query(`
+    UPDATE users SET storage_used = storage_used + $2
+    WHERE id = $1 AND ($2 = 0 OR storage_used + $2 <= COALESCE(storage_quota, $3))
+    RETURNING id
+  `, [userId, bytes, DEFAULT_QUOTA]);
+
+  if (result.rows.length === 0) {
+    throw quotaError(await getQuota(userId, client), bytes);
+  }
+
+  await appendLedger(client, userId, bytes, reason, fileId);
+}
+
+async function releaseStorage(client, userId, bytes, reason, fileId = null) {
+  if (bytes <= 0) {
+    return;
+  }
+
+  await client.query(
+    'UPDATE users SET storage_used = GREATEST(storage_used - $2, 0) WHERE id = $1',
+    [userId, bytes]
+  );
+  await appendLedger(client, userId, -bytes, reason, fileId);
+}
+
+// Usage with a breakdown of the active files by top-level folder and by
+// type, each counting all their versions, plus what the trash holds
+async function getUsage(userId) {
+  const usage = await getQuota(userId);
+
+  const byFolder = await pool.query(`
+    SELECT
+      CASE WHEN position('/' IN ltrim(f.file_path, '/')) = 0 THEN ''
+        ELSE split_part(ltrim(f.file_path, '/'), '/', 1) END AS folder,
+      COUNT(DISTINCT f.id) AS file_count,
+      SUM(v.file_size) AS size
+    FROM files f
+    JOIN file_versions v ON v.file_id = f.id
+    WHERE f.user_id = $1 AND f.status = 'active'
+    GROUP BY folder
+    ORDER BY size DESC
+  `, [userId]);
+
+  const byType = await pool.query(`
+    SELECT
+      COALESCE(NULLIF(split_part(f.mime_type, '/', 1), ''), 'unknown') AS type,
+      COUNT(DISTINCT f.id) AS file_count,
+      SUM(v.file_size) AS size
+    FROM files f
+    JOIN file_versions v ON v.file_id = f.id
+    WHERE f.user_id = $1 AND f.status = 'active'
+    GROUP BY type
+    ORDER BY size DESC
+  `, [userId]);
+
+  const totals = await pool.query(`
+    SELECT
+      (SELECT COALESCE(SUM(file_size), 0) FROM files WHERE user_id = $1 AND status = 'active') AS current,
+      COALESCE(SUM(v.file_size) FILTER (WHERE f.status = 'active'), 0) AS active,
+      COALESCE(SUM(v.file_size) FILTER (WHERE f.status <> 'active'), 0) AS trash
+    FROM files f
+    JOIN file_versions v ON v.file_id = f.id
+    WHERE f.user_id = $1
+  `, [userId]);
+
+  const { current, active, trash } = totals.rows[0];
+
+  return {
+    ...usage,
+    currentFiles: parseInt(current),
+    versionHistory: parseInt(active) - parseInt(current),
+    trash: parseInt(trash),
+    byFolder: byFolder.rows.map(row => ({
+      folder: row.folder,
+      fileCount: parseInt(row.file_count),
+      size: parseInt(row.size)
+    })),
+    byType: byType.rows.map(row => ({
+      type: row.type,
+      fileCount: parseInt(row.file_count),
+      size: parseInt(row.size)
+    }))
+  };
+}
+
+module.exports = {
+  DEFAULT_QUOTA,
+  MAX_FILE_SIZE,
+  getQuota,
+  checkQuota,
+  getMaxFileSize,
+  checkFileSize,
+  chargeStorage,
+  releaseStorage,
+  getUsage
+};
@@ -12,16 +12,21 @@ const authMiddleware = async (req, res, next) => {
     
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
-    const result = await pool.query(
-      'SELECT id, email FROM users WHERE id = $1',
-      [decoded.userId]
-    );
+    // The token's session must still be live, so a revoked device is locked
+    // out before its access token expires
+    const result = await pool.query(`
+      SELECT u.id, u.email
+      FROM users u
+      JOIN sessions s ON s.user_id = u.id
+      WHERE u.id = $1 AND s.id = $2 AND s.revoked_at IS NULL AND s.expires_at > NOW()
+    `, [decoded.userId, decoded.sessionId]);
     
     if (result.rows.length === 0) {
       return res.status(401).json({ error: 'Invalid token.' });
     }
     
     req.user = result.rows[0];
+    req.sessionId = decoded.sessionId;
     next();
   } catch (error) {
     res.status(401).json({ error: 'Invalid token.' });
@@ -1,4 +1,12 @@
 // middleware/errorHandler.js
+class HttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
 const errorHandler = (err, req, res, next) => {
   console.error('Error:', err);
   
@@ -9,6 +17,15 @@ const errorHandler = (err, req, res, next) => {
     });
   }
   
+  // Uploads rejected while multer was reading them
+  if (err.name === 'MulterError') {
+    return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: err.message, code: err.code });
+  }
+  
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({ error: err.message, ...err.details });
+  }
+  
   if (err.code) {
     switch (err.code) {
       case '23505':
@@ -26,4 +43,4 @@ const errorHandler = (err, req, res, next) => {
   });
 };
 
-module.exports = { errorHandler };
\ No newline at end of file
+module.exports = { errorHandler, HttpError };
@@ -0,0 +1,41 @@
+// middleware/rate-limit.js - Per-client request limits for public endpoints
+//
+// Counts are kept in memory per process, in fixed windows. That is enough to
+// slow down guessing and flooding from one address; it is not shared between
+// server instances.
+
+// `max` requests per `windowMs` for each key (by default the client's IP).
+// Over the limit, requests get 429 with a Retry-After header.
+function rateLimit({ windowMs, max, key = req => req.ip, message = 'Too many requests, try again later' }) {
+  const windows = new Map();
+
+  return (req, res, next) => {
+    const now = Date.now();
+
+    // Drop finished windows once there are many, so the map stays small
+    if (windows.size > 10000) {
+      for (const [id, window] of windows) {
+        if (window.resetAt <= now) {
+          windows.delete(id);
+        }
+      }
+    }
+
+    const id = key(req);
+    let window = windows.get(id);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(id, window);
+    }
+
+    window.count++;
+    if (window.count > max) {
+      res.set('Retry-After', String(Math.ceil((window.resetAt - now) / 1000)));
+      return res.status(429).json({ error: message });
+    }
+
+    next();
+  };
+}
+
+module.exports = { rateLimit };
@@ -0,0 +1,53 @@
+// middleware/upload.js - Multipart file uploads, streamed into the content store
+const multer = require('multer');
+
+const contentStore = require('../lib/content-store');
+const { MAX_FILE_SIZE, getMaxFileSize } = require('../lib/usage');
+
+const MAX_UPLOAD_SIZE = MAX_FILE_SIZE;
+
+// Each file is chunked, hashed and stored as it arrives instead of being
+// buffered, so memory use does not grow with the file. req.file gets the
+// content's `hash`, `size` and `chunks`; the route registers the content once
+// it accepts the upload. Chunks of an upload that fails are left to garbage
+// collection.
+const contentStorage = {
+  _handleFile(req, file, callback) {
+    contentStore.storeStream(file.stream)
+      .then(stored => callback(null, stored))
+      .catch(callback);
+  },
+  _removeFile(req, file, callback) {
+    callback(null);
+  }
+};
+
+// `fileFilter(req, file, callback)` can reject a file before it is read.
+// Multer stops reading at `maxFileSize` and fails with LIMIT_FILE_SIZE.
+function createUpload({ maxFileSize = MAX_UPLOAD_SIZE, fileFilter } = {}) {
+  return multer({
+    storage: contentStorage,
+    limits: {
+      fileSize: Math.min(maxFileSize, MAX_UPLOAD_SIZE)
+    },
+    fileFilter
+  });
+}
+
+// A single file in `field`, limited to the signed-in user's maximum file size
+function userUpload(field, { fileFilter } = {}) {
+  return async (req, res, next) => {
+    try {
+      const maxFileSize = await getMaxFileSize(req.user.id);
+      createUpload({ maxFileSize, fileFilter }).single(field)(req, res, next);
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  MAX_UPLOAD_SIZE,
+  createUpload,
+  userUpload
+};
@@ -0,0 +1,108 @@
+// routes/account.js - The signed-in user's account
+const express = require('express');
+const Joi = require('joi');
+
+const pool = require('../config/database');
+const authMiddleware = require('../middleware/auth');
+const { getUsage } = require('../lib/usage');
+const { notifyChange } = require('../lib/change-events');
+const { HttpError } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// A wrapped end-to-end encryption key. Clients wrap and unwrap it; the server
+// only keeps it so every device the user enrolls can fetch it.
+const encryptionKeySchema = Joi.object({
+  keyId: Joi.string().hex().length(16).required(),
+  kdf: Joi.object({
+    name: Joi.string().valid('scrypt').required(),
+    salt: Joi.string().base64().required(),
+    N: Joi.number().integer().min(1024).required(),
+    r: Joi.number().integer().min(1).required(),
+    p: Joi.number().integer().min(1).required()
+  }).required(),
+  nonce: Joi.string().base64().required(),
+  wrappedKey: Joi.string().base64().required()
+});
+
+// Ignore patterns for users who never set their own: OS and editor litter
+const DEFAULT_IGNORE_PATTERNS = ['.DS_Store', 'Thumbs.db', 'desktop.ini', '*~', '.git/', 'node_modules/'];
+
+const ignoreRulesSchema = Joi.object({
+  patterns: Joi.array().items(Joi.string().max(1000)).max(1000).required()
+});
+
+// Storage used against the quota, broken down by top-level folder and file type
+router.get('/usage', authMiddleware, async (req, res, next) => {
+  try {
+    res.json({ usage: await getUsage(req.user.id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/encryption-key', authMiddleware, async (req, res, next) => {
+  try {
+    const result = await pool.query('SELECT encryption_key FROM users WHERE id = $1', [req.user.id]);
+    const encryptionKey = result.rows[0].encryption_key;
+
+    if (!encryptionKey) {
+      throw new HttpError(404, 'No encryption key has been set up');
+    }
+
+    res.json({ encryptionKey });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Store the wrapped key, or rewrap it under a new passphrase. Replacing it
+// with a different key would leave every encrypted file unreadable.
+router.put('/encryption-key', authMiddleware, async (req, res, next) => {
+  try {
+    const { error, value } = encryptionKeySchema.validate(req.body);
+    if (error) throw error;
+
+    const result = await pool.query(`
+      UPDATE users SET encryption_key = $2
+      WHERE id = $1 AND (encryption_key IS NULL OR encryption_key->>'keyId' = $3)
+      RETURNING id
+    `, [req.user.id, value, value.keyId]);
+
+    if (result.rows.length === 0) {
+      throw new HttpError(409, 'A different encryption key is already set up');
+    }
+
+    res.json({ message: 'Encryption key saved', encryptionKey: value });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Patterns every device skips, on top of the .syncignore files in the folders
+router.get('/ignore-rules', authMiddleware, async (req, res, next) => {
+  try {
+    const result = await pool.query('SELECT ignore_patterns FROM users WHERE id = $1', [req.user.id]);
+
+    res.json({ patterns: result.rows[0].ignore_patterns || DEFAULT_IGNORE_PATTERNS });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/ignore-rules', authMiddleware, async (req, res, next) => {
+  try {
+    const { error, value } = ignoreRulesSchema.validate(req.body);
+    if (error) throw error;
+
+    const patterns = value.patterns.map(pattern => pattern.trim()).filter(Boolean);
+    await pool.query('UPDATE users SET ignore_patterns = $2 WHERE id = $1', [req.user.id, patterns]);
+    await notifyChange(pool, req.user.id, 'ignore_rules');
+
+    res.json({ message: 'Ignore rules updated', patterns });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,23 +1,45 @@
 // routes/auth.js
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const Joi = require('joi');
 const pool = require('../config/database');
 const authMiddleware = require('../middleware/auth');
+const { getQuota } = require('../lib/usage');
+const sessions = require('../lib/sessions');
+const { registerDevice } = require('../lib/devices');
 
 const router = express.Router();
 
+// Devices name themselves so their sessions can be told apart
+const deviceFields = {
+  deviceId: Joi.string().max(255),
+  deviceName: Joi.string().max(255)
+};
+
 const registerSchema = Joi.object({
   email: Joi.string().email().required(),
-  password: Joi.string().min(6).required()
+  password: Joi.string().min(6).required(),
+  ...deviceFields
 });
 
 const loginSchema = Joi.object({
   email: Joi.string().email().required(),
-  password: Joi.string().required()
+  password: Joi.string().required(),
+  ...deviceFields
+});
+
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string().required()
 });
 
+// Also records the device, which its sync rules hang off
+async function startSession(req, userId, { deviceId, deviceName }) {
+  if (deviceId) {
+    await registerDevice(userId, deviceId, deviceName);
+  }
+  return sessions.createSession(userId, { deviceId, deviceName, userAgent: req.get('User-Agent'), ipAddress: req.ip });
+}
+
 // Register
 router.post('/register', async (req, res, next) => {
   try {
@@ -35,15 +57,14 @@ router.post('/register', async (req, res, next) => {
     
     const user = result.rows[0];
     
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    const { session, token, refreshToken, expiresIn } = await startSession(req, user.id, value);
     
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
+      expiresIn,
+      session: sessions.formatSession(session, session.id),
       user: {
         id: user.id,
         email: user.email,
@@ -79,15 +100,14 @@ router.post('/login', async (req, res, next) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
     
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    const { session, token, refreshToken, expiresIn } = await startSession(req, user.id, value);
     
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
+      expiresIn,
+      session: sessions.formatSession(session, session.id),
       user: {
         id: user.id,
         email: user.email
@@ -98,9 +118,62 @@ router.post('/login', async (req, res, next) => {
   }
 });
 
+// Exchange a refresh token for a new access token. The refresh token is
+// replaced too; the old one stops working.
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const { error, value } = refreshSchema.validate(req.body);
+    if (error) throw error;
+    
+    const { token, refreshToken, expiresIn } = await sessions.refreshSession(value.refreshToken, { ipAddress: req.ip });
+    
+    res.json({ token, refreshToken, expiresIn });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// End this device's session
+router.post('/logout', authMiddleware, async (req, res, next) => {
+  try {
+    await sessions.revokeSession(req.user.id, req.sessionId);
+    
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Devices signed in to this account
+router.get('/sessions', authMiddleware, async (req, res, next) => {
+  try {
+    const list = await sessions.listSessions(req.user.id);
+    
+    res.json({ sessions: list.map(session => sessions.formatSession(session, req.sessionId)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Sign a device out, e.g. a lost laptop. Its next request is rejected.
+router.delete('/sessions/:sessionId', authMiddleware, async (req, res, next) => {
+  try {
+    const session = await sessions.revokeSession(req.user.id, req.params.sessionId);
+    console.log(`🔒 Revoked session ${session.id} (${session.device_name || session.device_id || 'unknown device'})`);
+    
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Get current user
-router.get('/me', authMiddleware, (req, res) => {
-  res.json({ user: req.user });
+router.get('/me', authMiddleware, async (req, res, next) => {
+  try {
+    res.json({ user: { ...req.user, storage: await getQuota(req.user.id) } });
+  } catch (error) {
+    next(error);
+  }
 });
 
 module.exports = router;
@@ -0,0 +1,51 @@
+// routes/devices.js - Devices and their selective sync rules
+const express = require('express');
+const Joi = require('joi');
+
+const authMiddleware = require('../middleware/auth');
+const devices = require('../lib/devices');
+
+const router = express.Router();
+
+const syncRulesSchema = Joi.object({
+  include: Joi.array().items(Joi.string()).max(500).default([]),
+  exclude: Joi.array().items(Joi.string()).max(500).default([])
+});
+
+router.get('/', authMiddleware, async (req, res, next) => {
+  try {
+    const list = await devices.listDevices(req.user.id);
+
+    res.json({ devices: list.map(devices.formatDevice) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:deviceId/sync-rules', authMiddleware, async (req, res, next) => {
+  try {
+    res.json({ syncRules: await devices.getSyncRules(req.user.id, req.params.deviceId) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Choose which folders a device mirrors; any device can edit any other's rules
+router.put('/:deviceId/sync-rules', authMiddleware, async (req, res, next) => {
+  try {
+    const { error, value } = syncRulesSchema.validate(req.body);
+    if (error) throw error;
+
+    const device = await devices.setSyncRules(req.user.id, req.params.deviceId, value);
+    console.log(`🗂️ Sync rules updated for ${device.device_id}`);
+
+    res.json({
+      message: 'Sync rules updated',
+      device: devices.formatDevice(device)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+// routes/drops.js - Managing upload links ("file drops")
+const express = require('express');
+const Joi = require('joi');
+
+const authMiddleware = require('../middleware/auth');
+const { MAX_UPLOAD_SIZE } = require('../middleware/upload');
+const fileDrops = require('../lib/file-drops');
+
+const router = express.Router();
+
+const dropSchema = Joi.object({
+  folderPath: Joi.string().required(),
+  expiresInHours: Joi.number().integer().min(1).max(24 * 365),
+  maxFileSize: Joi.number().integer().min(1).max(MAX_UPLOAD_SIZE),
+  maxFiles: Joi.number().integer().min(1).max(100000),
+  maxTotalSize: Joi.number().integer().min(1),
+  allowedTypes: Joi.array().items(
+    Joi.string().pattern(/^(\.[A-Za-z0-9]+|[\w.+-]+\/(\*|[\w.+-]+))$/)
+  ).max(50)
+});
+
+// Create an upload link for one of your folders
+router.post('/', authMiddleware, async (req, res, next) => {
+  try {
+    const { error, value } = dropSchema.validate(req.body);
+    if (error) throw error;
+
+    const drop = await fileDrops.createDrop(req.user.id, value);
+    console.log(`📥 Created upload link for ${drop.folder_path}`);
+
+    res.status(201).json({
+      message: 'Upload link created',
+      drop: fileDrops.formatDrop(req, drop)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/', authMiddleware, async (req, res, next) => {
+  try {
+    const drops = await fileDrops.listDrops(req.user.id);
+
+    res.json({ drops: drops.map(drop => fileDrops.formatDrop(req, drop)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke an upload link; files already received stay
+router.delete('/:dropId', authMiddleware, async (req, res, next) => {
+  try {
+    const drop = await fileDrops.revokeDrop(req.user.id, req.params.dropId);
+
+    res.json({
+      message: 'Upload link revoked',
+      drop: fileDrops.formatDrop(req, drop)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,51 @@
+// routes/events.js - Server-sent events telling devices when to sync
+const express = require('express');
+
+const authMiddleware = require('../middleware/auth');
+const { subscribe } = require('../lib/change-events');
+const { getLatestSeq } = require('../lib/change-log');
+
+const router = express.Router();
+
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// Stream the user's change notifications. Events only say that something
+// changed; devices fetch the details from /api/sync/changes.
+router.get('/', authMiddleware, async (req, res, next) => {
+  try {
+    const cursor = await getLatestSeq(req.user.id);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    send('ready', { cursor });
+
+    // Signing this device out ends its stream too
+    const unsubscribe = subscribe(req.user.id, (event, data) => {
+      if (event === 'session_revoked' && data.sessionId === req.sessionId) {
+        res.end();
+        return;
+      }
+      send(event, data);
+    });
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
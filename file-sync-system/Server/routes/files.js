@@ -1,126 +1,150 @@
 // routes/files.js
 const express = require('express');
-const multer = require('multer');
-const crypto = require('crypto');
-const path = require('path');
-const { v4: uuidv4 } = require('uuid');
+const Joi = require('joi');
 
 const authMiddleware = require('../middleware/auth');
+const { userUpload } = require('../middleware/upload');
 const pool = require('../config/database');
-const { minioClient, BUCKET_NAME } = require('../config/minio');
+const contentStore = require('../lib/content-store');
+const trash = require('../lib/trash');
+const { normalizeFolderPath } = require('../lib/folders');
+const { resolvePath } = require('../lib/shares');
+const {
+  getFileUrl,
+  formatFile,
+  formatVersion,
+  updateFileContent,
+  saveFileRecord,
+  sendFileRecord,
+  moveFile,
+  viewRecord,
+  resolveUploadTarget,
+  getFileAccess
+} = require('../lib/file-records');
+const { checkQuota, checkFileSize } = require('../lib/usage');
+const { HttpError } = require('../middleware/errorHandler');
 
 const router = express.Router();
 
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: {
-    fileSize: 100 * 1024 * 1024, // 100MB
-  },
+// Destination folder in the same form as uploads take it; the name defaults to the current one
+const moveSchema = Joi.object({
+  filePath: Joi.string().default('/'),
+  filename: Joi.string().pattern(/^[^/\\]+$/)
 });
 
-function calculateFileHash(buffer) {
-  return crypto.createHash('sha256').update(buffer).digest('hex');
-}
-
-async function generatePresignedUrl(minioKey, expirySeconds = 3600) {
-  // Generate presigned URL for temporary access (default 1 hour)
-  try {
-    const presignedUrl = await minioClient.presignedGetObject(BUCKET_NAME, minioKey, expirySeconds);
-    return presignedUrl;
-  } catch (error) {
-    console.error('Error generating presigned URL:', error);
-    throw new Error('Failed to generate download URL');
+// Send a file or version's content. A single `Range` is honoured, so an
+// interrupted download can resume; with `If-Range`, only while the content
+// is still the version the client started on (the ETag is the content hash).
+function sendContent(req, res, record, filename) {
+  const size = parseInt(record.file_size);
+  const etag = `"${record.file_hash}"`;
+  let range = null;
+  
+  if (req.headers.range && (!req.get('If-Range') || req.get('If-Range') === etag)) {
+    const ranges = req.range(size);
+    if (ranges === -1) {
+      return res.status(416).set('Content-Range', `bytes */${size}`).json({ error: 'Range not satisfiable' });
+    }
+    if (Array.isArray(ranges) && ranges.length === 1 && ranges.type === 'bytes') {
+      range = ranges[0];
+    }
   }
+  
+  res.set({
+    'Content-Type': record.mime_type || 'application/octet-stream',
+    'Content-Length': range ? range.end - range.start + 1 : size,
+    'Accept-Ranges': 'bytes',
+    'ETag': etag,
+    'X-File-Name': encodeURIComponent(filename),
+    'X-File-Hash': record.file_hash
+  });
+  
+  if (range) {
+    res.status(206).set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+  }
+  
+  const stream = contentStore.createFileStream(record, range || undefined);
+  stream.on('error', (streamError) => {
+    console.error(`Error streaming ${record.id}:`, streamError);
+    res.destroy(streamError);
+  });
+  stream.pipe(res);
 }
 
-// Generate permanent MinIO key (stored in database)
-function generatePermanentMinioKey(userId, filename) {
-  const fileId = uuidv4();
-  return `users/${userId}/files/${fileId}/${filename}`;
+// Runs when the file part starts, before any of it is stored. `filePath` and
+// the declared `fileSize` must be sent ahead of the file to be in req.body.
+function checkUploadTarget(req, file, callback) {
+  const declaredSize = Number(req.body.fileSize);
+  const filePath = req.body.filePath || '/';
+  
+  if (!Number.isInteger(declaredSize) || declaredSize < 0) {
+    return callback(new HttpError(400, 'fileSize must be sent before the file'));
+  }
+  
+  checkFileSize(req.user.id, declaredSize)
+    .then(() => resolveUploadTarget(req.user.id, filePath))
+    .then(async (target) => {
+      await checkQuota(target.userId, declaredSize);
+      req.uploadTarget = { ...target, requestedPath: filePath, declaredSize };
+      callback(null, true);
+    })
+    .catch(callback);
 }
 
-// Upload file
-router.post('/upload', authMiddleware, upload.single('file'), async (req, res, next) => {
+// Upload file. Permission and quota are checked against the declared size
+// before the content is streamed into storage; with `fileHash`, it is only
+// committed if it hashes to that.
+router.post('/upload', authMiddleware, userUpload('file', { fileFilter: checkUploadTarget }), async (req, res, next) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
     
-    const { originalname, buffer, mimetype, size } = req.file;
-    const { filePath = '/', localUrl } = req.body;
+    const { originalname, mimetype, hash: fileHash, size, chunks } = req.file;
+    const { filePath = '/', localUrl, baseHash, deviceId, fileHash: expectedHash } = req.body;
+    const target = req.uploadTarget;
     
-    const fileHash = calculateFileHash(buffer);
-    const fullPath = path.join(filePath, originalname).replace(/\\/g, '/');
-    
-    // Check for duplicate file by hash (allow updates)
-    const existingFile = await pool.query(
-      'SELECT * FROM files WHERE user_id = $1 AND file_hash = $2 AND status = $3',
-      [req.user.id, fileHash, 'active']
-    );
+    if (filePath !== target.requestedPath) {
+      throw new HttpError(400, 'filePath must be sent before the file');
+    }
     
-    let fileRecord;
-    
-    if (existingFile.rows.length > 0) {
-      // File with same content already exists
-      fileRecord = existingFile.rows[0];
-      
-      // Update local_url if provided
-      if (localUrl && fileRecord.local_url !== localUrl) {
-        await pool.query(
-          'UPDATE files SET local_url = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-          [localUrl, fileRecord.id]
-        );
-        fileRecord.local_url = localUrl;
-      }
-      
-      res.json({
-        message: 'File already exists with identical content',
-        file: {
-          id: fileRecord.id,
-          filename: fileRecord.filename,
-          filePath: fileRecord.file_path,
-          fileSize: fileRecord.file_size,
-          fileHash: fileRecord.file_hash,
-          mimeType: fileRecord.mime_type,
-          localUrl: fileRecord.local_url,
-          s3Url: await generatePresignedUrl(fileRecord.minio_key),
-          createdAt: fileRecord.created_at
-        }
-      });
-      return;
+    if (size !== target.declaredSize) {
+      throw new HttpError(400, 'Uploaded content does not match fileSize', { expected: target.declaredSize, actual: size });
     }
     
-    const minioKey = generatePermanentMinioKey(req.user.id, originalname);
+    if (expectedHash !== undefined && String(expectedHash).toLowerCase() !== fileHash) {
+      throw new HttpError(400, 'Uploaded content does not match fileHash', { expected: expectedHash, actual: fileHash });
+    }
     
-    // Upload to MinIO
-    await minioClient.putObject(BUCKET_NAME, minioKey, buffer, {
-      'Content-Type': mimetype,
-      'X-File-Hash': fileHash,
+    await contentStore.registerContent({ hash: fileHash, size, chunks }, { verified: true });
+    
+    const saved = await saveFileRecord(target.userId, {
+      filename: originalname,
+      filePath: target.filePath,
+      fileHash,
+      fileSize: size,
+      mimeType: mimetype,
+      localUrl,
+      baseHash,
+      deviceId,
+      uploaderId: req.user.id,
+      mount: target.mount
     });
     
-    // Save to database (store minioKey, not presigned URL)
-    const result = await pool.query(`
-      INSERT INTO files (user_id, filename, file_path, file_size, file_hash, mime_type, minio_key, local_url, upload_status)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-      RETURNING *
-    `, [req.user.id, originalname, fullPath, size, fileHash, mimetype, minioKey, localUrl, 'completed']);
+    await sendFileRecord(req, res, saved, target.mount);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Stream file content (works for both chunked and whole-object files), or part of it
+router.get('/:fileId/content', authMiddleware, async (req, res, next) => {
+  try {
+    const { fileId } = req.params;
     
-    fileRecord = result.rows[0];
+    const { file } = await getFileAccess(req.user.id, fileId);
     
-    res.status(201).json({
-      message: 'File uploaded successfully',
-      file: {
-        id: fileRecord.id,
-        filename: fileRecord.filename,
-        filePath: fileRecord.file_path,
-        fileSize: fileRecord.file_size,
-        fileHash: fileRecord.file_hash,
-        mimeType: fileRecord.mime_type,
-        localUrl: fileRecord.local_url,
-        s3Url: await generatePresignedUrl(fileRecord.minio_key),
-        createdAt: fileRecord.created_at
-      }
-    });
+    sendContent(req, res, file, file.filename);
   } catch (error) {
     next(error);
   }
@@ -131,28 +155,15 @@ router.get('/:fileId/download', authMiddleware, async (req, res, next) => {
   try {
     const { fileId } = req.params;
     
-    const result = await pool.query(
-      'SELECT * FROM files WHERE id = $1 AND user_id = $2 AND status = $3',
-      [fileId, req.user.id, 'active']
-    );
+    const { file, view } = await getFileAccess(req.user.id, fileId);
     
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'File not found' });
-    }
-    
-    const file = result.rows[0];
-    
-    const downloadUrl = await minioClient.presignedGetObject(
-      BUCKET_NAME,
-      file.minio_key,
-      24 * 60 * 60
-    );
+    const downloadUrl = await getFileUrl(req, file, 24 * 60 * 60);
     
     res.json({
       file: {
         id: file.id,
         filename: file.filename,
-        filePath: file.file_path,
+        filePath: view.file_path,
         fileSize: file.file_size,
         mimeType: file.mime_type
       },
@@ -167,17 +178,20 @@ router.get('/:fileId/download', authMiddleware, async (req, res, next) => {
 router.get('/', authMiddleware, async (req, res, next) => {
   try {
     const { path: filePath = '/', limit = 50, offset = 0 } = req.query;
+    // A folder inside a shared folder lists the owner's files
+    const folder = await resolvePath(req.user.id, normalizeFolderPath(filePath));
     
     let query = `
       SELECT id, filename, file_path, file_size, file_hash, mime_type, created_at, updated_at
       FROM files 
       WHERE user_id = $1 AND status = $2
     `;
-    const params = [req.user.id, 'active'];
+    const params = [folder.userId, 'active'];
     
-    if (filePath !== '/') {
-      query += ' AND file_path LIKE $3';
-      params.push(`${filePath}%`);
+    // Everything below the folder, and not in folders that merely share its prefix
+    if (folder.path) {
+      query += ` AND starts_with(ltrim(file_path, '/'), $3)`;
+      params.push(`${folder.path}/`);
     }
     
     query += ' ORDER BY created_at DESC LIMIT $' + (params.length + 1) + ' OFFSET $' + (params.length + 2);
@@ -186,7 +200,7 @@ router.get('/', authMiddleware, async (req, res, next) => {
     const result = await pool.query(query, params);
     
     res.json({
-      files: result.rows,
+      files: result.rows.map(row => viewRecord(folder.mount, row)),
       pagination: {
         limit: parseInt(limit),
         offset: parseInt(offset),
@@ -204,95 +218,187 @@ router.get('/:fileId/url', authMiddleware, async (req, res, next) => {
     const { fileId } = req.params;
     const { expiryHours = 24 } = req.query; // Default 24 hours
     
-    const result = await pool.query(
-      'SELECT minio_key, filename FROM files WHERE id = $1 AND user_id = $2 AND status = $3',
-      [fileId, req.user.id, 'active']
-    );
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'File not found' });
-    }
-    
-    const file = result.rows[0];
+    const { file } = await getFileAccess(req.user.id, fileId);
     const expirySeconds = parseInt(expiryHours) * 3600;
-    const presignedUrl = await generatePresignedUrl(file.minio_key, expirySeconds);
+    const url = await getFileUrl(req, file, expirySeconds);
     
+    // Chunked files are served through the authenticated content endpoint, which does not expire
     res.json({
       filename: file.filename,
-      url: presignedUrl,
-      expiresIn: expirySeconds,
-      expiresAt: new Date(Date.now() + expirySeconds * 1000).toISOString()
+      url,
+      expiresIn: file.minio_key ? expirySeconds : null,
+      expiresAt: file.minio_key ? new Date(Date.now() + expirySeconds * 1000).toISOString() : null
     });
   } catch (error) {
     next(error);
   }
 });
 
-// Delete file
-router.delete('/:fileId', authMiddleware, async (req, res, next) => {
+// List the version history of a file, newest first
+router.get('/:fileId/versions', authMiddleware, async (req, res, next) => {
   try {
     const { fileId } = req.params;
     
+    const { file, view } = await getFileAccess(req.user.id, fileId);
+    
     const result = await pool.query(
-      'SELECT * FROM files WHERE id = $1 AND user_id = $2 AND status = $3',
-      [fileId, req.user.id, 'active']
+      'SELECT * FROM file_versions WHERE file_id = $1 ORDER BY version_number DESC',
+      [fileId]
+    );
+    
+    res.json({
+      file: {
+        id: file.id,
+        filename: file.filename,
+        filePath: view.file_path
+      },
+      versions: result.rows.map((version, index) => formatVersion(version, index === 0))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Stream the content of a specific version
+router.get('/:fileId/versions/:versionId/content', authMiddleware, async (req, res, next) => {
+  try {
+    const { fileId, versionId } = req.params;
+    
+    const { file } = await getFileAccess(req.user.id, fileId);
+    
+    const result = await pool.query(
+      'SELECT * FROM file_versions WHERE id = $1 AND file_id = $2',
+      [versionId, file.id]
     );
     
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'File not found' });
+      return res.status(404).json({ error: 'Version not found' });
     }
     
-    const file = result.rows[0];
+    sendContent(req, res, result.rows[0], file.filename);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Restore a previous version. The old content becomes a new version on top
+// of the history, so the version being replaced stays restorable too.
+router.post('/:fileId/versions/:versionId/restore', authMiddleware, async (req, res, next) => {
+  const client = await pool.connect();
+  
+  try {
+    const { fileId, versionId } = req.params;
+    
+    await client.query('BEGIN');
     
-    // Delete from MinIO
-    await minioClient.removeObject(BUCKET_NAME, file.minio_key);
+    const { file, mount } = await getFileAccess(req.user.id, fileId, 'editor', client, true);
     
-    // Mark as deleted
-    await pool.query(
-      'UPDATE files SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-      ['deleted', fileId]
+    const versionResult = await client.query(
+      'SELECT * FROM file_versions WHERE id = $1 AND file_id = $2',
+      [versionId, fileId]
     );
     
-    res.json({ message: 'File deleted successfully' });
+    if (versionResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    
+    const restoredFrom = versionResult.rows[0];
+    
+    const { fileRecord, version } = await updateFileContent(client, file, {
+      fileHash: restoredFrom.file_hash,
+      fileSize: restoredFrom.file_size,
+      mimeType: restoredFrom.mime_type,
+      minioKey: restoredFrom.minio_key
+    });
+    
+    await client.query('COMMIT');
+    
+    res.json({
+      message: `Restored version ${restoredFrom.version_number}`,
+      file: await formatFile(req, viewRecord(mount, fileRecord)),
+      version: formatVersion(version, true)
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    next(error);
+  } finally {
+    client.release();
+  }
+});
+
+// Move or rename a file without touching its stored content
+router.post('/:fileId/move', authMiddleware, async (req, res, next) => {
+  try {
+    const { error, value } = moveSchema.validate(req.body);
+    if (error) throw error;
+    
+    const { fileRecord, moved } = await moveFile(req.user.id, req.params.fileId, value);
+    
+    res.json({
+      message: moved ? 'File moved' : 'File is already at this path',
+      file: await formatFile(req, fileRecord)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete file
+router.delete('/:fileId', authMiddleware, async (req, res, next) => {
+  try {
+    const { fileId } = req.params;
+    
+    await getFileAccess(req.user.id, fileId, 'editor');
+    
+    // Keep the file (and its content) in the trash until it is purged
+    await trash.trashFile(fileId);
+    
+    res.json({ message: 'File moved to trash' });
   } catch (error) {
     next(error);
   }
 });
 
-// Delete file by hash (for propagating deletions across devices)
+// Delete file by hash (for propagating deletions across devices). Several files
+// can share the same content, so `filePath` picks the one that was deleted.
 router.delete('/hash/:fileHash', authMiddleware, async (req, res, next) => {
   try {
     const { fileHash } = req.params;
+    const { filePath } = req.query;
     
-    // Find file by hash
-    const result = await pool.query(
-      'SELECT * FROM files WHERE user_id = $1 AND file_hash = $2 AND status = $3',
-      [req.user.id, fileHash, 'active']
-    );
+    // A path inside a shared folder deletes the owner's file, for editors
+    const target = filePath ? await resolveUploadTarget(req.user.id, filePath) : { userId: req.user.id, mount: null };
+    
+    let query = 'SELECT * FROM files WHERE user_id = $1 AND file_hash = $2 AND status = $3';
+    const params = [target.userId, fileHash, 'active'];
+    
+    if (filePath) {
+      query += ' AND file_path = $4';
+      params.push(target.filePath);
+    }
+    
+    const result = await pool.query(query, params);
     
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'File not found' });
     }
     
-    const file = result.rows[0];
-    
-    try {
-      // Delete from MinIO
-      await minioClient.removeObject(BUCKET_NAME, file.minio_key);
-      console.log(`🗑️ Deleted from MinIO: ${file.minio_key}`);
-    } catch (minioError) {
-      console.error('MinIO deletion error:', minioError);
-      // Continue with database deletion even if MinIO fails
+    if (result.rows.length > 1) {
+      return res.status(409).json({
+        error: 'Several files have this content; specify filePath',
+        filePaths: result.rows.map(row => row.file_path)
+      });
     }
     
-    // Mark as deleted in database
-    await pool.query(
-      'UPDATE files SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-      ['deleted', file.id]
-    );
+    const file = result.rows[0];
+    
+    // Move to trash; the content stays in MinIO until the trash is purged
+    await trash.trashFile(file.id);
+    console.log(`🗑️ Moved to trash: ${viewRecord(target.mount, file).file_path}`);
     
     res.json({
-      message: 'File deleted successfully',
+      message: 'File moved to trash',
       file: {
         id: file.id,
         filename: file.filename,
@@ -0,0 +1,116 @@
+// routes/folders.js - Folder create, list, move and delete
+const express = require('express');
+const Joi = require('joi');
+
+const authMiddleware = require('../middleware/auth');
+const folders = require('../lib/folders');
+const { formatFile } = require('../lib/file-records');
+
+const router = express.Router();
+
+const folderSchema = Joi.object({
+  path: Joi.string().required()
+});
+
+const createFolderSchema = folderSchema.keys({
+  encrypted: Joi.boolean().default(false)
+});
+
+// List a folder's immediate subfolders and files ('' or no path is the root)
+router.get('/', authMiddleware, async (req, res, next) => {
+  try {
+    const listing = await folders.listFolder(req.user.id, req.query.path || '');
+
+    res.json({
+      folder: folders.formatFolder(listing.folder),
+      folders: listing.folders.map(folders.formatFolder),
+      files: await Promise.all(listing.files.map(file => formatFile(req, file)))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Every folder path, for devices reconciling empty folders
+router.get('/paths', authMiddleware, async (req, res, next) => {
+  try {
+    res.json({ paths: await folders.listFolderPaths(req.user.id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Encrypted folder paths; devices encrypt everything they store below them
+router.get('/encrypted', authMiddleware, async (req, res, next) => {
+  try {
+    res.json({ paths: await folders.listEncryptedFolders(req.user.id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a folder (and any missing parents), optionally encrypted
+router.post('/', authMiddleware, async (req, res, next) => {
+  try {
+    const { error, value } = createFolderSchema.validate(req.body);
+    if (error) throw error;
+
+    const folder = await folders.createFolder(req.user.id, value.path, { encrypted: value.encrypted });
+
+    res.status(201).json({
+      message: 'Folder created',
+      folder: folders.formatFolder(folder)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Rename or move a folder along with everything in it
+router.post('/:folderId/move', authMiddleware, async (req, res, next) => {
+  try {
+    const { error, value } = folderSchema.validate(req.body);
+    if (error) throw error;
+
+    const { folder, moved } = await folders.moveFolder(req.user.id, req.params.folderId, value.path);
+
+    res.json({
+      message: 'Folder moved',
+      folder: folders.formatFolder(folder),
+      movedFiles: moved
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mark a folder encrypted. There is no way back: its files are ciphertext.
+router.post('/:folderId/encrypt', authMiddleware, async (req, res, next) => {
+  try {
+    const folder = await folders.encryptFolder(req.user.id, req.params.folderId);
+
+    res.json({
+      message: 'Folder encrypted',
+      folder: folders.formatFolder(folder)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a folder; the files in it go to the trash
+router.delete('/:folderId', authMiddleware, async (req, res, next) => {
+  try {
+    const { folder, trashed } = await folders.deleteFolder(req.user.id, req.params.folderId);
+
+    res.json({
+      message: 'Folder deleted',
+      folder: folders.formatFolder(folder),
+      trashedFiles: trashed
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
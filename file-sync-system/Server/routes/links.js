@@ -0,0 +1,62 @@
+// routes/links.js - Managing public share links
+const express = require('express');
+const Joi = require('joi');
+
+const authMiddleware = require('../middleware/auth');
+const shareLinks = require('../lib/share-links');
+
+const router = express.Router();
+
+// A link is to a file or to a folder, not both
+const linkSchema = Joi.object({
+  fileId: Joi.string().uuid(),
+  folderPath: Joi.string(),
+  password: Joi.string().min(4).max(128),
+  expiresInHours: Joi.number().integer().min(1).max(24 * 365),
+  maxDownloads: Joi.number().integer().min(1)
+}).xor('fileId', 'folderPath');
+
+// Create a link
+router.post('/', authMiddleware, async (req, res, next) => {
+  try {
+    const { error, value } = linkSchema.validate(req.body);
+    if (error) throw error;
+
+    const link = await shareLinks.createLink(req.user.id, value);
+    console.log(`🔗 Created link to ${link.name}`);
+
+    res.status(201).json({
+      message: 'Link created',
+      link: shareLinks.formatLink(req, link)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Links the user created, with their download counts
+router.get('/', authMiddleware, async (req, res, next) => {
+  try {
+    const links = await shareLinks.listLinks(req.user.id);
+
+    res.json({ links: links.map(link => shareLinks.formatLink(req, link)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke a link; it stops working immediately
+router.delete('/:linkId', authMiddleware, async (req, res, next) => {
+  try {
+    const link = await shareLinks.revokeLink(req.user.id, req.params.linkId);
+
+    res.json({
+      message: 'Link revoked',
+      link: shareLinks.formatLink(req, link)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -3,102 +3,22 @@ const express = require('express');
 const Joi = require('joi');
 const authMiddleware = require('../middleware/auth');
 const pool = require('../config/database');
-const { minioClient, BUCKET_NAME } = require('../config/minio');
+const { getFileUrl } = require('../lib/file-records');
+const { getNamespaceTree, getSubtrees, diffAgainstNamespace } = require('../lib/namespace');
+const { getSyncRules } = require('../lib/devices');
+const { isIncluded } = require('../../shared/sync-rules');
+const { notifyChange } = require('../lib/change-events');
 
 const router = express.Router();
 
-// Generate presigned URL for file access
-async function generatePresignedUrl(minioKey, expirySeconds = 3600) {
-  try {
-    const presignedUrl = await minioClient.presignedGetObject(BUCKET_NAME, minioKey, expirySeconds);
-    return presignedUrl;
-  } catch (error) {
-    console.error('Error generating presigned URL:', error);
-    return null;
-  }
-}
-
-// Simple Merkle Tree implementation for server
-class MerkleTree {
-  constructor() {
-    this.files = new Map();
-  }
-
-  fromJSON(data) {
-    this.files.clear();
-    if (data.files) {
-      for (const file of data.files) {
-        this.files.set(file.file_path, file);
-      }
-    }
-  }
-
-  getAllFiles() {
-    return Array.from(this.files.values());
-  }
-
-  getDifferences(otherTree) {
-    const myFiles = new Map(this.files);
-    const otherFiles = new Map();
-    
-    for (const file of otherTree.getAllFiles()) {
-      otherFiles.set(file.file_path, file);
-    }
-    
-    const differences = {
-      added: [],
-      modified: [],
-      deleted: []
-    };
-    
-    // Find added and modified files (from server perspective)
-    for (const [filePath, file] of myFiles) {
-      if (!otherFiles.has(filePath)) {
-        differences.added.push(file);
-      } else {
-        const otherFile = otherFiles.get(filePath);
-        if (file.hash !== otherFile.hash || file.timestamp !== otherFile.timestamp) {
-          differences.modified.push(file);
-        }
-      }
-    }
-    
-    // Find deleted files (files in other tree but not in server tree)
-    for (const [filePath, file] of otherFiles) {
-      if (!myFiles.has(filePath)) {
-        differences.deleted.push(file);
-      }
-    }
-    
-    return differences;
-  }
-}
-
-// Enrich file metadata with fresh presigned URLs
-async function enrichFilesWithFreshUrls(files, userId) {
+// Fresh download URLs for namespace entries
+async function enrichFilesWithFreshUrls(files, req) {
   const enrichedFiles = [];
   
-  for (const file of files) {
+  for (const { minio_key, ...file } of files) {
     try {
-      // Get minio_key from database
-      const dbResult = await pool.query(
-        'SELECT minio_key, id FROM files WHERE user_id = $1 AND file_hash = $2 AND status = $3 ORDER BY created_at DESC LIMIT 1',
-        [userId, file.hash, 'active']
-      );
-      
-      if (dbResult.rows.length > 0) {
-        const dbFile = dbResult.rows[0];
-        const freshUrl = await generatePresignedUrl(dbFile.minio_key, 24 * 3600); // 24 hours
-        
-        enrichedFiles.push({
-          ...file,
-          id: dbFile.id,
-          s3_url: freshUrl || file.s3_url // Fallback to old URL if generation fails
-        });
-      } else {
-        // File not found in database, return as-is
-        enrichedFiles.push(file);
-      }
+      const freshUrl = await getFileUrl(req, { id: file.id, minio_key }, 24 * 3600); // 24 hours
+      enrichedFiles.push({ ...file, s3_url: freshUrl });
     } catch (error) {
       console.error(`Error enriching file ${file.filename}:`, error);
       enrichedFiles.push(file); // Return original if enrichment fails
@@ -114,6 +34,7 @@ const updateTreeSchema = Joi.object({
     rootHash: Joi.string().allow(null),
     timestamp: Joi.string().isoDate(),
     files: Joi.array().items(Joi.object({
+      id: Joi.string().uuid().allow(null),
       filename: Joi.string().required(),
       file_path: Joi.string().required(),
       local_url: Joi.string().allow(null),
@@ -121,11 +42,18 @@ const updateTreeSchema = Joi.object({
       hash: Joi.string().required(),
       size: Joi.number().required(),
       timestamp: Joi.string().isoDate(),
+      mtime: Joi.number(),
       mime_type: Joi.string().allow(null)
     }))
   }).required()
 });
 
+const subtreesSchema = Joi.object({
+  paths: Joi.array().items(Joi.string().allow('')).min(1).max(500).required(),
+  // The device's own root hash; when it matches nothing needs to be compared
+  rootHash: Joi.string().allow(null)
+});
+
 const diffSchema = Joi.object({
   deviceId: Joi.string().required(),
   localTreeData: Joi.object().required()
@@ -165,6 +93,7 @@ router.post('/update', authMiddleware, async (req, res, next) => {
     }
     
     const tree = result.rows[0];
+    await notifyChange(pool, req.user.id, 'tree', { deviceId, rootHash: tree.root_hash });
     
     res.json({
       message: 'Merkle tree updated successfully',
@@ -216,7 +145,47 @@ router.get('/tree', authMiddleware, async (req, res, next) => {
   }
 });
 
-// Get differences between local and server trees
+// Get the canonical tree of all the user's files
+router.get('/namespace', authMiddleware, async (req, res, next) => {
+  try {
+    const namespaceTree = await getNamespaceTree(req.user.id);
+    
+    res.json({
+      rootHash: namespaceTree.rootHash,
+      files: await enrichFilesWithFreshUrls(namespaceTree.files, req)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the children of namespace folders, for top-down comparison by devices
+router.post('/subtrees', authMiddleware, async (req, res, next) => {
+  try {
+    const { error, value } = subtreesSchema.validate(req.body);
+    if (error) throw error;
+    
+    const namespaceTree = await getNamespaceTree(req.user.id);
+    
+    if (value.rootHash !== undefined && value.rootHash === namespaceTree.rootHash) {
+      return res.json({ rootHash: namespaceTree.rootHash, unchanged: true, nodes: [] });
+    }
+    
+    const nodes = [];
+    for (const node of getSubtrees(namespaceTree, value.paths)) {
+      const children = node.children && await Promise.all(node.children.map(async (child) => (
+        child.type === 'file' ? (await enrichFilesWithFreshUrls([child], req))[0] : child
+      )));
+      nodes.push({ ...node, children });
+    }
+    
+    res.json({ rootHash: namespaceTree.rootHash, unchanged: false, nodes });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get differences between a device's local tree and the user's namespace
 router.post('/diff', authMiddleware, async (req, res, next) => {
   try {
     const { error, value } = diffSchema.validate(req.body);
@@ -224,49 +193,29 @@ router.post('/diff', authMiddleware, async (req, res, next) => {
     
     const { deviceId, localTreeData } = value;
     
-    // Get server tree
-    const serverResult = await pool.query(
-      'SELECT * FROM merkle_trees WHERE user_id = $1 AND device_id = $2',
-      [req.user.id, deviceId]
+    // Every device is compared against the same server-side namespace, so
+    // changes made on one device show up on all the others. Only the part the
+    // device's sync rules include is compared. Excluded files it still has are
+    // not reported as deleted; the device removes them itself when its rules
+    // change.
+    const namespaceTree = await getNamespaceTree(req.user.id);
+    const rules = await getSyncRules(req.user.id, deviceId);
+    const localFiles = localTreeData.files || [];
+    const differences = diffAgainstNamespace(
+      { files: namespaceTree.files.filter(file => isIncluded(rules, file.file_path)) },
+      localFiles.filter(file => isIncluded(rules, file.file_path))
     );
-    
-    let differences = {
-      added: [],
-      modified: [],
-      deleted: []
-    };
-    
-    if (serverResult.rows.length > 0) {
-      // Server tree exists - compare with local tree
-      const serverTree = new MerkleTree();
-      serverTree.fromJSON(serverResult.rows[0].tree_data);
-      
-      const localTree = new MerkleTree();
-      localTree.fromJSON(localTreeData);
-      
-      // Calculate differences (server perspective - what server has that local doesn't)
-      differences = serverTree.getDifferences(localTree);
-    } else {
-      // No server tree exists yet - all local files are "new" from server perspective
-      console.log('No server tree found for device:', deviceId);
-      // Return empty differences since there's nothing on server to sync down
-      differences = {
-        added: [],
-        modified: [],
-        deleted: []
-      };
-    }
 
-    // Enrich differences with fresh presigned URLs
+    // Enrich differences with fresh download URLs
     const enrichedDifferences = {
-      added: await enrichFilesWithFreshUrls(differences.added, req.user.id),
-      modified: await enrichFilesWithFreshUrls(differences.modified, req.user.id),
+      added: await enrichFilesWithFreshUrls(differences.added, req),
+      modified: await enrichFilesWithFreshUrls(differences.modified, req),
       deleted: differences.deleted // No URLs needed for deleted files
     };
     
     res.json({
       differences: enrichedDifferences,
-      serverRootHash: serverResult.rows.length > 0 ? serverResult.rows[0].root_hash : null,
+      serverRootHash: namespaceTree.rootHash,
       localRootHash: localTreeData.rootHash || null
     });
   } catch (error) {
@@ -0,0 +1,79 @@
+// routes/public-drops.js - Uploads through upload links (no account needed)
+const express = require('express');
+
+const { createUpload } = require('../middleware/upload');
+const { rateLimit } = require('../middleware/rate-limit');
+const { HttpError } = require('../middleware/errorHandler');
+const fileDrops = require('../lib/file-drops');
+
+const router = express.Router();
+
+// Uploads per address, across all links
+const uploadLimit = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.DROP_UPLOADS_PER_15_MIN) || 50,
+  message: 'Too many uploads, try again later'
+});
+
+async function loadDrop(req, res, next) {
+  try {
+    req.drop = await fileDrops.getOpenDrop(req.params.token);
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// The link's own limits, enforced while the upload is read
+async function dropUpload(req, res, next) {
+  let maxFileSize;
+  try {
+    maxFileSize = await fileDrops.getDropFileSizeLimit(req.drop);
+  } catch (error) {
+    return next(error);
+  }
+
+  const upload = createUpload({
+    maxFileSize,
+    fileFilter: (req, file, callback) => {
+      if (fileDrops.isAllowedType(req.drop, file)) {
+        callback(null, true);
+      } else {
+        callback(new HttpError(415, 'This upload link does not accept this type of file', {
+          allowedTypes: req.drop.allowed_types
+        }));
+      }
+    }
+  });
+
+  upload.single('file')(req, res, next);
+}
+
+// What the link accepts, for an upload page to show
+router.get('/:token', loadDrop, (req, res) => {
+  res.json({ drop: fileDrops.formatPublicDrop(req.drop) });
+});
+
+// Upload one file. Nothing about the folder's contents is sent back.
+router.post('/:token', uploadLimit, loadDrop, dropUpload, async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const fileRecord = await fileDrops.saveDroppedFile(req.drop, req.file);
+    console.log(`📥 Received through upload link: ${fileRecord.file_path}`);
+
+    res.status(201).json({
+      message: 'File received',
+      file: {
+        filename: fileRecord.filename,
+        fileSize: parseInt(fileRecord.file_size)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,81 @@
+// routes/public-links.js - Downloads through public share links (no account needed)
+const express = require('express');
+const archiver = require('archiver');
+
+const contentStore = require('../lib/content-store');
+const { openLink, releaseDownload } = require('../lib/share-links');
+const { toNamespacePath } = require('../lib/namespace');
+
+const router = express.Router();
+
+function attachment(filename) {
+  return `attachment; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+function sendFile(res, file) {
+  res.set({
+    'Content-Type': file.mime_type || 'application/octet-stream',
+    'Content-Length': file.file_size,
+    'Content-Disposition': attachment(file.filename)
+  });
+
+  const stream = contentStore.createFileStream(file);
+  stream.on('error', (streamError) => {
+    console.error(`Error streaming file ${file.id}:`, streamError);
+    res.destroy(streamError);
+  });
+  stream.pipe(res);
+}
+
+// Folders are sent as a zip built on the fly, one file at a time
+function sendFolder(res, link, files) {
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': attachment(`${link.name}.zip`)
+  });
+
+  const archive = archiver('zip');
+  archive.on('error', (archiveError) => {
+    console.error(`Error zipping link ${link.id}:`, archiveError);
+    res.destroy(archiveError);
+  });
+  archive.pipe(res);
+
+  for (const file of files) {
+    const name = toNamespacePath(file.file_path).slice(link.target_path.length + 1);
+    archive.append(contentStore.createFileStream(file), { name, date: file.updated_at });
+  }
+
+  archive.finalize();
+}
+
+// The password comes in a header, or in a form post from a browser; never
+// in the query string, which ends up in access logs
+async function download(req, res, next) {
+  try {
+    const password = req.get('X-Link-Password') || req.body?.password;
+    const { link, file, files } = await openLink(req.params.token, password);
+
+    // Only downloads that were sent in full count
+    res.on('close', () => {
+      if (res.writableFinished) {
+        console.log(`🔗 Link download: ${link.name} (${link.download_count + 1})`);
+      } else {
+        releaseDownload(link).catch(error => console.error(`Error releasing download of link ${link.id}:`, error.message));
+      }
+    });
+
+    if (file) {
+      sendFile(res, file);
+    } else {
+      sendFolder(res, link, files);
+    }
+  } catch (error) {
+    next(error);
+  }
+}
+
+router.get('/:token', download);
+router.post('/:token', download);
+
+module.exports = router;
@@ -0,0 +1,159 @@
+// routes/shares.js - Shared folders, their members and invitations
+const express = require('express');
+const Joi = require('joi');
+
+const authMiddleware = require('../middleware/auth');
+const shares = require('../lib/shares');
+const { normalizeFolderPath } = require('../lib/folders');
+
+const router = express.Router();
+
+const shareSchema = Joi.object({
+  path: Joi.string().required()
+});
+
+const inviteSchema = Joi.object({
+  email: Joi.string().email().required(),
+  role: Joi.string().valid('editor', 'viewer').default('editor')
+});
+
+const roleSchema = Joi.object({
+  role: Joi.string().valid('editor', 'viewer').required()
+});
+
+// Share one of your folders
+router.post('/', authMiddleware, async (req, res, next) => {
+  try {
+    const { error, value } = shareSchema.validate(req.body);
+    if (error) throw error;
+
+    const share = await shares.createShare(req.user.id, normalizeFolderPath(value.path));
+    console.log(`🤝 Shared folder: ${share.folder_path}`);
+
+    res.status(201).json({
+      message: 'Folder shared',
+      share: shares.formatShare(share)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Shared folders you own or have joined
+router.get('/', authMiddleware, async (req, res, next) => {
+  try {
+    const list = await shares.listShares(req.user.id);
+
+    res.json({ shares: list.map(share => shares.formatShare(share)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Invitations waiting for you to accept or decline
+router.get('/invitations', authMiddleware, async (req, res, next) => {
+  try {
+    res.json({ invitations: await shares.listInvitations(req.user.email) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Join a shared folder; it appears at the root of your namespace
+router.post('/invitations/:invitationId/accept', authMiddleware, async (req, res, next) => {
+  try {
+    const member = await shares.acceptInvitation(req.user, req.params.invitationId);
+    const share = await shares.getShare(req.user.id, member.share_id);
+
+    res.json({
+      message: 'Invitation accepted',
+      share: shares.formatShare(share)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/invitations/:invitationId', authMiddleware, async (req, res, next) => {
+  try {
+    await shares.declineInvitation(req.user, req.params.invitationId);
+
+    res.json({ message: 'Invitation declined' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// A shared folder with its members
+router.get('/:shareId', authMiddleware, async (req, res, next) => {
+  try {
+    const share = await shares.getShare(req.user.id, req.params.shareId);
+    const members = await shares.listMembers(share.id);
+
+    res.json({ share: shares.formatShare(share, members) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Stop sharing a folder. The owner keeps it; members lose it.
+router.delete('/:shareId', authMiddleware, async (req, res, next) => {
+  try {
+    const share = await shares.deleteShare(req.user.id, req.params.shareId);
+    console.log(`🤝 Stopped sharing: ${share.folder_path}`);
+
+    res.json({ message: 'Folder is no longer shared' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Invite someone by email
+router.post('/:shareId/invitations', authMiddleware, async (req, res, next) => {
+  try {
+    const { error, value } = inviteSchema.validate(req.body);
+    if (error) throw error;
+
+    const member = await shares.inviteMember(req.user.id, req.params.shareId, value);
+
+    res.status(201).json({
+      message: 'Invitation sent',
+      member: shares.formatMember(member)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Change a member's role
+router.patch('/:shareId/members/:memberId', authMiddleware, async (req, res, next) => {
+  try {
+    const { error, value } = roleSchema.validate(req.body);
+    if (error) throw error;
+
+    const member = await shares.updateMemberRole(req.user.id, req.params.shareId, req.params.memberId, value.role);
+
+    res.json({
+      message: 'Role updated',
+      member: shares.formatMember(member)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove a member or withdraw an invitation; members remove themselves to leave
+router.delete('/:shareId/members/:memberId', authMiddleware, async (req, res, next) => {
+  try {
+    const member = await shares.removeMember(req.user.id, req.params.shareId, req.params.memberId);
+
+    res.json({
+      message: member.user_id === req.user.id ? 'You left the shared folder' : 'Member removed',
+      member: shares.formatMember(member)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
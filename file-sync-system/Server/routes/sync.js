@@ -3,6 +3,10 @@ const express = require('express');
 const Joi = require('joi');
 const authMiddleware = require('../middleware/auth');
 const pool = require('../config/database');
+const { recordConflict, formatConflict, listConflicts } = require('../lib/conflicts');
+const changeLog = require('../lib/change-log');
+const { getMounts, resolvePath, toMemberPath } = require('../lib/shares');
+const { toNamespacePath } = require('../lib/namespace');
 
 const router = express.Router();
 
@@ -11,6 +15,21 @@ const syncInitSchema = Joi.object({
   lastSyncAt: Joi.date().iso().allow(null).optional()
 });
 
+const changesSchema = Joi.object({
+  cursor: Joi.number().integer().min(0).default(0),
+  limit: Joi.number().integer().min(1).max(changeLog.MAX_PAGE_SIZE).default(500)
+});
+
+// Conflicts a device detected itself while pulling changes
+const conflictSchema = Joi.object({
+  filePath: Joi.string().required(),
+  conflictPath: Joi.string().required(),
+  deviceId: Joi.string().max(255).required(),
+  baseHash: Joi.string().hex().length(64).allow(null),
+  localHash: Joi.string().hex().length(64).required(),
+  remoteHash: Joi.string().hex().length(64).allow(null)
+});
+
 // Initialize sync
 router.post('/init', authMiddleware, async (req, res, next) => {
   try {
@@ -50,14 +69,27 @@ router.post('/init', authMiddleware, async (req, res, next) => {
       session = insertResult.rows[0];
     }
     
-    // Get changed files
+    // Get changed files, including those in shared folders the user joined
     const filesResult = await pool.query(`
       SELECT id, filename, file_path, file_size, file_hash, mime_type, created_at, updated_at
       FROM files 
       WHERE user_id = $1 AND status = 'active' AND updated_at > $2
-      ORDER BY updated_at DESC
     `, [req.user.id, session.last_sync_at]);
     
+    const changedFiles = filesResult.rows;
+    
+    for (const mount of await getMounts(req.user.id)) {
+      const shared = await pool.query(`
+        SELECT id, filename, file_path, file_size, file_hash, mime_type, created_at, updated_at
+        FROM files
+        WHERE user_id = $1 AND status = 'active' AND updated_at > $2 AND starts_with(ltrim(file_path, '/'), $3)
+      `, [mount.ownerId, session.last_sync_at, `${mount.folderPath}/`]);
+      
+      changedFiles.push(...shared.rows.map(row => ({ ...row, file_path: toMemberPath(mount, row.file_path) })));
+    }
+    
+    changedFiles.sort((a, b) => b.updated_at - a.updated_at);
+    
     res.json({
       session: {
         id: session.id,
@@ -65,7 +97,8 @@ router.post('/init', authMiddleware, async (req, res, next) => {
         lastSyncAt: session.last_sync_at,
         status: session.status
       },
-      changedFiles: filesResult.rows,
+      changedFiles,
+      cursor: await changeLog.getLatestSeq(req.user.id),
       serverTime: new Date().toISOString()
     });
   } catch (error) {
@@ -124,4 +157,94 @@ router.get('/status', authMiddleware, async (req, res, next) => {
   }
 });
 
+// Changes since a cursor, one bounded page at a time. Clients keep the
+// returned cursor and ask again while `hasMore` is set.
+router.get('/changes', authMiddleware, async (req, res, next) => {
+  try {
+    const { error, value } = changesSchema.validate(req.query);
+    if (error) throw error;
+    
+    const page = await changeLog.getChanges(req.user.id, value.cursor, value.limit);
+    
+    res.json(page);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The current end of the change log, for devices that just took a full snapshot
+router.get('/cursor', authMiddleware, async (req, res, next) => {
+  try {
+    res.json({ cursor: await changeLog.getLatestSeq(req.user.id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List sync conflicts (optionally only open or resolved ones)
+router.get('/conflicts', authMiddleware, async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    const conflicts = await listConflicts(req.user.id, status);
+    
+    res.json({
+      conflicts: conflicts.map(formatConflict),
+      count: conflicts.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Report a conflict materialized by a device
+router.post('/conflicts', authMiddleware, async (req, res, next) => {
+  try {
+    const { error, value } = conflictSchema.validate(req.body);
+    if (error) throw error;
+    
+    // In a shared folder the file belongs to the folder's owner
+    const target = await resolvePath(req.user.id, toNamespacePath(value.filePath));
+    const file = await pool.query(
+      "SELECT id FROM files WHERE user_id = $1 AND ltrim(file_path, '/') = $2 AND status = $3",
+      [target.userId, target.path, 'active']
+    );
+    
+    const conflict = await recordConflict(pool, req.user.id, {
+      ...value,
+      fileId: file.rows[0]?.id,
+      detectedBy: 'client'
+    });
+    
+    res.status(201).json({
+      message: 'Conflict recorded',
+      conflict: formatConflict(conflict)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mark a conflict as resolved
+router.post('/conflicts/:conflictId/resolve', authMiddleware, async (req, res, next) => {
+  try {
+    const result = await pool.query(`
+      UPDATE sync_conflicts
+      SET status = 'resolved', resolved_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND user_id = $2
+      RETURNING *
+    `, [req.params.conflictId, req.user.id]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Conflict not found' });
+    }
+    
+    res.json({
+      message: 'Conflict resolved',
+      conflict: formatConflict(result.rows[0])
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
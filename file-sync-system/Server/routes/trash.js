@@ -0,0 +1,64 @@
+// routes/trash.js - Deleted files waiting to be purged
+const express = require('express');
+
+const authMiddleware = require('../middleware/auth');
+const trash = require('../lib/trash');
+const { formatFile } = require('../lib/file-records');
+
+const router = express.Router();
+
+// List files in the trash
+router.get('/', authMiddleware, async (req, res, next) => {
+  try {
+    const files = await trash.listTrash(req.user.id);
+
+    res.json({
+      files: files.map(trash.formatTrashedFile),
+      count: files.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Restore a file to its original path
+router.post('/:fileId/restore', authMiddleware, async (req, res, next) => {
+  try {
+    const fileRecord = await trash.restoreFile(req.user.id, req.params.fileId);
+
+    res.json({
+      message: 'File restored from trash',
+      file: await formatFile(req, fileRecord)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Permanently delete one file from the trash
+router.delete('/:fileId', authMiddleware, async (req, res, next) => {
+  try {
+    const purged = await trash.purgeTrashedFile(req.user.id, req.params.fileId);
+
+    if (purged === 0) {
+      return res.status(404).json({ error: 'File not found in trash' });
+    }
+
+    res.json({ message: 'File permanently deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Empty the trash
+router.delete('/', authMiddleware, async (req, res, next) => {
+  try {
+    const purged = await trash.emptyTrash(req.user.id);
+
+    res.json({ message: 'Trash emptied', purged });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,367 @@
+// routes/uploads.js - Resumable upload sessions built on MinIO multipart uploads
+const express = require('express');
+const http = require('http');
+const https = require('https');
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+
+const authMiddleware = require('../middleware/auth');
+const pool = require('../config/database');
+const { minioClient, BUCKET_NAME } = require('../config/minio');
+const contentStore = require('../lib/content-store');
+const { MAX_CHUNK_SIZE } = require('../../shared/chunker');
+const { saveFileRecord, sendFileRecord, resolveUploadTarget } = require('../lib/file-records');
+const { checkQuota, checkFileSize } = require('../lib/usage');
+
+const router = express.Router();
+
+// MinIO requires every part except the last to be at least 5MB
+const PART_SIZE = 8 * 1024 * 1024; // 8MB
+
+const initSessionSchema = Joi.object({
+  filename: Joi.string().required(),
+  filePath: Joi.string().default('/'),
+  fileHash: Joi.string().hex().length(64).required(),
+  fileSize: Joi.number().integer().min(0).required(),
+  mimeType: Joi.string().allow(null).default('application/octet-stream'),
+  localUrl: Joi.string().allow(null),
+  baseHash: Joi.string().hex().length(64).allow(null, ''),
+  deviceId: Joi.string().max(255),
+  chunks: Joi.array().items(Joi.object({
+    hash: Joi.string().hex().length(64).required(),
+    size: Joi.number().integer().min(1).max(MAX_CHUNK_SIZE).required()
+  })).required()
+});
+
+function formatSession(session, parts = []) {
+  return {
+    id: session.id,
+    filename: session.filename,
+    filePath: session.file_path,
+    fileHash: session.file_hash,
+    fileSize: session.file_size,
+    status: session.status,
+    partSize: session.part_size,
+    partCount: session.part_count,
+    packSize: parseInt(session.pack_size),
+    // Chunks the server is missing, in the order they are laid out in the uploaded data
+    packChunks: session.pack_chunks,
+    parts: parts.map(part => ({
+      partNumber: part.part_number,
+      size: part.size,
+      etag: part.etag
+    })),
+    createdAt: session.created_at,
+    updatedAt: session.updated_at
+  };
+}
+
+async function getSession(sessionId, userId) {
+  const result = await pool.query(
+    'SELECT * FROM upload_sessions WHERE id = $1 AND user_id = $2',
+    [sessionId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+async function getSessionParts(sessionId) {
+  const result = await pool.query(
+    'SELECT part_number, size, etag FROM upload_session_parts WHERE session_id = $1 ORDER BY part_number',
+    [sessionId]
+  );
+  return result.rows;
+}
+
+async function setSessionStatus(sessionId, status, db = pool) {
+  await db.query(
+    'UPDATE upload_sessions SET status = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+    [sessionId, status]
+  );
+}
+
+// Stream a part straight through to MinIO using a presigned part URL
+async function forwardPart(session, partNumber, body, size) {
+  const partUrl = await minioClient.presignedUrl('PUT', BUCKET_NAME, session.minio_key, 15 * 60, {
+    partNumber: String(partNumber),
+    uploadId: session.minio_upload_id
+  });
+
+  const target = new URL(partUrl);
+  const transport = target.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = transport.request(target, {
+      method: 'PUT',
+      headers: { 'Content-Length': size }
+    }, (response) => {
+      response.resume();
+      if (response.statusCode !== 200) {
+        reject(new Error(`MinIO rejected part ${partNumber} with status ${response.statusCode}`));
+      } else {
+        resolve(response.headers.etag.replace(/"/g, ''));
+      }
+    });
+
+    request.on('error', reject);
+    body.on('error', reject);
+    body.pipe(request);
+  });
+}
+
+// Start an upload session
+router.post('/', authMiddleware, async (req, res, next) => {
+  try {
+    const { error, value } = initSessionSchema.validate(req.body);
+    if (error) throw error;
+
+    const totalSize = value.chunks.reduce((sum, chunk) => sum + chunk.size, 0);
+    if (totalSize !== value.fileSize) {
+      return res.status(400).json({ error: 'Chunk sizes do not add up to the file size' });
+    }
+
+    // Fail before any bytes are sent if the file is too big, the user may not
+    // write there, or the file does not fit in the quota
+    await checkFileSize(req.user.id, value.fileSize);
+    const target = await resolveUploadTarget(req.user.id, value.filePath);
+    await checkQuota(target.userId, value.fileSize);
+
+    // Lay out the chunks the server is missing back to back; that data is
+    // what the client uploads, split into fixed-size parts
+    const missing = new Set(await contentStore.findMissingChunks(value.chunks.map(chunk => chunk.hash), req.user.id));
+    const packChunks = [];
+    let packSize = 0;
+
+    for (const chunk of value.chunks) {
+      if (missing.has(chunk.hash)) {
+        packChunks.push({ hash: chunk.hash, size: chunk.size, offset: packSize });
+        packSize += chunk.size;
+        missing.delete(chunk.hash);
+      }
+    }
+
+    const sessionId = uuidv4();
+    const partCount = Math.ceil(packSize / PART_SIZE);
+    let minioKey = null;
+    let minioUploadId = null;
+
+    if (partCount > 0) {
+      minioKey = `packs/${sessionId}`;
+      minioUploadId = await minioClient.initiateNewMultipartUpload(BUCKET_NAME, minioKey, {
+        'Content-Type': 'application/octet-stream'
+      });
+    }
+
+    // NULL means the client sent no base version; '' that it never synced this path
+    const baseHash = value.baseHash === undefined ? null : (value.baseHash || '');
+
+    const result = await pool.query(`
+      INSERT INTO upload_sessions (
+        id, user_id, filename, file_path, file_hash, file_size, mime_type, local_url,
+        chunks, pack_chunks, pack_size, part_size, part_count, minio_key, minio_upload_id,
+        base_hash, device_id
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+      RETURNING *
+    `, [
+      sessionId, req.user.id, value.filename, value.filePath, value.fileHash, value.fileSize,
+      value.mimeType, value.localUrl, JSON.stringify(value.chunks), JSON.stringify(packChunks),
+      packSize, PART_SIZE, partCount, minioKey, minioUploadId, baseHash, value.deviceId
+    ]);
+
+    res.status(201).json({
+      message: 'Upload session created',
+      session: formatSession(result.rows[0])
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get session state, including the parts the server has acknowledged
+router.get('/:sessionId', authMiddleware, async (req, res, next) => {
+  try {
+    const session = await getSession(req.params.sessionId, req.user.id);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+
+    res.json({ session: formatSession(session, await getSessionParts(session.id)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Upload one part (raw bytes of the pack data)
+router.put('/:sessionId/parts/:partNumber', authMiddleware, async (req, res, next) => {
+  try {
+    const session = await getSession(req.params.sessionId, req.user.id);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+
+    if (session.status !== 'active') {
+      return res.status(409).json({ error: `Upload session is ${session.status}`, sessionStatus: session.status });
+    }
+
+    const partNumber = parseInt(req.params.partNumber);
+    if (!(partNumber >= 1 && partNumber <= session.part_count)) {
+      return res.status(400).json({ error: `Part number must be between 1 and ${session.part_count}` });
+    }
+
+    const packSize = parseInt(session.pack_size);
+    const expectedSize = Math.min(session.part_size, packSize - (partNumber - 1) * session.part_size);
+    if (parseInt(req.get('Content-Length')) !== expectedSize) {
+      return res.status(400).json({ error: `Part ${partNumber} must be exactly ${expectedSize} bytes` });
+    }
+
+    const etag = await forwardPart(session, partNumber, req, expectedSize);
+
+    await pool.query(`
+      INSERT INTO upload_session_parts (session_id, part_number, size, etag)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (session_id, part_number) DO UPDATE SET size = $3, etag = $4, created_at = CURRENT_TIMESTAMP
+    `, [session.id, partNumber, expectedSize, etag]);
+
+    res.json({ partNumber, size: expectedSize, etag });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Finish the upload: assemble the parts, verify the chunks and create the file.
+// The session row stays locked throughout so concurrent completes queue up, and
+// once the pack is registered the session is 'assembled': a retry after a later
+// failure (quota, permission, path conflict) goes straight to creating the file.
+router.post('/:sessionId/complete', authMiddleware, async (req, res, next) => {
+  let client = null;
+  let status = null;
+  let committed = false;
+
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'SELECT * FROM upload_sessions WHERE id = $1 AND user_id = $2 FOR UPDATE',
+      [req.params.sessionId, req.user.id]
+    );
+    const session = result.rows[0];
+
+    if (!session) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+
+    if (session.status !== 'active' && session.status !== 'assembled') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: `Upload session is ${session.status}`, sessionStatus: session.status });
+    }
+
+    if (session.status === 'active' && session.part_count > 0) {
+      const parts = await getSessionParts(session.id);
+      const received = new Set(parts.map(part => part.part_number));
+      const missingParts = [];
+
+      for (let partNumber = 1; partNumber <= session.part_count; partNumber++) {
+        if (!received.has(partNumber)) {
+          missingParts.push(partNumber);
+        }
+      }
+
+      if (missingParts.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'Some parts have not been uploaded', missingParts });
+      }
+
+      await minioClient.completeMultipartUpload(
+        BUCKET_NAME,
+        session.minio_key,
+        session.minio_upload_id,
+        parts.map(part => ({ part: part.part_number, etag: part.etag }))
+      );
+
+      try {
+        await contentStore.registerPack(session.minio_key, session.pack_chunks, session.user_id);
+      } catch (packError) {
+        status = 'failed';
+        await minioClient.removeObject(BUCKET_NAME, session.minio_key);
+        throw packError;
+      }
+    }
+
+    status = 'assembled';
+
+    await contentStore.registerContent({
+      hash: session.file_hash,
+      size: parseInt(session.file_size),
+      chunks: session.chunks
+    }, { userId: session.user_id });
+
+    // Resolved again: the user's role may have changed during the upload
+    const target = await resolveUploadTarget(req.user.id, session.file_path);
+
+    const saved = await saveFileRecord(target.userId, {
+      filename: session.filename,
+      filePath: target.filePath,
+      fileHash: session.file_hash,
+      fileSize: session.file_size,
+      mimeType: session.mime_type,
+      localUrl: session.local_url,
+      baseHash: session.base_hash === null ? undefined : session.base_hash,
+      deviceId: session.device_id,
+      uploaderId: req.user.id,
+      mount: target.mount
+    });
+
+    await setSessionStatus(session.id, 'completed', client);
+    await client.query('COMMIT');
+    committed = true;
+
+    await sendFileRecord(req, res, saved, target.mount);
+  } catch (error) {
+    if (client && !committed) {
+      try {
+        // Keep what was reached so a retry does not repeat the MinIO completion
+        if (status) {
+          await setSessionStatus(req.params.sessionId, status, client);
+        }
+        await client.query('COMMIT');
+      } catch (statusError) {
+        console.error('Upload session status error:', statusError.message);
+        await client.query('ROLLBACK').catch(() => {});
+      }
+    }
+    next(error);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// Abort a session and discard any uploaded parts
+router.delete('/:sessionId', authMiddleware, async (req, res, next) => {
+  try {
+    const session = await getSession(req.params.sessionId, req.user.id);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+
+    if (session.status === 'active' && session.minio_upload_id) {
+      await minioClient.abortMultipartUpload(BUCKET_NAME, session.minio_key, session.minio_upload_id);
+    }
+
+    if (session.status === 'active' || session.status === 'assembled') {
+      await setSessionStatus(session.id, 'aborted');
+    }
+
+    res.json({ message: 'Upload session aborted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -90,6 +90,467 @@ const migrations = [
       CREATE INDEX IF NOT EXISTS idx_files_user_hash ON files(user_id, file_hash);
       CREATE INDEX IF NOT EXISTS idx_files_status_active ON files(status) WHERE status = 'active';
     `
+  },
+  {
+    name: 'create_content_chunk_tables',
+    sql: `
+      CREATE TABLE IF NOT EXISTS chunks (
+        hash VARCHAR(64) PRIMARY KEY,
+        size INTEGER NOT NULL,
+        minio_key TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS contents (
+        hash VARCHAR(64) PRIMARY KEY,
+        size BIGINT NOT NULL,
+        chunk_count INTEGER NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS content_chunks (
+        content_hash VARCHAR(64) NOT NULL REFERENCES contents(hash) ON DELETE CASCADE,
+        chunk_index INTEGER NOT NULL,
+        chunk_hash VARCHAR(64) NOT NULL REFERENCES chunks(hash),
+        chunk_offset BIGINT NOT NULL,
+        PRIMARY KEY (content_hash, chunk_index)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_content_chunks_chunk ON content_chunks(chunk_hash);
+
+      -- Chunked files have no single object; minio_key stays set only for files uploaded whole
+      ALTER TABLE files ALTER COLUMN minio_key DROP NOT NULL;
+    `
+  },
+  {
+    name: 'create_upload_sessions_tables',
+    sql: `
+      -- Chunks uploaded through a session live inside a pack object at an offset
+      ALTER TABLE chunks ADD COLUMN IF NOT EXISTS object_offset BIGINT NOT NULL DEFAULT 0;
+
+      CREATE TABLE IF NOT EXISTS upload_sessions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        filename VARCHAR(255) NOT NULL,
+        file_path TEXT NOT NULL,
+        file_hash VARCHAR(64) NOT NULL,
+        file_size BIGINT NOT NULL,
+        mime_type VARCHAR(100),
+        local_url TEXT,
+        chunks JSONB NOT NULL,
+        pack_chunks JSONB NOT NULL,
+        pack_size BIGINT NOT NULL,
+        part_size INTEGER NOT NULL,
+        part_count INTEGER NOT NULL,
+        minio_key TEXT,
+        minio_upload_id TEXT,
+        status VARCHAR(50) DEFAULT 'active',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS upload_session_parts (
+        session_id UUID NOT NULL REFERENCES upload_sessions(id) ON DELETE CASCADE,
+        part_number INTEGER NOT NULL,
+        size INTEGER NOT NULL,
+        etag TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (session_id, part_number)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_upload_sessions_user_status ON upload_sessions(user_id, status);
+    `
+  },
+  {
+    name: 'create_file_versions_table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS file_versions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        file_id UUID NOT NULL REFERENCES files(id) ON DELETE CASCADE,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        file_path TEXT NOT NULL,
+        version_number INTEGER NOT NULL,
+        file_hash VARCHAR(64) NOT NULL,
+        file_size BIGINT NOT NULL,
+        mime_type VARCHAR(100),
+        minio_key TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (file_id, version_number)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_file_versions_user_path ON file_versions(user_id, file_path);
+
+      -- Existing files start their history with their current content
+      INSERT INTO file_versions (file_id, user_id, file_path, version_number, file_hash, file_size, mime_type, minio_key, created_at)
+      SELECT f.id, f.user_id, f.file_path, 1, f.file_hash, f.file_size, f.mime_type, f.minio_key, f.updated_at
+      FROM files f
+      WHERE NOT EXISTS (SELECT 1 FROM file_versions v WHERE v.file_id = f.id);
+    `
+  },
+  {
+    name: 'add_trash_columns',
+    sql: `
+      ALTER TABLE files ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+      ALTER TABLE contents ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+      CREATE INDEX IF NOT EXISTS idx_files_trashed ON files(user_id, deleted_at) WHERE status = 'trashed';
+      CREATE INDEX IF NOT EXISTS idx_file_versions_hash ON file_versions(file_hash);
+      CREATE INDEX IF NOT EXISTS idx_chunks_minio_key ON chunks(minio_key);
+    `
+  },
+  {
+    name: 'create_sync_conflicts_table',
+    sql: `
+      -- Version of the path the uploading device last synced, to detect concurrent edits
+      ALTER TABLE upload_sessions ADD COLUMN IF NOT EXISTS base_hash VARCHAR(64);
+      ALTER TABLE upload_sessions ADD COLUMN IF NOT EXISTS device_id VARCHAR(255);
+
+      CREATE TABLE IF NOT EXISTS sync_conflicts (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        file_path TEXT NOT NULL,
+        conflict_path TEXT NOT NULL,
+        file_id UUID REFERENCES files(id) ON DELETE SET NULL,
+        conflict_file_id UUID REFERENCES files(id) ON DELETE SET NULL,
+        device_id VARCHAR(255),
+        base_hash VARCHAR(64),
+        local_hash VARCHAR(64) NOT NULL,
+        remote_hash VARCHAR(64),
+        detected_by VARCHAR(20) NOT NULL,
+        status VARCHAR(50) DEFAULT 'open',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        resolved_at TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_sync_conflicts_user_status ON sync_conflicts(user_id, status);
+    `
+  },
+  {
+    name: 'identify_files_by_path',
+    sql: `
+      -- Content is shared between files and versions; count who still needs it
+      ALTER TABLE contents ADD COLUMN IF NOT EXISTS ref_count INTEGER NOT NULL DEFAULT 0;
+
+      UPDATE contents c
+      SET ref_count = (SELECT COUNT(*) FROM file_versions v WHERE v.file_hash = c.hash);
+
+      -- Only one active file per path: older duplicates go to the trash
+      UPDATE files f
+      SET status = 'trashed', deleted_at = CURRENT_TIMESTAMP
+      WHERE f.status = 'active' AND EXISTS (
+        SELECT 1 FROM files newer
+        WHERE newer.user_id = f.user_id AND newer.file_path = f.file_path AND newer.status = 'active'
+          AND (newer.updated_at > f.updated_at OR (newer.updated_at = f.updated_at AND newer.id > f.id))
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_files_active_path ON files(user_id, file_path) WHERE status = 'active';
+    `
+  },
+  {
+    name: 'create_change_log_table',
+    sql: `
+      -- Last sequence number handed out per user
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS change_seq BIGINT NOT NULL DEFAULT 0;
+
+      CREATE TABLE IF NOT EXISTS change_log (
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        seq BIGINT NOT NULL,
+        event_type VARCHAR(20) NOT NULL,
+        file_id UUID REFERENCES files(id) ON DELETE SET NULL,
+        file_path TEXT NOT NULL,
+        previous_path TEXT,
+        file_hash VARCHAR(64),
+        file_size BIGINT,
+        mime_type VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, seq)
+      );
+
+      -- Start existing users' logs with a create event per active file
+      INSERT INTO change_log (user_id, seq, event_type, file_id, file_path, file_hash, file_size, mime_type)
+      SELECT f.user_id, ROW_NUMBER() OVER (PARTITION BY f.user_id ORDER BY f.updated_at, f.id),
+             'create', f.id, f.file_path, f.file_hash, f.file_size, f.mime_type
+      FROM files f
+      WHERE f.status = 'active'
+        AND NOT EXISTS (SELECT 1 FROM change_log c WHERE c.user_id = f.user_id);
+
+      UPDATE users u
+      SET change_seq = (SELECT COALESCE(MAX(seq), 0) FROM change_log c WHERE c.user_id = u.id)
+      WHERE u.change_seq = 0;
+    `
+  },
+  {
+    name: 'create_folders_table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS folders (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        path TEXT NOT NULL,
+        parent_path TEXT NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, path)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_folders_parent ON folders(user_id, parent_path);
+
+      -- Every folder that active files are in
+      INSERT INTO folders (user_id, path, parent_path, name)
+      SELECT DISTINCT f.user_id,
+             array_to_string(f.names[1:n], '/'),
+             array_to_string(f.names[1:n - 1], '/'),
+             f.names[n]
+      FROM (
+        SELECT user_id, string_to_array(ltrim(file_path, '/'), '/') AS names
+        FROM files WHERE status = 'active'
+      ) f
+      CROSS JOIN LATERAL generate_series(1, array_length(f.names, 1) - 1) AS n
+      ON CONFLICT (user_id, path) DO NOTHING;
+    `
+  },
+  {
+    name: 'create_shared_folders_tables',
+    sql: `
+      CREATE TABLE IF NOT EXISTS shared_folders (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        folder_id UUID NOT NULL UNIQUE REFERENCES folders(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Invitations are members whose user_id is set once they accept
+      CREATE TABLE IF NOT EXISTS share_members (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        share_id UUID NOT NULL REFERENCES shared_folders(id) ON DELETE CASCADE,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        email VARCHAR(255) NOT NULL,
+        role VARCHAR(20) NOT NULL,
+        status VARCHAR(20) DEFAULT 'pending',
+        mount_path TEXT,
+        invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        accepted_at TIMESTAMP,
+        UNIQUE(share_id, email)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_share_members_user ON share_members(user_id) WHERE status = 'accepted';
+      CREATE INDEX IF NOT EXISTS idx_share_members_email ON share_members(email) WHERE status = 'pending';
+    `
+  },
+  {
+    name: 'create_share_links_table',
+    sql: `
+      -- Public links to a file or a folder; exactly one of the two is set
+      CREATE TABLE IF NOT EXISTS share_links (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        token VARCHAR(64) UNIQUE NOT NULL,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        file_id UUID REFERENCES files(id) ON DELETE CASCADE,
+        folder_id UUID REFERENCES folders(id) ON DELETE CASCADE,
+        password_hash VARCHAR(255),
+        expires_at TIMESTAMP,
+        max_downloads INTEGER,
+        download_count INTEGER DEFAULT 0,
+        last_accessed_at TIMESTAMP,
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK ((file_id IS NULL) <> (folder_id IS NULL))
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_share_links_user ON share_links(user_id);
+    `
+  },
+  {
+    name: 'create_file_drops_table',
+    sql: `
+      -- Links people without an account use to upload into a folder.
+      -- NULL limits mean no limit beyond the server's own.
+      CREATE TABLE IF NOT EXISTS file_drops (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        token VARCHAR(64) UNIQUE NOT NULL,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        folder_id UUID NOT NULL REFERENCES folders(id) ON DELETE CASCADE,
+        max_file_size BIGINT,
+        allowed_types TEXT[],
+        expires_at TIMESTAMP,
+        upload_count INTEGER DEFAULT 0,
+        last_upload_at TIMESTAMP,
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_file_drops_user ON file_drops(user_id);
+    `
+  },
+  {
+    name: 'create_storage_ledger',
+    sql: `
+      -- Usage is the size of every stored version, trash included. NULL quota
+      -- means the server default.
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS storage_quota BIGINT;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS storage_used BIGINT NOT NULL DEFAULT 0;
+
+      -- Every change to storage_used, so it can be audited and recomputed
+      CREATE TABLE IF NOT EXISTS storage_ledger (
+        id BIGSERIAL PRIMARY KEY,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        delta BIGINT NOT NULL,
+        reason VARCHAR(30) NOT NULL,
+        file_id UUID,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_storage_ledger_user ON storage_ledger(user_id, created_at);
+
+      -- Open the ledger of existing users with what they already store
+      WITH stored AS (
+        SELECT u.id, COALESCE(SUM(v.file_size), 0) AS bytes
+        FROM users u
+        LEFT JOIN file_versions v ON v.user_id = u.id
+        WHERE NOT EXISTS (SELECT 1 FROM storage_ledger l WHERE l.user_id = u.id)
+        GROUP BY u.id
+      ), opened AS (
+        INSERT INTO storage_ledger (user_id, delta, reason)
+        SELECT id, bytes, 'opening_balance' FROM stored
+      )
+      UPDATE users u SET storage_used = stored.bytes
+      FROM stored WHERE stored.id = u.id;
+    `
+  },
+  {
+    name: 'create_sessions_table',
+    sql: `
+      -- One row per signed-in device. Only hashes of refresh tokens are kept;
+      -- the previous one is remembered to detect a stolen token being reused.
+      CREATE TABLE IF NOT EXISTS sessions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        device_id VARCHAR(255),
+        device_name VARCHAR(255),
+        user_agent TEXT,
+        ip_address VARCHAR(64),
+        refresh_token_hash VARCHAR(64) NOT NULL,
+        previous_token_hash VARCHAR(64),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id) WHERE revoked_at IS NULL;
+    `
+  },
+  {
+    name: 'add_user_encryption_key',
+    sql: `
+      -- The user's end-to-end encryption key, wrapped on the client with a key
+      -- derived from their passphrase. Opaque to the server.
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS encryption_key JSONB;
+    `
+  },
+  {
+    name: 'create_devices_table',
+    sql: `
+      -- Per-device settings. Sync rules are folder paths the device mirrors
+      -- (include) or leaves on the server (exclude).
+      CREATE TABLE IF NOT EXISTS devices (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        device_id VARCHAR(255) NOT NULL,
+        device_name VARCHAR(255),
+        include_folders TEXT[] NOT NULL DEFAULT '{}',
+        exclude_folders TEXT[] NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, device_id)
+      );
+    `
+  },
+  {
+    name: 'add_user_ignore_patterns',
+    sql: `
+      -- gitignore-style patterns every device of the user skips. NULL means
+      -- the server's defaults.
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS ignore_patterns TEXT[];
+    `
+  },
+  {
+    name: 'add_user_max_file_size',
+    sql: `
+      -- Largest file the user may upload. NULL means the server default.
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS max_file_size BIGINT;
+    `
+  },
+  {
+    name: 'create_change_counters_table',
+    sql: `
+      -- Each user's last change log sequence number, in rows of their own.
+      -- A write locks the counters of the owner and every member it is logged
+      -- for; kept off the users row, those locks never wait on the row lock
+      -- a storage charge already holds.
+      CREATE TABLE IF NOT EXISTS change_counters (
+        user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        seq BIGINT NOT NULL DEFAULT 0
+      );
+
+      INSERT INTO change_counters (user_id, seq)
+      SELECT id, change_seq FROM users
+      ON CONFLICT (user_id) DO NOTHING;
+    `
+  },
+  {
+    name: 'add_files_folder_index',
+    sql: `
+      -- Active files by the folder they are directly in, for folder listings
+      CREATE INDEX IF NOT EXISTS idx_files_active_folder
+        ON files (user_id, (regexp_replace(ltrim(file_path, '/'), '/?[^/]*$', '')))
+        WHERE status = 'active';
+    `
+  },
+  {
+    name: 'add_folder_encrypted',
+    sql: `
+      -- Files in an encrypted folder, or below one, are stored as ciphertext
+      -- that only the user's devices can read. Once set, it stays set.
+      ALTER TABLE folders ADD COLUMN IF NOT EXISTS encrypted BOOLEAN NOT NULL DEFAULT false;
+    `
+  },
+  {
+    name: 'create_chunk_holders_table',
+    sql: `
+      -- Users who sent each chunk. Chunks are stored once for everyone, but
+      -- only count as present for a user who sent them or has a file with them.
+      CREATE TABLE IF NOT EXISTS chunk_holders (
+        chunk_hash VARCHAR(64) NOT NULL REFERENCES chunks(hash) ON DELETE CASCADE,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        PRIMARY KEY (chunk_hash, user_id)
+      );
+    `
+  },
+  {
+    name: 'add_file_drop_caps',
+    sql: `
+      -- How many files and bytes a link takes in total; NULL means the server default
+      ALTER TABLE file_drops ADD COLUMN IF NOT EXISTS max_files INTEGER;
+      ALTER TABLE file_drops ADD COLUMN IF NOT EXISTS max_total_size BIGINT;
+      ALTER TABLE file_drops ADD COLUMN IF NOT EXISTS total_size BIGINT NOT NULL DEFAULT 0;
+    `
+  },
+  {
+    name: 'add_share_link_password_backoff',
+    sql: `
+      -- Wrong passwords in a row, and until when the link refuses to check another
+      ALTER TABLE share_links ADD COLUMN IF NOT EXISTS password_failures INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE share_links ADD COLUMN IF NOT EXISTS password_locked_until TIMESTAMP;
+    `
+  },
+  {
+    name: 'add_upload_session_expiry_index',
+    sql: `
+      -- The purge job looks for idle and ended sessions by age
+      CREATE INDEX IF NOT EXISTS idx_upload_sessions_status_updated ON upload_sessions(status, updated_at);
+    `
   }
 ];
 
@@ -9,7 +9,22 @@ const authRoutes = require('./routes/auth');
 const fileRoutes = require('./routes/files');
 const syncRoutes = require('./routes/sync');
 const merkleRoutes = require('./routes/merkle');
+const uploadRoutes = require('./routes/uploads');
+const trashRoutes = require('./routes/trash');
+const eventRoutes = require('./routes/events');
+const folderRoutes = require('./routes/folders');
+const shareRoutes = require('./routes/shares');
+const linkRoutes = require('./routes/links');
+const publicLinkRoutes = require('./routes/public-links');
+const dropRoutes = require('./routes/drops');
+const publicDropRoutes = require('./routes/public-drops');
+const accountRoutes = require('./routes/account');
+const deviceRoutes = require('./routes/devices');
 const { errorHandler } = require('./middleware/errorHandler');
+const { startPurgeJob } = require('./lib/trash');
+const { startExpiryJob } = require('./lib/upload-sessions');
+const { startPruneJob } = require('./lib/sessions');
+const { startListening } = require('./lib/change-events');
 
 const app = express();
 
@@ -25,6 +40,17 @@ app.use('/api/auth', authRoutes);
 app.use('/api/files', fileRoutes);
 app.use('/api/sync', syncRoutes);
 app.use('/api/merkle', merkleRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/folders', folderRoutes);
+app.use('/api/shares', shareRoutes);
+app.use('/api/links', linkRoutes);
+app.use('/s', publicLinkRoutes);
+app.use('/api/drops', dropRoutes);
+app.use('/d', publicDropRoutes);
+app.use('/api/account', accountRoutes);
+app.use('/api/devices', deviceRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -44,4 +70,9 @@ const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV}`);
+  
+  startPurgeJob();
+  startExpiryJob();
+  startPruneJob();
+  startListening();
 });
@@ -0,0 +1,94 @@
+// shared/chunker.js - Content-defined chunking (Gear rolling hash)
+//
+// Used by both the client and the server: the same content has to split the
+// same way on each side, otherwise nothing deduplicates.
+const crypto = require('crypto');
+
+const MIN_CHUNK_SIZE = 16 * 1024;   // 16KB
+const MAX_CHUNK_SIZE = 256 * 1024;  // 256KB
+const CHUNK_MASK_BITS = 16;         // ~64KB average above the minimum
+const CHUNK_MASK = (((1 << CHUNK_MASK_BITS) - 1) << (32 - CHUNK_MASK_BITS)) >>> 0;
+
+// Deterministic table of 256 pseudo-random 32-bit values
+const GEAR = new Uint32Array(256);
+for (let i = 0; i < 256; i++) {
+  GEAR[i] = crypto.createHash('sha256').update(`gear-${i}`).digest().readUInt32BE(0);
+}
+
+class Chunker {
+  constructor() {
+    this.hash = 0;
+    this.size = 0;
+  }
+
+  // Feed data and get back the positions in `buffer` where a chunk ends
+  push(buffer) {
+    const cuts = [];
+    let hash = this.hash;
+    let size = this.size;
+
+    for (let i = 0; i < buffer.length; i++) {
+      hash = ((hash << 1) + GEAR[buffer[i]]) >>> 0;
+      size++;
+
+      if ((size >= MIN_CHUNK_SIZE && (hash & CHUNK_MASK) === 0) || size >= MAX_CHUNK_SIZE) {
+        cuts.push(i + 1);
+        hash = 0;
+        size = 0;
+      }
+    }
+
+    this.hash = hash;
+    this.size = size;
+    return cuts;
+  }
+}
+
+// Split a readable stream into chunks, calling `onChunk({ offset, size, hash, data })`
+// for each one in order. Resolves with the hash and size of the whole content.
+async function chunkStream(stream, onChunk) {
+  const chunker = new Chunker();
+  const contentHash = crypto.createHash('sha256');
+  let pieces = [];
+  let pieceSize = 0;
+  let offset = 0;
+
+  const emit = async () => {
+    const data = pieces.length === 1 ? pieces[0] : Buffer.concat(pieces);
+    const hash = crypto.createHash('sha256').update(data).digest('hex');
+    await onChunk({ offset, size: data.length, hash, data });
+    offset += data.length;
+    pieces = [];
+    pieceSize = 0;
+  };
+
+  for await (const data of stream) {
+    contentHash.update(data);
+
+    let start = 0;
+    for (const cut of chunker.push(data)) {
+      pieces.push(data.subarray(start, cut));
+      pieceSize += cut - start;
+      await emit();
+      start = cut;
+    }
+
+    if (start < data.length) {
+      pieces.push(data.subarray(start));
+      pieceSize += data.length - start;
+    }
+  }
+
+  if (pieceSize > 0) {
+    await emit();
+  }
+
+  return { hash: contentHash.digest('hex'), size: offset };
+}
+
+module.exports = {
+  Chunker,
+  chunkStream,
+  MIN_CHUNK_SIZE,
+  MAX_CHUNK_SIZE
+};
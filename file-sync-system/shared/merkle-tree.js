@@ -0,0 +1,333 @@
+// shared/merkle-tree.js - Directory-shaped Merkle tree
+//
+// The client builds one from its sync folder and the server one from the
+// user's namespace; both have to hash the same files the same way.
+const crypto = require('crypto');
+const path = require('path');
+
+// A node per folder and per file. A file's hash is its content hash; a folder's
+// hash covers its children sorted by name, so identical folders hash the same
+// no matter in which order their files were added.
+class MerkleNode {
+  constructor(name, data = null) {
+    this.name = name;
+    this.data = data; // For file nodes: file metadata, for folders: null
+    this.children = data ? null : new Map();
+    this.hash = data ? data.hash : null;
+    this.dirty = !data;
+  }
+
+  get isLeaf() {
+    return this.children === null;
+  }
+
+  get type() {
+    return this.isLeaf ? 'file' : 'directory';
+  }
+
+  calculateHash() {
+    if (this.isLeaf) {
+      return this.data.hash;
+    }
+
+    const hash = crypto.createHash('sha256');
+    for (const child of MerkleNode.sortedChildren(this)) {
+      hash.update(`${child.type}\0${child.name}\0${child.hash}\n`);
+    }
+    return hash.digest('hex');
+  }
+
+  // Recompute the hashes of folders changed since the last call
+  recalculateHash() {
+    if (!this.dirty) {
+      return this.hash;
+    }
+
+    if (!this.isLeaf) {
+      for (const child of this.children.values()) {
+        child.recalculateHash();
+      }
+    }
+
+    this.hash = this.calculateHash();
+    this.dirty = false;
+    return this.hash;
+  }
+
+  // Plain code unit order, so every machine sorts names the same way
+  static sortedChildren(node) {
+    return Array.from(node.children.values())
+      .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+  }
+}
+
+class MerkleTree {
+  constructor() {
+    this.root = new MerkleNode('');
+    this.leaves = new Map(); // Map file paths to leaf nodes
+  }
+
+  // Called for every file added, updated or removed
+  markChanged(filePath) {}
+
+  static splitPath(filePath) {
+    return filePath.split(/[\\/]+/).filter(Boolean);
+  }
+
+  static joinPath(dirPath, name) {
+    return dirPath ? `${dirPath}/${name}` : name;
+  }
+
+  // Walk to the folder at `dirPath` ('' is the root), or null
+  getNode(dirPath) {
+    let node = this.root;
+    for (const name of MerkleTree.splitPath(dirPath)) {
+      node = node.children && node.children.get(name);
+      if (!node) {
+        return null;
+      }
+    }
+    return node;
+  }
+
+  // Folders from the root down to the parent of `filePath`
+  getAncestors(filePath, create = false) {
+    const names = MerkleTree.splitPath(filePath);
+    const ancestors = [this.root];
+    let node = this.root;
+
+    for (const name of names.slice(0, -1)) {
+      let child = node.children.get(name);
+      if (!child || child.isLeaf) {
+        if (!create) {
+          return null;
+        }
+        if (child) {
+          // A file is being replaced by a folder of the same name
+          this.leaves.delete(child.data.file_path);
+          this.markChanged(child.data.file_path);
+        }
+        child = new MerkleNode(name);
+        node.children.set(name, child);
+      }
+      ancestors.push(child);
+      node = child;
+    }
+
+    return ancestors;
+  }
+
+  // Create leaf node for a file
+  createFileNode(filePath, metadata) {
+    const ancestors = this.getAncestors(filePath, true);
+    const parent = ancestors[ancestors.length - 1];
+    const replaced = parent.children.get(path.basename(filePath));
+
+    // A folder is being replaced by a file of the same name
+    if (replaced && !replaced.isLeaf) {
+      for (const file of this.getFilesUnder(filePath)) {
+        this.leaves.delete(file.file_path);
+        this.markChanged(file.file_path);
+      }
+    }
+
+    const node = new MerkleNode(path.basename(filePath), {
+      id: metadata.id,
+      filename: metadata.filename,
+      file_path: filePath,
+      local_url: metadata.local_url,
+      s3_url: metadata.s3_url || null,
+      hash: metadata.hash,
+      size: metadata.size,
+      mtime: metadata.mtime, // Set for local files only
+      timestamp: metadata.timestamp || new Date().toISOString(),
+      mime_type: metadata.mime_type
+    });
+
+    parent.children.set(node.name, node);
+    ancestors.forEach(ancestor => { ancestor.dirty = true; });
+    this.leaves.set(filePath, node);
+    this.markChanged(filePath);
+    return node;
+  }
+
+  // Add or update a file in the tree
+  addOrUpdateFile(filePath, metadata) {
+    const existingNode = this.leaves.get(filePath);
+
+    if (existingNode) {
+      // Update existing node
+      existingNode.data = {
+        ...existingNode.data,
+        ...metadata,
+        timestamp: new Date().toISOString()
+      };
+      existingNode.hash = existingNode.data.hash;
+      this.getAncestors(filePath).forEach(ancestor => { ancestor.dirty = true; });
+      this.markChanged(filePath);
+    } else {
+      // Create new node
+      this.createFileNode(filePath, metadata);
+    }
+  }
+
+  // Get file information from the tree
+  getFile(filePath) {
+    const node = this.leaves.get(filePath);
+    return node ? node.data : null;
+  }
+
+  // Remove a file from the tree, along with folders it leaves empty
+  removeFile(filePath) {
+    const node = this.leaves.get(filePath);
+    if (!node) {
+      return false;
+    }
+
+    this.leaves.delete(filePath);
+    this.markChanged(filePath);
+    const ancestors = this.getAncestors(filePath);
+    let name = node.name;
+
+    for (let i = ancestors.length - 1; i >= 0; i--) {
+      const folder = ancestors[i];
+      folder.dirty = true;
+      if (name !== null) {
+        folder.children.delete(name);
+        name = folder.children.size === 0 && i > 0 ? folder.name : null;
+      }
+    }
+
+    return true;
+  }
+
+  // Get all files
+  getAllFiles() {
+    const files = [];
+    for (const [filePath, node] of this.leaves) {
+      if (node.data) {
+        files.push({
+          file_path: filePath,
+          ...node.data
+        });
+      }
+    }
+    return files;
+  }
+
+  // Immediate children of a folder with their hashes, sorted by name
+  getChildren(dirPath) {
+    const node = this.getNode(dirPath);
+    if (!node || node.isLeaf) {
+      return null;
+    }
+
+    node.recalculateHash();
+    return MerkleNode.sortedChildren(node).map(child => ({
+      ...(child.isLeaf ? child.data : {}),
+      name: child.name,
+      type: child.type,
+      hash: child.hash
+    }));
+  }
+
+  // All files below a folder (or the file itself)
+  getFilesUnder(dirPath) {
+    const node = this.getNode(dirPath);
+    if (!node) {
+      return [];
+    }
+
+    const files = [];
+    const collect = (current) => {
+      if (current.isLeaf) {
+        files.push(current.data);
+      } else {
+        for (const child of MerkleNode.sortedChildren(current)) {
+          collect(child);
+        }
+      }
+    };
+
+    collect(node);
+    return files;
+  }
+
+  // Get root hash
+  getRootHash() {
+    if (this.leaves.size === 0) {
+      return null;
+    }
+    return this.root.recalculateHash();
+  }
+
+  // Export tree to JSON
+  toJSON() {
+    return {
+      rootHash: this.getRootHash(),
+      timestamp: new Date().toISOString(),
+      files: this.getAllFiles()
+    };
+  }
+
+  // Import tree from JSON
+  fromJSON(data) {
+    this.root = new MerkleNode('');
+    this.leaves.clear();
+
+    if (data.files) {
+      for (const file of data.files) {
+        this.createFileNode(file.file_path, file);
+      }
+    }
+  }
+
+  // Get tree differences between two trees, descending only into folders
+  // whose hashes differ
+  getDifferences(otherTree) {
+    const differences = {
+      added: [],
+      modified: [],
+      deleted: []
+    };
+
+    const compare = (dirPath) => {
+      const mine = new Map((this.getChildren(dirPath) || []).map(child => [child.name, child]));
+      const theirs = new Map((otherTree.getChildren(dirPath) || []).map(child => [child.name, child]));
+
+      for (const [name, child] of mine) {
+        const other = theirs.get(name);
+        const childPath = MerkleTree.joinPath(dirPath, name);
+
+        if (other && other.hash === child.hash && other.type === child.type) {
+          continue;
+        }
+
+        if (child.type === 'directory') {
+          if (other && other.type === 'file') {
+            differences.deleted.push(otherTree.getFile(other.file_path));
+          }
+          compare(childPath);
+        } else if (!other) {
+          differences.added.push(this.getFile(child.file_path));
+        } else if (other.type === 'file') {
+          differences.modified.push(this.getFile(child.file_path));
+        } else {
+          differences.deleted.push(...otherTree.getFilesUnder(childPath));
+          differences.added.push(this.getFile(child.file_path));
+        }
+      }
+
+      for (const [name, other] of theirs) {
+        if (!mine.has(name)) {
+          differences.deleted.push(...otherTree.getFilesUnder(MerkleTree.joinPath(dirPath, name)));
+        }
+      }
+    };
+
+    compare('');
+    return differences;
+  }
+}
+
+module.exports = { MerkleTree, MerkleNode };
@@ -0,0 +1,44 @@
+// shared/sync-rules.js - Which paths a device's sync rules include
+//
+// Rules are folder paths. A device with no include rules mirrors everything
+// that is not excluded; otherwise only what is included. The most specific
+// rule covering a path decides, so "photos" can be excluded while
+// "photos/2026" is included. The client and the server have to agree on this.
+
+// "/a\\b/" and "a/b" are the same path
+function toRulePath(filePath) {
+  return filePath.split(/[\\/]+/).filter(Boolean).join('/');
+}
+
+function covers(folder, rulePath) {
+  return rulePath === folder || rulePath.startsWith(`${folder}/`);
+}
+
+// Whether a device with these rules mirrors the file at `filePath`
+function isIncluded(rules, filePath) {
+  const rulePath = toRulePath(filePath);
+  let match = null;
+  let included = rules.include.length === 0;
+
+  for (const folder of rules.include) {
+    if (covers(folder, rulePath) && (match === null || folder.length > match.length)) {
+      match = folder;
+      included = true;
+    }
+  }
+
+  // An exclude wins over an include of the same folder
+  for (const folder of rules.exclude) {
+    if (covers(folder, rulePath) && (match === null || folder.length >= match.length)) {
+      match = folder;
+      included = false;
+    }
+  }
+
+  return included;
+}
+
+module.exports = {
+  toRulePath,
+  isIncluded
+};